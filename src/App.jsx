@@ -2,6 +2,7 @@ import { lazy, Suspense } from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import { AuthProvider, useAuth } from './context/AuthContext';
 import DashboardLayout from './components/layout/DashboardLayout';
+import { TimerProvider } from './context/TimerContext';
 
 // Lazy loaded components for bundle optimization
 const Login = lazy(() => import('./pages/Login'));
@@ -16,6 +17,7 @@ const Notepad = lazy(() => import('./pages/Notepad'));
 const QuizPage = lazy(() => import('./pages/QuizPage'));
 const PYQPage = lazy(() => import('./pages/PYQPage'));
 const ProgressTracker = lazy(() => import('./pages/ProgressTracker'));
+const Settings = lazy(() => import('./pages/Settings'));
 
 // Loading spinner component
 function LoadingSpinner() {
@@ -63,7 +65,9 @@ function App() {
 
                         <Route path="/dashboard" element={
                             <ProtectedRoute>
-                                <DashboardLayout />
+                                <TimerProvider>
+                                    <DashboardLayout />
+                                </TimerProvider>
                             </ProtectedRoute>
                         }>
                             <Route index element={<PageLoader><Dashboard /></PageLoader>} />
@@ -76,6 +80,7 @@ function App() {
                             <Route path="quiz" element={<PageLoader><QuizPage /></PageLoader>} />
                             <Route path="pyq" element={<PageLoader><PYQPage /></PageLoader>} />
                             <Route path="revision" element={<PageLoader><ProgressTracker /></PageLoader>} />
+                            <Route path="settings" element={<PageLoader><Settings /></PageLoader>} />
                         </Route>
 
                         <Route path="*" element={<Navigate to="/" />} />
@@ -2,7 +2,12 @@ import { useState } from 'react';
 import { motion } from 'framer-motion';
 import { Target, Calendar, TrendingUp, Settings, X, Check } from 'lucide-react';
 import { format, differenceInDays } from 'date-fns';
-import { saveUserGoals } from '../../lib/db';
+import { saveUserGoals, recomputeUserAggregates, refreshStudyPlan } from '../../lib/db';
+import { getStreakSettings, getDeviceTimeZone } from '../../lib/streaks';
+import { WEEKDAY_LABELS } from '../../lib/planner';
+
+// Intl.supportedValuesOf is missing on older browsers; fall back to the device zone
+const TIME_ZONES = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [getDeviceTimeZone()];
 
 export default function GoalSection({ user, goals, onGoalsUpdate }) {
     const [showSettings, setShowSettings] = useState(false);
@@ -11,7 +16,10 @@ export default function GoalSection({ user, goals, onGoalsUpdate }) {
         targetScore: goals?.targetScore || 150,
         currentScore: goals?.currentScore || 0,
         dailyHoursGoal: goals?.dailyHoursGoal || 6,
-        weeklyHoursGoal: goals?.weeklyHoursGoal || 35
+        weeklyHoursGoal: goals?.weeklyHoursGoal || 35,
+        streakMinMinutes: getStreakSettings(goals).minMinutesPerDay,
+        timeZone: getStreakSettings(goals).timeZone,
+        restDays: goals?.restDays || []
     });
 
     const daysUntilExam = goals?.targetExamDate
@@ -30,7 +38,17 @@ export default function GoalSection({ user, goals, onGoalsUpdate }) {
     };
 
     const handleSaveGoals = async () => {
+        const previous = getStreakSettings(goals);
         await saveUserGoals(user.uid, editGoals);
+        // Streak rules changed: re-derive the stored streaks from the logs
+        if (previous.minMinutesPerDay !== editGoals.streakMinMinutes || previous.timeZone !== editGoals.timeZone) {
+            await recomputeUserAggregates(user.uid);
+        }
+        // Exam date, daily hours and rest days shape the study plan
+        const planInputs = (g) => JSON.stringify([g?.targetExamDate || '', g?.dailyHoursGoal || 6, [...(g?.restDays || [])].sort()]);
+        if (planInputs(goals) !== planInputs(editGoals)) {
+            await refreshStudyPlan(user.uid, 'goals');
+        }
         onGoalsUpdate?.(editGoals);
         setShowSettings(false);
     };
@@ -212,6 +230,65 @@ export default function GoalSection({ user, goals, onGoalsUpdate }) {
                                     />
                                 </div>
                             </div>
+
+                            <div>
+                                <label className="block text-sm font-normal mb-1">
+                                    Rest Days
+                                </label>
+                                <div className="flex gap-1">
+                                    {WEEKDAY_LABELS.map((label, day) => {
+                                        const isRest = editGoals.restDays.includes(day);
+                                        return (
+                                            <button
+                                                key={label}
+                                                type="button"
+                                                onClick={() => setEditGoals({
+                                                    ...editGoals,
+                                                    restDays: isRest
+                                                        ? editGoals.restDays.filter(d => d !== day)
+                                                        : [...editGoals.restDays, day].sort()
+                                                })}
+                                                className={`flex-1 py-2 rounded text-xs font-medium border transition-all ${isRest
+                                                    ? 'bg-black text-white dark:bg-white dark:text-black border-black dark:border-white'
+                                                    : 'border-black/10 dark:border-white/10 text-[#71717A] hover:text-black dark:hover:text-white'
+                                                    }`}
+                                            >
+                                                {label}
+                                            </button>
+                                        );
+                                    })}
+                                </div>
+                                <p className="text-xs text-[#71717A] mt-1 font-light">No study plan tasks are scheduled on rest days</p>
+                            </div>
+
+                            <div className="grid grid-cols-2 gap-4">
+                                <div>
+                                    <label className="block text-sm font-normal mb-1">
+                                        Streak Minimum (min/day)
+                                    </label>
+                                    <input
+                                        type="number"
+                                        min={1}
+                                        value={editGoals.streakMinMinutes}
+                                        onChange={(e) => setEditGoals({ ...editGoals, streakMinMinutes: Math.max(1, parseInt(e.target.value) || 1) })}
+                                        className="input-field"
+                                    />
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-normal mb-1">
+                                        Time Zone
+                                    </label>
+                                    <select
+                                        value={editGoals.timeZone}
+                                        onChange={(e) => setEditGoals({ ...editGoals, timeZone: e.target.value })}
+                                        className="input-field"
+                                    >
+                                        {(TIME_ZONES.includes(editGoals.timeZone) ? TIME_ZONES : [editGoals.timeZone, ...TIME_ZONES]).map(zone => (
+                                            <option key={zone} value={zone}>{zone}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                            </div>
                         </div>
 
                         <div className="flex gap-3 mt-6">
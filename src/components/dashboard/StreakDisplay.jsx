@@ -5,6 +5,7 @@ import {
     TrendingUp, Clock, Award
 } from 'lucide-react';
 import { format, differenceInDays, subDays, isSameDay } from 'date-fns';
+import { computeStudyStreak } from '../../lib/streaks';
 
 // Streak milestones with unique badges
 const MILESTONES = [
@@ -34,16 +35,15 @@ const getMotivationalMessage = (streak, studiedToday) => {
     return { text: "LEGENDARY DEDICATION! 🏆", urgent: false };
 };
 
-export default function StreakDisplay({ currentStreak = 0, bestStreak = 0, lastStudyDate, logs = [] }) {
+export default function StreakDisplay({ currentStreak = 0, bestStreak = 0, loginStreak = 0, streakSettings, logs = [] }) {
     const [showCelebration, setShowCelebration] = useState(false);
     const [pulseStreak, setPulseStreak] = useState(false);
 
-    // Check if studied today
+    // Check if today already counts toward the streak (minimum minutes, user's time zone)
     const studiedToday = useMemo(() => {
         if (!logs || logs.length === 0) return false;
-        const today = new Date();
-        return logs.some(log => log.date && isSameDay(new Date(log.date), today));
-    }, [logs]);
+        return computeStudyStreak(logs, streakSettings).studiedToday;
+    }, [logs, streakSettings]);
 
     // Calculate streak heat level (0-5)
     const heatLevel = useMemo(() => {
@@ -270,7 +270,7 @@ export default function StreakDisplay({ currentStreak = 0, bestStreak = 0, lastS
             </div>
 
             {/* Stats Row */}
-            <div className="grid grid-cols-2 gap-4 mt-6 pt-4 border-t border-black/5 dark:border-white/5 relative z-10">
+            <div className="grid grid-cols-3 gap-4 mt-6 pt-4 border-t border-black/5 dark:border-white/5 relative z-10">
                 <div className="text-center">
                     <div className="flex items-center justify-center gap-1 text-xs text-[#71717A] mb-1">
                         <Star className="w-3 h-3" />
@@ -279,6 +279,14 @@ export default function StreakDisplay({ currentStreak = 0, bestStreak = 0, lastS
                     <p className="text-2xl font-bold">{bestStreak || 0}</p>
                     <p className="text-xs text-[#71717A] font-light">days</p>
                 </div>
+                <div className="text-center" title="Consecutive days you opened the app (doesn't affect your study streak)">
+                    <div className="flex items-center justify-center gap-1 text-xs text-[#71717A] mb-1">
+                        <Calendar className="w-3 h-3" />
+                        <span className="font-light">Login Streak</span>
+                    </div>
+                    <p className="text-2xl font-bold">{loginStreak || 0}</p>
+                    <p className="text-xs text-[#71717A] font-light">days</p>
+                </div>
                 <div className="text-center">
                     <div className="flex items-center justify-center gap-1 text-xs text-[#71717A] mb-1">
                         <Trophy className="w-3 h-3" />
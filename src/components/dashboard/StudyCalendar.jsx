@@ -1,12 +1,13 @@
-import { useState, useMemo } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
     ChevronLeft, ChevronRight, Calendar as CalendarIcon,
     Flame, Clock, Target, BookOpen, TrendingUp
 } from 'lucide-react';
+import { subscribeToMonthStats } from '../../lib/db';
 import {
     format, startOfMonth, endOfMonth, eachDayOfInterval, isSameDay,
-    isSameMonth, addMonths, subMonths, isToday, parseISO, startOfWeek,
+    isSameMonth, addMonths, subMonths, isToday, startOfWeek,
     endOfWeek, getDay
 } from 'date-fns';
 
@@ -22,41 +23,37 @@ const PRODUCTIVITY_LEVELS = {
 
 const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
 
-export default function StudyCalendar({ logs = [], dailyGoal = 6 }) {
+// Days come from the persisted `dailyStats` rollups, one month at a time, so any month of history can be browsed
+export default function StudyCalendar({ user, dailyGoal = 6 }) {
     const [currentMonth, setCurrentMonth] = useState(new Date());
     const [selectedDate, setSelectedDate] = useState(null);
+    const [monthDays, setMonthDays] = useState({});
+    const monthKey = format(currentMonth, 'yyyy-MM');
 
-    // Calculate productivity for each day
+    useEffect(() => {
+        if (!user) return;
+        setMonthDays({});
+        const unsub = subscribeToMonthStats(user.uid, monthKey, setMonthDays);
+        return () => unsub();
+    }, [user, monthKey]);
+
+    // Productivity level for each day of the month
     const dayProductivity = useMemo(() => {
         const productivity = {};
 
-        logs.forEach(log => {
-            if (!log.date) return;
-            const dateKey = format(parseISO(log.date), 'yyyy-MM-dd');
-            if (!productivity[dateKey]) {
-                productivity[dateKey] = { hours: 0, sessions: 0, subjects: new Set() };
-            }
-            productivity[dateKey].hours += (log.durationMinutes || 0) / 60;
-            productivity[dateKey].sessions += 1;
-            if (log.subject) {
-                productivity[dateKey].subjects.add(log.subject);
-            }
-        });
-
-        // Convert to productivity level
-        Object.keys(productivity).forEach(key => {
-            const hours = productivity[key].hours;
+        Object.entries(monthDays).forEach(([dateKey, day]) => {
+            const hours = day.hours || 0;
             let level = 0;
             if (hours >= dailyGoal * 1.5) level = 5;
             else if (hours >= dailyGoal) level = 4;
             else if (hours >= dailyGoal * 0.75) level = 3;
             else if (hours >= dailyGoal * 0.5) level = 2;
             else if (hours > 0) level = 1;
-            productivity[key].level = level;
+            productivity[dateKey] = { ...day, hours, level };
         });
 
         return productivity;
-    }, [logs, dailyGoal]);
+    }, [monthDays, dailyGoal]);
 
     // Get days to display
     const calendarDays = useMemo(() => {
@@ -70,28 +67,22 @@ export default function StudyCalendar({ logs = [], dailyGoal = 6 }) {
 
     // Month stats
     const monthStats = useMemo(() => {
-        const monthStart = startOfMonth(currentMonth);
-        const monthEnd = endOfMonth(currentMonth);
-
         let totalHours = 0;
         let totalSessions = 0;
         let activeDays = 0;
 
-        Object.entries(dayProductivity).forEach(([dateKey, data]) => {
-            const date = parseISO(dateKey);
-            if (date >= monthStart && date <= monthEnd) {
-                totalHours += data.hours;
-                totalSessions += data.sessions;
-                if (data.hours > 0) activeDays++;
-            }
+        Object.values(dayProductivity).forEach(data => {
+            totalHours += data.hours;
+            totalSessions += data.sessions || 0;
+            if (data.hours > 0) activeDays++;
         });
 
         return { totalHours, totalSessions, activeDays };
-    }, [currentMonth, dayProductivity]);
+    }, [dayProductivity]);
 
     const getDayData = (date) => {
         const dateKey = format(date, 'yyyy-MM-dd');
-        return dayProductivity[dateKey] || { hours: 0, sessions: 0, subjects: new Set(), level: 0 };
+        return dayProductivity[dateKey] || { hours: 0, sessions: 0, subjects: [], tasksCompleted: 0, quizzes: 0, level: 0 };
     };
 
     const navigateMonth = (direction) => {
@@ -214,7 +205,7 @@ export default function StudyCalendar({ logs = [], dailyGoal = 6 }) {
                             </span>
                         </div>
 
-                        {getDayData(selectedDate).hours > 0 ? (
+                        {getDayData(selectedDate).hours > 0 || getDayData(selectedDate).tasksCompleted > 0 || getDayData(selectedDate).quizzes > 0 ? (
                             <div className="grid grid-cols-3 gap-4 text-center">
                                 <div>
                                     <p className="text-2xl font-bold">{getDayData(selectedDate).hours.toFixed(1)}</p>
@@ -225,12 +216,25 @@ export default function StudyCalendar({ logs = [], dailyGoal = 6 }) {
                                     <p className="text-xs text-[#71717A]">Sessions</p>
                                 </div>
                                 <div>
-                                    <p className="text-2xl font-bold">{getDayData(selectedDate).subjects.size}</p>
+                                    <p className="text-2xl font-bold">{(getDayData(selectedDate).subjects || []).length}</p>
                                     <p className="text-xs text-[#71717A]">Subjects</p>
                                 </div>
+                                <div>
+                                    <p className="text-2xl font-bold">{getDayData(selectedDate).tasksCompleted || 0}</p>
+                                    <p className="text-xs text-[#71717A]">Tasks Done</p>
+                                </div>
+                                <div>
+                                    <p className="text-2xl font-bold">{getDayData(selectedDate).quizzes || 0}</p>
+                                    <p className="text-xs text-[#71717A]">Quizzes</p>
+                                </div>
+                                {getDayData(selectedDate).subjects?.length > 0 && (
+                                    <p className="col-span-3 text-xs text-[#71717A] font-light truncate">
+                                        {getDayData(selectedDate).subjects.join(' · ')}
+                                    </p>
+                                )}
                             </div>
                         ) : (
-                            <p className="text-[#71717A] text-sm text-center font-light">No study activity on this day</p>
+                            <p className="text-[#71717A] text-sm text-center font-light">No activity on this day</p>
                         )}
                     </motion.div>
                 )}
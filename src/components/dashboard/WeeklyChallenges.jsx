@@ -1,38 +1,41 @@
-import { useMemo } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { motion } from 'framer-motion';
 import { Swords, CheckCircle, Clock, ChevronRight } from 'lucide-react';
-import { getWeeklyChallenge } from '../../lib/db';
+import { subscribeToChallengeHistory, subscribeToUserSyllabus } from '../../lib/db';
+import { getWeekKey, buildWeeklyChallenge, getCompletionRate, getDaysLeftInWeek } from '../../lib/challenges';
+import { getStreakSettings } from '../../lib/streaks';
 
-export default function WeeklyChallenges({ logs, stats }) {
-    const challenge = useMemo(() => getWeeklyChallenge(), []);
+export default function WeeklyChallenges({ user, logs, goals }) {
+    const [history, setHistory] = useState([]);
+    const [syllabusDoc, setSyllabusDoc] = useState(null);
+    const { timeZone } = getStreakSettings(goals);
+    const weekKey = getWeekKey(new Date(), timeZone);
 
-    // Calculate progress based on challenge type
-    const progress = useMemo(() => {
-        if (!logs) return 0;
+    useEffect(() => {
+        if (!user) return;
+        const unsubHistory = subscribeToChallengeHistory(user.uid, setHistory);
+        const unsubSyllabus = subscribeToUserSyllabus(user.uid, setSyllabusDoc);
+        return () => {
+            unsubHistory();
+            unsubSyllabus();
+        };
+    }, [user]);
 
-        const now = new Date();
-        const weekStart = new Date(now);
-        weekStart.setDate(now.getDate() - now.getDay());
-        weekStart.setHours(0, 0, 0, 0);
-
-        const weeklyLogs = logs.filter(l => l.date && new Date(l.date) >= weekStart);
-
-        switch (challenge.unit) {
-            case 'hours':
-                return weeklyLogs.reduce((acc, l) => acc + (l.durationMinutes || 0) / 60, 0);
-            case 'sessions':
-                return weeklyLogs.length;
-            case 'subjects':
-                return new Set(weeklyLogs.map(l => l.subject)).size;
-            default:
-                return 0;
-        }
-    }, [logs, challenge]);
+    // This ISO week's challenge, measured live from the logs (the stored record keeps its target fixed)
+    const challenge = useMemo(() => buildWeeklyChallenge(weekKey, {
+        logs: logs || [],
+        goals,
+        syllabusDoc,
+        record: history.find(h => h.weekKey === weekKey)
+    }), [weekKey, logs, goals, syllabusDoc, history]);
 
+    const progress = challenge.progress;
     const progressPercent = Math.min(100, (progress / challenge.target) * 100);
-    const isCompleted = progressPercent >= 100;
+    const isCompleted = challenge.completed;
 
-    const daysLeftInWeek = 7 - new Date().getDay();
+    const daysLeftInWeek = getDaysLeftInWeek(new Date(), timeZone);
+    const pastWeeks = history.filter(h => h.weekKey < weekKey).slice(0, 8).reverse();
+    const completionRate = getCompletionRate(history, weekKey);
 
     return (
         <motion.div
@@ -88,7 +91,7 @@ export default function WeeklyChallenges({ logs, stats }) {
                     <div className="flex justify-between text-sm mb-2">
                         <span>
                             <span className="font-bold text-lg">
-                                {typeof progress === 'number' ? progress.toFixed(1) : progress}
+                                {Number.isInteger(progress) ? progress : progress.toFixed(1)}
                             </span>
                             <span className="text-[#71717A] font-light"> / {challenge.target} {challenge.unit}</span>
                         </span>
@@ -118,11 +121,36 @@ export default function WeeklyChallenges({ logs, stats }) {
                 )}
             </div>
 
-            {/* Reward teaser */}
-            <div className="mt-4 text-center">
-                <p className="text-xs text-[#71717A] font-light">
-                    Complete to earn: <span className="font-bold">🏆 Challenge Master Badge</span>
-                </p>
+            {/* History */}
+            <div className="mt-4">
+                {pastWeeks.length > 0 ? (
+                    <>
+                        <div className="flex justify-between text-xs text-[#71717A] mb-2 font-light">
+                            <span>Past weeks</span>
+                            <span>
+                                Completion rate: <span className="font-bold text-black dark:text-white">{completionRate}%</span>
+                            </span>
+                        </div>
+                        <div className="flex gap-1.5">
+                            {pastWeeks.map(week => (
+                                <div
+                                    key={week.weekKey}
+                                    title={`${week.weekKey}: ${week.name} (${week.progress}/${week.target} ${week.unit})`}
+                                    className={`flex-1 h-6 rounded flex items-center justify-center text-xs border ${week.status === 'completed'
+                                        ? 'bg-black text-white dark:bg-white dark:text-black border-black dark:border-white'
+                                        : 'border-black/10 dark:border-white/10 text-[#71717A]'
+                                        }`}
+                                >
+                                    {week.status === 'completed' ? '✓' : '✗'}
+                                </div>
+                            ))}
+                        </div>
+                    </>
+                ) : (
+                    <p className="text-xs text-[#71717A] text-center font-light">
+                        Finished challenges will show up here each week
+                    </p>
+                )}
             </div>
         </motion.div>
     );
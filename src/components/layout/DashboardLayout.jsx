@@ -1,8 +1,10 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { Outlet, NavLink, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 import { auth } from '../../lib/firebase';
-import { subscribeToUserStats } from '../../lib/db';
+import { subscribeToUserStats, subscribeToAchievements, ACHIEVEMENTS } from '../../lib/db';
+import toast from '../ui/Toast';
+import MiniTimer from './MiniTimer';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
     LayoutDashboard,
@@ -20,7 +22,8 @@ import {
     User,
     Brain,
     ClipboardList,
-    History
+    History,
+    Settings
 } from 'lucide-react';
 
 const NAV_ITEMS = [
@@ -42,6 +45,7 @@ export default function DashboardLayout() {
     const { user } = useAuth();
     const [stats, setStats] = useState(null);
     const navigate = useNavigate();
+    const seenAchievements = useRef(null);
 
     useEffect(() => {
         if (localStorage.getItem('theme') === 'dark') {
@@ -55,6 +59,25 @@ export default function DashboardLayout() {
         }
     }, [user]);
 
+    // Toast achievements as they unlock, on whichever page triggered them.
+    // The first snapshot only records what's already unlocked; backfilled unlocks stay silent.
+    useEffect(() => {
+        if (!user) return;
+        seenAchievements.current = null;
+        const unsub = subscribeToAchievements(user.uid, (unlocked) => {
+            if (seenAchievements.current) {
+                unlocked
+                    .filter(a => !seenAchievements.current.has(a.achievementId) && !a.backfilled)
+                    .forEach(a => {
+                        const achievement = ACHIEVEMENTS.find(item => item.id === a.achievementId);
+                        if (achievement) toast.success(`${achievement.icon} Achievement unlocked: ${achievement.name}`, 6000);
+                    });
+            }
+            seenAchievements.current = new Set(unlocked.map(a => a.achievementId));
+        });
+        return () => unsub();
+    }, [user]);
+
     const toggleTheme = () => {
         setDarkMode(!darkMode);
         if (!darkMode) {
@@ -126,6 +149,17 @@ export default function DashboardLayout() {
                             {darkMode ? <Sun className="w-4 h-4" /> : <Moon className="w-4 h-4" />}
                             {darkMode ? 'Light' : 'Dark'}
                         </motion.button>
+                        <NavLink
+                            to="/dashboard/settings"
+                            onClick={() => setSidebarOpen(false)}
+                            title="Settings"
+                            className={({ isActive }) => `px-3 py-2 rounded border transition-colors ${isActive
+                                ? 'bg-black text-white dark:bg-white dark:text-black border-black dark:border-white'
+                                : 'border-black/10 dark:border-white/10 hover:bg-black/5 dark:hover:bg-white/5'
+                                }`}
+                        >
+                            <Settings className="w-4 h-4" />
+                        </NavLink>
                         <motion.button
                             whileHover={{ scale: 1.02 }}
                             whileTap={{ scale: 0.98 }}
@@ -171,6 +205,9 @@ export default function DashboardLayout() {
                     />
                 )}
             </AnimatePresence>
+
+            {/* Running session, kept in view on every other page */}
+            <MiniTimer />
         </div>
     );
 }
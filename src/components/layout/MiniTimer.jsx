@@ -0,0 +1,64 @@
+import { useLocation, useNavigate } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Play, Pause, Maximize2 } from 'lucide-react';
+import { useTimer } from '../../context/TimerContext';
+import { formatClock, getOpenPause, POMODORO_PHASES } from '../../lib/session-timer';
+import PauseReasonPicker from '../tracker/PauseReasonPicker';
+
+/**
+ * Floating timer shown on every dashboard page except the Tracker while a session is
+ * in progress. Saving the session happens on the Tracker, one click away.
+ */
+export default function MiniTimer() {
+    const location = useLocation();
+    const navigate = useNavigate();
+    const { timer, elapsedMs, remainingMs, isRunning, isActive, start, pause, setReason } = useTimer();
+    const openPause = getOpenPause(timer);
+
+    const visible = isActive && location.pathname !== '/dashboard/tracker';
+    const seconds = Math.floor((timer.mode === 'pomodoro' ? remainingMs : elapsedMs) / 1000);
+
+    return (
+        <AnimatePresence>
+            {visible && (
+                <motion.div
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    exit={{ opacity: 0, y: 20 }}
+                    className="fixed bottom-4 right-4 z-40 card px-4 py-3 flex items-center gap-3 shadow-lg bg-white dark:bg-dark-surface"
+                >
+                    <div className="min-w-0">
+                        <p className={`text-xl font-bold tabular-nums ${isRunning ? '' : 'text-[#71717A]'}`}>
+                            {formatClock(seconds)}
+                        </p>
+                        <p className="text-xs text-[#71717A] font-light truncate max-w-[160px]">
+                            {timer.mode === 'pomodoro' && timer.phase !== 'focus'
+                                ? POMODORO_PHASES[timer.phase].label
+                                : timer.session.topic || timer.session.subject}
+                            {!isRunning && ' · paused'}
+                        </p>
+                        {openPause && (
+                            <div className="mt-1.5">
+                                <PauseReasonPicker value={openPause.reason} onChange={setReason} compact />
+                            </div>
+                        )}
+                    </div>
+                    <button
+                        onClick={() => (isRunning ? pause() : start())}
+                        className="w-9 h-9 rounded-full bg-black dark:bg-white text-white dark:text-black flex items-center justify-center"
+                        title={isRunning ? 'Pause' : 'Resume'}
+                    >
+                        {isRunning ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4 ml-0.5" />}
+                    </button>
+                    <button
+                        onClick={() => navigate('/dashboard/tracker')}
+                        className="p-2 text-[#71717A] hover:text-black dark:hover:text-white hover:bg-black/5 dark:hover:bg-white/5 rounded transition-colors"
+                        title="Open Tracker"
+                    >
+                        <Maximize2 className="w-4 h-4" />
+                    </button>
+                </motion.div>
+            )}
+        </AnimatePresence>
+    );
+}
@@ -0,0 +1,122 @@
+import { useState } from 'react';
+import { Repeat, X } from 'lucide-react';
+import { motion, AnimatePresence } from 'framer-motion';
+
+const SCOPES = [
+    { id: 'this', label: 'This occurrence' },
+    { id: 'future', label: 'This and following' },
+    { id: 'all', label: 'All occurrences' },
+];
+
+/**
+ * Asks which occurrences of a recurring task an edit or delete applies to
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the dialog is visible
+ * @param {Function} props.onClose - Called when dialog is closed without choosing
+ * @param {Function} props.onChoose - Called with 'this' | 'future' | 'all'
+ * @param {string} props.title - Dialog title
+ * @param {boolean} props.isDangerous - If true, uses red styling for the choices
+ */
+export function RecurrenceScopeDialog({
+    isOpen,
+    onClose,
+    onChoose,
+    title = "Edit Recurring Task",
+    isDangerous = false
+}) {
+    return (
+        <AnimatePresence>
+            {isOpen && (
+                <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+                    <motion.div
+                        initial={{ opacity: 0 }}
+                        animate={{ opacity: 1 }}
+                        exit={{ opacity: 0 }}
+                        className="absolute inset-0 bg-white/80 dark:bg-black/80 backdrop-blur-sm"
+                        onClick={onClose}
+                    />
+
+                    <motion.div
+                        initial={{ opacity: 0, scale: 0.95 }}
+                        animate={{ opacity: 1, scale: 1 }}
+                        exit={{ opacity: 0, scale: 0.95 }}
+                        className="relative bg-white dark:bg-dark-surface rounded-2xl shadow-2xl max-w-sm w-full p-6 border border-black/10 dark:border-white/10"
+                    >
+                        <button
+                            onClick={onClose}
+                            className="absolute top-4 right-4 p-1 text-[#71717A] hover:text-black dark:hover:text-white transition-colors"
+                        >
+                            <X className="w-5 h-5" />
+                        </button>
+
+                        <div className="flex items-center gap-3 mb-5">
+                            <Repeat className="w-5 h-5" />
+                            <h3 className="text-lg font-bold">{title}</h3>
+                        </div>
+
+                        <div className="space-y-2">
+                            {SCOPES.map(scope => (
+                                <button
+                                    key={scope.id}
+                                    onClick={() => onChoose(scope.id)}
+                                    className={`w-full text-left px-4 py-2.5 rounded border text-sm transition-colors ${isDangerous
+                                        ? 'border-red-200 dark:border-red-900/40 hover:bg-red-50 dark:hover:bg-red-900/20 text-red-600'
+                                        : 'border-black/10 dark:border-white/10 hover:bg-black/5 dark:hover:bg-white/5'
+                                        }`}
+                                >
+                                    {scope.label}
+                                </button>
+                            ))}
+                        </div>
+
+                        <div className="flex justify-end mt-5">
+                            <button onClick={onClose} className="btn-outline px-5 py-2 rounded font-medium text-sm">
+                                Cancel
+                            </button>
+                        </div>
+                    </motion.div>
+                </div>
+            )}
+        </AnimatePresence>
+    );
+}
+
+/**
+ * Hook for the scope dialog; `chooseScope` resolves to 'this' | 'future' | 'all', or null if cancelled
+ * @returns {Object} { chooseScope, scopeDialogProps }
+ */
+export function useRecurrenceScope() {
+    const [isOpen, setIsOpen] = useState(false);
+    const [config, setConfig] = useState({});
+    const [resolveRef, setResolveRef] = useState(null);
+
+    const chooseScope = (options = {}) => {
+        return new Promise((resolve) => {
+            setConfig(options);
+            setIsOpen(true);
+            setResolveRef(() => resolve);
+        });
+    };
+
+    const close = () => {
+        setIsOpen(false);
+        if (resolveRef) resolveRef(null);
+    };
+
+    const handleChoose = (scope) => {
+        setIsOpen(false);
+        if (resolveRef) resolveRef(scope);
+    };
+
+    return {
+        chooseScope,
+        scopeDialogProps: {
+            isOpen,
+            onClose: close,
+            onChoose: handleChoose,
+            ...config
+        }
+    };
+}
+
+export default RecurrenceScopeDialog;
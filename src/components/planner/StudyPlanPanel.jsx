@@ -0,0 +1,139 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { Sparkles, RefreshCw, Trash2, AlertTriangle } from 'lucide-react';
+import { format, parseISO } from 'date-fns';
+import { generateStudyPlan, clearStudyPlan, subscribeToStudyPlan } from '../../lib/db';
+import { formatMinutes } from '../../lib/planner';
+import { ConfirmDialog, useConfirmDialog } from '../ui/ConfirmDialog';
+import toast from '../ui/Toast';
+
+const REASON_LABELS = {
+    manual: 'Generated',
+    behind: 'Re-planned after falling behind',
+    goals: 'Re-planned after your goals changed',
+};
+
+const formatDay = (dayKey) => format(parseISO(dayKey), 'MMM d');
+
+/**
+ * Generates the syllabus-to-exam study plan and shows its phases. The tasks themselves
+ * appear in the Planner views like any other task.
+ */
+export default function StudyPlanPanel({ user }) {
+    const [plan, setPlan] = useState(null);
+    const [working, setWorking] = useState(false);
+    const { dialogProps, confirm } = useConfirmDialog();
+
+    useEffect(() => {
+        if (!user) return;
+        const unsub = subscribeToStudyPlan(user.uid, setPlan);
+        return () => unsub();
+    }, [user]);
+
+    const handleGenerate = async () => {
+        if (plan) {
+            const confirmed = await confirm({
+                title: 'Re-plan from Today',
+                message: 'Open plan tasks will be replaced with a fresh schedule. Finished tasks and your own tasks are kept.',
+                confirmText: 'Re-plan'
+            });
+            if (!confirmed) return;
+        }
+
+        setWorking(true);
+        const { summary, problem } = await generateStudyPlan(user.uid);
+        setWorking(false);
+        if (problem) toast.warning(problem);
+        else toast.success(`Plan ready: ${summary.topicsLeft} topics over ${summary.studyDays} study days`);
+    };
+
+    const handleClear = async () => {
+        const confirmed = await confirm({
+            title: 'Remove Study Plan',
+            message: 'This deletes all open plan tasks. Finished ones stay in your history.',
+            confirmText: 'Remove',
+            isDangerous: true
+        });
+        if (!confirmed) return;
+
+        setWorking(true);
+        const success = await clearStudyPlan(user.uid);
+        setWorking(false);
+        if (success) toast.success('Study plan removed');
+        else toast.error('Failed to remove plan');
+    };
+
+    return (
+        <motion.div
+            className="card p-4"
+            initial={{ opacity: 0, y: -10 }}
+            animate={{ opacity: 1, y: 0 }}
+        >
+            <div className="flex items-center justify-between gap-3 flex-wrap">
+                <div className="flex items-center gap-2">
+                    <Sparkles className="w-4 h-4" />
+                    <span className="text-sm font-medium">Study <span className="font-bold">Plan</span></span>
+                    {plan?.generatedAt?.toDate && (
+                        <span className="text-xs text-[#71717A] font-light">
+                            {REASON_LABELS[plan.reason] || REASON_LABELS.manual} {format(plan.generatedAt.toDate(), 'MMM d')}
+                        </span>
+                    )}
+                </div>
+                <div className="flex gap-2">
+                    <button
+                        onClick={handleGenerate}
+                        disabled={working}
+                        className="btn-primary px-3 py-1.5 rounded text-xs flex items-center gap-1.5 disabled:opacity-50"
+                    >
+                        <RefreshCw className={`w-3 h-3 ${working ? 'animate-spin' : ''}`} />
+                        {plan ? 'Re-plan' : 'Generate Plan'}
+                    </button>
+                    {plan && (
+                        <button
+                            onClick={handleClear}
+                            disabled={working}
+                            className="p-1.5 text-[#71717A] hover:text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20 rounded transition-colors disabled:opacity-50"
+                            title="Remove plan"
+                        >
+                            <Trash2 className="w-4 h-4" />
+                        </button>
+                    )}
+                </div>
+            </div>
+
+            {plan ? (
+                <>
+                    <div className="grid grid-cols-3 gap-2 mt-4">
+                        {plan.phases?.map(phase => (
+                            <div key={phase.id} className="p-3 rounded border border-black/5 dark:border-white/5 bg-[#FAFAFA] dark:bg-dark-surface">
+                                <p className="text-xs font-medium">{phase.label}</p>
+                                <p className="text-xs text-[#71717A] font-light mt-1">
+                                    {formatDay(phase.start)} – {formatDay(phase.end)}
+                                </p>
+                                <p className="text-xs text-[#71717A] font-light">{phase.days} study days</p>
+                            </div>
+                        ))}
+                    </div>
+                    <p className="text-xs text-[#71717A] mt-3 font-light">
+                        {plan.topicsLeft} topics left · {formatMinutes(plan.coverageMinutesPerDay)}/day during coverage
+                        {plan.revisionRounds > 0 && ` · ${plan.revisionRounds} revision round${plan.revisionRounds > 1 ? 's' : ''}`}
+                        {' · '}exam {formatDay(plan.examDay)}
+                    </p>
+                    {plan.overloaded && (
+                        <p className="text-xs mt-2 flex items-center gap-1.5">
+                            <AlertTriangle className="w-3 h-3" />
+                            Covering everything needs more than your {formatMinutes(plan.dailyMinutes)} daily goal. Trim estimates or add study days.
+                        </p>
+                    )}
+                </>
+            ) : (
+                <p className="text-xs text-[#71717A] mt-2 font-light">
+                    Spread your remaining syllabus over the days left until your exam: first coverage, revision rounds, then mock tests.
+                    Uses your exam date, daily hours goal, rest days and each topic's estimated hours.
+                </p>
+            )}
+
+            <ConfirmDialog {...dialogProps} />
+        </motion.div>
+    );
+}
@@ -0,0 +1,214 @@
+import { useState, useMemo } from 'react';
+import { X, Undo2, Redo2, Camera, RotateCcw, Trash2, History } from 'lucide-react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { format, formatDistanceToNow, parseISO } from 'date-fns';
+import { diffSnapshots } from '../../lib/syllabus-history';
+import { countNodes } from '../../lib/syllabus-tree';
+
+const CURRENT = 'current';
+
+// Entries shown per diff group before "and N more"
+const DIFF_LIMIT = 25;
+
+const DIFF_GROUPS = [
+    { key: 'added', label: 'Added' },
+    { key: 'removed', label: 'Removed' },
+    { key: 'renamed', label: 'Renamed' },
+    { key: 'moved', label: 'Moved' },
+    { key: 'ticked', label: 'Marked done' },
+    { key: 'unticked', label: 'Marked not done' },
+];
+
+const describeEntry = (key, entry) => {
+    if (key === 'renamed') return `${entry.oldTitle} → ${entry.title}`;
+    if (key === 'moved') return `${entry.title}: ${entry.oldPath.join(' › ') || 'top level'} → ${entry.path.join(' › ') || 'top level'}`;
+    return [...entry.path, entry.title].join(' › ');
+};
+
+/**
+ * Session undo/redo and saved snapshots of the active syllabus, with a diff between any two
+ * snapshots (or a snapshot and the syllabus as it is now).
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the panel is visible
+ * @param {Function} props.onClose - Called when the panel is closed
+ * @param {Object} props.syllabus - The active syllabus, with `snapshots`
+ * @param {{ past: Object[], future: Object[] }} props.history - Its undo/redo stacks
+ * @param {Function} props.onUndo
+ * @param {Function} props.onRedo
+ * @param {Function} props.onSaveSnapshot - Called with the snapshot name
+ * @param {Function} props.onRestoreSnapshot - Called with the snapshot
+ * @param {Function} props.onDeleteSnapshot - Called with the snapshot
+ */
+export default function SyllabusHistoryPanel({ isOpen, onClose, syllabus, history, onUndo, onRedo, onSaveSnapshot, onRestoreSnapshot, onDeleteSnapshot }) {
+    const [snapshotName, setSnapshotName] = useState('');
+    const [fromId, setFromId] = useState('');
+    const [toId, setToId] = useState(CURRENT);
+
+    const snapshots = syllabus?.snapshots || [];
+    const resolve = (id) => (id === CURRENT ? syllabus : snapshots.find(snapshot => snapshot.id === id));
+    // Default comparison: the newest snapshot against now
+    const from = resolve(fromId) || snapshots[0];
+    const to = resolve(toId) || syllabus;
+    const selectValue = (version) => (version === syllabus ? CURRENT : version?.id);
+
+    const diff = useMemo(() => (isOpen && from && to ? diffSnapshots(from, to) : null), [isOpen, from, to]);
+    const diffCount = diff ? DIFF_GROUPS.reduce((acc, { key }) => acc + diff[key].length, 0) : 0;
+
+    const lastDone = history.past[history.past.length - 1];
+    const lastUndone = history.future[history.future.length - 1];
+
+    const handleSave = (e) => {
+        e.preventDefault();
+        onSaveSnapshot(snapshotName.trim() || `Snapshot ${format(new Date(), 'd MMM, HH:mm')}`);
+        setSnapshotName('');
+    };
+
+    return (
+        <AnimatePresence>
+            {isOpen && syllabus && (
+                <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+                    <motion.div
+                        initial={{ opacity: 0 }}
+                        animate={{ opacity: 1 }}
+                        exit={{ opacity: 0 }}
+                        className="absolute inset-0 bg-white/80 dark:bg-black/80 backdrop-blur-sm"
+                        onClick={onClose}
+                    />
+
+                    <motion.div
+                        initial={{ opacity: 0, scale: 0.95 }}
+                        animate={{ opacity: 1, scale: 1 }}
+                        exit={{ opacity: 0, scale: 0.95 }}
+                        className="relative bg-white dark:bg-dark-surface rounded-2xl shadow-2xl max-w-3xl w-full max-h-[85vh] flex flex-col border border-black/10 dark:border-white/10"
+                    >
+                        <div className="flex items-center justify-between p-6 border-b border-black/10 dark:border-white/10">
+                            <div className="flex items-center gap-3">
+                                <History className="w-5 h-5" />
+                                <h3 className="text-lg font-bold">History · {syllabus.name}</h3>
+                            </div>
+                            <button onClick={onClose} className="p-1 text-[#71717A] hover:text-black dark:hover:text-white transition-colors">
+                                <X className="w-5 h-5" />
+                            </button>
+                        </div>
+
+                        <div className="p-6 space-y-8 overflow-y-auto flex-1">
+                            {/* This session */}
+                            <section className="space-y-3">
+                                <h4 className="text-sm font-bold uppercase tracking-wide text-[#71717A]">This session</h4>
+                                <div className="flex flex-wrap gap-2">
+                                    <button onClick={onUndo} disabled={!lastDone} className="btn-outline flex items-center gap-2 text-sm disabled:opacity-50">
+                                        <Undo2 className="w-4 h-4" /> Undo{lastDone ? `: ${lastDone.label}` : ''}
+                                    </button>
+                                    <button onClick={onRedo} disabled={!lastUndone} className="btn-outline flex items-center gap-2 text-sm disabled:opacity-50">
+                                        <Redo2 className="w-4 h-4" /> Redo{lastUndone ? `: ${lastUndone.label}` : ''}
+                                    </button>
+                                </div>
+                                {history.past.length === 0 ? (
+                                    <p className="text-sm text-[#71717A] font-light">No changes yet. Ctrl+Z and Ctrl+Shift+Z also undo and redo.</p>
+                                ) : (
+                                    <ul className="text-sm space-y-1 max-h-40 overflow-y-auto">
+                                        {[...history.past].reverse().map(entry => (
+                                            <li key={entry.id} className="flex justify-between gap-4">
+                                                <span>{entry.label}</span>
+                                                <span className="text-[#71717A] font-light whitespace-nowrap">
+                                                    {formatDistanceToNow(entry.at, { addSuffix: true })}
+                                                </span>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                )}
+                            </section>
+
+                            {/* Snapshots */}
+                            <section className="space-y-3">
+                                <h4 className="text-sm font-bold uppercase tracking-wide text-[#71717A]">Snapshots</h4>
+                                <form onSubmit={handleSave} className="flex gap-2">
+                                    <input
+                                        type="text"
+                                        value={snapshotName}
+                                        onChange={(e) => setSnapshotName(e.target.value)}
+                                        placeholder="Name this snapshot, e.g. Before revision cycle 2"
+                                        maxLength={80}
+                                        className="input-field text-sm flex-1"
+                                    />
+                                    <button type="submit" className="btn-primary flex items-center gap-2 text-sm whitespace-nowrap">
+                                        <Camera className="w-4 h-4" /> Save snapshot
+                                    </button>
+                                </form>
+                                {snapshots.length === 0 ? (
+                                    <p className="text-sm text-[#71717A] font-light">
+                                        No snapshots yet. One is also saved automatically before progress is cleared or the syllabus is reset.
+                                    </p>
+                                ) : (
+                                    <ul className="divide-y divide-black/5 dark:divide-white/5 border border-black/10 dark:border-white/10 rounded">
+                                        {snapshots.map(snapshot => (
+                                            <li key={snapshot.id} className="flex items-center gap-3 px-3 py-2">
+                                                <div className="flex-1 min-w-0">
+                                                    <p className="text-sm font-medium truncate">{snapshot.name}</p>
+                                                    <p className="text-xs text-[#71717A] font-light">
+                                                        {format(parseISO(snapshot.createdAt), 'd MMM yyyy, HH:mm')} · {countNodes(snapshot.items)} topics · {snapshot.completed.length} done
+                                                    </p>
+                                                </div>
+                                                <button
+                                                    onClick={() => onRestoreSnapshot(snapshot)}
+                                                    className="px-2 py-1 text-sm text-[#71717A] hover:text-black dark:hover:text-white hover:bg-black/5 dark:hover:bg-white/5 rounded flex items-center gap-1 transition-colors"
+                                                    title="Restore topics and ticks from this snapshot"
+                                                >
+                                                    <RotateCcw className="w-4 h-4" /> Restore
+                                                </button>
+                                                <button
+                                                    onClick={() => onDeleteSnapshot(snapshot)}
+                                                    className="p-1.5 text-[#71717A] hover:text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20 rounded transition-colors"
+                                                    title="Delete snapshot"
+                                                >
+                                                    <Trash2 className="w-4 h-4" />
+                                                </button>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                )}
+                            </section>
+
+                            {/* Compare */}
+                            {snapshots.length > 0 && (
+                                <section className="space-y-3">
+                                    <h4 className="text-sm font-bold uppercase tracking-wide text-[#71717A]">Compare</h4>
+                                    <div className="flex flex-wrap items-center gap-2 text-sm">
+                                        <select value={selectValue(from)} onChange={(e) => setFromId(e.target.value)} className="input-field text-sm flex-1 min-w-[10rem]">
+                                            {snapshots.map(snapshot => <option key={snapshot.id} value={snapshot.id}>{snapshot.name}</option>)}
+                                            <option value={CURRENT}>Current syllabus</option>
+                                        </select>
+                                        <span className="text-[#71717A]">→</span>
+                                        <select value={selectValue(to)} onChange={(e) => setToId(e.target.value)} className="input-field text-sm flex-1 min-w-[10rem]">
+                                            {snapshots.map(snapshot => <option key={snapshot.id} value={snapshot.id}>{snapshot.name}</option>)}
+                                            <option value={CURRENT}>Current syllabus</option>
+                                        </select>
+                                    </div>
+                                    {diff && diffCount === 0 ? (
+                                        <p className="text-sm text-[#71717A] font-light">No differences.</p>
+                                    ) : diff && (
+                                        <div className="space-y-4">
+                                            {DIFF_GROUPS.filter(({ key }) => diff[key].length > 0).map(({ key, label }) => (
+                                                <div key={key}>
+                                                    <p className="text-sm font-medium mb-1">{label} ({diff[key].length})</p>
+                                                    <ul className="text-sm font-light space-y-0.5">
+                                                        {diff[key].slice(0, DIFF_LIMIT).map(entry => (
+                                                            <li key={entry.id} className="truncate">{describeEntry(key, entry)}</li>
+                                                        ))}
+                                                        {diff[key].length > DIFF_LIMIT && (
+                                                            <li className="text-[#71717A]">and {diff[key].length - DIFF_LIMIT} more</li>
+                                                        )}
+                                                    </ul>
+                                                </div>
+                                            ))}
+                                        </div>
+                                    )}
+                                </section>
+                            )}
+                        </div>
+                    </motion.div>
+                </div>
+            )}
+        </AnimatePresence>
+    );
+}
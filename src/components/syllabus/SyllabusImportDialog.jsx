@@ -0,0 +1,203 @@
+import { useState, useMemo } from 'react';
+import { X, Upload, FileText, FolderPlus, GitMerge } from 'lucide-react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { SYLLABUS_IMPORT_FORMATS, parseSyllabusText, mergeSyllabusItems } from '../../lib/syllabus-import';
+import { countNodes } from '../../lib/syllabus-tree';
+
+// Nodes drawn in the preview; big syllabi are cut off with a count
+const PREVIEW_LIMIT = 200;
+
+const flattenPreview = (items, depth = 0, rows = []) => {
+    (items || []).forEach(item => {
+        if (rows.length >= PREVIEW_LIMIT) return;
+        rows.push({ id: item.id, title: item.title, depth, isLeaf: !item.children?.length });
+        flattenPreview(item.children, depth + 1, rows);
+    });
+    return rows;
+};
+
+/**
+ * Import a syllabus from pasted or uploaded text (indented outline, Markdown or JSON),
+ * either as a new syllabus or merged into the active one.
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the dialog is visible
+ * @param {Function} props.onClose - Called when the dialog is closed
+ * @param {Object} props.activeSyllabus - { name, items } the merge target
+ * @param {Function} props.onImport - Called with { target: 'new', name, items, completed } or { target: 'merge', items, added, completed }
+ */
+export default function SyllabusImportDialog({ isOpen, onClose, activeSyllabus, onImport }) {
+    const [text, setText] = useState('');
+    const [format, setFormat] = useState('auto');
+    const [target, setTarget] = useState('new');
+    const [name, setName] = useState('');
+
+    const parsed = useMemo(() => (text.trim() ? parseSyllabusText(text, format) : null), [text, format]);
+    const merged = useMemo(() => (
+        parsed && !parsed.problem && target === 'merge'
+            ? mergeSyllabusItems(activeSyllabus?.items || [], parsed.items, parsed.completed)
+            : null
+    ), [parsed, target, activeSyllabus]);
+
+    const previewItems = merged ? merged.items : parsed?.items;
+    const previewRows = useMemo(() => flattenPreview(previewItems), [previewItems]);
+    const totalNodes = countNodes(previewItems || []);
+    const resolvedName = name.trim() || parsed?.name || 'Imported Syllabus';
+
+    const handleClose = () => {
+        setText('');
+        setName('');
+        setFormat('auto');
+        setTarget('new');
+        onClose();
+    };
+
+    const handleFile = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        const content = await file.text();
+        setText(content);
+        if (/\.json$/i.test(file.name)) setFormat('json');
+        else if (/\.(md|markdown)$/i.test(file.name)) setFormat('markdown');
+        if (!name) setName(file.name.replace(/\.[^.]+$/, ''));
+    };
+
+    const handleImport = () => {
+        if (!parsed || parsed.problem) return;
+        if (target === 'merge') onImport({ target, items: merged.items, added: merged.added, completed: merged.completed });
+        else onImport({ target, name: resolvedName, items: parsed.items, completed: parsed.completed });
+        handleClose();
+    };
+
+    return (
+        <AnimatePresence>
+            {isOpen && (
+                <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+                    <motion.div
+                        initial={{ opacity: 0 }}
+                        animate={{ opacity: 1 }}
+                        exit={{ opacity: 0 }}
+                        className="absolute inset-0 bg-white/80 dark:bg-black/80 backdrop-blur-sm"
+                        onClick={handleClose}
+                    />
+
+                    <motion.div
+                        initial={{ opacity: 0, scale: 0.95 }}
+                        animate={{ opacity: 1, scale: 1 }}
+                        exit={{ opacity: 0, scale: 0.95 }}
+                        className="relative bg-white dark:bg-dark-surface rounded-2xl shadow-2xl max-w-4xl w-full max-h-[85vh] flex flex-col border border-black/10 dark:border-white/10"
+                    >
+                        <div className="flex items-center justify-between p-6 border-b border-black/10 dark:border-white/10">
+                            <h3 className="text-lg font-bold">Import Syllabus</h3>
+                            <button onClick={handleClose} className="p-1 text-[#71717A] hover:text-black dark:hover:text-white transition-colors">
+                                <X className="w-5 h-5" />
+                            </button>
+                        </div>
+
+                        <div className="p-6 grid md:grid-cols-2 gap-6 overflow-y-auto flex-1">
+                            {/* Source */}
+                            <div className="space-y-3 flex flex-col">
+                                <div className="flex gap-2">
+                                    <select value={format} onChange={(e) => setFormat(e.target.value)} className="input-field text-sm flex-1">
+                                        {SYLLABUS_IMPORT_FORMATS.map(option => (
+                                            <option key={option.id} value={option.id}>{option.label}</option>
+                                        ))}
+                                    </select>
+                                    <label className="btn-outline flex items-center gap-2 text-sm cursor-pointer whitespace-nowrap">
+                                        <Upload className="w-4 h-4" />
+                                        File
+                                        <input type="file" accept=".txt,.md,.markdown,.json" onChange={handleFile} className="hidden" />
+                                    </label>
+                                </div>
+                                <textarea
+                                    value={text}
+                                    onChange={(e) => setText(e.target.value)}
+                                    placeholder={'Paste a syllabus, e.g.\n\nPaper I\n    Ancient History\n        Indus Valley Civilisation\n    Medieval History\nPaper II\n    Polity'}
+                                    className="input-field font-mono text-xs min-h-[280px] flex-1 resize-none"
+                                    spellCheck={false}
+                                />
+                                <p className="text-xs text-[#71717A] font-light">
+                                    Outline: nest topics by indenting them. Markdown: headings and bullet lists. JSON: an array of
+                                    {' { "title", "children" } '} nodes.
+                                </p>
+                            </div>
+
+                            {/* Target and preview */}
+                            <div className="space-y-3 flex flex-col min-h-0">
+                                <div className="grid grid-cols-2 gap-2">
+                                    <button
+                                        onClick={() => setTarget('new')}
+                                        className={`p-3 rounded border text-left text-sm transition-colors ${target === 'new' ? 'border-black dark:border-white bg-black/5 dark:bg-white/5' : 'border-black/10 dark:border-white/10'}`}
+                                    >
+                                        <span className="flex items-center gap-2 font-medium"><FolderPlus className="w-4 h-4" /> New syllabus</span>
+                                    </button>
+                                    <button
+                                        onClick={() => setTarget('merge')}
+                                        disabled={!activeSyllabus}
+                                        className={`p-3 rounded border text-left text-sm transition-colors disabled:opacity-50 ${target === 'merge' ? 'border-black dark:border-white bg-black/5 dark:bg-white/5' : 'border-black/10 dark:border-white/10'}`}
+                                    >
+                                        <span className="flex items-center gap-2 font-medium"><GitMerge className="w-4 h-4" /> Merge</span>
+                                        <span className="block text-xs text-[#71717A] font-light truncate">into {activeSyllabus?.name}</span>
+                                    </button>
+                                </div>
+
+                                {target === 'new' && (
+                                    <input
+                                        type="text"
+                                        value={name}
+                                        onChange={(e) => setName(e.target.value)}
+                                        placeholder={parsed?.name || 'Syllabus name...'}
+                                        className="input-field text-sm"
+                                    />
+                                )}
+
+                                <div className="flex-1 min-h-[200px] max-h-[360px] overflow-y-auto border border-black/10 dark:border-white/10 rounded p-3">
+                                    {!parsed ? (
+                                        <p className="text-sm text-[#71717A] font-light flex items-center gap-2">
+                                            <FileText className="w-4 h-4" /> The preview appears here
+                                        </p>
+                                    ) : parsed.problem ? (
+                                        <p className="text-sm text-red-500">{parsed.problem}</p>
+                                    ) : (
+                                        <ul className="space-y-0.5">
+                                            {previewRows.map(row => (
+                                                <li
+                                                    key={row.id}
+                                                    style={{ paddingLeft: `${row.depth * 16}px` }}
+                                                    className={`text-sm truncate ${row.isLeaf ? 'font-light' : 'font-medium'}`}
+                                                >
+                                                    {row.title}
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    )}
+                                </div>
+
+                                {parsed && !parsed.problem && (
+                                    <p className="text-xs text-[#71717A] font-light">
+                                        {target === 'merge'
+                                            ? `${merged.added} new topic${merged.added === 1 ? '' : 's'}; existing topics keep their progress.`
+                                            : `${countNodes(parsed.items)} topics, read as ${SYLLABUS_IMPORT_FORMATS.find(f => f.id === parsed.format)?.label.toLowerCase()}.`}
+                                        {(merged || parsed).completed.length > 0 && ` ${(merged || parsed).completed.length} marked done.`}
+                                        {totalNodes > PREVIEW_LIMIT && ` Showing the first ${PREVIEW_LIMIT}.`}
+                                    </p>
+                                )}
+                            </div>
+                        </div>
+
+                        <div className="flex justify-end gap-3 p-6 border-t border-black/10 dark:border-white/10">
+                            <button onClick={handleClose} className="btn-outline">Cancel</button>
+                            <button
+                                onClick={handleImport}
+                                disabled={!parsed || !!parsed.problem || (target === 'merge' && merged.added === 0 && merged.completed.length === 0)}
+                                className="btn-primary disabled:opacity-50"
+                            >
+                                {target === 'merge' ? 'Merge topics' : 'Create syllabus'}
+                            </button>
+                        </div>
+                    </motion.div>
+                </div>
+            )}
+        </AnimatePresence>
+    );
+}
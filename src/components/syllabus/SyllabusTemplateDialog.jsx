@@ -0,0 +1,132 @@
+import { useState, useMemo } from 'react';
+import { X, Plus, Minus, Layers } from 'lucide-react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { diffSyllabusWithTemplate } from '../../lib/syllabus-templates';
+import { countNodes } from '../../lib/syllabus-tree';
+
+const DiffList = ({ entries, sign }) => (
+    <ul className="space-y-1">
+        {entries.map(entry => (
+            <li key={entry.id} className="text-sm flex items-start gap-2">
+                {sign === '+'
+                    ? <Plus className="w-4 h-4 text-green-600 shrink-0 mt-0.5" />
+                    : <Minus className="w-4 h-4 text-red-500 shrink-0 mt-0.5" />}
+                <span className="min-w-0">
+                    {entry.path.length > 0 && (
+                        <span className="text-xs text-[#71717A] font-light block truncate">{entry.path.join(' › ')}</span>
+                    )}
+                    {entry.title}
+                    {entry.node.children?.length > 0 && (
+                        <span className="text-xs text-[#71717A] font-light"> +{countNodes(entry.node.children)} sub-topics</span>
+                    )}
+                </span>
+            </li>
+        ))}
+    </ul>
+);
+
+/**
+ * Compare a syllabus made from a bundled template with the template's current revision,
+ * and pull in its changes.
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the dialog is visible
+ * @param {Function} props.onClose - Called when the dialog is closed
+ * @param {Object} props.syllabus - The syllabus, with `template: { id, version }`
+ * @param {Function} props.onApply - Called with { addMissing, removeRetired }
+ */
+export default function SyllabusTemplateDialog({ isOpen, onClose, syllabus, onApply }) {
+    const [addMissing, setAddMissing] = useState(true);
+    const [removeRetired, setRemoveRetired] = useState(false);
+
+    const diff = useMemo(() => (isOpen ? diffSyllabusWithTemplate(syllabus) : null), [isOpen, syllabus]);
+    const copyVersion = syllabus?.template?.version || 0;
+    const isCurrent = diff && diff.template.version === copyVersion;
+    const hasChanges = diff && (diff.missing.length > 0 || diff.retired.length > 0);
+
+    const handleApply = () => {
+        onApply({ addMissing: addMissing && diff.missing.length > 0, removeRetired: removeRetired && diff.retired.length > 0 });
+        onClose();
+    };
+
+    return (
+        <AnimatePresence>
+            {isOpen && diff && (
+                <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+                    <motion.div
+                        initial={{ opacity: 0 }}
+                        animate={{ opacity: 1 }}
+                        exit={{ opacity: 0 }}
+                        className="absolute inset-0 bg-white/80 dark:bg-black/80 backdrop-blur-sm"
+                        onClick={onClose}
+                    />
+
+                    <motion.div
+                        initial={{ opacity: 0, scale: 0.95 }}
+                        animate={{ opacity: 1, scale: 1 }}
+                        exit={{ opacity: 0, scale: 0.95 }}
+                        className="relative bg-white dark:bg-dark-surface rounded-2xl shadow-2xl max-w-2xl w-full max-h-[85vh] flex flex-col border border-black/10 dark:border-white/10"
+                    >
+                        <div className="flex items-center justify-between p-6 border-b border-black/10 dark:border-white/10">
+                            <div className="flex items-center gap-3">
+                                <Layers className="w-5 h-5" />
+                                <div>
+                                    <h3 className="text-lg font-bold">{diff.template.name}</h3>
+                                    <p className="text-xs text-[#71717A] font-light">
+                                        Your copy: v{copyVersion} · Template: v{diff.template.version}
+                                        {diff.custom > 0 && ` · ${diff.custom} topic${diff.custom === 1 ? '' : 's'} of your own`}
+                                    </p>
+                                </div>
+                            </div>
+                            <button onClick={onClose} className="p-1 text-[#71717A] hover:text-black dark:hover:text-white transition-colors">
+                                <X className="w-5 h-5" />
+                            </button>
+                        </div>
+
+                        <div className="p-6 space-y-6 overflow-y-auto flex-1">
+                            {!hasChanges && (
+                                <p className="text-sm text-[#71717A] font-light">
+                                    Your syllabus has every topic of the template. Nothing to update.
+                                </p>
+                            )}
+
+                            {diff.missing.length > 0 && (
+                                <div className="space-y-3">
+                                    <label className="flex items-center gap-2 text-sm font-medium cursor-pointer">
+                                        <input type="checkbox" checked={addMissing} onChange={(e) => setAddMissing(e.target.checked)} />
+                                        In the template, not in your syllabus ({diff.missing.length})
+                                    </label>
+                                    <p className="text-xs text-[#71717A] font-light">
+                                        New in this revision, or topics you removed. Adding them keeps your progress and your own topics.
+                                    </p>
+                                    <DiffList entries={diff.missing} sign="+" />
+                                </div>
+                            )}
+
+                            {diff.retired.length > 0 && (
+                                <div className="space-y-3">
+                                    <label className="flex items-center gap-2 text-sm font-medium cursor-pointer">
+                                        <input type="checkbox" checked={removeRetired} onChange={(e) => setRemoveRetired(e.target.checked)} />
+                                        No longer in the template ({diff.retired.length})
+                                    </label>
+                                    <p className="text-xs text-[#71717A] font-light">
+                                        Removing them also removes any topics you added under them.
+                                    </p>
+                                    <DiffList entries={diff.retired} sign="-" />
+                                </div>
+                            )}
+                        </div>
+
+                        <div className="flex justify-end gap-3 p-6 border-t border-black/10 dark:border-white/10">
+                            <button onClick={onClose} className="btn-outline">Close</button>
+                            {(hasChanges || !isCurrent) && (
+                                <button onClick={handleApply} className="btn-primary">
+                                    {hasChanges && (addMissing || removeRetired) ? 'Apply changes' : `Mark as v${diff.template.version}`}
+                                </button>
+                            )}
+                        </div>
+                    </motion.div>
+                </div>
+            )}
+        </AnimatePresence>
+    );
+}
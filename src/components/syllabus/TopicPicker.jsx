@@ -0,0 +1,111 @@
+import { useState, useMemo } from 'react';
+import { Link2, Search } from 'lucide-react';
+import { flattenNodes, searchNodes } from '../../lib/syllabus-tree';
+
+/**
+ * Autocomplete over the active syllabus tree. Picking a suggestion links the node id;
+ * typing links only an exact title match, otherwise the text stays free (the caller
+ * decides whether to create a node for it).
+ * @param {Object} props
+ * @param {Array} props.items - Active syllabus items
+ * @param {string} props.topic - Topic text shown in the input
+ * @param {string|null} props.topicId - Linked syllabus node id
+ * @param {Function} props.onChange - Called with { topic, topicId }
+ * @param {boolean} props.disabled
+ */
+export default function TopicPicker({ items, topic, topicId, onChange, disabled = false, placeholder = 'Search your syllabus...' }) {
+    const [open, setOpen] = useState(false);
+    const [highlighted, setHighlighted] = useState(0);
+
+    const flatNodes = useMemo(() => flattenNodes(items || []), [items]);
+    const suggestions = useMemo(() => searchNodes(flatNodes, topic || ''), [flatNodes, topic]);
+    const linkedEntry = useMemo(
+        () => (topicId ? flatNodes.find(entry => entry.id === topicId) : null),
+        [flatNodes, topicId]
+    );
+
+    const select = (entry) => {
+        onChange({ topic: entry.title, topicId: entry.id });
+        setOpen(false);
+    };
+
+    const handleKeyDown = (e) => {
+        if (!open || suggestions.length === 0) return;
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            setHighlighted(prev => (prev + 1) % suggestions.length);
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            setHighlighted(prev => (prev - 1 + suggestions.length) % suggestions.length);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            select(suggestions[highlighted]);
+        } else if (e.key === 'Escape') {
+            setOpen(false);
+        }
+    };
+
+    return (
+        <div className="relative">
+            <div className="relative">
+                <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-[#71717A]" />
+                <input
+                    type="text"
+                    value={topic}
+                    onChange={(e) => {
+                        const text = e.target.value;
+                        const exact = flatNodes.find(entry => entry.title.toLowerCase() === text.trim().toLowerCase());
+                        onChange({ topic: text, topicId: exact ? exact.id : null });
+                        setHighlighted(0);
+                        setOpen(true);
+                    }}
+                    onFocus={() => setOpen(true)}
+                    onBlur={() => setOpen(false)}
+                    onKeyDown={handleKeyDown}
+                    placeholder={placeholder}
+                    maxLength={100}
+                    className="input-field pl-9"
+                    disabled={disabled}
+                    role="combobox"
+                    aria-expanded={open && suggestions.length > 0}
+                    aria-autocomplete="list"
+                />
+            </div>
+
+            {open && suggestions.length > 0 && (
+                <ul
+                    role="listbox"
+                    className="absolute z-20 mt-1 w-full max-h-64 overflow-y-auto bg-white dark:bg-dark-surface border border-black/10 dark:border-white/10 rounded shadow-lg"
+                >
+                    {suggestions.map((entry, index) => (
+                        <li
+                            key={entry.id}
+                            role="option"
+                            aria-selected={index === highlighted}
+                            // mousedown fires before the input blurs and closes the list
+                            onMouseDown={(e) => { e.preventDefault(); select(entry); }}
+                            onMouseEnter={() => setHighlighted(index)}
+                            className={`px-3 py-2 cursor-pointer ${index === highlighted ? 'bg-black/5 dark:bg-white/10' : ''}`}
+                        >
+                            <p className="text-sm font-medium truncate">{entry.title}</p>
+                            {entry.path.length > 0 && (
+                                <p className="text-xs text-[#71717A] font-light truncate">{entry.path.join(' › ')}</p>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {linkedEntry ? (
+                <p className="text-xs text-[#71717A] mt-1 font-light flex items-center gap-1 truncate">
+                    <Link2 className="w-3 h-3 flex-shrink-0" />
+                    Linked to {[...linkedEntry.path, linkedEntry.title].join(' › ')}
+                </p>
+            ) : topic?.trim() && (
+                <p className="text-xs text-[#71717A] mt-1 font-light">
+                    Not in your syllabus yet — pick a suggestion or save to add it
+                </p>
+            )}
+        </div>
+    );
+}
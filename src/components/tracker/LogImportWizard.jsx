@@ -0,0 +1,306 @@
+import { useState, useMemo } from 'react';
+import { Upload, X, FileText, AlertCircle, Copy, CheckCircle, ArrowLeft } from 'lucide-react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { format, parseISO } from 'date-fns';
+import { fetchAllLogs, importStudyLogs } from '../../lib/db';
+import {
+    IMPORT_FIELDS, DATE_FORMATS, DURATION_UNITS, parseImportFile, guessMapping, guessDurationUnit, buildImportRows
+} from '../../lib/log-import';
+import { formatMinutes } from '../../lib/planner';
+import toast from '../ui/Toast';
+
+// Rows rendered in the preview table; problems are listed first so they are never cut off
+const PREVIEW_LIMIT = 100;
+
+const STEPS = ['upload', 'map', 'preview'];
+
+/**
+ * Bulk import of past study sessions from a CSV or JSON file: upload, map columns, preview, import.
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the wizard is visible
+ * @param {Function} props.onClose - Called when the wizard is closed (also after a successful import)
+ * @param {string} props.uid - User the logs are imported for
+ */
+export default function LogImportWizard({ isOpen, onClose, uid }) {
+    const [step, setStep] = useState('upload');
+    const [fileName, setFileName] = useState('');
+    const [parsed, setParsed] = useState(null);
+    const [existingLogs, setExistingLogs] = useState([]);
+    const [mapping, setMapping] = useState({});
+    const [dateFormat, setDateFormat] = useState(DATE_FORMATS[0].id);
+    const [durationUnit, setDurationUnit] = useState('minutes');
+    const [includeDuplicates, setIncludeDuplicates] = useState(false);
+    const [loading, setLoading] = useState(false);
+
+    const rows = useMemo(() => (
+        step === 'preview' && parsed
+            ? buildImportRows(parsed.records, mapping, { dateFormat, durationUnit, existingLogs })
+            : []
+    ), [step, parsed, mapping, dateFormat, durationUnit, existingLogs]);
+
+    const invalidCount = rows.filter(row => row.errors.length > 0).length;
+    const duplicateCount = rows.filter(row => row.duplicate).length;
+    const toImport = rows.filter(row => row.values && (!row.duplicate || includeDuplicates));
+    const previewRows = [...rows]
+        .sort((a, b) => (b.errors.length > 0) - (a.errors.length > 0) || b.duplicate - a.duplicate || a.row - b.row)
+        .slice(0, PREVIEW_LIMIT);
+
+    const missingRequired = IMPORT_FIELDS.filter(field => field.required && !mapping[field.id]);
+
+    const handleClose = () => {
+        if (loading) return;
+        setStep('upload');
+        setFileName('');
+        setParsed(null);
+        setExistingLogs([]);
+        setIncludeDuplicates(false);
+        onClose();
+    };
+
+    const handleFile = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+
+        setLoading(true);
+        try {
+            const result = parseImportFile(await file.text(), file.name);
+            if (result.records.length === 0) {
+                toast.warning('No sessions found in this file');
+                return;
+            }
+            const guessed = guessMapping(result.columns);
+            setExistingLogs(await fetchAllLogs(uid));
+            setParsed(result);
+            setFileName(file.name);
+            setMapping(guessed);
+            setDurationUnit(guessDurationUnit(guessed.duration));
+            setStep('map');
+        } catch (error) {
+            console.error("Error reading import file:", error);
+            toast.error(error.message || 'Could not read this file');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleImport = async () => {
+        if (toImport.length === 0) return;
+        setLoading(true);
+        const { saved, problem } = await importStudyLogs(uid, toImport.map(row => row.values));
+        setLoading(false);
+        if (problem) {
+            toast.error(problem);
+        } else {
+            toast.success(`Imported ${saved} session${saved === 1 ? '' : 's'} 📚`);
+        }
+        // Saved rows are in the history now; importing again would add them twice
+        if (saved > 0) handleClose();
+    };
+
+    return (
+        <AnimatePresence>
+            {isOpen && (
+                <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+                    <motion.div
+                        initial={{ opacity: 0 }}
+                        animate={{ opacity: 1 }}
+                        exit={{ opacity: 0 }}
+                        className="absolute inset-0 bg-white/80 dark:bg-black/80 backdrop-blur-sm"
+                        onClick={handleClose}
+                    />
+
+                    <motion.div
+                        initial={{ opacity: 0, scale: 0.95 }}
+                        animate={{ opacity: 1, scale: 1 }}
+                        exit={{ opacity: 0, scale: 0.95 }}
+                        className="relative bg-white dark:bg-dark-surface rounded-2xl shadow-2xl max-w-3xl w-full max-h-[85vh] flex flex-col border border-black/10 dark:border-white/10"
+                    >
+                        <div className="flex items-center justify-between p-6 border-b border-black/10 dark:border-white/10">
+                            <div>
+                                <h3 className="text-lg font-bold">Import Study Logs</h3>
+                                <p className="text-xs text-[#71717A] font-light">
+                                    Step {STEPS.indexOf(step) + 1} of {STEPS.length}
+                                    {fileName && ` · ${fileName}`}
+                                </p>
+                            </div>
+                            <button
+                                onClick={handleClose}
+                                className="p-1 text-[#71717A] hover:text-black dark:hover:text-white transition-colors"
+                            >
+                                <X className="w-5 h-5" />
+                            </button>
+                        </div>
+
+                        <div className="p-6 overflow-y-auto flex-1">
+                            {step === 'upload' && (
+                                <label className="flex flex-col items-center justify-center gap-3 p-10 border-2 border-dashed border-black/10 dark:border-white/10 rounded cursor-pointer hover:border-black dark:hover:border-white transition-colors">
+                                    <Upload className="w-8 h-8 text-[#71717A]" />
+                                    <span className="font-medium">{loading ? 'Reading file...' : 'Choose a CSV or JSON file'}</span>
+                                    <span className="text-xs text-[#71717A] font-light text-center max-w-sm">
+                                        One session per row with at least a date, a duration and a subject.
+                                        CSV files need a header row; JSON files hold an array of objects.
+                                    </span>
+                                    <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFile} disabled={loading} className="hidden" />
+                                </label>
+                            )}
+
+                            {step === 'map' && parsed && (
+                                <div className="space-y-4">
+                                    <p className="text-sm text-[#71717A] font-light">
+                                        {parsed.records.length} rows found. Match each field to a column of your file.
+                                    </p>
+                                    <div className="grid sm:grid-cols-2 gap-3">
+                                        {IMPORT_FIELDS.map(field => (
+                                            <div key={field.id}>
+                                                <label className="block text-xs text-[#71717A] mb-1 font-light">
+                                                    {field.label}{field.required && ' *'}
+                                                </label>
+                                                <select
+                                                    value={mapping[field.id] || ''}
+                                                    onChange={(e) => setMapping(prev => ({ ...prev, [field.id]: e.target.value }))}
+                                                    className="input-field text-sm"
+                                                >
+                                                    <option value="">Not mapped</option>
+                                                    {parsed.columns.map(column => (
+                                                        <option key={column} value={column}>{column}</option>
+                                                    ))}
+                                                </select>
+                                            </div>
+                                        ))}
+                                        <div>
+                                            <label className="block text-xs text-[#71717A] mb-1 font-light">Date format</label>
+                                            <select value={dateFormat} onChange={(e) => setDateFormat(e.target.value)} className="input-field text-sm">
+                                                {DATE_FORMATS.map(option => (
+                                                    <option key={option.id} value={option.id}>{option.label}</option>
+                                                ))}
+                                            </select>
+                                        </div>
+                                        <div>
+                                            <label className="block text-xs text-[#71717A] mb-1 font-light">Plain numbers in the duration are</label>
+                                            <select value={durationUnit} onChange={(e) => setDurationUnit(e.target.value)} className="input-field text-sm">
+                                                {DURATION_UNITS.map(option => (
+                                                    <option key={option.id} value={option.id}>{option.label}</option>
+                                                ))}
+                                            </select>
+                                        </div>
+                                    </div>
+                                    <p className="text-xs text-[#71717A] font-light">
+                                        Durations like "1:30" or "1h 30m" are read as written. Dates without a time are logged at noon.
+                                    </p>
+                                </div>
+                            )}
+
+                            {step === 'preview' && (
+                                <div className="space-y-4">
+                                    <div className="flex flex-wrap gap-3 text-sm">
+                                        <span className="flex items-center gap-1.5">
+                                            <CheckCircle className="w-4 h-4" />
+                                            {rows.length - invalidCount - duplicateCount} ready
+                                        </span>
+                                        {duplicateCount > 0 && (
+                                            <span className="flex items-center gap-1.5 text-[#71717A]">
+                                                <Copy className="w-4 h-4" />
+                                                {duplicateCount} duplicate{duplicateCount === 1 ? '' : 's'}
+                                            </span>
+                                        )}
+                                        {invalidCount > 0 && (
+                                            <span className="flex items-center gap-1.5 text-red-500">
+                                                <AlertCircle className="w-4 h-4" />
+                                                {invalidCount} with errors (skipped)
+                                            </span>
+                                        )}
+                                    </div>
+
+                                    {duplicateCount > 0 && (
+                                        <label className="flex items-center gap-2 text-sm text-[#71717A] cursor-pointer">
+                                            <input
+                                                type="checkbox"
+                                                checked={includeDuplicates}
+                                                onChange={(e) => setIncludeDuplicates(e.target.checked)}
+                                            />
+                                            Import duplicates anyway (same day, subject, topic and duration as an existing session)
+                                        </label>
+                                    )}
+
+                                    <div className="border border-black/10 dark:border-white/10 rounded overflow-x-auto">
+                                        <table className="w-full text-sm">
+                                            <thead className="bg-[#FAFAFA] dark:bg-white/5 text-xs text-[#71717A]">
+                                                <tr>
+                                                    <th className="text-left font-medium px-3 py-2">Row</th>
+                                                    <th className="text-left font-medium px-3 py-2">Date</th>
+                                                    <th className="text-left font-medium px-3 py-2">Subject</th>
+                                                    <th className="text-left font-medium px-3 py-2">Topic</th>
+                                                    <th className="text-left font-medium px-3 py-2">Duration</th>
+                                                    <th className="text-left font-medium px-3 py-2">Status</th>
+                                                </tr>
+                                            </thead>
+                                            <tbody>
+                                                {previewRows.map(row => (
+                                                    <tr key={row.row} className="border-t border-black/5 dark:border-white/5">
+                                                        <td className="px-3 py-2 text-[#71717A]">{row.row}</td>
+                                                        <td className="px-3 py-2 whitespace-nowrap">{row.values ? format(parseISO(row.values.date), 'MMM d, yyyy') : '—'}</td>
+                                                        <td className="px-3 py-2">{row.values?.subject || '—'}</td>
+                                                        <td className="px-3 py-2 truncate max-w-[160px]">{row.values?.topic || '—'}</td>
+                                                        <td className="px-3 py-2 whitespace-nowrap">{row.values ? formatMinutes(row.values.durationMinutes) : '—'}</td>
+                                                        <td className="px-3 py-2 text-xs">
+                                                            {row.errors.length > 0 ? (
+                                                                <span className="text-red-500">{row.errors.join('; ')}</span>
+                                                            ) : row.duplicate ? (
+                                                                <span className="text-[#71717A]">Duplicate</span>
+                                                            ) : (
+                                                                <span>OK</span>
+                                                            )}
+                                                        </td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    </div>
+                                    {rows.length > PREVIEW_LIMIT && (
+                                        <p className="text-xs text-[#71717A] font-light">
+                                            Showing {PREVIEW_LIMIT} of {rows.length} rows.
+                                        </p>
+                                    )}
+                                </div>
+                            )}
+                        </div>
+
+                        {step !== 'upload' && (
+                            <div className="flex items-center justify-between gap-3 p-6 border-t border-black/10 dark:border-white/10">
+                                <button
+                                    onClick={() => setStep(step === 'preview' ? 'map' : 'upload')}
+                                    disabled={loading}
+                                    className="btn-outline flex items-center gap-2"
+                                >
+                                    <ArrowLeft className="w-4 h-4" />
+                                    Back
+                                </button>
+                                {step === 'map' ? (
+                                    <button
+                                        onClick={() => setStep('preview')}
+                                        disabled={missingRequired.length > 0}
+                                        title={missingRequired.length > 0 ? `Map ${missingRequired.map(field => field.label).join(', ')}` : ''}
+                                        className="btn-primary flex items-center gap-2 disabled:opacity-50"
+                                    >
+                                        <FileText className="w-4 h-4" />
+                                        Preview
+                                    </button>
+                                ) : (
+                                    <button
+                                        onClick={handleImport}
+                                        disabled={loading || toImport.length === 0}
+                                        className="btn-primary flex items-center gap-2 disabled:opacity-50"
+                                    >
+                                        <Upload className="w-4 h-4" />
+                                        {loading ? 'Importing...' : `Import ${toImport.length} session${toImport.length === 1 ? '' : 's'}`}
+                                    </button>
+                                )}
+                            </div>
+                        )}
+                    </motion.div>
+                </div>
+            )}
+        </AnimatePresence>
+    );
+}
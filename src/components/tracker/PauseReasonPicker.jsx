@@ -0,0 +1,28 @@
+import { PAUSE_REASONS } from '../../lib/interruptions';
+
+/**
+ * Reason chips for the pause in progress
+ * @param {Object} props
+ * @param {string|null} props.value - Chosen reason id
+ * @param {Function} props.onChange - Called with a reason id
+ * @param {boolean} props.compact - Smaller chips, for the mini-timer
+ */
+export default function PauseReasonPicker({ value, onChange, compact = false }) {
+    return (
+        <div className="flex flex-wrap items-center justify-center gap-1.5">
+            {!compact && <span className="text-xs text-[#71717A] font-light mr-1">Why the pause?</span>}
+            {PAUSE_REASONS.map(reason => (
+                <button
+                    key={reason.id}
+                    onClick={() => onChange(reason.id)}
+                    className={`rounded border transition-colors ${compact ? 'px-1.5 py-0.5 text-[10px]' : 'px-2.5 py-1 text-xs'} ${value === reason.id
+                        ? 'bg-black text-white dark:bg-white dark:text-black border-black dark:border-white'
+                        : 'border-black/10 dark:border-white/10 text-[#71717A] hover:text-black dark:hover:text-white'
+                        }`}
+                >
+                    {reason.label}
+                </button>
+            ))}
+        </div>
+    );
+}
@@ -0,0 +1,65 @@
+import { useState } from 'react';
+import { Settings2 } from 'lucide-react';
+
+const FIELDS = [
+    { key: 'focusMinutes', label: 'Focus (min)', min: 1, max: 180 },
+    { key: 'shortBreakMinutes', label: 'Short break (min)', min: 1, max: 60 },
+    { key: 'longBreakMinutes', label: 'Long break (min)', min: 1, max: 120 },
+    { key: 'longBreakEvery', label: 'Long break every', min: 1, max: 12 },
+];
+
+/**
+ * Pomodoro cycle settings. Changes apply from the next phase. A number is kept as typed
+ * while its field is edited, and clamped to the field's range when the field loses focus.
+ * @param {Object} props
+ * @param {Object} props.settings - { focusMinutes, shortBreakMinutes, longBreakMinutes, longBreakEvery, autoStart }
+ * @param {Function} props.onChange - Called with the changed settings
+ */
+export default function PomodoroSettings({ settings, onChange }) {
+    // Field key -> text being typed
+    const [drafts, setDrafts] = useState({});
+
+    const commitNumber = (field) => {
+        if (drafts[field.key] === undefined) return;
+        const number = parseInt(drafts[field.key]);
+        // Left empty or not a number: keep the current setting
+        if (number) onChange({ [field.key]: Math.min(field.max, Math.max(field.min, number)) });
+        setDrafts(({ [field.key]: _, ...rest }) => rest);
+    };
+
+    return (
+        <div className="card p-6">
+            <h3 className="font-medium mb-4 flex items-center gap-2">
+                <Settings2 className="w-5 h-5" />
+                Pomodoro <span className="font-bold">Cycle</span>
+            </h3>
+
+            <div className="grid grid-cols-2 gap-3">
+                {FIELDS.map(field => (
+                    <div key={field.key}>
+                        <label className="block text-xs text-[#71717A] mb-1 font-light">{field.label}</label>
+                        <input
+                            type="number"
+                            min={field.min}
+                            max={field.max}
+                            value={drafts[field.key] ?? settings[field.key]}
+                            onChange={(e) => setDrafts(prev => ({ ...prev, [field.key]: e.target.value }))}
+                            onBlur={() => commitNumber(field)}
+                            onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+                            className="input-field text-sm"
+                        />
+                    </div>
+                ))}
+            </div>
+
+            <label className="flex items-center gap-2 mt-4 text-sm text-[#71717A] cursor-pointer">
+                <input
+                    type="checkbox"
+                    checked={settings.autoStart}
+                    onChange={(e) => onChange({ autoStart: e.target.checked })}
+                />
+                Start breaks and focus blocks automatically
+            </label>
+        </div>
+    );
+}
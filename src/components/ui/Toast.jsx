@@ -24,16 +24,16 @@ const removeToast = (id) => {
     listeners.forEach(listener => listener(toastQueue));
 };
 
-// Public API
+// Public API. `action` ({ label, onClick }) adds a button, e.g. Undo, that also dismisses the toast.
 export const toast = {
-    success: (message, duration = 4000) => addToast({ type: 'success', message, duration }),
-    error: (message, duration = 5000) => addToast({ type: 'error', message, duration }),
-    warning: (message, duration = 4000) => addToast({ type: 'warning', message, duration }),
-    info: (message, duration = 4000) => addToast({ type: 'info', message, duration }),
+    success: (message, duration = 4000, action) => addToast({ type: 'success', message, duration, action }),
+    error: (message, duration = 5000, action) => addToast({ type: 'error', message, duration, action }),
+    warning: (message, duration = 4000, action) => addToast({ type: 'warning', message, duration, action }),
+    info: (message, duration = 4000, action) => addToast({ type: 'info', message, duration, action }),
 };
 
 // Toast item component
-function ToastItem({ toast: { id, type, message }, onRemove }) {
+function ToastItem({ toast: { id, type, message, action }, onRemove }) {
     const icons = {
         success: <CheckCircle className="w-5 h-5" />,
         error: <AlertCircle className="w-5 h-5" />,
@@ -57,6 +57,14 @@ function ToastItem({ toast: { id, type, message }, onRemove }) {
         >
             {icons[type]}
             <span className="font-medium">{message}</span>
+            {action && (
+                <button
+                    onClick={() => { action.onClick(); onRemove(id); }}
+                    className="ml-2 px-2 py-0.5 text-sm font-bold underline underline-offset-2 hover:bg-white/20 dark:hover:bg-black/20 rounded transition-colors"
+                >
+                    {action.label}
+                </button>
+            )}
             <button
                 onClick={() => onRemove(id)}
                 className="ml-2 p-1 hover:bg-white/20 dark:hover:bg-black/20 rounded transition-colors"
@@ -2,9 +2,13 @@ import { createContext, useContext, useEffect, useState } from "react";
 import { auth } from "../lib/firebase";
 import { onAuthStateChanged } from "firebase/auth";
 import { initializeUserStats } from "../lib/db";
+import { STORAGE_BACKEND } from "../lib/storage";
 
 const AuthContext = createContext({});
 
+// Stand-in account when running on the local storage backend (no Firebase Auth)
+const LOCAL_USER = { uid: "local", email: "local@device", displayName: "Local User" };
+
 export const useAuth = () => useContext(AuthContext);
 
 export const AuthProvider = ({ children }) => {
@@ -12,6 +16,15 @@ export const AuthProvider = ({ children }) => {
     const [loading, setLoading] = useState(true);
 
     useEffect(() => {
+        if (STORAGE_BACKEND === "local") {
+            setUser(LOCAL_USER);
+            setLoading(false);
+            initializeUserStats(LOCAL_USER.uid).catch(e => {
+                console.error("Failed to initialize user stats:", e);
+            });
+            return undefined;
+        }
+
         const unsubscribe = onAuthStateChanged(auth, async (currentUser) => {
             setUser(currentUser);
             setLoading(false);
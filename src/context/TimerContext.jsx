@@ -0,0 +1,129 @@
+import { createContext, useContext, useEffect, useState } from "react";
+import { useAuth } from "./AuthContext";
+import {
+    loadTimer, saveTimer, subscribeToTimer, createTimer, startTimer, pauseTimer, resetTimer, advancePomodoro,
+    setPomodoroSettings, setPauseReason, getElapsedMs, getRemainingMs, isTimerFinished, hasTimedTime, DEFAULT_SESSION, POMODORO_PHASES
+} from "../lib/session-timer";
+import { logStudySession, completeTaskIfEstimateMet } from "../lib/db";
+import { formatMinutes } from "../lib/planner";
+import { buildPauseFields } from "../lib/interruptions";
+import toast from "../components/ui/Toast";
+
+const TimerContext = createContext({});
+
+export const useTimer = () => useContext(TimerContext);
+
+// Holds the one study timer for the signed-in user, shared by the Tracker page and the
+// mini-timer in the dashboard layout, persisted across reloads and synced across tabs.
+const UserTimerProvider = ({ children }) => {
+    const { user } = useAuth();
+    const [timer, setTimer] = useState(() => loadTimer(user.uid));
+    const [now, setNow] = useState(Date.now());
+
+    useEffect(() => {
+        saveTimer(user.uid, timer);
+    }, [user.uid, timer]);
+
+    useEffect(() => subscribeToTimer(user.uid, setTimer), [user.uid]);
+
+    // Ticking only repaints; the time itself comes from the wall clock
+    useEffect(() => {
+        if (timer.status !== 'running') return undefined;
+        const tick = () => {
+            const current = Date.now();
+            setNow(current);
+            if (isTimerFinished(timer, current)) {
+                const { timer: next, finished } = advancePomodoro(timer, current);
+                setTimer(next);
+                finished.filter(block => block.phase === 'focus').forEach(block => logFocusBlock(block, timer.session));
+                // Every tab sees the phase end; only the one being looked at says so
+                if (document.visibilityState === 'visible') {
+                    toast.success(finished[finished.length - 1].phase === 'focus'
+                        ? `Focus block ${next.cycle} done! ${POMODORO_PHASES[next.phase].label}: ${formatMinutes(next.durationMs / 60000)} 🎉`
+                        : 'Break over. Back to focus 🎯');
+                }
+            }
+        };
+        tick();
+        const interval = setInterval(tick, 1000);
+        return () => clearInterval(interval);
+    }, [timer]);
+
+    // Each finished focus block is logged on its own. The id comes from the block's start time,
+    // so every tab that notices the same block writes the same log.
+    const logFocusBlock = async (block, session) => {
+        const durationMinutes = Math.round(block.durationMs / 60000);
+        const success = await logStudySession(user.uid, {
+            logId: `${user.uid}-pomodoro-${block.startedAt}`,
+            subject: session.subject,
+            topic: session.topic || 'General Study',
+            topicId: session.topicId,
+            createTopic: false,
+            taskId: session.linkedTask?.id || null,
+            notes: session.notes,
+            durationMinutes,
+            ...buildPauseFields(block.pauses, durationMinutes),
+            mode: 'pomodoro',
+            timestamp: new Date(block.endedAt).toISOString(),
+            // block.startedAt counts focus time only; pauses push the real start earlier
+            startedAt: new Date(block.startedAt - block.pauses.reduce((acc, pause) => acc + ((pause.end ?? pause.start) - pause.start), 0)).toISOString()
+        });
+        if (!success) {
+            toast.error('Failed to log focus block');
+        } else if (session.linkedTask && session.completeAtEstimate && await completeTaskIfEstimateMet(session.linkedTask.id)) {
+            toast.success(`Estimate reached: "${session.linkedTask.text}" marked as done`);
+        }
+    };
+
+    const start = () => setTimer(prev => startTimer(prev));
+    const pause = (record = true) => setTimer(prev => pauseTimer(prev, Date.now(), record));
+    const setReason = (reason) => setTimer(prev => setPauseReason(prev, reason));
+    const reset = () => setTimer(prev => resetTimer(prev));
+
+    // Mode (and a one-off first focus length) can only change before any time is counted
+    const configure = ({ mode, durationMinutes }) => {
+        if (hasTimedTime(timer)) return false;
+        setTimer(prev => createTimer({
+            mode: mode || prev.mode,
+            durationMs: durationMinutes ? durationMinutes * 60000 : null,
+            session: prev.session,
+            pomodoro: prev.pomodoro
+        }));
+        return true;
+    };
+
+    const updatePomodoro = (changes) => setTimer(prev => setPomodoroSettings(prev, changes));
+
+    const updateSession = (changes) => setTimer(prev => ({ ...prev, session: { ...prev.session, ...changes } }));
+
+    // After a session is saved: zero the clock and clear what was being studied
+    const finishSession = () => setTimer(prev => createTimer({ mode: prev.mode, session: DEFAULT_SESSION, pomodoro: prev.pomodoro }));
+
+    const value = {
+        timer,
+        elapsedMs: getElapsedMs(timer, now),
+        remainingMs: getRemainingMs(timer, now),
+        isRunning: timer.status === 'running',
+        isActive: hasTimedTime(timer),
+        start,
+        pause,
+        setReason,
+        reset,
+        configure,
+        updatePomodoro,
+        updateSession,
+        finishSession
+    };
+
+    return (
+        <TimerContext.Provider value={value}>
+            {children}
+        </TimerContext.Provider>
+    );
+};
+
+// Keyed by account, so signing in as someone else starts from their own saved timer
+export const TimerProvider = ({ children }) => {
+    const { user } = useAuth();
+    return <UserTimerProvider key={user.uid}>{children}</UserTimerProvider>;
+};
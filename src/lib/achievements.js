@@ -0,0 +1,124 @@
+import { parseISO, getISOWeek, getISOWeekYear } from 'date-fns';
+import { getActiveSyllabus } from './syllabus-tree';
+import { getDailyMinutes, getDeviceTimeZone, toDayKey } from './streaks';
+
+// --- Achievement Rules ---
+// Each achievement is a declarative rule: a named metric compared against a threshold.
+// To add a badge, add an entry to ACHIEVEMENTS (and a metric below if none fits).
+
+export const ACHIEVEMENTS = [
+    { id: 'first_session', name: 'First Steps', description: 'Complete your first study session', icon: '🎯', rule: { metric: 'totalSessions', op: '>=', value: 1 } },
+    { id: 'week_warrior', name: 'Week Warrior', description: 'Study for 7 consecutive days', icon: '⚔️', rule: { metric: 'bestStreak', op: '>=', value: 7 } },
+    { id: 'hour_hero', name: 'Hour Hero', description: 'Study for 10+ hours in a week', icon: '🦸', rule: { metric: 'bestWeekHours', op: '>=', value: 10 } },
+    { id: 'consistency_king', name: 'Consistency King', description: 'Maintain a 30-day streak', icon: '👑', rule: { metric: 'bestStreak', op: '>=', value: 30 } },
+    { id: 'subject_master', name: 'Subject Master', description: 'Complete 80%+ of any paper in your syllabus', icon: '🎓', rule: { metric: 'bestPaperCompletion', op: '>=', value: 80 } },
+    { id: 'early_bird', name: 'Early Bird', description: 'Study before 7 AM', icon: '🌅', rule: { metric: 'earliestStartHour', op: '<', value: 7 } },
+    { id: 'night_owl', name: 'Night Owl', description: 'Study after 10 PM', icon: '🦉', rule: { metric: 'latestEndHour', op: '>=', value: 22 } },
+    { id: 'marathon_session', name: 'Marathon Session', description: 'Complete a 3+ hour session', icon: '🏃', rule: { metric: 'longestSessionMinutes', op: '>=', value: 180 } },
+    { id: 'quiz_regular', name: 'Quiz Regular', description: 'Finish 10 quizzes', icon: '🧠', rule: { metric: 'quizzesTaken', op: '>=', value: 10 } },
+    { id: 'quiz_ace', name: 'Quiz Ace', description: 'Score 100% on a quiz of 5+ questions', icon: '💯', rule: { metric: 'bestQuizPercent', op: '>=', value: 100 } },
+];
+
+// Manual entries are stamped at noon, so only timed sessions say anything about time of day
+const timedSessions = (logs) => logs
+    .filter(log => log.mode !== 'manual' && log.date)
+    .map(log => {
+        const end = parseISO(log.endedAt || log.date);
+        const start = log.startedAt ? parseISO(log.startedAt) : new Date(end.getTime() - (log.durationMinutes || 0) * 60000);
+        return { start, end };
+    });
+
+const hourFormatters = new Map();
+
+// Hour of day (with minutes as a fraction) on the wall clock of `timeZone`
+const hourOf = (date, timeZone) => {
+    if (!hourFormatters.has(timeZone)) {
+        hourFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', minute: 'numeric', hourCycle: 'h23' }));
+    }
+    const parts = hourFormatters.get(timeZone).formatToParts(date);
+    const part = (type) => Number(parts.find(p => p.type === type).value);
+    return part('hour') + part('minute') / 60;
+};
+
+// Metric functions receive { logs, quizResults, stats, syllabusDoc, timeZone } and return a number
+// (or null when there is no data yet, which never satisfies a rule). Days and hours are read in
+// `timeZone`, the user's streak zone (see lib/streaks), defaulting to the device's.
+export const METRICS = {
+    totalSessions: ({ logs }) => logs.length,
+
+    bestStreak: ({ stats }) => stats?.bestStreak || 0,
+
+    bestWeekHours: ({ logs, timeZone = getDeviceTimeZone() }) => {
+        const weeks = new Map();
+        getDailyMinutes(logs, timeZone).forEach((minutes, day) => {
+            const date = parseISO(day);
+            const key = `${getISOWeekYear(date)}-${getISOWeek(date)}`;
+            weeks.set(key, (weeks.get(key) || 0) + minutes / 60);
+        });
+        return Math.max(0, ...weeks.values());
+    },
+
+    longestSessionMinutes: ({ logs }) => Math.max(0, ...logs.map(log => log.durationMinutes || 0)),
+
+    earliestStartHour: ({ logs, timeZone = getDeviceTimeZone() }) => {
+        const sessions = timedSessions(logs);
+        return sessions.length ? Math.min(...sessions.map(s => hourOf(s.start, timeZone))) : null;
+    },
+
+    // Sessions that run past midnight count as 24h+
+    latestEndHour: ({ logs, timeZone = getDeviceTimeZone() }) => {
+        const sessions = timedSessions(logs);
+        if (!sessions.length) return null;
+        return Math.max(...sessions.map(s => hourOf(s.end, timeZone) + (toDayKey(s.end, timeZone) !== toDayKey(s.start, timeZone) ? 24 : 0)));
+    },
+
+    bestPaperCompletion: ({ syllabusDoc }) => {
+        const { syllabus } = getActiveSyllabus(syllabusDoc);
+        if (!syllabus?.items?.length) return null;
+        const completed = new Set(syllabus.completed || []);
+
+        const countTree = (node) => (node.children || []).reduce((acc, child) => {
+            const sub = countTree(child);
+            return { total: acc.total + sub.total, done: acc.done + sub.done };
+        }, { total: 1, done: completed.has(node.id) ? 1 : 0 });
+
+        return Math.max(...syllabus.items.map(paper => {
+            const { total, done } = countTree(paper);
+            return (done / total) * 100;
+        }));
+    },
+
+    quizzesTaken: ({ quizResults }) => quizResults.length,
+
+    bestQuizPercent: ({ quizResults }) => {
+        const eligible = quizResults.filter(q => (q.totalQuestions || 0) >= 5);
+        return eligible.length ? Math.max(...eligible.map(q => (q.score / q.totalQuestions) * 100)) : null;
+    },
+};
+
+const OPERATORS = {
+    '>=': (a, b) => a >= b,
+    '>': (a, b) => a > b,
+    '<=': (a, b) => a <= b,
+    '<': (a, b) => a < b,
+    '==': (a, b) => a === b,
+};
+
+export const isRuleMet = (rule, context, metricCache = {}) => {
+    if (!(rule.metric in metricCache)) {
+        const metric = METRICS[rule.metric];
+        if (!metric) throw new Error(`Unknown achievement metric: ${rule.metric}`);
+        metricCache[rule.metric] = metric(context);
+    }
+    const value = metricCache[rule.metric];
+    return value !== null && value !== undefined && OPERATORS[rule.op](value, rule.value);
+};
+
+// Ids of achievements whose rules are met but that aren't unlocked yet
+export const findNewAchievements = (context, unlockedIds = new Set()) => {
+    const cache = {};
+    return ACHIEVEMENTS
+        .filter(achievement => !unlockedIds.has(achievement.id))
+        .filter(achievement => isRuleMet(achievement.rule, context, cache))
+        .map(achievement => achievement.id);
+};
@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import { METRICS, isRuleMet, findNewAchievements } from './achievements';
+
+const IST = 'Asia/Kolkata';
+
+// A timer session that ran from `startedAt` to `endedAt`
+const session = (startedAt, endedAt, durationMinutes = 60) => ({ date: endedAt, startedAt, endedAt, durationMinutes, mode: 'timer' });
+
+const context = (overrides = {}) => ({ logs: [], quizResults: [], stats: null, syllabusDoc: null, timeZone: 'UTC', ...overrides });
+
+describe('time-of-day metrics', () => {
+    it('reads start hours on the user\'s wall clock', () => {
+        // 06:00 in India, 00:30 UTC
+        const logs = [session('2024-03-11T00:30:00Z', '2024-03-11T01:30:00Z')];
+        expect(METRICS.earliestStartHour(context({ logs, timeZone: IST }))).toBe(6);
+        expect(METRICS.earliestStartHour(context({ logs }))).toBe(0.5);
+    });
+
+    it('counts sessions ending past local midnight as 24h+', () => {
+        // 23:00 to 00:30 in India
+        const logs = [session('2024-03-10T17:30:00Z', '2024-03-10T19:00:00Z', 90)];
+        expect(METRICS.latestEndHour(context({ logs, timeZone: IST }))).toBe(24.5);
+        expect(METRICS.latestEndHour(context({ logs }))).toBe(19);
+    });
+
+    it('ignores manual entries, which carry no real time of day', () => {
+        const logs = [{ date: '2024-03-11T00:30:00Z', durationMinutes: 60, mode: 'manual' }];
+        expect(METRICS.earliestStartHour(context({ logs }))).toBeNull();
+        expect(METRICS.latestEndHour(context({ logs }))).toBeNull();
+    });
+});
+
+describe('bestWeekHours', () => {
+    it('buckets days into ISO weeks in the user\'s zone', () => {
+        // Sunday 20:00 UTC is already Monday 01:30 in India, the start of the next week
+        const logs = [
+            { date: '2024-03-10T20:00:00Z', durationMinutes: 300 },
+            { date: '2024-03-11T10:00:00Z', durationMinutes: 300 }
+        ];
+        expect(METRICS.bestWeekHours(context({ logs, timeZone: IST }))).toBe(10);
+        expect(METRICS.bestWeekHours(context({ logs }))).toBe(5);
+    });
+
+    it('is zero without logs', () => {
+        expect(METRICS.bestWeekHours(context())).toBe(0);
+    });
+});
+
+describe('bestPaperCompletion', () => {
+    it('takes the best paper of the active syllabus, counting the paper itself', () => {
+        const syllabusDoc = {
+            activeSyllabusId: 'b',
+            syllabi: {
+                a: { items: [{ id: 'p', children: [] }], completed: ['p'] },
+                b: {
+                    items: [
+                        { id: 'p1', children: [{ id: 't1' }, { id: 't2' }, { id: 't3' }] },
+                        { id: 'p2', children: [{ id: 't4' }] }
+                    ],
+                    completed: ['t1', 't2', 't4']
+                }
+            }
+        };
+        expect(METRICS.bestPaperCompletion(context({ syllabusDoc }))).toBe(50);
+    });
+
+    it('has no value without a syllabus', () => {
+        expect(METRICS.bestPaperCompletion(context())).toBeNull();
+    });
+});
+
+describe('isRuleMet', () => {
+    it('compares the metric against the threshold', () => {
+        const ctx = context({ logs: [{ durationMinutes: 200 }] });
+        expect(isRuleMet({ metric: 'longestSessionMinutes', op: '>=', value: 180 }, ctx)).toBe(true);
+        expect(isRuleMet({ metric: 'longestSessionMinutes', op: '<', value: 180 }, ctx)).toBe(false);
+    });
+
+    it('never meets a rule on a metric with no data', () => {
+        expect(isRuleMet({ metric: 'earliestStartHour', op: '<', value: 7 }, context())).toBe(false);
+    });
+
+    it('computes each metric once per cache', () => {
+        const cache = { totalSessions: 5 };
+        expect(isRuleMet({ metric: 'totalSessions', op: '==', value: 5 }, context(), cache)).toBe(true);
+    });
+
+    it('rejects unknown metrics', () => {
+        expect(() => isRuleMet({ metric: 'nope', op: '>=', value: 1 }, context())).toThrow(/Unknown achievement metric/);
+    });
+});
+
+describe('findNewAchievements', () => {
+    it('returns met rules that are not unlocked yet', () => {
+        const ctx = context({
+            logs: [{ date: '2024-03-11T10:00:00Z', durationMinutes: 200, mode: 'manual' }],
+            quizResults: [{ score: 5, totalQuestions: 5 }],
+            stats: { bestStreak: 7 }
+        });
+        expect(findNewAchievements(ctx, new Set(['first_session']))).toEqual(['week_warrior', 'marathon_session', 'quiz_ace']);
+    });
+
+    it('skips a perfect score on a quiz under five questions', () => {
+        const ctx = context({ quizResults: [{ score: 4, totalQuestions: 4 }] });
+        expect(findNewAchievements(ctx)).toEqual([]);
+    });
+});
@@ -0,0 +1,126 @@
+import { parseISO } from 'date-fns';
+import { getActiveSyllabus, findNodeByTitle, flattenNodes, countNodes } from './syllabus-tree';
+import { scheduleFirstReview } from './spaced-repetition';
+import { computeStudyStreak } from './streaks';
+
+// --- Aggregate Rebuild ---
+// Derives everything the app caches about study sessions from the logs themselves,
+// so edits and deletes can't leave totals, streaks or syllabus stats drifting.
+
+const logDate = (log) => {
+    if (log.date) return parseISO(log.date);
+    if (log.timestamp?.toDate) return log.timestamp.toDate();
+    return null;
+};
+
+// The syllabus and node a log counts towards, or null. A log counts in exactly one syllabus,
+// even when several hold its node id (two copies of one template):
+//   1. the syllabus it was logged against (`syllabusId`, set since sessions carry it);
+//   2. otherwise the active syllabus, by topic id, or by title for logs from before topic linking;
+//   3. otherwise the first other syllabus holding the topic id.
+const resolveLogNode = (log, syllabiIds, active) => {
+    if (log.syllabusId && syllabiIds.has(log.syllabusId)) {
+        return syllabiIds.get(log.syllabusId).has(log.topicId) ? { syllabusId: log.syllabusId, nodeId: log.topicId } : null;
+    }
+    if (!log.topicId) {
+        const node = active.syllabus && findNodeByTitle(active.syllabus.items, log.topic);
+        return node ? { syllabusId: active.id, nodeId: node.id } : null;
+    }
+    if (active.id && syllabiIds.get(active.id).has(log.topicId)) return { syllabusId: active.id, nodeId: log.topicId };
+    const owner = [...syllabiIds].find(([, ids]) => ids.has(log.topicId));
+    return owner ? { syllabusId: owner[0], nodeId: log.topicId } : null;
+};
+
+// Per syllabus id: minutes, session count and last study date per node id
+const collectNodeTotals = (logs, syllabiDoc) => {
+    const active = getActiveSyllabus(syllabiDoc);
+    const syllabiIds = new Map(Object.entries(syllabiDoc.syllabi)
+        .map(([id, syllabus]) => [id, new Set(flattenNodes(syllabus.items).map(entry => entry.id))]));
+    const totals = new Map([...syllabiIds.keys()].map(id => [id, new Map()]));
+
+    logs.forEach(log => {
+        const target = resolveLogNode(log, syllabiIds, active);
+        if (!target) return;
+
+        const nodeTotals = totals.get(target.syllabusId);
+        const { nodeId } = target;
+        const entry = nodeTotals.get(nodeId) || { minutes: 0, sessions: 0, lastStudied: null };
+        entry.minutes += log.durationMinutes || 0;
+        entry.sessions += 1;
+        const date = logDate(log);
+        if (date && (!entry.lastStudied || date > entry.lastStudied)) entry.lastStudied = date;
+        nodeTotals.set(nodeId, entry);
+    });
+
+    return totals;
+};
+
+const rebuildItems = (items, totals, completed) => (items || []).map(item => {
+    const children = item.children && item.children.length > 0
+        ? rebuildItems(item.children, totals, completed)
+        : item.children;
+    const entry = totals.get(item.id);
+
+    if (!entry && !item.stats) return { ...item, children };
+
+    let stats = { ...(item.stats || {}) };
+    if (entry) {
+        stats.totalMinutes = entry.minutes;
+        stats.lastStudied = [entry.lastStudied?.toISOString(), stats.lastReviewed].filter(Boolean).sort().pop() || null;
+        if (!completed.has(item.id)) {
+            completed.add(item.id);
+            stats.completedByLog = true;
+        }
+        // Older nodes carry only revisionInterval; getDueDate derives their schedule from lastStudied
+        if (!stats.revisionInterval) stats = scheduleFirstReview(stats, entry.lastStudied || new Date());
+    } else {
+        stats.totalMinutes = 0;
+        stats.lastStudied = stats.lastReviewed || null;
+        // Only undo completion that a (now deleted) session granted, never a manual tick
+        if (stats.completedByLog) {
+            completed.delete(item.id);
+            delete stats.completedByLog;
+        }
+    }
+
+    return { ...item, children, stats };
+});
+
+/**
+ * Rebuild user totals and syllabus node stats from a user's full log history.
+ * @param {Array} logs - every log document of the user
+ * @param {Object|null} syllabiDoc - the `syllabi/{uid}` document
+ * @param {Object} [streakSettings] - { minMinutesPerDay, timeZone } from getStreakSettings
+ * @returns {{ user: Object, syllabi: Object|null }} fields for the user doc and the rebuilt syllabi map
+ */
+export const rebuildAggregates = (logs, syllabiDoc, streakSettings = {}, now = new Date()) => {
+    const totalMinutes = logs.reduce((acc, log) => acc + (log.durationMinutes || 0), 0);
+    const { currentStreak, bestStreak, lastStudyDay } = computeStudyStreak(logs, { ...streakSettings, now });
+
+    const user = {
+        totalStudyHours: totalMinutes / 60,
+        totalSessions: logs.length,
+        currentStreak,
+        bestStreak,
+        lastStudyDay,
+        lastStudyDate: lastStudyDay ? parseISO(lastStudyDay) : null
+    };
+
+    if (!syllabiDoc?.syllabi) return { user, syllabi: null };
+
+    const totals = collectNodeTotals(logs, syllabiDoc);
+    const syllabi = {};
+
+    Object.entries(syllabiDoc.syllabi).forEach(([id, syllabus]) => {
+        const completed = new Set(syllabus.completed || []);
+        const items = rebuildItems(syllabus.items, totals.get(id), completed);
+        syllabi[id] = { ...syllabus, items, completed: [...completed] };
+    });
+
+    // Topic progress is the active syllabus' (what the Syllabus page and dashboard show)
+    const { syllabus: active } = getActiveSyllabus({ ...syllabiDoc, syllabi });
+    user.topicsCompleted = active ? active.completed.length : 0;
+    user.totalTopics = active ? countNodes(active.items) : 0;
+
+    return { user, syllabi };
+};
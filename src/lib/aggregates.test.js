@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { rebuildAggregates } from './aggregates';
+
+const tree = () => [
+    { id: 'paper', title: 'Paper I', children: [{ id: 'polity', title: 'Polity', children: [] }, { id: 'economy', title: 'Economy', children: [] }] }
+];
+
+// Two copies of one template share node ids
+const syllabiDoc = () => ({
+    activeSyllabusId: 'first',
+    syllabi: {
+        first: { id: 'first', name: 'First', items: tree(), completed: [] },
+        second: { id: 'second', name: 'Second', items: tree(), completed: ['economy'] }
+    }
+});
+
+const log = (fields) => ({ durationMinutes: 60, date: '2024-03-10T10:00:00.000Z', ...fields });
+
+const statsOf = (syllabi, syllabusId, nodeId) =>
+    syllabi[syllabusId].items[0].children.find(node => node.id === nodeId).stats;
+
+describe('rebuildAggregates', () => {
+    it('credits a session only to the syllabus it was logged against', () => {
+        const { syllabi } = rebuildAggregates([log({ topicId: 'polity', syllabusId: 'second' })], syllabiDoc(), { timeZone: 'UTC' });
+        expect(statsOf(syllabi, 'second', 'polity').totalMinutes).toBe(60);
+        expect(statsOf(syllabi, 'first', 'polity')).toBeUndefined();
+        expect(syllabi.second.completed).toContain('polity');
+        expect(syllabi.first.completed).toEqual([]);
+    });
+
+    it('credits older logs to the active syllabus first, by id or by title', () => {
+        const { syllabi } = rebuildAggregates([
+            log({ topicId: 'polity' }),
+            log({ topic: 'Economy', durationMinutes: 30 })
+        ], syllabiDoc(), { timeZone: 'UTC' });
+        expect(statsOf(syllabi, 'first', 'polity').totalMinutes).toBe(60);
+        expect(statsOf(syllabi, 'first', 'economy').totalMinutes).toBe(30);
+        expect(statsOf(syllabi, 'second', 'polity')).toBeUndefined();
+        expect(statsOf(syllabi, 'second', 'economy')).toBeUndefined();
+    });
+
+    it('keeps the stats of an inactive syllabus when the active one changes', () => {
+        const logs = [log({ topicId: 'economy', syllabusId: 'second' })];
+        const once = rebuildAggregates(logs, syllabiDoc(), { timeZone: 'UTC' });
+        const again = rebuildAggregates(logs, { activeSyllabusId: 'first', syllabi: once.syllabi }, { timeZone: 'UTC' });
+        expect(statsOf(again.syllabi, 'second', 'economy').totalMinutes).toBe(60);
+    });
+
+    it('counts topics of the active syllabus only', () => {
+        const { user } = rebuildAggregates([log({ topicId: 'polity', syllabusId: 'first' })], syllabiDoc(), { timeZone: 'UTC' });
+        expect(user).toMatchObject({ topicsCompleted: 1, totalTopics: 3, totalSessions: 1, totalStudyHours: 1 });
+    });
+});
@@ -0,0 +1,127 @@
+import { format, parseISO, getISOWeek, getISOWeekYear, startOfISOWeek, endOfISOWeek, addWeeks, setISOWeek, differenceInCalendarDays } from 'date-fns';
+import { getActiveSyllabus, flattenNodes } from './syllabus-tree';
+import { getDeviceTimeZone, getStreakSettings, splitLogByDay, toDayKey } from './streaks';
+
+// --- Weekly Challenges ---
+// One challenge per ISO week (Monday to Sunday), rotated by week number. Targets scale
+// from the user's goals and syllabus; progress is measured from that week's logs only.
+// Weeks are made of the same days as the streak and calendar rollups: days in the user's
+// time zone, with sessions that cross midnight split between them (see lib/streaks).
+
+export const CHALLENGE_TYPES = [
+    {
+        id: 'study_hours',
+        icon: '📚',
+        unit: 'hours',
+        name: (target) => `Study ${target} hours`,
+        target: ({ goals }) => Math.max(1, Math.round(goals?.weeklyHoursGoal || (goals?.dailyHoursGoal || 5) * 7)),
+        measure: ({ logs }) => parseFloat((logs.reduce((acc, l) => acc + (l.durationMinutes || 0), 0) / 60).toFixed(1))
+    },
+    {
+        id: 'sessions',
+        icon: '✅',
+        unit: 'sessions',
+        name: (target) => `Complete ${target} sessions`,
+        // Roughly one ~2h session per planned block of study
+        target: ({ goals }) => Math.max(5, Math.round((goals?.weeklyHoursGoal || 35) / 2)),
+        measure: ({ logs }) => logs.length
+    },
+    {
+        id: 'cover_papers',
+        icon: '📊',
+        unit: 'subjects',
+        name: (target) => `Cover all ${target} subjects`,
+        target: ({ syllabusDoc }) => getActiveSyllabus(syllabusDoc).syllabus?.items?.length || 5,
+        measure: ({ logs, syllabusDoc }) => countCoveredPapers(logs, syllabusDoc)
+    },
+];
+
+// Top-level syllabus papers touched by the logs (linked topics first, subject names for older logs)
+const countCoveredPapers = (logs, syllabusDoc) => {
+    const { syllabus } = getActiveSyllabus(syllabusDoc);
+    if (!syllabus?.items?.length) return new Set(logs.map(l => l.subject).filter(Boolean)).size;
+
+    const paperOf = new Map(flattenNodes(syllabus.items).map(entry => [entry.id, entry.paperId]));
+    const paperByTitle = new Map(syllabus.items.map(item => [item.title.toLowerCase(), item.id]));
+    const covered = new Set();
+    logs.forEach(log => {
+        const paperId = paperOf.get(log.topicId) || paperByTitle.get((log.subject || '').toLowerCase());
+        if (paperId) covered.add(paperId);
+    });
+    return covered.size;
+};
+
+// 'YYYY-Www', e.g. 2024-W07: the ISO week of the day `date` falls on in `timeZone`
+export const getWeekKey = (date = new Date(), timeZone = getDeviceTimeZone()) => {
+    const day = parseISO(toDayKey(date, timeZone));
+    return `${getISOWeekYear(day)}-W${String(getISOWeek(day)).padStart(2, '0')}`;
+};
+
+export const getWeekRange = (weekKey) => {
+    const [year, week] = weekKey.split('-W').map(Number);
+    // Jan 4th is always in ISO week 1
+    const start = startOfISOWeek(setISOWeek(new Date(year, 0, 4), week));
+    return { start, end: endOfISOWeek(start) };
+};
+
+export const getDaysLeftInWeek = (now = new Date(), timeZone = getDeviceTimeZone()) => {
+    const today = parseISO(toDayKey(now, timeZone));
+    return differenceInCalendarDays(endOfISOWeek(today), today) + 1;
+};
+
+// Week keys strictly after `fromKey` and before `toKey`
+export const weekKeysBetween = (fromKey, toKey) => {
+    const keys = [];
+    let cursor = addWeeks(getWeekRange(fromKey).start, 1);
+    while (getWeekKey(cursor) < toKey) {
+        keys.push(getWeekKey(cursor));
+        cursor = addWeeks(cursor, 1);
+    }
+    return keys;
+};
+
+const getChallengeType = (weekKey) => {
+    const week = parseInt(weekKey.split('-W')[1], 10);
+    return CHALLENGE_TYPES[week % CHALLENGE_TYPES.length];
+};
+
+// Logs with study time in the week, each carrying only its minutes on the week's days
+export const getWeekLogs = (logs, weekKey, timeZone = getDeviceTimeZone()) => {
+    const { start, end } = getWeekRange(weekKey);
+    const fromDay = format(start, 'yyyy-MM-dd');
+    const toDay = format(end, 'yyyy-MM-dd');
+    return logs.flatMap(log => {
+        const parts = splitLogByDay(log, timeZone).filter(part => part.day >= fromDay && part.day <= toDay);
+        if (parts.length === 0) return [];
+        const minutes = parts.reduce((acc, part) => acc + part.minutes, 0);
+        return [{ ...log, durationMinutes: Math.round(minutes * 10) / 10 }];
+    });
+};
+
+/**
+ * Challenge for an ISO week with its current progress.
+ * Pass the stored record (if any) so a week keeps the target it started with.
+ */
+export const buildWeeklyChallenge = (weekKey, { logs = [], goals, syllabusDoc, record } = {}) => {
+    const type = CHALLENGE_TYPES.find(t => t.id === record?.challengeId) || getChallengeType(weekKey);
+    const target = record?.target || type.target({ goals, syllabusDoc });
+    const progress = type.measure({ logs: getWeekLogs(logs, weekKey, getStreakSettings(goals).timeZone), syllabusDoc });
+
+    return {
+        weekKey,
+        challengeId: type.id,
+        name: type.name(target),
+        icon: type.icon,
+        unit: type.unit,
+        target,
+        progress,
+        completed: progress >= target
+    };
+};
+
+// Share of finished weeks (not the current one) that were completed
+export const getCompletionRate = (history, currentWeekKey = getWeekKey()) => {
+    const finished = history.filter(h => h.weekKey < currentWeekKey);
+    if (finished.length === 0) return null;
+    return Math.round((finished.filter(h => h.status === 'completed').length / finished.length) * 100);
+};
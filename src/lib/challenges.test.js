@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest';
+import { getWeekKey, getWeekLogs } from './challenges';
+
+const timeZone = 'Asia/Kolkata';
+
+// Sunday 10 March 2024, 23:00 to 01:00 IST: the last hour of 2024-W10 and the first of 2024-W11
+const lateSession = {
+    id: 'late',
+    durationMinutes: 120,
+    startedAt: '2024-03-10T17:30:00.000Z',
+    endedAt: '2024-03-10T19:30:00.000Z',
+    date: '2024-03-10T19:30:00.000Z'
+};
+
+describe('weekly challenge weeks', () => {
+    it('takes the week from the day in the user time zone', () => {
+        expect(getWeekKey(new Date('2024-03-10T19:30:00.000Z'), timeZone)).toBe('2024-W11');
+        expect(getWeekKey(new Date('2024-03-10T19:30:00.000Z'), 'UTC')).toBe('2024-W10');
+    });
+
+    it('splits a session that crosses midnight into the weeks it spans', () => {
+        expect(getWeekLogs([lateSession], '2024-W10', timeZone).map(log => log.durationMinutes)).toEqual([60]);
+        expect(getWeekLogs([lateSession], '2024-W11', timeZone).map(log => log.durationMinutes)).toEqual([60]);
+        expect(getWeekLogs([lateSession], '2024-W12', timeZone)).toEqual([]);
+    });
+});
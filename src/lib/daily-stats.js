@@ -0,0 +1,85 @@
+import { parseISO } from 'date-fns';
+import { toDayKey, splitLogByDay } from './streaks';
+
+// --- Daily Rollups ---
+// One `users/{uid}/dailyStats/{yyyy-MM-dd}` doc per active day, so the calendar can page through
+// months without loading raw history. Rollups are always rebuilt from the source documents of the
+// affected days, never incremented, so a missed write heals on the next change to that day.
+
+const instantOf = (doc) => {
+    if (doc?.date) return parseISO(doc.date);
+    if (doc?.timestamp?.toDate) return doc.timestamp.toDate();
+    return null;
+};
+
+// A task counts on the day it was ticked off; older tasks without completedAt fall back to their date
+const taskCompletedInstant = (task) => {
+    if (!task?.completed) return null;
+    if (task.completedAt?.toDate) return task.completedAt.toDate();
+    return instantOf(task);
+};
+
+/** Day keys a log contributes to: more than one for a session that ran past midnight */
+export const logDayKeys = (log, timeZone) => (log ? splitLogByDay(log, timeZone).map(part => part.day) : []);
+
+/** Day key a task or quiz result contributes to (null if it contributes to none) */
+const instantDayKey = (doc, timeZone) => {
+    const instant = instantOf(doc);
+    return instant ? toDayKey(instant, timeZone) : null;
+};
+
+export const taskDayKey = (task, timeZone) => {
+    const instant = taskCompletedInstant(task);
+    return instant ? toDayKey(instant, timeZone) : null;
+};
+
+export const quizDayKey = instantDayKey;
+
+const emptyDay = (date) => ({ date, hours: 0, minutes: 0, sessions: 0, subjects: [], tasksCompleted: 0, quizzes: 0 });
+
+/**
+ * Per-day rollups from a user's logs, tasks and quiz results.
+ * @param {{ logs?: Array, tasks?: Array, quizResults?: Array }} sources
+ * @param {string} timeZone - IANA zone the day boundaries are drawn in
+ * @param {Set<string>|null} [onlyDays] - restrict to these day keys (null for every day)
+ * @returns {Map<string, { date, hours, minutes, sessions, subjects, tasksCompleted, quizzes }>}
+ */
+export const buildDailyStats = ({ logs = [], tasks = [], quizResults = [] }, timeZone, onlyDays = null) => {
+    const days = new Map();
+    const dayFor = (key) => {
+        if (!key || (onlyDays && !onlyDays.has(key))) return null;
+        if (!days.has(key)) days.set(key, { ...emptyDay(key), subjects: new Set() });
+        return days.get(key);
+    };
+
+    // A session that crossed midnight counts as a session on each of its days, with its share of the minutes
+    logs.forEach(log => {
+        splitLogByDay(log, timeZone).forEach(part => {
+            const day = dayFor(part.day);
+            if (!day) return;
+            day.minutes += part.minutes;
+            day.sessions += 1;
+            if (log.subject) day.subjects.add(log.subject);
+        });
+    });
+
+    tasks.forEach(task => {
+        const day = dayFor(taskDayKey(task, timeZone));
+        if (day) day.tasksCompleted += 1;
+    });
+
+    quizResults.forEach(result => {
+        const day = dayFor(quizDayKey(result, timeZone));
+        if (day) day.quizzes += 1;
+    });
+
+    days.forEach(day => {
+        day.minutes = Math.round(day.minutes * 10) / 10;
+        day.hours = parseFloat((day.minutes / 60).toFixed(2));
+        day.subjects = [...day.subjects].sort();
+    });
+
+    return days;
+};
+
+export const isEmptyDay = (day) => !day || (day.sessions === 0 && day.tasksCompleted === 0 && day.quizzes === 0);
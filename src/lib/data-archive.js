@@ -0,0 +1,168 @@
+// --- Data Archive ---
+// Everything a user owns, as one JSON file for backups and moving between accounts:
+//
+// {
+//   format: 'upsc-os-archive',
+//   version,                       // ARCHIVE_VERSION when exported
+//   exportedAt, sourceUid,
+//   documents: { users, syllabi, userGoals, studyPlans },    // the `{name}/{uid}` docs (null if missing)
+//   collections: { logs: [{ id, ...data }], tasks, ... },   // see ARCHIVE_COLLECTIONS
+//   localStorage: { saved_pyq, ... }                          // raw strings, see ARCHIVE_LOCAL_KEYS
+// }
+//
+// Timestamps are written as { __timestamp: epoch ms }. Calendar rollups (users/{uid}/dailyStats)
+// are left out: they are rebuilt from the logs after a restore.
+
+export const ARCHIVE_FORMAT = 'upsc-os-archive';
+
+// Bump when the shape changes, and teach validateArchive to read the older versions
+export const ARCHIVE_VERSION = 1;
+
+export const ARCHIVE_DOCUMENTS = ['users', 'syllabi', 'userGoals', 'studyPlans'];
+
+// owned: top-level collections whose docs carry a `uid` field; the rest are per-user subcollections
+export const ARCHIVE_COLLECTIONS = [
+    { key: 'logs', label: 'Study sessions', path: () => 'logs', owned: true },
+    { key: 'tasks', label: 'Planner tasks', path: () => 'tasks', owned: true },
+    { key: 'taskTemplates', label: 'Recurring tasks', path: () => 'taskTemplates', owned: true },
+    { key: 'achievements', label: 'Achievements', path: () => 'achievements', owned: true },
+    { key: 'quizResults', label: 'Quiz results', path: () => 'quizResults', owned: true },
+    { key: 'notes', label: 'Notes', path: () => 'notes', owned: true },
+    { key: 'weeklyChallenges', label: 'Weekly challenges', path: (uid) => `users/${uid}/weeklyChallenges`, owned: false },
+];
+
+// Browser-only data. syllabi_list / active_syllabus mirror the syllabi doc and are rewritten from it on restore.
+export const ARCHIVE_LOCAL_KEYS = ['saved_pyq', 'syllabi_list', 'active_syllabus', 'activeSyllabusId', 'upsc-os-theme', 'theme'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Firestore / local timestamps (anything with toMillis) become plain JSON
+export const encodeArchiveValue = (value) => {
+    if (value && typeof value.toMillis === 'function') return { __timestamp: value.toMillis() };
+    if (value instanceof Date) return { __timestamp: value.getTime() };
+    if (Array.isArray(value)) return value.map(encodeArchiveValue);
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, encodeArchiveValue(v)]));
+    }
+    return value;
+};
+
+// ...and back, with `fromDate` building the storage backend's timestamp
+export const decodeArchiveValue = (value, fromDate) => {
+    if (Array.isArray(value)) return value.map(v => decodeArchiveValue(v, fromDate));
+    if (isPlainObject(value)) {
+        if (typeof value.__timestamp === 'number' && Object.keys(value).length === 1) return fromDate(new Date(value.__timestamp));
+        return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, decodeArchiveValue(v, fromDate)]));
+    }
+    return value;
+};
+
+// Auto-generated ids are 20 letters and digits in both storage backends
+const AUTO_ID_PATTERN = /[A-Za-z0-9]{20}/g;
+
+// Fields that hold a doc id, or an id built from one (occurrences are `${templateId}_${day}`)
+const REFERENCE_FIELDS = ['id', 'taskId', 'templateId'];
+
+/**
+ * Point an archive at another account. Every auto id gets a fresh one so restoring never
+ * overwrites the source account's docs, references follow the same mapping, and ids built from
+ * the old uid (e.g. `${uid}_${achievementId}`) use the new uid.
+ * @param {Object} archive - a validated archive
+ * @param {string} uid - the account being restored into
+ * @param {() => string} newId - returns a fresh auto id
+ */
+export const retargetArchive = (archive, uid, newId) => {
+    const { sourceUid } = archive;
+    if (!sourceUid || sourceUid === uid) return archive;
+
+    const idMap = new Map();
+    const remapId = (value) => value.split(sourceUid).map(part => part.replace(AUTO_ID_PATTERN, (id) => {
+        if (!idMap.has(id)) idMap.set(id, newId());
+        return idMap.get(id);
+    })).join(uid);
+
+    const retargetDoc = (doc) => {
+        if (!doc) return doc;
+        const result = { ...doc };
+        REFERENCE_FIELDS.forEach(field => {
+            if (typeof result[field] === 'string') result[field] = remapId(result[field]);
+        });
+        if (result.uid === sourceUid) result.uid = uid;
+        return result;
+    };
+
+    return {
+        ...archive,
+        sourceUid: uid,
+        documents: Object.fromEntries(Object.entries(archive.documents).map(([name, doc]) => [name, retargetDoc(doc)])),
+        collections: Object.fromEntries(ARCHIVE_COLLECTIONS.map(({ key, owned }) => [
+            key,
+            // Subcollection ids (e.g. week keys) are not auto ids and stay as they are
+            (archive.collections[key] || []).map(doc => (owned ? retargetDoc(doc) : doc))
+        ]))
+    };
+};
+
+/**
+ * Check an uploaded archive before restoring it.
+ * @returns {string|null} a problem to show the user, or null when the archive can be restored
+ */
+export const validateArchive = (archive) => {
+    if (!isPlainObject(archive) || archive.format !== ARCHIVE_FORMAT) return 'This file is not a UPSC OS data archive';
+    if (!Number.isInteger(archive.version) || archive.version < 1) return 'The archive has no valid version';
+    if (archive.version > ARCHIVE_VERSION) {
+        return `The archive was made by a newer version of the app (v${archive.version}); this one reads up to v${ARCHIVE_VERSION}`;
+    }
+    if (!isPlainObject(archive.documents) || !isPlainObject(archive.collections)) return 'The archive is missing its data';
+
+    const badDocument = ARCHIVE_DOCUMENTS.find(name => archive.documents[name] != null && !isPlainObject(archive.documents[name]));
+    if (badDocument) return `The archive's ${badDocument} data is malformed`;
+
+    const badCollection = ARCHIVE_COLLECTIONS.find(({ key }) => {
+        const docs = archive.collections[key];
+        return docs != null && (!Array.isArray(docs) || docs.some(doc => !isPlainObject(doc) || typeof doc.id !== 'string' || !doc.id));
+    });
+    if (badCollection) return `The archive's ${badCollection.label.toLowerCase()} are malformed`;
+
+    if (archive.localStorage != null && !isPlainObject(archive.localStorage)) return "The archive's browser data is malformed";
+    return null;
+};
+
+// Item counts for the restore summary
+export const summarizeArchive = (archive) => ARCHIVE_COLLECTIONS
+    .map(({ key, label }) => ({ key, label, count: (archive.collections[key] || []).length }))
+    .filter(entry => entry.count > 0);
+
+// --- Browser data ---
+// Nothing to read or write outside a browser (e.g. the in-memory storage backend under node)
+
+const hasLocalStorage = () => typeof localStorage !== 'undefined';
+
+export const readLocalArchiveData = () => (hasLocalStorage() ? Object.fromEntries(ARCHIVE_LOCAL_KEYS
+    .map(key => [key, localStorage.getItem(key)])
+    .filter(([, value]) => value !== null)) : {});
+
+/**
+ * Restore browser data. Replace overwrites every archived key (and clears the ones the archive lacks);
+ * merge only fills keys this browser doesn't have yet.
+ * @param {Object} values - archive.localStorage
+ * @param {'merge'|'replace'} mode
+ * @param {Object|null} syllabiDoc - the syllabi doc as restored, mirrored into syllabi_list / active_syllabus
+ */
+export const restoreLocalArchiveData = (values = {}, mode, syllabiDoc) => {
+    if (!hasLocalStorage()) return;
+    ARCHIVE_LOCAL_KEYS.forEach(key => {
+        const value = values[key];
+        if (typeof value === 'string') {
+            if (mode === 'replace' || localStorage.getItem(key) === null) localStorage.setItem(key, value);
+        } else if (mode === 'replace') {
+            localStorage.removeItem(key);
+        }
+    });
+
+    // The Syllabus page saves its local copy on open, so it must not be older than what was restored
+    if (syllabiDoc?.syllabi) {
+        localStorage.setItem('syllabi_list', JSON.stringify(syllabiDoc.syllabi));
+        if (syllabiDoc.activeSyllabusId) localStorage.setItem('active_syllabus', syllabiDoc.activeSyllabusId);
+    }
+};
@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import {
+    ARCHIVE_FORMAT, ARCHIVE_VERSION, encodeArchiveValue, decodeArchiveValue, retargetArchive, validateArchive, summarizeArchive
+} from './data-archive';
+
+const SOURCE = 'sourceUidAAAAAAAAAAAAAAAAAA';
+const TARGET = 'targetUidBBBBBBBBBBBBBBBBBB';
+const LOG_ID = 'Lg000000000000000001';
+const TASK_ID = 'Tk000000000000000001';
+const TEMPLATE_ID = 'Tp000000000000000001';
+
+const archive = (overrides = {}) => ({
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    sourceUid: SOURCE,
+    documents: { users: { uid: SOURCE, totalHours: 3 }, syllabi: null, userGoals: null, studyPlans: null },
+    collections: {
+        logs: [{ id: LOG_ID, uid: SOURCE, taskId: TASK_ID }],
+        tasks: [
+            { id: TASK_ID, uid: SOURCE, text: 'Read' },
+            { id: `${TEMPLATE_ID}_2024-03-31`, uid: SOURCE, templateId: TEMPLATE_ID }
+        ],
+        taskTemplates: [{ id: TEMPLATE_ID, uid: SOURCE }],
+        achievements: [{ id: `${SOURCE}_first_session`, uid: SOURCE }],
+        weeklyChallenges: [{ id: '2024-W13', status: 'completed' }]
+    },
+    ...overrides
+});
+
+// Hands out predictable 20-character ids
+const idFactory = () => {
+    let next = 0;
+    return () => `new${String(++next).padStart(17, '0')}`;
+};
+
+describe('archive values', () => {
+    it('round-trips timestamps through plain JSON', () => {
+        const stamp = { toMillis: () => 1711872000000 };
+        const encoded = encodeArchiveValue({ at: stamp, list: [new Date(1711872000000)], name: 'x' });
+        expect(encoded).toEqual({ at: { __timestamp: 1711872000000 }, list: [{ __timestamp: 1711872000000 }], name: 'x' });
+
+        const decoded = decodeArchiveValue(JSON.parse(JSON.stringify(encoded)), date => ({ ms: date.getTime() }));
+        expect(decoded).toEqual({ at: { ms: 1711872000000 }, list: [{ ms: 1711872000000 }], name: 'x' });
+    });
+
+    it('leaves objects that merely contain a __timestamp key alone', () => {
+        const value = { __timestamp: 5, note: 'kept' };
+        expect(decodeArchiveValue(value, () => 'stamp')).toEqual(value);
+    });
+});
+
+describe('retargetArchive', () => {
+    it('is a no-op for the account that made it', () => {
+        const source = archive();
+        expect(retargetArchive(source, SOURCE, idFactory())).toBe(source);
+    });
+
+    it('gives every auto id a fresh one and points references at the same new id', () => {
+        const result = retargetArchive(archive(), TARGET, idFactory());
+        const [task, occurrence] = result.collections.tasks;
+        const [template] = result.collections.taskTemplates;
+
+        expect(result.collections.logs[0].id).not.toBe(LOG_ID);
+        expect(task.id).not.toBe(TASK_ID);
+        expect(result.collections.logs[0].taskId).toBe(task.id);
+        expect(template.id).not.toBe(TEMPLATE_ID);
+        expect(occurrence.templateId).toBe(template.id);
+        expect(occurrence.id).toBe(`${template.id}_2024-03-31`);
+    });
+
+    it('moves owned docs and uid-based ids to the new account', () => {
+        const result = retargetArchive(archive(), TARGET, idFactory());
+        expect(result.sourceUid).toBe(TARGET);
+        expect(result.documents.users).toEqual({ uid: TARGET, totalHours: 3 });
+        expect(result.collections.achievements[0]).toEqual({ id: `${TARGET}_first_session`, uid: TARGET });
+        expect(result.collections.tasks.every(task => task.uid === TARGET)).toBe(true);
+    });
+
+    it('keeps subcollection ids and fills in missing collections', () => {
+        const result = retargetArchive(archive(), TARGET, idFactory());
+        expect(result.collections.weeklyChallenges).toEqual([{ id: '2024-W13', status: 'completed' }]);
+        expect(result.collections.notes).toEqual([]);
+    });
+
+    it('leaves the source archive untouched', () => {
+        const source = archive();
+        retargetArchive(source, TARGET, idFactory());
+        expect(source).toEqual(archive());
+    });
+});
+
+describe('validateArchive', () => {
+    it('accepts a well-formed archive', () => {
+        expect(validateArchive(archive())).toBeNull();
+    });
+
+    it('names what is wrong', () => {
+        expect(validateArchive({ format: 'other' })).toMatch(/not a UPSC OS data archive/);
+        expect(validateArchive(archive({ version: ARCHIVE_VERSION + 1 }))).toMatch(/newer version/);
+        expect(validateArchive(archive({ collections: null }))).toMatch(/missing its data/);
+        expect(validateArchive(archive({ documents: { users: [] } }))).toMatch(/users data is malformed/);
+        expect(validateArchive(archive({ collections: { logs: [{ uid: SOURCE }] } }))).toMatch(/study sessions are malformed/);
+    });
+});
+
+describe('summarizeArchive', () => {
+    it('counts the non-empty collections', () => {
+        expect(summarizeArchive(archive()).map(({ key, count }) => [key, count])).toEqual([
+            ['logs', 1], ['tasks', 2], ['taskTemplates', 1], ['achievements', 1], ['weeklyChallenges', 1]
+        ]);
+    });
+});
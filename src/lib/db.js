@@ -1,29 +1,71 @@
-import { db } from './firebase';
+import { subWeeks } from 'date-fns';
+import { store } from './storage';
+import { getActiveSyllabus, findNodeById, findNodeByTitle, mapNode, countNodes } from './syllabus-tree';
+import { SYLLABUS_DATA } from './syllabus-data';
+import { rebuildAggregates } from './aggregates';
+import { getStreakSettings, getLoginStreakUpdate } from './streaks';
+import { ACHIEVEMENTS, findNewAchievements } from './achievements';
+import { getWeekKey, weekKeysBetween, buildWeeklyChallenge } from './challenges';
+import { buildDailyStats, isEmptyDay, logDayKeys, taskDayKey, quizDayKey } from './daily-stats';
+import { toTaskDay, shiftTaskDay, getLegacyDueDate } from './planner';
+import { getOccurrences, getOccurrenceId, pickTemplateFields, anchorRule } from './recurrence';
+import { buildStudyPlan, isPlanBehind } from './study-plan';
 import {
-    doc,
-    setDoc,
-    getDoc,
-    updateDoc,
-    collection,
-    addDoc,
-    query,
-    where,
-    orderBy,
-    onSnapshot,
-    Timestamp,
-    increment,
-    getDocs,
-    deleteDoc
-} from 'firebase/firestore';
+    ARCHIVE_FORMAT, ARCHIVE_VERSION, ARCHIVE_DOCUMENTS, ARCHIVE_COLLECTIONS, encodeArchiveValue, decodeArchiveValue,
+    retargetArchive, readLocalArchiveData, restoreLocalArchiveData
+} from './data-archive';
+
+// --- Paged & Ranged Queries ---
+// Sorting and limits run on the server (see firestore.indexes.json for the composite
+// indexes they need). The doc id breaks timestamp ties so page cursors never skip a doc.
+
+const NEWEST_FIRST = [["timestamp", "desc"], ["__name__", "desc"]];
+
+// Timestamp bounds for a { from, to } date range: from inclusive, to exclusive
+const timestampRange = ({ from, to } = {}) => [
+    from && ["timestamp", ">=", store.fromDate(from)],
+    to && ["timestamp", "<", store.fromDate(to)]
+].filter(Boolean);
+
+// Cursor that continues a newest-first listing after `log`
+export const getLogCursor = (log) => (log ? [log.timestamp, log.id] : null);
+
+/**
+ * One page of a user's logs, newest first.
+ * @param {string} uid
+ * @param {Object} [options]
+ * @param {number} [options.pageSize=50]
+ * @param {Array|null} [options.cursor] - cursor returned with the previous page
+ * @param {Date} [options.from] - only logs at or after this instant
+ * @param {Date} [options.to] - only logs before this instant
+ * @returns {Promise<{ logs: Object[], cursor: Array|null }>} cursor is null on the last page
+ */
+export const fetchLogsPage = async (uid, { pageSize = 50, cursor = null, from, to } = {}) => {
+    // Ask for one extra doc to learn whether another page exists
+    const docs = await store.query("logs", {
+        where: [["uid", "==", uid], ...timestampRange({ from, to })],
+        orderBy: NEWEST_FIRST,
+        startAfter: cursor || undefined,
+        limit: pageSize + 1
+    });
+    const logs = docs.slice(0, pageSize);
+    const last = logs[logs.length - 1];
+    return { logs, cursor: docs.length > pageSize ? getLogCursor(last) : null };
+};
 
 // --- Quiz Management ---
+// Every log of a user, for work that needs the whole history (aggregates, rollups, import duplicates)
+export const fetchAllLogs = (uid) => store.query("logs", { where: [["uid", "==", uid]] });
+
 export const saveQuizResult = async (uid, result) => {
     try {
-        await addDoc(collection(db, "quizResults"), {
+        await store.add("quizResults", {
             uid,
             ...result,
-            timestamp: Timestamp.now()
+            timestamp: store.now()
         });
+        await syncDailyStats(uid, { quizResults: [result] });
+        await evaluateAchievements(uid);
         return true;
     } catch (e) {
         console.error("Error saving quiz result:", e);
@@ -32,290 +74,234 @@ export const saveQuizResult = async (uid, result) => {
 };
 
 export const subscribeToQuizResults = (uid, limitCount = 20, callback) => {
-    const q = query(
-        collection(db, "quizResults"),
-        where("uid", "==", uid)
-    );
-
-    return onSnapshot(q, (snapshot) => {
-        const results = [];
-        snapshot.forEach((doc) => results.push({ id: doc.id, ...doc.data() }));
-        results.sort((a, b) => (b.timestamp?.seconds || 0) - (a.timestamp?.seconds || 0));
-        callback(results.slice(0, limitCount));
+    const options = {
+        where: [["uid", "==", uid]],
+        orderBy: NEWEST_FIRST,
+        limit: limitCount
+    };
+    return store.watchQuery("quizResults", options, callback, (error) => {
+        console.error("Error fetching quiz results:", error);
     });
 };
 
 // --- User Stats & Streak Management ---
 
 export const initializeUserStats = async (uid) => {
-    const userRef = doc(db, "users", uid);
-    const userSnap = await getDoc(userRef);
+    const userPath = `users/${uid}`;
+    const [data, goals] = await Promise.all([store.get(userPath), store.get(`userGoals/${uid}`)]);
+    const settings = getStreakSettings(goals);
 
-    if (!userSnap.exists()) {
-        await setDoc(userRef, {
+    if (!data) {
+        await store.set(userPath, {
             uid,
             totalStudyHours: 0,
             totalSessions: 0,
-            currentStreak: 1,
-            bestStreak: 1,
+            currentStreak: 0,
+            bestStreak: 0,
+            lastStudyDay: null,
             activeDays: 1, // Initialize activeDays
-            lastLoginDate: Timestamp.now(),
+            lastLoginDate: store.now(),
+            ...getLoginStreakUpdate(null, settings),
             topicsCompleted: 0,
-            totalTopics: 850,
-            createdAt: Timestamp.now()
+            totalTopics: countNodes(SYLLABUS_DATA), // the starter syllabus the Syllabus page creates
+            achievementsBackfilledAt: store.now(), // nothing to backfill for a new account
+            dailyStatsBackfilledAt: store.now(),
+            tasksScheduledAt: store.now(),
+            createdAt: store.now()
         });
-    } else {
-        const data = userSnap.data();
-        const lastLogin = data.lastLoginDate?.toDate();
-        const now = new Date();
+        return;
+    }
+
+    // Only the login streak moves here; study streaks are derived from logs (see rebuildAggregates)
+    const loginUpdate = getLoginStreakUpdate(data, settings);
+    if (loginUpdate) {
+        // It's a new day!
+        await store.update(userPath, {
+            ...loginUpdate,
+            lastLoginDate: store.now(),
+            activeDays: store.increment(1) // Increment activeDays
+        });
+    }
 
-        if (lastLogin) {
-            const isSameDay = lastLogin.toDateString() === now.toDateString();
+    // Accounts whose streak was counted by logins before the streak engine: rebuild once from logs
+    if (data.lastStudyDay === undefined) {
+        await recomputeUserAggregates(uid);
+    }
 
-            if (!isSameDay) {
-                // It's a new day!
-                const updates = {
-                    lastLoginDate: Timestamp.now(),
-                    activeDays: increment(1) // Increment activeDays
-                };
+    // First run of the achievement engine: award what existing history already earned
+    if (!data.achievementsBackfilledAt) {
+        await evaluateAchievements(uid, { backfill: true });
+    }
 
-                // Check Streak (Yesterday?)
-                const yesterday = new Date();
-                yesterday.setDate(yesterday.getDate() - 1);
+    // Tasks from before scheduling get a due date so the day views can find them
+    if (!data.tasksScheduledAt) {
+        await scheduleLegacyTasks(uid);
+    }
 
-                if (lastLogin.toDateString() === yesterday.toDateString()) {
-                    // Streak continues
-                    updates.currentStreak = increment(1);
-                    updates.bestStreak = Math.max(data.bestStreak || 0, (data.currentStreak || 0) + 1);
-                } else {
-                    // Streak broken (more than 1 day gap)
-                    updates.currentStreak = 1;
-                }
+    // Calendar rollups started after this account had history: build them all once
+    if (!data.dailyStatsBackfilledAt) {
+        await syncDailyStats(uid);
+    }
 
-                await updateDoc(userRef, updates);
-            }
-            // If same day, do nothing
-        }
+    // Settle last week's challenge (and any weeks missed while away)
+    if (loginUpdate) {
+        await syncWeeklyChallenges(uid);
     }
 };
 
 export const subscribeToUserStats = (uid, callback) => {
-    return onSnapshot(doc(db, "users", uid), (doc) => {
-        callback(doc.data());
+    return store.watch(`users/${uid}`, (data) => {
+        callback(data || undefined);
     });
 };
 
 // --- Logger / Tracker ---
 
-// --- Logger / Tracker ---
-
-const updateSyllabusWithLog = async (uid, subject, topic, durationMinutes) => {
-    if (!topic) return;
-
-    try {
-        const syllabusRef = doc(db, "syllabi", uid);
-        const snap = await getDoc(syllabusRef);
-
-        if (!snap.exists()) return;
-
-        const data = snap.data();
-        let syllabi = data.syllabi;
-        if (!syllabi) return;
-
-        let activeId = data.activeSyllabusId || Object.keys(syllabi)[0];
-        if (!activeId || !syllabi[activeId]) return;
-
-        let activeSyllabus = syllabi[activeId];
-        let items = [...activeSyllabus.items];
-        let completed = new Set(activeSyllabus.completed || []);
-        let modified = false;
-
-        // Helper to find node by title (case-insensitive)
-        const findNode = (list, title) => {
-            for (const item of list) {
-                if (item.title.toLowerCase() === title.toLowerCase()) return item;
-                if (item.children) {
-                    const found = findNode(item.children, title);
-                    if (found) return found;
-                }
-            }
-            return null;
-        };
-
-        const updateNodeStats = (node) => {
-             if (!node.stats) {
-                 node.stats = {
-                     totalMinutes: 0,
-                     lastStudied: null,
-                     revisionInterval: 7, // days
-                     needsRevision: false
-                 };
-             }
-             node.stats.totalMinutes = (node.stats.totalMinutes || 0) + durationMinutes;
-             node.stats.lastStudied = new Date().toISOString();
-             node.stats.needsRevision = false;
-             return node;
-        };
-
-        // 1. Try to find the topic directly
-        const existingTopicNode = findNode(items, topic);
-
-        if (existingTopicNode) {
-            if (!completed.has(existingTopicNode.id)) {
-                completed.add(existingTopicNode.id);
-            }
-            
-            // Update stats recursively
-            const updateStatsRecursive = (list) => {
-                return list.map(item => {
-                    if (item.id === existingTopicNode.id) {
-                        return updateNodeStats({...item});
-                    }
-                    if (item.children) {
-                        return { ...item, children: updateStatsRecursive(item.children) };
-                    }
-                    return item;
-                });
-            };
-            items = updateStatsRecursive(items);
-            modified = true;
+const UNLINKED = { topicId: null, syllabusId: null };
+
+// Resolve the syllabus node a session belongs to: { topicId, syllabusId }, both null if unlinked.
+// Sessions link by topicId within the active syllabus; a title match is only a fallback for callers
+// without one. A new node is created only when the caller passes createTopic (after asking the user).
+// Mutates `syllabiDoc`; minutes, completion and review scheduling are filled in by rebuildAggregates.
+const linkSessionTopic = (syllabiDoc, { subject, topic, topicId, createTopic }) => {
+    if (!syllabiDoc || (!topic && !topicId)) return UNLINKED;
+
+    const { id: syllabusId, syllabus: activeSyllabus } = getActiveSyllabus(syllabiDoc);
+    if (!activeSyllabus) return UNLINKED;
+
+    const items = activeSyllabus.items || [];
+
+    // 1. Resolve the node by id, falling back to an exact title match
+    const existingTopicNode = topicId ? findNodeById(items, topicId) : findNodeByTitle(items, topic);
+    if (existingTopicNode) return { topicId: existingTopicNode.id, syllabusId };
+    if (!createTopic || !topic) return UNLINKED;
+
+    // 2. Confirmed free-text topic: create it under its subject
+    const subjectName = subject || "General";
+    const subjectNode = findNodeByTitle(items, subjectName);
+    const newTopicNode = {
+        id: `auto-${Date.now()}`,
+        title: topic.trim(),
+        children: [] // Leaf node
+    };
+
+    if (subjectNode) {
+        activeSyllabus.items = mapNode(items, subjectNode.id, node => ({
+            ...node,
+            children: [...(node.children || []), newTopicNode]
+        }));
+    } else {
+        activeSyllabus.items = [...items, {
+            id: `auto-subj-${Date.now()}`,
+            title: subjectName,
+            children: [newTopicNode]
+        }];
+    }
 
-        } else {
-            // 2. Topic not found. Create it.
-            const subjectName = subject || "General";
-            let subjectNode = findNode(items, subjectName);
-
-            const newTopicNode = {
-                id: `auto-${Date.now()}`,
-                title: topic,
-                children: [], // Leaf node
-                stats: {
-                    totalMinutes: durationMinutes,
-                    lastStudied: new Date().toISOString(),
-                    revisionInterval: 7,
-                    needsRevision: false
-                }
-            };
-
-            if (subjectNode) {
-                // Add to existing subject
-                const addRecursive = (list) => {
-                    return list.map(item => {
-                        if (item.id === subjectNode.id) {
-                            return { ...item, children: [...(item.children || []), newTopicNode] };
-                        }
-                        if (item.children) {
-                            return { ...item, children: addRecursive(item.children) };
-                        }
-                        return item;
-                    });
-                };
-                items = addRecursive(items);
-            } else {
-                // Create new subject node
-                const newSubjectNode = {
-                    id: `auto-subj-${Date.now()}`,
-                    title: subjectName,
-                    children: [newTopicNode]
-                };
-                items.push(newSubjectNode);
-            }
+    return { topicId: newTopicNode.id, syllabusId };
+};
 
-            // Mark the new topic as completed
-            completed.add(newTopicNode.id);
-            modified = true;
+// Apply a log write and rebuild the user's aggregates from the resulting log set.
+// change: { logId, logData } where logData === null deletes the log; omit both to only rebuild.
+// `link` (the session's { subject, topic, topicId, createTopic }) links the log to a syllabus node.
+// The syllabi doc is read, linked and rewritten in one transaction with the log and user totals,
+// so an edit saved from the Syllabus page meanwhile is kept rather than overwritten.
+// The log history is read once here and handed on to the rollups; returns the logs after the change,
+// for callers that evaluate achievements next.
+const commitLogChange = async (uid, { logId, logData, link } = {}) => {
+    const [logs, goals] = await Promise.all([
+        fetchAllLogs(uid),
+        store.get(`userGoals/${uid}`)
+    ]);
+    const previousLog = logId ? logs.find(log => log.id === logId) : null;
+
+    const { nextLogs, savedLog } = await store.transaction(async (tx) => {
+        const syllabi = await tx.get(`syllabi/${uid}`);
+        const data = logData && link ? { ...logData, ...linkSessionTopic(syllabi, link) } : logData;
+
+        let nextLogs = logs;
+        if (logId && data === null) {
+            nextLogs = logs.filter(log => log.id !== logId);
+        } else if (logId) {
+            nextLogs = previousLog
+                ? logs.map(log => (log.id === logId ? { ...log, ...data } : log))
+                : [...logs, { id: logId, ...data }];
         }
 
-        if (modified) {
-            activeSyllabus.items = items;
-            activeSyllabus.completed = [...completed];
-            syllabi[activeId] = activeSyllabus;
+        const rebuilt = rebuildAggregates(nextLogs, syllabi, getStreakSettings(goals));
 
-            await setDoc(syllabusRef, { syllabi, activeSyllabusId: activeId }, { merge: true });
+        // Tracked minutes on the Planner tasks this change touches (every linked task on a bare rebuild)
+        const taskIds = new Set((logId ? [previousLog, nextLogs.find(log => log.id === logId)] : nextLogs)
+            .map(log => log?.taskId).filter(Boolean));
+        const linkedTasks = await Promise.all([...taskIds].map(async taskId => ((await tx.get(`tasks/${taskId}`)) ? taskId : null)));
 
-            // Update user progress stats
-            let totalCompleted = 0;
-            let totalTopics = 0;
+        if (logId && data === null) tx.delete(`logs/${logId}`);
+        else if (logId) tx.set(`logs/${logId}`, data, { merge: true });
 
-            const countItems = (list) => {
-                let c = 0;
-                const traverse = (l) => { l.forEach(i => { c++; if (i.children) traverse(i.children); }) };
-                traverse(list);
-                return c;
-            };
+        tx.set(`users/${uid}`, {
+            ...rebuilt.user,
+            lastStudyDate: rebuilt.user.lastStudyDate ? store.fromDate(rebuilt.user.lastStudyDate) : null
+        }, { merge: true });
+        if (rebuilt.syllabi) tx.update(`syllabi/${uid}`, { syllabi: rebuilt.syllabi });
+        linkedTasks.filter(Boolean).forEach(taskId => {
+            const actualMinutes = nextLogs
+                .filter(log => log.taskId === taskId)
+                .reduce((acc, log) => acc + (log.durationMinutes || 0), 0);
+            tx.update(`tasks/${taskId}`, { actualMinutes });
+        });
+        return { nextLogs, savedLog: data };
+    });
 
-            Object.values(syllabi).forEach(s => {
-                totalCompleted += (s.completed || []).length;
-                totalTopics += countItems(s.items || []);
-            });
+    // A moved log touches both its old and new day; a bare rebuild redoes every day
+    await syncDailyStats(uid, logId ? { logs: [previousLog, savedLog && { ...previousLog, ...savedLog }] } : null, { logs: nextLogs, goals });
+    await syncWeeklyChallenges(uid, { logs: nextLogs, goals });
+    return nextLogs;
+};
 
-            await updateUserProgress(uid, totalCompleted, totalTopics);
-        }
+// "Repair my stats": rebuild hours, sessions, streaks, syllabus node stats and calendar rollups from the logs
+export const recomputeUserAggregates = async (uid) => {
+    try {
+        await commitLogChange(uid);
+        return true;
     } catch (e) {
-        console.error("Error auto-updating syllabus:", e);
+        console.error("Error recomputing stats:", e);
+        return false;
     }
 };
 
 export const logStudySession = async (uid, data) => {
-    // data: { subject, topic, durationMinutes, mode, timestamp (optional - for manual entries) }
+    // data: { subject, topic, topicId, createTopic, taskId, durationMinutes, mode, timestamp (optional - for manual entries),
+    //         pauses, pausedMinutes, focusScore (optional - timed sessions, see lib/interruptions),
+    //         logId (optional - a stable id makes repeated writes of the same session a no-op),
+    //         startedAt (optional - timed sessions, when the clock first started; see lib/streaks splitLogByDay) }
     try {
         // Use provided timestamp for manual entries, or current time for tracked sessions
         const sessionDate = data.timestamp ? new Date(data.timestamp) : new Date();
-
-        // 1. Add to logs collection
-        await addDoc(collection(db, "logs"), {
-            uid,
-            subject: data.subject,
-            topic: data.topic,
-            notes: data.notes || '',
-            durationMinutes: data.durationMinutes,
-            mode: data.mode || 'stopwatch',
-            timestamp: Timestamp.fromDate(sessionDate),
-            date: sessionDate.toISOString()
+        const startedAt = data.startedAt ? new Date(data.startedAt) : null;
+
+        // Add the log, linked to its syllabus node (created if confirmed), and rebuild
+        // aggregates (hours, streak, syllabus stats) together
+        const logs = await commitLogChange(uid, {
+            logId: data.logId || store.newId("logs"),
+            logData: {
+                uid,
+                subject: data.subject,
+                topic: data.topic,
+                taskId: data.taskId || null,
+                notes: data.notes || '',
+                durationMinutes: data.durationMinutes,
+                ...(data.pauses ? { pauses: data.pauses, pausedMinutes: data.pausedMinutes, focusScore: data.focusScore } : {}),
+                mode: data.mode || 'stopwatch',
+                timestamp: store.fromDate(sessionDate),
+                date: sessionDate.toISOString(),
+                // A timed session spans startedAt..endedAt; per-day totals split it at midnight
+                startedAt: startedAt && startedAt < sessionDate ? startedAt.toISOString() : null,
+                endedAt: startedAt ? sessionDate.toISOString() : null
+            },
+            link: data
         });
 
-        // 2. Update User Aggregates
-        const userRef = doc(db, "users", uid);
-        const userSnap = await getDoc(userRef);
-        const userData = userSnap.data();
-
-        // Update total hours and sessions
-        await updateDoc(userRef, {
-            totalStudyHours: increment(data.durationMinutes / 60),
-            totalSessions: increment(1)
-        });
-
-        // 3. Update Streak
-        const today = new Date();
-        const isToday = sessionDate.toDateString() === today.toDateString();
-
-        if (isToday && userData) {
-            const lastStudyDate = userData.lastStudyDate?.toDate();
-            const yesterday = new Date();
-            yesterday.setDate(yesterday.getDate() - 1);
-
-            const alreadyStudiedToday = lastStudyDate && lastStudyDate.toDateString() === today.toDateString();
-
-            if (!alreadyStudiedToday) {
-                const updates = {
-                    lastStudyDate: Timestamp.now()
-                };
-
-                if (lastStudyDate && lastStudyDate.toDateString() === yesterday.toDateString()) {
-                    const newStreak = (userData.currentStreak || 0) + 1;
-                    updates.currentStreak = newStreak;
-                    updates.bestStreak = Math.max(userData.bestStreak || 0, newStreak);
-                } else if (!lastStudyDate || lastStudyDate.toDateString() !== today.toDateString()) {
-                    updates.currentStreak = 1;
-                }
-
-                await updateDoc(userRef, updates);
-            }
-        }
-
-        // 4. Update Syllabus Progress
-        await updateSyllabusWithLog(uid, data.subject, data.topic, data.durationMinutes);
-
+        await evaluateAchievements(uid, { logs });
         return true;
     } catch (e) {
         console.error("Error logging session:", e);
@@ -324,47 +310,35 @@ export const logStudySession = async (uid, data) => {
 };
 
 export const subscribeToRecentLogs = (uid, limitCount = 50, callback) => {
-    const q = query(
-        collection(db, "logs"),
-        where("uid", "==", uid)
-        // orderBy("timestamp", "desc") // Removed to avoid index requirement
-    );
-
-    return onSnapshot(q, (snapshot) => {
-        const logs = [];
-        snapshot.forEach((doc) => logs.push({ id: doc.id, ...doc.data() }));
-        // Client-side sort
-        logs.sort((a, b) => {
-            const timeA = a.timestamp?.seconds || 0;
-            const timeB = b.timestamp?.seconds || 0;
-            return timeB - timeA;
-        });
-        callback(logs.slice(0, limitCount));
-    }, (error) => {
+    const options = {
+        where: [["uid", "==", uid]],
+        orderBy: NEWEST_FIRST,
+        limit: limitCount
+    };
+
+    return store.watchQuery("logs", options, callback, (error) => {
+        console.error("Error fetching logs:", error);
+    });
+};
+
+// Every log inside a date range (unbounded sides are open), newest first
+export const subscribeToLogsInRange = (uid, { from, to } = {}, callback) => {
+    const options = {
+        where: [["uid", "==", uid], ...timestampRange({ from, to })],
+        orderBy: NEWEST_FIRST
+    };
+
+    return store.watchQuery("logs", options, callback, (error) => {
         console.error("Error fetching logs:", error);
     });
 };
 
 export const deleteLog = async (uid, logId) => {
     try {
-        const logRef = doc(db, "logs", logId);
-        const logSnap = await getDoc(logRef);
-        
-        if (!logSnap.exists()) return false;
-        
-        const logData = logSnap.data();
-        const duration = logData.durationMinutes || 0;
-
-        // 1. Delete the log
-        await deleteDoc(logRef);
-
-        // 2. Adjust User Aggregates
-        const userRef = doc(db, "users", uid);
-        await updateDoc(userRef, {
-            totalStudyHours: increment(-(duration / 60)),
-            totalSessions: increment(-1)
-        });
+        const logData = await store.get(`logs/${logId}`);
+        if (!logData) return false;
 
+        await commitLogChange(uid, { logId, logData: null });
         return true;
     } catch (e) {
         console.error("Error deleting log:", e);
@@ -373,45 +347,30 @@ export const deleteLog = async (uid, logId) => {
 };
 
 export const updateLog = async (uid, logId, updates) => {
-    // updates: { subject, topic, notes, durationMinutes, date }
+    // updates: { subject, topic, topicId, createTopic, notes, durationMinutes, date }
     try {
-        const logRef = doc(db, "logs", logId);
-        const logSnap = await getDoc(logRef);
-        
-        if (!logSnap.exists()) return false;
-        
-        const oldData = logSnap.data();
-        const oldDuration = oldData.durationMinutes || 0;
-        const newDuration = updates.durationMinutes !== undefined ? updates.durationMinutes : oldDuration;
-
-        // 1. Update the log
-        const timestamp = updates.date ? Timestamp.fromDate(new Date(updates.date)) : oldData.timestamp;
-        await updateDoc(logRef, {
-            ...updates,
-            timestamp: timestamp,
-            date: updates.date || oldData.date
+        const oldData = await store.get(`logs/${logId}`);
+        if (!oldData) return false;
+
+        const { createTopic, ...fields } = updates;
+
+        // Re-link the syllabus node if the topic changed, update the log and rebuild aggregates.
+        // Moving it to another date drops the recorded start and end, so it counts whole on the new day.
+        const topicChanged = fields.topicId !== undefined
+            ? fields.topicId !== (oldData.topicId || null)
+            : fields.topic !== undefined && fields.topic !== oldData.topic;
+        const moved = fields.date && fields.date !== oldData.date;
+        await commitLogChange(uid, {
+            logId,
+            logData: {
+                ...fields,
+                timestamp: fields.date ? store.fromDate(new Date(fields.date)) : oldData.timestamp,
+                date: fields.date || oldData.date,
+                ...(moved ? { startedAt: null, endedAt: null } : {})
+            },
+            link: topicChanged ? { ...oldData, topicId: null, ...fields, createTopic } : null
         });
 
-        // 2. Adjust User Aggregates if duration changed
-        if (newDuration !== oldDuration) {
-            const diffHours = (newDuration - oldDuration) / 60;
-            const userRef = doc(db, "users", uid);
-            await updateDoc(userRef, {
-                totalStudyHours: increment(diffHours)
-            });
-        }
-        
-        // 3. Update Syllabus if topic changed (Optimistic addition only)
-        if (updates.subject && updates.topic) {
-             // We reuse the internal function if possible, but it's not exported. 
-             // Ideally we should export updateSyllabusWithLog or move it. 
-             // For now, let's assume the user edits mainly for time correction. 
-             // But if we want to be thorough, we can duplicate the syllabus update call here 
-             // if we had access to it.
-             // Accessing the private function 'updateSyllabusWithLog' won't work if it's not in scope.
-             // We should probably move updateSyllabusWithLog to be exported or called here.
-        }
-
         return true;
     } catch (e) {
         console.error("Error updating log:", e);
@@ -419,57 +378,452 @@ export const updateLog = async (uid, logId, updates) => {
     }
 };
 
+// --- Log Import ---
+
+const LOG_IMPORT_BATCH_SIZE = 400;
+
+/**
+ * Write back-filled logs (valid rows from lib/log-import) in chunks, then rebuild aggregates,
+ * streaks, syllabus stats and calendar rollups once for the whole import.
+ * Topics link to an existing syllabus node with the same title; none are created.
+ * @param {string} uid
+ * @param {Array<{ date, durationMinutes, subject, topic, notes }>} entries
+ * @returns {Promise<{ saved: number, problem: string|null }>} saved - logs written, even when a later chunk failed
+ */
+export const importStudyLogs = async (uid, entries) => {
+    let saved = 0;
+    let problem = null;
+    try {
+        const syllabiDoc = await store.get(`syllabi/${uid}`);
+
+        for (let i = 0; i < entries.length; i += LOG_IMPORT_BATCH_SIZE) {
+            const chunk = entries.slice(i, i + LOG_IMPORT_BATCH_SIZE);
+            const batch = store.batch();
+            chunk.forEach(entry => {
+                const sessionDate = new Date(entry.date);
+                const link = entry.topic ? linkSessionTopic(syllabiDoc, { ...entry, createTopic: false }) : UNLINKED;
+                batch.set(`logs/${store.newId("logs")}`, {
+                    uid,
+                    subject: entry.subject,
+                    topic: entry.topic || 'General Study',
+                    ...link,
+                    taskId: null,
+                    notes: entry.notes || '',
+                    durationMinutes: entry.durationMinutes,
+                    mode: 'manual',
+                    source: 'import',
+                    timestamp: store.fromDate(sessionDate),
+                    date: sessionDate.toISOString(),
+                    startedAt: null,
+                    endedAt: null
+                });
+            });
+            await batch.commit();
+            saved += chunk.length;
+        }
+    } catch (e) {
+        console.error("Error importing logs:", e);
+        problem = saved > 0
+            ? `Only ${saved} of ${entries.length} sessions were saved`
+            : 'Failed to import sessions';
+    } finally {
+        // Chunks already written are history either way; the totals have to count them
+        if (saved > 0) {
+            try {
+                const logs = await commitLogChange(uid);
+                await evaluateAchievements(uid, { logs });
+            } catch (e) {
+                console.error("Error updating stats after import:", e);
+                problem = problem || 'Sessions were saved, but stats could not be updated. Use Repair Stats in Analytics.';
+            }
+        }
+    }
+    return { saved, problem };
+};
+
 // --- Planner ---
 
 export const addTask = async (uid, task) => {
-    return await addDoc(collection(db, "tasks"), {
+    const taskId = await store.add("tasks", {
         uid,
-        ...task, // text, completed, date, type
-        createdAt: Timestamp.now()
+        ...task, // text, completed, priority, dueDate, timeSlot, estimateMinutes, subject, type
+        ...(task.completed ? { completedAt: store.now() } : {}),
+        createdAt: store.now()
     });
+    if (task.completed) await syncDailyStats(uid, { tasks: [{ ...task, completedAt: store.now() }] });
+    return taskId;
 };
 
 export const toggleTask = async (taskId, currentStatus) => {
-    const taskRef = doc(db, "tasks", taskId);
-    await updateDoc(taskRef, {
-        completed: !currentStatus
+    const task = await store.get(`tasks/${taskId}`);
+    const completedAt = currentStatus ? null : store.fromDate(new Date());
+    await store.update(`tasks/${taskId}`, {
+        completed: !currentStatus,
+        completedAt
     });
+    if (task) await syncDailyStats(task.uid, { tasks: [task, { ...task, completed: !currentStatus, completedAt }] });
+};
+
+// A task linked to tracked sessions can finish itself once the time spent reaches its estimate
+export const completeTaskIfEstimateMet = async (taskId) => {
+    try {
+        const task = await store.get(`tasks/${taskId}`);
+        if (!task || task.completed || !(task.estimateMinutes > 0)) return false;
+        if ((task.actualMinutes || 0) < task.estimateMinutes) return false;
+        await toggleTask(taskId, false);
+        return true;
+    } catch (e) {
+        console.error("Error completing task:", e);
+        return false;
+    }
+};
+
+export const updateTask = async (taskId, updates) => {
+    const task = await store.get(`tasks/${taskId}`);
+    await store.update(`tasks/${taskId}`, updates);
+    if (task) await syncDailyStats(task.uid, { tasks: [task, { ...task, ...updates }] });
 };
 
 export const deleteTask = async (taskId) => {
     try {
-        await deleteDoc(doc(db, "tasks", taskId));
+        const task = await store.get(`tasks/${taskId}`);
+        await store.remove(`tasks/${taskId}`);
+        if (task) await syncDailyStats(task.uid, { tasks: [task] });
     } catch (e) {
         console.error("Error deleting task:", e);
     }
 };
 
-export const subscribeToTasks = (uid, dateString, callback) => {
-    // dateString format YYYY-MM-DD
-    const q = query(
-        collection(db, "tasks"),
-        where("uid", "==", uid)
-        // orderBy("createdAt", "desc") // Removed to avoid index requirement
-    );
+/**
+ * Live tasks for a range of days, or the unscheduled backlog.
+ * @param {string} uid
+ * @param {{ from: string, to: string }|null} range - inclusive 'yyyy-MM-dd' bounds; null for the backlog
+ * @param {Function} callback
+ */
+export const subscribeToTasks = (uid, range, callback) => {
+    const options = range
+        ? {
+            where: [["uid", "==", uid], ["dueDate", ">=", range.from], ["dueDate", "<=", range.to]],
+            orderBy: [["dueDate", "asc"], ["createdAt", "desc"]]
+        }
+        : {
+            where: [["uid", "==", uid], ["dueDate", "==", null]],
+            orderBy: [["createdAt", "desc"]]
+        };
+
+    return store.watchQuery("tasks", options, callback, (error) => {
+        console.error("Error fetching tasks:", error);
+    });
+};
+
+const TASK_WRITE_BATCH_SIZE = 400;
+
+// Move unfinished tasks from earlier days onto `today`, remembering the day they were first due.
+// Returns the number of tasks moved.
+export const rollOverTasks = async (uid, today = toTaskDay()) => {
+    try {
+        const overdue = await store.query("tasks", {
+            where: [["uid", "==", uid], ["completed", "==", false], ["dueDate", "<", today]]
+        });
+        // A missed occurrence of a recurring task stays missed; the next one is already scheduled
+        const movable = overdue.filter(task => !task.templateId);
+        if (movable.length === 0) return 0;
+
+        for (let i = 0; i < movable.length; i += TASK_WRITE_BATCH_SIZE) {
+            const batch = store.batch();
+            movable.slice(i, i + TASK_WRITE_BATCH_SIZE).forEach(task => {
+                batch.update(`tasks/${task.id}`, {
+                    dueDate: today,
+                    rolledOverFrom: task.rolledOverFrom || task.dueDate
+                });
+            });
+            await batch.commit();
+        }
+        return movable.length;
+    } catch (e) {
+        console.error("Error rolling over tasks:", e);
+        return 0;
+    }
+};
+
+// One-time migration: tasks created before scheduling were due on the day they were made
+const scheduleLegacyTasks = async (uid) => {
+    try {
+        const tasks = await store.query("tasks", { where: [["uid", "==", uid]] });
+        const legacy = tasks.filter(task => task.dueDate === undefined);
+        for (let i = 0; i < legacy.length; i += TASK_WRITE_BATCH_SIZE) {
+            const batch = store.batch();
+            legacy.slice(i, i + TASK_WRITE_BATCH_SIZE).forEach(task => {
+                batch.update(`tasks/${task.id}`, {
+                    dueDate: getLegacyDueDate(task),
+                    timeSlot: null,
+                    estimateMinutes: null
+                });
+            });
+            await batch.commit();
+        }
+        await store.set(`users/${uid}`, { tasksScheduledAt: store.now() }, { merge: true });
+    } catch (e) {
+        console.error("Error scheduling legacy tasks:", e);
+    }
+};
+
+// --- Recurring Tasks ---
+// Templates live in `taskTemplates`; occurrences are tasks with a stable id (see lib/recurrence).
+// Finished occurrences are history and are never rewritten by edits to the series.
+
+const occurrenceData = (uid, templateId, template, dayKey) => ({
+    uid,
+    ...pickTemplateFields(template),
+    completed: false,
+    dueDate: dayKey,
+    timeSlot: template.timeSlot || null,
+    templateId,
+    occurrenceDate: dayKey,
+    recurrence: template.rule,
+    createdAt: store.now()
+});
+
+const getOccurrenceTasks = (uid, templateId) => store.query("tasks", {
+    where: [["uid", "==", uid], ["templateId", "==", templateId]]
+});
+
+// task: { text, priority, timeSlot, estimateMinutes, subject, rule, startDate }
+export const addRecurringTask = async (uid, { rule, startDate, ...fields }) => {
+    return await store.add("taskTemplates", {
+        uid,
+        ...pickTemplateFields(fields),
+        rule,
+        startDate,
+        endDate: null,
+        skipDates: [],
+        createdAt: store.now()
+    });
+};
+
+// Create the occurrences of every recurring task that fall inside [from, to] and don't exist yet
+export const ensureRecurringTasks = async (uid, { from, to }) => {
+    try {
+        const templates = await store.query("taskTemplates", { where: [["uid", "==", uid]] });
+        const wanted = templates.flatMap(template => getOccurrences(template, from, to)
+            .map(dayKey => ({ template, dayKey, path: `tasks/${getOccurrenceId(template.id, dayKey)}` })));
+        if (wanted.length === 0) return 0;
+
+        const existing = await Promise.all(wanted.map(({ path }) => store.get(path)));
+        const missing = wanted.filter((_, i) => !existing[i]);
+        if (missing.length === 0) return 0;
+
+        for (let i = 0; i < missing.length; i += TASK_WRITE_BATCH_SIZE) {
+            const batch = store.batch();
+            missing.slice(i, i + TASK_WRITE_BATCH_SIZE).forEach(({ template, dayKey, path }) => {
+                batch.set(path, occurrenceData(uid, template.id, template, dayKey));
+            });
+            await batch.commit();
+        }
+        return missing.length;
+    } catch (e) {
+        console.error("Error generating recurring tasks:", e);
+        return 0;
+    }
+};
+
+/**
+ * Edit a recurring task occurrence.
+ * scope 'this' edits only this occurrence; 'future' splits the series at this occurrence;
+ * 'all' rewrites the whole series. Open occurrences covered by the edit are regenerated.
+ */
+export const updateRecurringTask = async (task, updates, scope = 'this') => {
+    const templatePath = `taskTemplates/${task.templateId}`;
+    const template = await store.get(templatePath);
+    if (scope === 'this' || !template) {
+        await updateTask(task.id, updates);
+        return;
+    }
 
-    return onSnapshot(q, (snapshot) => {
-        const tasks = [];
-        snapshot.forEach((doc) => tasks.push({ id: doc.id, ...doc.data() }));
-        // Client-side sort
-        tasks.sort((a, b) => {
-            const timeA = a.createdAt?.seconds || 0;
-            const timeB = b.createdAt?.seconds || 0;
-            return timeB - timeA;
+    const changes = { ...pickTemplateFields(updates), ...(updates.rule ? { rule: updates.rule } : {}) };
+    const fromDay = scope === 'future' ? task.occurrenceDate : template.startDate;
+    const occurrences = await getOccurrenceTasks(task.uid, task.templateId);
+    const batch = store.batch();
+
+    if (fromDay > template.startDate) {
+        // Split: the old series ends the day before, a new one starts here. Finished occurrences stay
+        // with the old series, so the new one skips their days instead of repeating them.
+        const doneDays = occurrences
+            .filter(occurrence => occurrence.completed && occurrence.occurrenceDate >= fromDay)
+            .map(occurrence => occurrence.occurrenceDate);
+        batch.update(templatePath, {
+            endDate: shiftTaskDay(fromDay, -1),
+            skipDates: (template.skipDates || []).filter(day => day < fromDay)
+        });
+        batch.set(`taskTemplates/${store.newId("taskTemplates")}`, {
+            ...template,
+            ...changes,
+            rule: changes.rule || anchorRule(template.rule, template.startDate),
+            startDate: fromDay,
+            skipDates: [...new Set([...(template.skipDates || []).filter(day => day >= fromDay), ...doneDays])],
+            createdAt: store.now()
         });
-        callback(tasks);
+    } else {
+        batch.update(templatePath, changes);
+    }
+
+    occurrences
+        .filter(occurrence => !occurrence.completed && occurrence.occurrenceDate >= fromDay)
+        .forEach(occurrence => batch.delete(`tasks/${occurrence.id}`));
+    await batch.commit();
+};
+
+// Delete one occurrence, this and later ones, or the whole series (finished occurrences are kept)
+export const deleteRecurringTask = async (task, scope = 'this') => {
+    try {
+        const templatePath = `taskTemplates/${task.templateId}`;
+        const template = await store.get(templatePath);
+        const batch = store.batch();
+
+        if (scope === 'this' || !template) {
+            batch.delete(`tasks/${task.id}`);
+            if (template) {
+                batch.update(templatePath, { skipDates: [...new Set([...(template.skipDates || []), task.occurrenceDate])] });
+            }
+        } else {
+            const fromDay = scope === 'future' ? task.occurrenceDate : template.startDate;
+            if (fromDay > template.startDate) batch.update(templatePath, { endDate: shiftTaskDay(fromDay, -1) });
+            else batch.delete(templatePath);
+
+            const occurrences = await getOccurrenceTasks(task.uid, task.templateId);
+            occurrences
+                .filter(occurrence => !occurrence.completed && occurrence.occurrenceDate >= fromDay)
+                .forEach(occurrence => batch.delete(`tasks/${occurrence.id}`));
+        }
+
+        await batch.commit();
+        if (task.completed) await syncDailyStats(task.uid, { tasks: [task] });
+        return true;
+    } catch (e) {
+        console.error("Error deleting recurring task:", e);
+        return false;
+    }
+};
+
+// --- Study Plan ---
+// Generated tasks are ordinary Planner tasks tagged `source: 'plan'`; the plan summary lives on `studyPlans/{uid}`.
+
+const PLAN_WRITE_BATCH_SIZE = 400;
+
+const getPlanTasks = (uid) => store.query("tasks", {
+    where: [["uid", "==", uid], ["source", "==", "plan"]]
+});
+
+/**
+ * (Re)generate the study plan from today: open plan tasks are replaced, finished ones are kept
+ * and the topics they covered are not planned again.
+ * @returns {Promise<{ summary: Object|null, problem: string|null }>}
+ */
+export const generateStudyPlan = async (uid, { reason = 'manual' } = {}) => {
+    try {
+        const today = toTaskDay();
+        const [goals, syllabusDoc, planTasks] = await Promise.all([
+            store.get(`userGoals/${uid}`),
+            store.get(`syllabi/${uid}`),
+            getPlanTasks(uid)
+        ]);
+
+        // Parts of a split topic share its topicId; only their finished minutes count as covered
+        const coveredMinutes = new Map();
+        planTasks
+            .filter(task => task.completed && task.planPhase === 'coverage' && task.topicId)
+            .forEach(task => coveredMinutes.set(task.topicId, (coveredMinutes.get(task.topicId) || 0) + (task.estimateMinutes || 0)));
+        const { tasks, summary, problem } = buildStudyPlan({ syllabusDoc, goals, fromDay: today, coveredMinutes });
+        if (problem) return { summary: null, problem };
+
+        // Deletes and inserts go out in chunks; Firestore caps a batch at 500 writes
+        const writes = [
+            ...planTasks.filter(task => !task.completed).map(task => (batch) => batch.delete(`tasks/${task.id}`)),
+            ...tasks.map(task => (batch) => batch.set(`tasks/${store.newId("tasks")}`, {
+                uid,
+                ...task,
+                completed: false,
+                timeSlot: null,
+                type: 'study',
+                source: 'plan',
+                createdAt: store.now()
+            }))
+        ];
+        for (let i = 0; i < writes.length; i += PLAN_WRITE_BATCH_SIZE) {
+            const batch = store.batch();
+            writes.slice(i, i + PLAN_WRITE_BATCH_SIZE).forEach(write => write(batch));
+            await batch.commit();
+        }
+
+        await store.set(`studyPlans/${uid}`, {
+            uid,
+            ...summary,
+            reason,
+            generatedAt: store.now()
+        });
+        return { summary, problem: null };
+    } catch (e) {
+        console.error("Error generating study plan:", e);
+        return { summary: null, problem: 'Could not generate the plan. Try again.' };
+    }
+};
+
+// Re-plan from today when plan tasks from earlier days were left open. Returns true if it re-planned.
+export const replanIfBehind = async (uid) => {
+    try {
+        const plan = await store.get(`studyPlans/${uid}`);
+        if (!plan) return false;
+
+        const planTasks = await getPlanTasks(uid);
+        if (!isPlanBehind(planTasks)) return false;
+
+        const { problem } = await generateStudyPlan(uid, { reason: 'behind' });
+        return !problem;
+    } catch (e) {
+        console.error("Error checking study plan:", e);
+        return false;
+    }
+};
+
+// Re-plan after the inputs changed (goals, estimates), but only for users who already have a plan
+export const refreshStudyPlan = async (uid, reason = 'goals') => {
+    const plan = await store.get(`studyPlans/${uid}`);
+    if (!plan) return false;
+    const { problem } = await generateStudyPlan(uid, { reason });
+    return !problem;
+};
+
+// Remove the plan and its open tasks (finished ones stay as history)
+export const clearStudyPlan = async (uid) => {
+    try {
+        const planTasks = await getPlanTasks(uid);
+        const open = planTasks.filter(task => !task.completed);
+        for (let i = 0; i < open.length; i += PLAN_WRITE_BATCH_SIZE) {
+            const batch = store.batch();
+            open.slice(i, i + PLAN_WRITE_BATCH_SIZE).forEach(task => batch.delete(`tasks/${task.id}`));
+            await batch.commit();
+        }
+        await store.remove(`studyPlans/${uid}`);
+        return true;
+    } catch (e) {
+        console.error("Error clearing study plan:", e);
+        return false;
+    }
+};
+
+export const subscribeToStudyPlan = (uid, callback) => {
+    return store.watch(`studyPlans/${uid}`, (data) => {
+        callback(data);
+    }, (error) => {
+        console.error("Error subscribing to study plan:", error);
+        callback(null);
     });
 };
 
 // --- User Progress ---
 export const updateUserProgress = async (uid, topicsCompleted, totalTopics) => {
-    const userRef = doc(db, "users", uid);
     try {
-        await updateDoc(userRef, {
+        await store.update(`users/${uid}`, {
             topicsCompleted: topicsCompleted,
             totalTopics: totalTopics
         });
@@ -481,13 +835,12 @@ export const updateUserProgress = async (uid, topicsCompleted, totalTopics) => {
 // --- User Goals (Dashboard Enhancement) ---
 
 export const saveUserGoals = async (uid, goals) => {
-    // goals: { targetExamDate, targetScore, currentScore, dailyHoursGoal, weeklyHoursGoal }
-    const goalsRef = doc(db, "userGoals", uid);
+    // goals: { targetExamDate, targetScore, currentScore, dailyHoursGoal, weeklyHoursGoal, restDays, streakMinMinutes, timeZone }
     try {
-        await setDoc(goalsRef, {
+        await store.set(`userGoals/${uid}`, {
             uid,
             ...goals,
-            updatedAt: Timestamp.now()
+            updatedAt: store.now()
         }, { merge: true });
         return true;
     } catch (e) {
@@ -497,64 +850,132 @@ export const saveUserGoals = async (uid, goals) => {
 };
 
 export const subscribeToUserGoals = (uid, callback) => {
-    return onSnapshot(doc(db, "userGoals", uid), (doc) => {
-        callback(doc.exists() ? doc.data() : null);
+    return store.watch(`userGoals/${uid}`, (data) => {
+        callback(data);
     });
 };
 
 // --- Achievements System ---
 
-export const ACHIEVEMENTS = [
-    { id: 'first_session', name: 'First Steps', description: 'Complete your first study session', icon: '🎯' },
-    { id: 'week_warrior', name: 'Week Warrior', description: 'Study for 7 consecutive days', icon: '⚔️' },
-    { id: 'hour_hero', name: 'Hour Hero', description: 'Study for 10+ hours in a week', icon: '🦸' },
-    { id: 'consistency_king', name: 'Consistency King', description: 'Maintain a 30-day streak', icon: '👑' },
-    { id: 'subject_master', name: 'Subject Master', description: 'Master any subject (80%+ time)', icon: '🎓' },
-    { id: 'early_bird', name: 'Early Bird', description: 'Study before 7 AM', icon: '🌅' },
-    { id: 'night_owl', name: 'Night Owl', description: 'Study after 10 PM', icon: '🦉' },
-    { id: 'marathon_session', name: 'Marathon Session', description: 'Complete a 3+ hour session', icon: '🏃' },
-];
+// Rule definitions live in achievements.js; re-exported here for existing imports
+export { ACHIEVEMENTS };
 
 export const unlockAchievement = async (uid, achievementId) => {
-    const achievementRef = doc(db, "achievements", `${uid}_${achievementId}`);
-    const existingSnap = await getDoc(achievementRef);
+    const achievementPath = `achievements/${uid}_${achievementId}`;
+    const existing = await store.get(achievementPath);
 
-    if (!existingSnap.exists()) {
-        await setDoc(achievementRef, {
+    if (!existing) {
+        await store.set(achievementPath, {
             uid,
             achievementId,
-            unlockedAt: Timestamp.now()
+            unlockedAt: store.now()
         });
         return true; // Newly unlocked
     }
     return false; // Already had it
 };
 
+// Unlock every achievement whose rule is now met. Backfill runs mark their unlocks silent
+// so a user's history doesn't trigger a burst of toasts. Returns the newly unlocked ids.
+// `logs`: the user's full log history when the caller already has it.
+export const evaluateAchievements = async (uid, { backfill = false, logs: knownLogs } = {}) => {
+    try {
+        const byUser = { where: [["uid", "==", uid]] };
+        const [logs, quizResults, stats, syllabusDoc, unlocked, goals] = await Promise.all([
+            knownLogs || fetchAllLogs(uid),
+            store.query("quizResults", byUser),
+            store.get(`users/${uid}`),
+            store.get(`syllabi/${uid}`),
+            store.query("achievements", byUser),
+            store.get(`userGoals/${uid}`)
+        ]);
+
+        const newIds = findNewAchievements(
+            { logs, quizResults, stats, syllabusDoc, timeZone: getStreakSettings(goals).timeZone },
+            new Set(unlocked.map(a => a.achievementId))
+        );
+
+        const batch = store.batch();
+        newIds.forEach(achievementId => {
+            batch.set(`achievements/${uid}_${achievementId}`, {
+                uid,
+                achievementId,
+                unlockedAt: store.now(),
+                backfilled: backfill
+            });
+        });
+        if (backfill) batch.set(`users/${uid}`, { achievementsBackfilledAt: store.now() }, { merge: true });
+        await batch.commit();
+
+        return newIds;
+    } catch (e) {
+        console.error("Error evaluating achievements:", e);
+        return [];
+    }
+};
+
 export const subscribeToAchievements = (uid, callback) => {
-    const q = query(
-        collection(db, "achievements"),
-        where("uid", "==", uid)
-    );
-
-    return onSnapshot(q, (snapshot) => {
-        const achievements = [];
-        snapshot.forEach((doc) => achievements.push(doc.data()));
-        callback(achievements);
+    return store.watchQuery("achievements", { where: [["uid", "==", uid]] }, (docs) => {
+        callback(docs.map(({ id, ...data }) => data));
     });
 };
 
 // --- Weekly Challenges ---
 
-export const WEEKLY_CHALLENGES = [
-    { id: 'study_30h', name: 'Study 30 hours', target: 30, unit: 'hours', icon: '📚' },
-    { id: 'complete_5_sessions', name: 'Complete 5 sessions', target: 5, unit: 'sessions', icon: '✅' },
-    { id: 'study_all_subjects', name: 'Cover all subjects', target: 5, unit: 'subjects', icon: '📊' },
-];
+const CHALLENGE_HISTORY_WEEKS = 12;
+
+// Record this week's challenge progress and settle earlier weeks as completed or failed,
+// including weeks in which the app was never opened (up to CHALLENGE_HISTORY_WEEKS back).
+// `known`: the user's logs and goals when the caller already has them.
+export const syncWeeklyChallenges = async (uid, known = {}) => {
+    try {
+        const historyPath = `users/${uid}/weeklyChallenges`;
+        const [logs, goals, syllabusDoc, userData, history] = await Promise.all([
+            known.logs || fetchAllLogs(uid),
+            known.goals !== undefined ? known.goals : store.get(`userGoals/${uid}`),
+            store.get(`syllabi/${uid}`),
+            store.get(`users/${uid}`),
+            store.query(historyPath, { orderBy: [["weekKey", "desc"]], limit: CHALLENGE_HISTORY_WEEKS })
+        ]);
+
+        const now = new Date();
+        const { timeZone } = getStreakSettings(goals);
+        const currentKey = getWeekKey(now, timeZone);
+        const records = new Map(history.map(record => [record.weekKey, record]));
+
+        // Past weeks still open, plus any week after the latest record (or since sign-up)
+        const toSettle = new Set(history.filter(r => r.weekKey < currentKey && r.status === 'active').map(r => r.weekKey));
+        const signUpWeek = getWeekKey(subWeeks(userData?.createdAt?.toDate?.() || now, 1), timeZone);
+        const floorKey = getWeekKey(subWeeks(now, CHALLENGE_HISTORY_WEEKS), timeZone);
+        const fromKey = [history[0]?.weekKey || signUpWeek, floorKey].sort().pop();
+        weekKeysBetween(fromKey, currentKey).forEach(key => toSettle.add(key));
+
+        const batch = store.batch();
+        const write = (weekKey, status) => {
+            const { completed, ...challenge } = buildWeeklyChallenge(weekKey, { logs, goals, syllabusDoc, record: records.get(weekKey) });
+            batch.set(`${historyPath}/${weekKey}`, {
+                ...challenge,
+                status: status(completed),
+                updatedAt: store.now()
+            }, { merge: true });
+        };
+
+        toSettle.forEach(weekKey => write(weekKey, completed => (completed ? 'completed' : 'failed')));
+        write(currentKey, completed => (completed ? 'completed' : 'active'));
+
+        await batch.commit();
+        return true;
+    } catch (e) {
+        console.error("Error syncing weekly challenges:", e);
+        return false;
+    }
+};
 
-export const getWeeklyChallenge = () => {
-    // Return a challenge based on week number for variety
-    const weekNum = Math.floor(Date.now() / (7 * 24 * 60 * 60 * 1000));
-    return WEEKLY_CHALLENGES[weekNum % WEEKLY_CHALLENGES.length];
+export const subscribeToChallengeHistory = (uid, callback) => {
+    const options = { orderBy: [["weekKey", "desc"]], limit: CHALLENGE_HISTORY_WEEKS };
+    return store.watchQuery(`users/${uid}/weeklyChallenges`, options, (history) => {
+        callback(history);
+    });
 };
 
 // --- Subject Analysis ---
@@ -669,14 +1090,8 @@ export const generateInsights = (stats, logs, goals) => {
 
 // --- Syllabus Subscription for Analytics ---
 export const subscribeToUserSyllabus = (uid, callback) => {
-    const syllabusRef = doc(db, "syllabi", uid);
-
-    return onSnapshot(syllabusRef, (docSnap) => {
-        if (docSnap.exists()) {
-            callback(docSnap.data());
-        } else {
-            callback(null);
-        }
+    return store.watch(`syllabi/${uid}`, (data) => {
+        callback(data);
     }, (error) => {
         console.error("Error subscribing to syllabus:", error);
         callback(null);
@@ -685,7 +1100,7 @@ export const subscribeToUserSyllabus = (uid, callback) => {
 
 export const saveUserSyllabus = async (uid, data) => {
     try {
-        await setDoc(doc(db, "syllabi", uid), data, { merge: true });
+        await store.set(`syllabi/${uid}`, data, { merge: true });
         return true;
     } catch (e) {
         console.error("Error saving syllabus:", e);
@@ -695,33 +1110,218 @@ export const saveUserSyllabus = async (uid, data) => {
 
 // --- Daily Stats (Calendar) ---
 
-export const saveDailyStats = async (uid, date, stats) => {
-    // date: YYYY-MM-DD
+const DAILY_STATS_BATCH_SIZE = 400;
+
+/**
+ * Rebuild the `users/{uid}/dailyStats` rollups for the days touched by a change.
+ * @param {string} uid
+ * @param {{ logs?: Array, tasks?: Array, quizResults?: Array }|null} [touched] - the changed documents,
+ *   before and/or after the change; null rebuilds every day (backfill / repair)
+ * @param {{ logs?: Array, goals?: Object|null }} [known] - the user's logs and goals when the caller already has them
+ */
+export const syncDailyStats = async (uid, touched = null, known = {}) => {
     try {
-        await setDoc(doc(db, "users", uid, "dailyStats", date), {
-            ...stats,
-            updatedAt: Timestamp.now()
-        }, { merge: true });
+        const byUser = { where: [["uid", "==", uid]] };
+        const statsPath = `users/${uid}/dailyStats`;
+        const [logs, tasks, quizResults, goals] = await Promise.all([
+            known.logs || fetchAllLogs(uid),
+            store.query("tasks", byUser),
+            store.query("quizResults", byUser),
+            known.goals !== undefined ? known.goals : store.get(`userGoals/${uid}`)
+        ]);
+        const { timeZone } = getStreakSettings(goals);
+
+        let dayKeys = null;
+        if (touched) {
+            dayKeys = new Set([
+                ...(touched.logs || []).flatMap(log => logDayKeys(log, timeZone)),
+                ...(touched.tasks || []).map(task => taskDayKey(task, timeZone)),
+                ...(touched.quizResults || []).map(result => quizDayKey(result, timeZone))
+            ].filter(Boolean));
+            if (dayKeys.size === 0) return true;
+        } else {
+            // Full rebuild: also clear rollups of days that no longer have any activity
+            const existing = await store.query(statsPath);
+            dayKeys = new Set(existing.map(doc => doc.id));
+        }
+
+        const days = buildDailyStats({ logs, tasks, quizResults }, timeZone, touched ? dayKeys : null);
+        days.forEach((_, key) => dayKeys.add(key));
+
+        // Firestore caps a batch at 500 writes; a long history is backfilled in chunks
+        const keys = [...dayKeys].sort();
+        for (let i = 0; i < keys.length; i += DAILY_STATS_BATCH_SIZE) {
+            const batch = store.batch();
+            keys.slice(i, i + DAILY_STATS_BATCH_SIZE).forEach(key => {
+                const day = days.get(key);
+                if (isEmptyDay(day)) batch.delete(`${statsPath}/${key}`);
+                else batch.set(`${statsPath}/${key}`, { ...day, updatedAt: store.now() });
+            });
+            await batch.commit();
+        }
+        if (!touched) await store.set(`users/${uid}`, { dailyStatsBackfilledAt: store.now() }, { merge: true });
         return true;
     } catch (e) {
-        console.error("Error saving daily stats:", e);
+        console.error("Error syncing daily stats:", e);
         return false;
     }
 };
 
 export const subscribeToMonthStats = (uid, yearMonth, callback) => {
     // yearMonth: YYYY-MM
-    const q = query(
-        collection(db, "users", uid, "dailyStats"),
-        where("__name__", ">=", `${yearMonth}-01`),
-        where("__name__", "<=", `${yearMonth}-31`)
-    );
-
-    return onSnapshot(q, (snapshot) => {
+    const options = {
+        where: [
+            ["__name__", ">=", `${yearMonth}-01`],
+            ["__name__", "<=", `${yearMonth}-31`]
+        ]
+    };
+
+    return store.watchQuery(`users/${uid}/dailyStats`, options, (docs) => {
         const stats = {};
-        snapshot.forEach((doc) => {
-            stats[doc.id] = doc.data();
+        docs.forEach(({ id, ...data }) => {
+            stats[id] = data;
         });
         callback(stats);
     });
 };
+
+// --- Data Archive (Export / Restore) ---
+
+const ARCHIVE_WRITE_BATCH_SIZE = 400;
+
+const queryArchiveCollection = (uid, { path, owned }) =>
+    store.query(path(uid), owned ? { where: [["uid", "==", uid]] } : {});
+
+/**
+ * Everything the user owns as one versioned archive (see lib/data-archive).
+ * @returns {Promise<Object|null>} null on failure
+ */
+export const exportUserData = async (uid) => {
+    try {
+        const [documents, collections] = await Promise.all([
+            Promise.all(ARCHIVE_DOCUMENTS.map(name => store.get(`${name}/${uid}`))),
+            Promise.all(ARCHIVE_COLLECTIONS.map(collection => queryArchiveCollection(uid, collection)))
+        ]);
+
+        return encodeArchiveValue({
+            format: ARCHIVE_FORMAT,
+            version: ARCHIVE_VERSION,
+            exportedAt: new Date().toISOString(),
+            sourceUid: uid,
+            documents: Object.fromEntries(ARCHIVE_DOCUMENTS.map((name, i) => [name, documents[i]])),
+            collections: Object.fromEntries(ARCHIVE_COLLECTIONS.map(({ key }, i) => [key, collections[i]])),
+            localStorage: readLocalArchiveData()
+        });
+    } catch (e) {
+        console.error("Error exporting data:", e);
+        return null;
+    }
+};
+
+/**
+ * Restore an archive (checked with validateArchive first) into this account, then rebuild every aggregate.
+ * merge: archive docs are added, and win over docs with the same id; everything else is kept.
+ * replace: the account ends up holding exactly what the archive holds.
+ * @param {string} uid
+ * @param {Object} archive
+ * @param {'merge'|'replace'} [mode='merge']
+ * @returns {Promise<boolean>}
+ */
+export const restoreUserData = async (uid, archive, mode = 'merge') => {
+    try {
+        const { documents, collections, localStorage: localData } = retargetArchive(archive, uid, () => store.newId("logs"));
+        const decode = (value) => decodeArchiveValue(value, store.fromDate);
+        const writes = [];
+
+        // 1. Collections, written by id; owned docs always belong to this account
+        for (const collection of ARCHIVE_COLLECTIONS) {
+            const collectionPath = collection.path(uid);
+            const docs = collections[collection.key] || [];
+            if (mode === 'replace') {
+                const restoredIds = new Set(docs.map(doc => doc.id));
+                const existing = await queryArchiveCollection(uid, collection);
+                existing
+                    .filter(doc => !restoredIds.has(doc.id))
+                    .forEach(doc => writes.push(batch => batch.delete(`${collectionPath}/${doc.id}`)));
+            }
+            docs.forEach(({ id, ...data }) => {
+                writes.push(batch => batch.set(`${collectionPath}/${id}`, decode(collection.owned ? { ...data, uid } : data)));
+            });
+        }
+
+        // 2. Per-user docs. Merging keeps this account's syllabi alongside the archived ones.
+        const currentSyllabi = mode === 'merge' ? await store.get(`syllabi/${uid}`) : null;
+        ARCHIVE_DOCUMENTS.forEach(name => {
+            const path = `${name}/${uid}`;
+            let data = documents[name] ? decode(documents[name]) : null;
+            if (!data) {
+                if (mode === 'replace' && name !== 'users') writes.push(batch => batch.delete(path));
+                return;
+            }
+            if (name === 'syllabi' && currentSyllabi) {
+                data = {
+                    ...data,
+                    syllabi: { ...(currentSyllabi.syllabi || {}), ...(data.syllabi || {}) },
+                    activeSyllabusId: currentSyllabi.activeSyllabusId || data.activeSyllabusId
+                };
+            }
+            writes.push(batch => batch.set(path, data, { merge: mode === 'merge' }));
+        });
+
+        for (let i = 0; i < writes.length; i += ARCHIVE_WRITE_BATCH_SIZE) {
+            const batch = store.batch();
+            writes.slice(i, i + ARCHIVE_WRITE_BATCH_SIZE).forEach(write => write(batch));
+            await batch.commit();
+        }
+
+        // 3. Totals, streaks, syllabus stats, task minutes and calendar rollups come from the restored logs
+        await commitLogChange(uid);
+        restoreLocalArchiveData(localData, mode, await store.get(`syllabi/${uid}`));
+        return true;
+    } catch (e) {
+        console.error("Error restoring data:", e);
+        return false;
+    }
+};
+
+// --- Account Deletion ---
+
+/**
+ * Delete every document the user owns: the archived collections, calendar rollups and the
+ * per-user docs (users/{uid} last). The auth account itself is removed by the caller afterwards.
+ * @param {string} uid
+ * @param {(progress: { deleted: number, total: number }) => void} [onProgress]
+ * @returns {Promise<boolean>}
+ */
+export const deleteUserData = async (uid, onProgress = () => {}) => {
+    try {
+        const found = await Promise.all([
+            ...ARCHIVE_COLLECTIONS.map(async collection => (await queryArchiveCollection(uid, collection))
+                .map(doc => `${collection.path(uid)}/${doc.id}`)),
+            store.query(`users/${uid}/dailyStats`).then(docs => docs.map(doc => `users/${uid}/dailyStats/${doc.id}`))
+        ]);
+
+        // Achievement ids are deterministic, so even docs written without a uid field are reached
+        const paths = [...new Set([
+            ...found.flat(),
+            ...ACHIEVEMENTS.map(achievement => `achievements/${uid}_${achievement.id}`),
+            ...ARCHIVE_DOCUMENTS.filter(name => name !== 'users').map(name => `${name}/${uid}`),
+            `users/${uid}`
+        ])];
+
+        let deleted = 0;
+        onProgress({ deleted, total: paths.length });
+        for (let i = 0; i < paths.length; i += ARCHIVE_WRITE_BATCH_SIZE) {
+            const chunk = paths.slice(i, i + ARCHIVE_WRITE_BATCH_SIZE);
+            const batch = store.batch();
+            chunk.forEach(path => batch.delete(path));
+            await batch.commit();
+            deleted += chunk.length;
+            onProgress({ deleted, total: paths.length });
+        }
+        return true;
+    } catch (e) {
+        console.error("Error deleting user data:", e);
+        return false;
+    }
+};
@@ -0,0 +1,82 @@
+// --- Interruptions ---
+// A timed session can be paused with a reason. Each log keeps its pause segments:
+//   pauses: [{ reason, start: ISO string, minutes }]
+// plus `pausedMinutes` and `focusScore` (active / (active + paused), as a percentage).
+
+export const PAUSE_REASONS = [
+    { id: 'phone', label: 'Phone', color: '#000000' },
+    { id: 'social', label: 'Social Media', color: '#555555' },
+    { id: 'break', label: 'Break', color: '#999999' },
+    { id: 'other', label: 'Other', color: '#CCCCCC' },
+];
+
+// Parts of the day lost time is grouped by, as [from, to) local hours
+export const TIME_OF_DAY = [
+    { id: 'early', label: 'Early (4–8)', from: 4, to: 8 },
+    { id: 'morning', label: 'Morning (8–12)', from: 8, to: 12 },
+    { id: 'afternoon', label: 'Afternoon (12–17)', from: 12, to: 17 },
+    { id: 'evening', label: 'Evening (17–21)', from: 17, to: 21 },
+    { id: 'night', label: 'Night (21–4)', from: 21, to: 28 },
+];
+
+const getReasonId = (reason) => (PAUSE_REASONS.some(r => r.id === reason) ? reason : 'other');
+
+export const getTimeOfDay = (date) => {
+    const hour = date.getHours() < 4 ? date.getHours() + 24 : date.getHours();
+    return TIME_OF_DAY.find(slot => hour >= slot.from && hour < slot.to).id;
+};
+
+export const getFocusScore = (activeMinutes, pausedMinutes) => {
+    const total = activeMinutes + pausedMinutes;
+    return total > 0 ? Math.round((activeMinutes / total) * 100) : 100;
+};
+
+// Log fields for a session's pause segments ({ reason, start: epoch ms, end: epoch ms })
+export const buildPauseFields = (segments, activeMinutes) => {
+    const pauses = segments
+        .filter(segment => segment.end && segment.end > segment.start)
+        .map(segment => ({
+            reason: getReasonId(segment.reason),
+            start: new Date(segment.start).toISOString(),
+            minutes: Math.round(((segment.end - segment.start) / 60000) * 10) / 10
+        }));
+    const pausedMinutes = Math.round(pauses.reduce((acc, pause) => acc + pause.minutes, 0) * 10) / 10;
+    return { pauses, pausedMinutes, focusScore: getFocusScore(activeMinutes, pausedMinutes) };
+};
+
+/**
+ * Lost time across logs, by reason and by time of day.
+ * @returns {{ totalMinutes, count, averageFocusScore, byReason: Object[], byTimeOfDay: Object[] }}
+ *   byTimeOfDay rows carry one minutes field per reason id, for a stacked chart
+ */
+export const summarizeInterruptions = (logs) => {
+    const byReason = Object.fromEntries(PAUSE_REASONS.map(reason => [reason.id, { ...reason, minutes: 0, count: 0 }]));
+    const byTimeOfDay = Object.fromEntries(TIME_OF_DAY.map(slot => [
+        slot.id,
+        { id: slot.id, label: slot.label, ...Object.fromEntries(PAUSE_REASONS.map(reason => [reason.id, 0])) }
+    ]));
+    const scored = [];
+
+    logs.forEach(log => {
+        if (typeof log.focusScore === 'number') scored.push(log.focusScore);
+        (log.pauses || []).forEach(pause => {
+            const reason = getReasonId(pause.reason);
+            byReason[reason].minutes += pause.minutes || 0;
+            byReason[reason].count += 1;
+            if (pause.start) byTimeOfDay[getTimeOfDay(new Date(pause.start))][reason] += pause.minutes || 0;
+        });
+    });
+
+    const round = (minutes) => Math.round(minutes);
+    const reasons = Object.values(byReason).map(reason => ({ ...reason, minutes: round(reason.minutes) }));
+    return {
+        totalMinutes: reasons.reduce((acc, reason) => acc + reason.minutes, 0),
+        count: reasons.reduce((acc, reason) => acc + reason.count, 0),
+        averageFocusScore: scored.length ? Math.round(scored.reduce((a, b) => a + b, 0) / scored.length) : null,
+        byReason: reasons,
+        byTimeOfDay: Object.values(byTimeOfDay).map(slot => ({
+            ...slot,
+            ...Object.fromEntries(PAUSE_REASONS.map(reason => [reason.id, round(slot[reason.id])]))
+        }))
+    };
+};
@@ -0,0 +1,207 @@
+import { parse, parseISO, isValid, format } from 'date-fns';
+import { SUBJECTS } from './planner';
+
+// --- Log Import ---
+// Back-fills study logs from a spreadsheet export. A file is parsed into records (one object per
+// row, keyed by column), the columns are mapped onto log fields, and every record becomes a row
+// with its parsed values, validation errors and whether it duplicates a log that already exists.
+
+export const IMPORT_FIELDS = [
+    { id: 'date', label: 'Date', required: true, aliases: ['date', 'day', 'studied on', 'session date'] },
+    { id: 'duration', label: 'Duration', required: true, aliases: ['duration', 'minutes', 'mins', 'hours', 'time', 'time spent', 'durationminutes'] },
+    { id: 'subject', label: 'Subject', required: true, aliases: ['subject', 'paper'] },
+    { id: 'topic', label: 'Topic', required: false, aliases: ['topic', 'chapter', 'title'] },
+    { id: 'notes', label: 'Notes', required: false, aliases: ['notes', 'note', 'comments', 'remarks'] },
+];
+
+export const DATE_FORMATS = [
+    { id: 'yyyy-MM-dd', label: 'YYYY-MM-DD (2024-03-31)' },
+    { id: 'dd/MM/yyyy', label: 'DD/MM/YYYY (31/03/2024)' },
+    { id: 'MM/dd/yyyy', label: 'MM/DD/YYYY (03/31/2024)' },
+];
+
+export const DURATION_UNITS = [
+    { id: 'minutes', label: 'Minutes' },
+    { id: 'hours', label: 'Hours' },
+];
+
+// Same limit as a manual entry in the Tracker
+const MAX_MINUTES = 24 * 60;
+
+// RFC 4180-style CSV: quoted fields may hold commas, newlines and doubled quotes
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+/**
+ * Parse an uploaded CSV (first row is the header) or JSON file (an array of objects, or { logs: [...] }).
+ * @returns {{ columns: string[], records: Object[] }}
+ * @throws {Error} with a message fit for the user when the file can't be read
+ */
+export const parseImportFile = (text, fileName = '') => {
+    const content = text.replace(/^\uFEFF/, '');
+    const isJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(content);
+
+    if (isJson) {
+        let data;
+        try {
+            data = JSON.parse(content);
+        } catch (e) {
+            throw new Error('The file is not valid JSON');
+        }
+        const list = Array.isArray(data) ? data : data?.logs;
+        if (!Array.isArray(list)) throw new Error('Expected a JSON array of sessions');
+        const records = list.filter(item => item && typeof item === 'object' && !Array.isArray(item));
+        const columns = [...new Set(records.flatMap(record => Object.keys(record)))];
+        return { columns, records };
+    }
+
+    const [header, ...body] = parseCsv(content);
+    if (!header) throw new Error('The file is empty');
+    const columns = header.map((name, i) => name.trim() || `Column ${i + 1}`);
+    const records = body.map(cells => Object.fromEntries(columns.map((column, i) => [column, cells[i] ?? ''])));
+    return { columns, records };
+};
+
+// Best guess of the column for each field, from the header names
+export const guessMapping = (columns) => {
+    const normalized = columns.map(column => column.toLowerCase().replace(/[_()]/g, ' ').replace(/\s+/g, ' ').trim());
+    return Object.fromEntries(IMPORT_FIELDS.map(field => {
+        const exact = normalized.findIndex(name => field.aliases.includes(name));
+        const index = exact >= 0 ? exact : normalized.findIndex(name => field.aliases.some(alias => name.includes(alias)));
+        return [field.id, index >= 0 ? columns[index] : ''];
+    }));
+};
+
+// A header like "Hours" or "Time (h)" says which unit the numbers are in
+export const guessDurationUnit = (column = '') => (/\bh(ou)?rs?\b|\(h\)/i.test(column) ? 'hours' : 'minutes');
+
+const parseDate = (value, dateFormat) => {
+    const text = String(value ?? '').trim();
+    if (!text) return null;
+
+    // Full timestamps keep their time; a bare date is stamped at noon like a manual entry
+    if (/^\d{4}-\d{2}-\d{2}T/.test(text)) {
+        const date = parseISO(text);
+        return isValid(date) ? date : null;
+    }
+    const separator = dateFormat === 'yyyy-MM-dd' ? '-' : '/';
+    const date = parse(text.replace(/[./-]/g, separator), dateFormat, new Date());
+    if (!isValid(date)) return null;
+    date.setHours(12, 0, 0, 0);
+    return date;
+};
+
+// "90", "1.5" (with the unit), "1:30", "1h 30m", "45m", "2h"
+const parseDuration = (value, unit) => {
+    const text = String(value ?? '').trim().toLowerCase();
+    if (!text) return null;
+
+    const clock = text.match(/^(\d+):(\d{1,2})$/);
+    if (clock) return parseInt(clock[1], 10) * 60 + parseInt(clock[2], 10);
+
+    const labelled = text.match(/^(?:(\d+(?:\.\d+)?)\s*h(?:ou)?r?s?)?\s*(?:(\d+(?:\.\d+)?)\s*m(?:in)?s?)?$/);
+    if (labelled && (labelled[1] || labelled[2])) {
+        return Math.round(parseFloat(labelled[1] || 0) * 60 + parseFloat(labelled[2] || 0));
+    }
+
+    const number = parseFloat(text);
+    if (Number.isNaN(number) || !/^\d+(\.\d+)?$/.test(text)) return null;
+    return Math.round(unit === 'hours' ? number * 60 : number);
+};
+
+// Subject ids and labels are matched case-insensitively; anything else is kept as written
+const parseSubject = (value) => {
+    const text = String(value ?? '').trim();
+    if (!text) return null;
+    const lower = text.toLowerCase();
+    const known = SUBJECTS.find(subject => subject.id.toLowerCase() === lower || subject.label.toLowerCase() === lower);
+    return known ? known.id : text;
+};
+
+// Same day, subject, topic and length counts as the same session. Logs without a topic are saved as 'General Study'.
+const duplicateKey = ({ date, subject, topic, durationMinutes }) => {
+    const topicKey = (topic || '').trim().toLowerCase();
+    return [format(date, 'yyyy-MM-dd'), (subject || '').toLowerCase(), topicKey === 'general study' ? '' : topicKey, durationMinutes].join('|');
+};
+
+/**
+ * Validate mapped records and flag duplicates, against existing logs and earlier rows of the file.
+ * @param {Object[]} records - from parseImportFile
+ * @param {Object} mapping - field id -> column name ('' when unmapped)
+ * @param {{ dateFormat: string, durationUnit: string, existingLogs: Object[] }} options
+ * @returns {Array<{ row: number, values: Object|null, errors: string[], duplicate: boolean }>}
+ *   values: { date: ISO string, durationMinutes, subject, topic, notes } when the row is valid
+ */
+export const buildImportRows = (records, mapping, { dateFormat = 'yyyy-MM-dd', durationUnit = 'minutes', existingLogs = [] } = {}) => {
+    const seen = new Set(existingLogs
+        .filter(log => log.date)
+        .map(log => duplicateKey({ ...log, date: parseISO(log.date) })));
+    const now = new Date();
+
+    return records.map((record, i) => {
+        const cell = (field) => (mapping[field] ? record[mapping[field]] : undefined);
+        const errors = [];
+
+        const date = parseDate(cell('date'), dateFormat);
+        if (!date) errors.push('Invalid or missing date');
+        else if (date > now) errors.push('Date is in the future');
+
+        const durationMinutes = parseDuration(cell('duration'), durationUnit);
+        if (durationMinutes == null) errors.push('Invalid or missing duration');
+        else if (durationMinutes < 1 || durationMinutes > MAX_MINUTES) errors.push('Duration must be between 1 minute and 24 hours');
+
+        const subject = parseSubject(cell('subject'));
+        if (!subject) errors.push('Missing subject');
+
+        const row = i + 1;
+        if (errors.length > 0) return { row, values: null, errors, duplicate: false };
+
+        const values = {
+            date: date.toISOString(),
+            durationMinutes,
+            subject,
+            topic: String(cell('topic') ?? '').trim(),
+            notes: String(cell('notes') ?? '').trim()
+        };
+        const key = duplicateKey({ ...values, date });
+        const duplicate = seen.has(key);
+        seen.add(key);
+        return { row, values, errors, duplicate };
+    });
+};
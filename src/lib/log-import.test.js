@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { parseImportFile, guessMapping, guessDurationUnit, buildImportRows } from './log-import';
+
+const MAPPING = { date: 'Date', duration: 'Minutes', subject: 'Subject', topic: 'Topic', notes: '' };
+
+const row = (values) => ({ Date: '2024-03-31', Minutes: '60', Subject: 'GS1', Topic: '', ...values });
+
+// Bare dates are stamped at local noon
+const noon = (year, month, day) => new Date(year, month - 1, day, 12).toISOString();
+
+describe('parseImportFile', () => {
+    it('reads CSV with quoted commas, newlines and doubled quotes', () => {
+        const csv = '\uFEFFDate,Topic,Notes\r\n2024-03-31,"Maps, rivers","Said ""hi""\nthen left"\r\n\r\n';
+        expect(parseImportFile(csv, 'logs.csv')).toEqual({
+            columns: ['Date', 'Topic', 'Notes'],
+            records: [{ Date: '2024-03-31', Topic: 'Maps, rivers', Notes: 'Said "hi"\nthen left' }]
+        });
+    });
+
+    it('reads a JSON array or a { logs } export', () => {
+        const logs = [{ date: '2024-03-31', minutes: 30 }, { date: '2024-04-01', subject: 'GS2' }];
+        expect(parseImportFile(JSON.stringify({ logs })).columns).toEqual(['date', 'minutes', 'subject']);
+        expect(parseImportFile(JSON.stringify(logs), 'logs.json').records).toHaveLength(2);
+    });
+
+    it('explains files it cannot read', () => {
+        expect(() => parseImportFile('{ nope', 'logs.json')).toThrow('The file is not valid JSON');
+        expect(() => parseImportFile('{"sessions": []}')).toThrow('Expected a JSON array of sessions');
+        expect(() => parseImportFile('\n\n', 'logs.csv')).toThrow('The file is empty');
+    });
+});
+
+describe('column guesses', () => {
+    it('maps headers onto fields by alias', () => {
+        expect(guessMapping(['Studied On', 'Time (h)', 'Paper', 'Chapter', 'Remarks'])).toEqual({
+            date: 'Studied On', duration: 'Time (h)', subject: 'Paper', topic: 'Chapter', notes: 'Remarks'
+        });
+    });
+
+    it('reads the duration unit from the header', () => {
+        expect(guessDurationUnit('Time (h)')).toBe('hours');
+        expect(guessDurationUnit('Hours')).toBe('hours');
+        expect(guessDurationUnit('Minutes')).toBe('minutes');
+    });
+});
+
+describe('buildImportRows', () => {
+    it('parses dates in the chosen format, keeping full timestamps', () => {
+        const rows = buildImportRows([
+            row({ Date: '31/03/2024' }),
+            row({ Date: '2024-03-31T06:15:00Z' })
+        ], MAPPING, { dateFormat: 'dd/MM/yyyy' });
+        expect(rows.map(r => r.values.date)).toEqual([noon(2024, 3, 31), '2024-03-31T06:15:00.000Z']);
+    });
+
+    it('parses durations in every supported shape', () => {
+        const durations = ['90', '1:30', '1h 30m', '1.5h', '45m', '2 hrs'];
+        const rows = buildImportRows(durations.map(Minutes => row({ Minutes })), MAPPING);
+        expect(rows.map(r => r.values.durationMinutes)).toEqual([90, 90, 90, 90, 45, 120]);
+
+        const hours = buildImportRows([row({ Minutes: '1.5' })], MAPPING, { durationUnit: 'hours' });
+        expect(hours[0].values.durationMinutes).toBe(90);
+    });
+
+    it('collects every error on a row', () => {
+        const [invalid, future, tooLong] = buildImportRows([
+            row({ Date: '31/31/2024', Minutes: 'soon', Subject: '' }),
+            row({ Date: '2999-01-01' }),
+            row({ Minutes: '1500' })
+        ], MAPPING);
+        expect(invalid).toEqual({
+            row: 1, values: null, duplicate: false,
+            errors: ['Invalid or missing date', 'Invalid or missing duration', 'Missing subject']
+        });
+        expect(future.errors).toEqual(['Date is in the future']);
+        expect(tooLong.errors).toEqual(['Duration must be between 1 minute and 24 hours']);
+    });
+
+    it('matches known subjects by id or label and keeps others as written', () => {
+        const subjects = ['gs1', 'gs2 - polity & ir', 'Essay practice'];
+        const rows = buildImportRows(subjects.map(Subject => row({ Subject })), MAPPING);
+        expect(rows.map(r => r.values.subject)).toEqual(['GS1', 'GS2', 'Essay practice']);
+    });
+
+    it('flags duplicates of existing logs and of earlier rows', () => {
+        const existingLogs = [{ date: noon(2024, 3, 30), subject: 'GS1', topic: 'General Study', durationMinutes: 60 }];
+        const rows = buildImportRows([
+            row({ Date: '2024-03-30' }),
+            row({ Topic: 'Rivers' }),
+            row({ Topic: 'rivers ' }),
+            row({ Topic: 'Rivers', Minutes: '61' })
+        ], MAPPING, { existingLogs });
+        expect(rows.map(r => r.duplicate)).toEqual([true, false, true, false]);
+    });
+});
@@ -0,0 +1,66 @@
+import { format, parseISO, startOfWeek, addDays } from 'date-fns';
+
+// --- Planner Scheduling ---
+// Tasks carry a `dueDate` day key ('yyyy-MM-dd', null for the backlog), an optional
+// `timeSlot` ('HH:mm') and an optional `estimateMinutes`. Day keys are device-local dates.
+
+export const PRIORITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Subjects a study session (and the task it was started from) is filed under
+export const SUBJECTS = [
+    { id: 'GS1', label: 'GS1 - History & Culture' },
+    { id: 'GS2', label: 'GS2 - Polity & IR' },
+    { id: 'GS3', label: 'GS3 - Economy & Environment' },
+    { id: 'GS4', label: 'GS4 - Ethics' },
+    { id: 'Optional', label: 'Optional Subject' },
+    { id: 'Essay', label: 'Essay Writing' },
+    { id: 'Current Affairs', label: 'Current Affairs' },
+    { id: 'Other', label: 'Other' },
+];
+
+export const toTaskDay = (date = new Date()) => format(date, 'yyyy-MM-dd');
+
+export const shiftTaskDay = (dayKey, days) => toTaskDay(addDays(parseISO(dayKey), days));
+
+// Monday-to-Sunday day keys of the week containing `dayKey`
+export const getWeekDays = (dayKey) => {
+    const monday = startOfWeek(parseISO(dayKey), { weekStartsOn: 1 });
+    return [...Array(7)].map((_, i) => toTaskDay(addDays(monday, i)));
+};
+
+// Tasks created before scheduling only have a creation `date`; they were due that day
+export const getLegacyDueDate = (task) => (task.date ? toTaskDay(parseISO(task.date)) : toTaskDay());
+
+// Timed tasks first in slot order, then by priority, then newest first
+export const sortTasks = (tasks) => [...tasks].sort((a, b) => {
+    if (a.timeSlot !== b.timeSlot) {
+        if (!a.timeSlot) return 1;
+        if (!b.timeSlot) return -1;
+        return a.timeSlot < b.timeSlot ? -1 : 1;
+    }
+    const aPriority = PRIORITY_ORDER[a.priority] ?? 1;
+    const bPriority = PRIORITY_ORDER[b.priority] ?? 1;
+    if (aPriority !== bPriority) return aPriority - bPriority;
+    return (b.createdAt?.seconds || 0) - (a.createdAt?.seconds || 0);
+});
+
+export const groupTasksByDay = (tasks) => {
+    const groups = new Map();
+    tasks.forEach(task => {
+        if (!groups.has(task.dueDate)) groups.set(task.dueDate, []);
+        groups.get(task.dueDate).push(task);
+    });
+    return groups;
+};
+
+export const sumEstimates = (tasks) => tasks.reduce((acc, task) => acc + (task.estimateMinutes || 0), 0);
+
+export const formatMinutes = (minutes) => {
+    if (!minutes) return '0m';
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    if (hours === 0) return `${rest}m`;
+    return rest ? `${hours}h ${rest}m` : `${hours}h`;
+};
@@ -0,0 +1,88 @@
+import { parseISO, differenceInCalendarDays, getDaysInMonth } from 'date-fns';
+import { shiftTaskDay, WEEKDAY_LABELS } from './planner';
+
+// --- Recurring Tasks ---
+// A recurring task is a template (`taskTemplates/{id}`) with a rule; each occurrence is an ordinary
+// Planner task with id `{templateId}_{yyyy-MM-dd}`, created when its day first comes into view,
+// so completion is tracked per occurrence.
+// rule: { freq: 'daily' | 'weekdays' | 'interval' | 'weekly' | 'monthly', interval?, weekdays?, dayOfMonth? }
+
+export const RECURRENCE_FREQUENCIES = [
+    { id: 'daily', label: 'Every day' },
+    { id: 'weekdays', label: 'Weekdays (Mon–Fri)' },
+    { id: 'interval', label: 'Every N days' },
+    { id: 'weekly', label: 'Weekly on…' },
+    { id: 'monthly', label: 'Monthly' },
+];
+
+// Occurrence task id: stable, so generating the same day twice is a no-op
+export const getOccurrenceId = (templateId, dayKey) => `${templateId}_${dayKey}`;
+
+const weekdayOf = (dayKey) => parseISO(dayKey).getDay();
+
+// Day of the month a monthly series falls on: its start day, unless pinned by `dayOfMonth`
+const monthlyAnchor = (rule, startDate) => rule.dayOfMonth || parseISO(startDate).getDate();
+
+// Pin a monthly rule to its series' day, so a split that starts on a short month's last day
+// (the 29th for a series on the 31st) keeps falling on the 31st afterwards
+export const anchorRule = (rule, startDate) => (rule?.freq === 'monthly'
+    ? { ...rule, dayOfMonth: monthlyAnchor(rule, startDate) }
+    : rule);
+
+/** Whether a rule that started on `startDate` has an occurrence on `dayKey` */
+export const occursOn = (rule, startDate, dayKey) => {
+    if (dayKey < startDate) return false;
+    switch (rule?.freq) {
+        case 'daily':
+            return true;
+        case 'weekdays': {
+            const weekday = weekdayOf(dayKey);
+            return weekday >= 1 && weekday <= 5;
+        }
+        case 'interval':
+            return differenceInCalendarDays(parseISO(dayKey), parseISO(startDate)) % Math.max(1, rule.interval || 1) === 0;
+        case 'weekly':
+            return (rule.weekdays?.length ? rule.weekdays : [weekdayOf(startDate)]).includes(weekdayOf(dayKey));
+        case 'monthly': {
+            // Same day of the month as the anchor; short months use their last day
+            const day = parseISO(dayKey);
+            const target = Math.min(monthlyAnchor(rule, startDate), getDaysInMonth(day));
+            return day.getDate() === target;
+        }
+        default:
+            return false;
+    }
+};
+
+/** Occurrence day keys of a template inside [from, to] (inclusive), minus skipped days */
+export const getOccurrences = (template, from, to) => {
+    const start = from > template.startDate ? from : template.startDate;
+    const end = template.endDate && template.endDate < to ? template.endDate : to;
+    const skipped = new Set(template.skipDates || []);
+    const days = [];
+    for (let day = start; day <= end; day = shiftTaskDay(day, 1)) {
+        if (!skipped.has(day) && occursOn(template.rule, template.startDate, day)) days.push(day);
+    }
+    return days;
+};
+
+export const describeRule = (rule, startDate) => {
+    switch (rule?.freq) {
+        case 'daily': return 'Every day';
+        case 'weekdays': return 'Weekdays';
+        case 'interval': return rule.interval > 1 ? `Every ${rule.interval} days` : 'Every day';
+        case 'weekly': {
+            const days = rule.weekdays?.length ? rule.weekdays : (startDate ? [weekdayOf(startDate)] : []);
+            return `Weekly on ${days.map(d => WEEKDAY_LABELS[d]).join(', ')}`;
+        }
+        case 'monthly': return startDate || rule.dayOfMonth ? `Monthly on day ${monthlyAnchor(rule, startDate)}` : 'Monthly';
+        default: return '';
+    }
+};
+
+// Fields copied from the template onto each occurrence
+export const TEMPLATE_FIELDS = ['text', 'priority', 'timeSlot', 'estimateMinutes', 'subject', 'type'];
+
+export const pickTemplateFields = (data) => Object.fromEntries(
+    TEMPLATE_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]])
+);
@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import { occursOn, getOccurrences, getOccurrenceId, describeRule, pickTemplateFields, anchorRule } from './recurrence';
+
+// 2024-03-04 is a Monday
+const MONDAY = '2024-03-04';
+
+describe('occursOn', () => {
+    it('never occurs before the start date', () => {
+        expect(occursOn({ freq: 'daily' }, MONDAY, '2024-03-03')).toBe(false);
+        expect(occursOn({ freq: 'daily' }, MONDAY, MONDAY)).toBe(true);
+    });
+
+    it('skips weekends for weekdays', () => {
+        expect(occursOn({ freq: 'weekdays' }, MONDAY, '2024-03-08')).toBe(true);
+        expect(occursOn({ freq: 'weekdays' }, MONDAY, '2024-03-09')).toBe(false);
+        expect(occursOn({ freq: 'weekdays' }, MONDAY, '2024-03-10')).toBe(false);
+    });
+
+    it('counts intervals from the start date', () => {
+        const rule = { freq: 'interval', interval: 3 };
+        expect(occursOn(rule, MONDAY, '2024-03-07')).toBe(true);
+        expect(occursOn(rule, MONDAY, '2024-03-08')).toBe(false);
+        expect(occursOn({ freq: 'interval', interval: 0 }, MONDAY, '2024-03-05')).toBe(true);
+    });
+
+    it('repeats weekly on the chosen days, or the start weekday', () => {
+        expect(occursOn({ freq: 'weekly', weekdays: [3, 5] }, MONDAY, '2024-03-06')).toBe(true);
+        expect(occursOn({ freq: 'weekly', weekdays: [3, 5] }, MONDAY, '2024-03-11')).toBe(false);
+        expect(occursOn({ freq: 'weekly' }, MONDAY, '2024-03-11')).toBe(true);
+    });
+
+    it('falls back to the last day of short months', () => {
+        const rule = { freq: 'monthly' };
+        expect(occursOn(rule, '2024-01-31', '2024-02-29')).toBe(true);
+        expect(occursOn(rule, '2024-01-31', '2024-02-28')).toBe(false);
+        expect(occursOn(rule, '2024-01-31', '2024-04-30')).toBe(true);
+        expect(occursOn(rule, '2024-01-31', '2024-05-31')).toBe(true);
+    });
+
+    it('does not occur for an unknown rule', () => {
+        expect(occursOn({ freq: 'yearly' }, MONDAY, MONDAY)).toBe(false);
+        expect(occursOn(null, MONDAY, MONDAY)).toBe(false);
+    });
+});
+
+describe('anchorRule', () => {
+    it('keeps a split monthly series on its original day', () => {
+        // The series on the 31st is split at its February occurrence
+        const rule = anchorRule({ freq: 'monthly' }, '2024-01-31');
+        expect(rule).toEqual({ freq: 'monthly', dayOfMonth: 31 });
+        expect(getOccurrences({ rule, startDate: '2024-02-29' }, '2024-02-01', '2024-05-31'))
+            .toEqual(['2024-02-29', '2024-03-31', '2024-04-30', '2024-05-31']);
+        expect(describeRule(rule, '2024-02-29')).toBe('Monthly on day 31');
+    });
+
+    it('keeps an existing anchor and leaves other rules alone', () => {
+        expect(anchorRule({ freq: 'monthly', dayOfMonth: 30 }, '2024-02-29').dayOfMonth).toBe(30);
+        expect(anchorRule({ freq: 'daily' }, '2024-01-31')).toEqual({ freq: 'daily' });
+    });
+});
+
+describe('getOccurrences', () => {
+    const template = { rule: { freq: 'daily' }, startDate: '2024-03-05', endDate: '2024-03-09', skipDates: ['2024-03-07'] };
+
+    it('clips the range to the series and leaves out skipped days', () => {
+        expect(getOccurrences(template, MONDAY, '2024-03-31')).toEqual(['2024-03-05', '2024-03-06', '2024-03-08', '2024-03-09']);
+    });
+
+    it('is empty outside the series', () => {
+        expect(getOccurrences(template, '2024-03-10', '2024-03-17')).toEqual([]);
+    });
+
+    it('runs open-ended series to the end of the range', () => {
+        const weekly = { rule: { freq: 'weekly' }, startDate: MONDAY };
+        expect(getOccurrences(weekly, '2024-03-01', '2024-03-31')).toEqual(['2024-03-04', '2024-03-11', '2024-03-18', '2024-03-25']);
+    });
+});
+
+describe('template helpers', () => {
+    it('builds stable occurrence ids', () => {
+        expect(getOccurrenceId('tpl', MONDAY)).toBe('tpl_2024-03-04');
+    });
+
+    it('describes rules for the task list', () => {
+        expect(describeRule({ freq: 'interval', interval: 2 })).toBe('Every 2 days');
+        expect(describeRule({ freq: 'weekly' }, MONDAY)).toBe('Weekly on Mon');
+        expect(describeRule({ freq: 'monthly' }, '2024-01-31')).toBe('Monthly on day 31');
+    });
+
+    it('copies only the template fields that are set', () => {
+        expect(pickTemplateFields({ text: 'Revise', priority: 'high', rule: { freq: 'daily' }, subject: undefined }))
+            .toEqual({ text: 'Revise', priority: 'high' });
+    });
+});
@@ -0,0 +1,230 @@
+// --- Session Timer ---
+// The Tracker timer as wall-clock timestamps instead of a ticking counter, so reloads, route
+// changes and throttled background tabs can't lose time. One timer per user is kept in
+// localStorage; every open tab reads the same entry and follows changes through `storage` events.
+//
+// state: {
+//   mode: 'stopwatch' | 'pomodoro',
+//   status: 'idle' | 'running' | 'paused',
+//   accumulatedMs,   // time counted before the current run
+//   resumedAt,       // epoch ms the current run started (null unless running)
+//   startedAt,       // epoch ms the session was first started
+//   durationMs,      // length of the current pomodoro phase
+//   phase,           // pomodoro phase: 'focus' | 'shortBreak' | 'longBreak'
+//   cycle,           // focus blocks completed in this run
+//   focusMs, breakMs // completed focus and break time in this run (breaks are never logged as study)
+//   pauses,          // [{ reason, start, end }] pauses in the current session (pomodoro: focus block);
+//                    // the last one is open (end null) while paused
+//   pomodoro,        // cycle settings, see DEFAULT_POMODORO
+//   session: { subject, topic, topicId, notes, linkedTask, completeAtEstimate }
+// }
+
+export const DEFAULT_POMODORO = {
+    focusMinutes: 25,
+    shortBreakMinutes: 5,
+    longBreakMinutes: 15,
+    longBreakEvery: 4,
+    autoStart: false
+};
+
+export const POMODORO_PHASES = {
+    focus: { label: 'Focus', setting: 'focusMinutes' },
+    shortBreak: { label: 'Short Break', setting: 'shortBreakMinutes' },
+    longBreak: { label: 'Long Break', setting: 'longBreakMinutes' },
+};
+
+// Upper bound on phases replayed at once, for a tab that slept through a whole auto-started run
+const MAX_CATCH_UP_PHASES = 50;
+
+export const DEFAULT_SESSION = {
+    subject: 'GS1',
+    topic: '',
+    topicId: null,
+    notes: '',
+    linkedTask: null,
+    completeAtEstimate: false
+};
+
+export const getPhaseMs = (pomodoro, phase) => (pomodoro[POMODORO_PHASES[phase].setting] || DEFAULT_POMODORO[POMODORO_PHASES[phase].setting]) * 60000;
+
+/**
+ * A fresh, idle timer.
+ * @param {Object} [options]
+ * @param {string} [options.mode] - 'stopwatch' | 'pomodoro'
+ * @param {number} [options.durationMs] - first focus block length, the configured one by default
+ * @param {Object} [options.session] - what is being studied
+ * @param {Object} [options.pomodoro] - cycle settings
+ */
+export const createTimer = ({ mode = 'stopwatch', durationMs, session = DEFAULT_SESSION, pomodoro = DEFAULT_POMODORO } = {}) => {
+    const settings = { ...DEFAULT_POMODORO, ...pomodoro };
+    return {
+        mode,
+        status: 'idle',
+        accumulatedMs: 0,
+        resumedAt: null,
+        startedAt: null,
+        durationMs: durationMs || getPhaseMs(settings, 'focus'),
+        phase: 'focus',
+        cycle: 0,
+        focusMs: 0,
+        breakMs: 0,
+        pauses: [],
+        pomodoro: settings,
+        session: { ...DEFAULT_SESSION, ...session }
+    };
+};
+
+export const getElapsedMs = (timer, now = Date.now()) => {
+    const running = timer.status === 'running' && timer.resumedAt != null ? Math.max(0, now - timer.resumedAt) : 0;
+    const elapsed = timer.accumulatedMs + running;
+    return timer.mode === 'pomodoro' ? Math.min(elapsed, timer.durationMs) : elapsed;
+};
+
+export const getRemainingMs = (timer, now = Date.now()) => Math.max(0, timer.durationMs - getElapsedMs(timer, now));
+
+// A pomodoro whose time ran out while running (possibly while the tab was asleep)
+export const isTimerFinished = (timer, now = Date.now()) =>
+    timer.mode === 'pomodoro' && timer.status === 'running' && getRemainingMs(timer, now) === 0;
+
+export const hasTimedTime = (timer) => timer.status !== 'idle' || timer.accumulatedMs > 0;
+
+export const startTimer = (timer, now = Date.now()) => {
+    if (timer.status === 'running') return timer;
+    return {
+        ...timer,
+        status: 'running',
+        resumedAt: now,
+        startedAt: timer.startedAt ?? now,
+        pauses: timer.pauses.map(pause => (pause.end == null ? { ...pause, end: now } : pause))
+    };
+};
+
+// `record` is off when pausing only to stop and save; the reason can be given afterwards
+export const pauseTimer = (timer, now = Date.now(), record = true) => {
+    if (timer.status !== 'running') return timer;
+    return {
+        ...timer,
+        status: 'paused',
+        accumulatedMs: getElapsedMs(timer, now),
+        resumedAt: null,
+        pauses: record ? [...timer.pauses, { reason: null, start: now, end: null }] : timer.pauses
+    };
+};
+
+export const setPauseReason = (timer, reason) => {
+    if (timer.pauses.length === 0) return timer;
+    const pauses = [...timer.pauses];
+    pauses[pauses.length - 1] = { ...pauses[pauses.length - 1], reason };
+    return { ...timer, pauses };
+};
+
+// The open pause while paused, if it's still waiting for a reason
+export const getOpenPause = (timer) => {
+    const last = timer.pauses[timer.pauses.length - 1];
+    return timer.status === 'paused' && last && last.end == null ? last : null;
+};
+
+// Wall-clock span of the time being timed (pomodoro: the focus block in progress), pauses included.
+// A session left paused ends where the pause began.
+export const getSessionSpan = (timer, now = Date.now()) => {
+    const endedAt = getOpenPause(timer)?.start ?? now;
+    const pausedMs = timer.pauses.reduce((acc, pause) => acc + (pause.end != null ? pause.end - pause.start : 0), 0);
+    return { startedAt: endedAt - getElapsedMs(timer, endedAt) - pausedMs, endedAt };
+};
+
+export const formatClock = (secs) => {
+    const h = Math.floor(secs / 3600);
+    const m = Math.floor((secs % 3600) / 60);
+    const s = secs % 60;
+    return `${h > 0 ? h + ':' : ''}${m.toString().padStart(2, '0')}:${s.toString().padStart(2, '0')}`;
+};
+
+// Back to zero, keeping the mode, settings and what is being studied
+export const resetTimer = (timer) => createTimer({ mode: timer.mode, session: timer.session, pomodoro: timer.pomodoro });
+
+// New settings apply from the next phase, or right away to a focus block that hasn't started
+export const setPomodoroSettings = (timer, changes) => {
+    const pomodoro = { ...timer.pomodoro, ...changes };
+    const untouched = timer.status === 'idle' && timer.accumulatedMs === 0;
+    return { ...timer, pomodoro, ...(untouched ? { durationMs: getPhaseMs(pomodoro, timer.phase) } : {}) };
+};
+
+export const getNextPhase = (phase, cycle, pomodoro) => {
+    if (phase !== 'focus') return 'focus';
+    return cycle % Math.max(1, pomodoro.longBreakEvery) === 0 ? 'longBreak' : 'shortBreak';
+};
+
+/**
+ * Move a pomodoro past every phase that has run out by `now`. With auto-start each next phase
+ * begins the moment the last one ended, so a tab that slept catches up on all of them.
+ * @returns {{ timer: Object, finished: Array<{ phase, cycle, startedAt, endedAt, durationMs, pauses }> }}
+ */
+export const advancePomodoro = (timer, now = Date.now()) => {
+    let current = timer;
+    const finished = [];
+
+    while (isTimerFinished(current, now) && finished.length < MAX_CATCH_UP_PHASES) {
+        const endedAt = current.resumedAt + (current.durationMs - current.accumulatedMs);
+        const isFocus = current.phase === 'focus';
+        const cycle = isFocus ? current.cycle + 1 : current.cycle;
+        finished.push({
+            phase: current.phase,
+            cycle,
+            startedAt: endedAt - current.durationMs,
+            endedAt,
+            durationMs: current.durationMs,
+            pauses: current.pauses
+        });
+
+        const phase = getNextPhase(current.phase, cycle, current.pomodoro);
+        current = {
+            ...current,
+            phase,
+            cycle,
+            focusMs: current.focusMs + (isFocus ? current.durationMs : 0),
+            breakMs: current.breakMs + (isFocus ? 0 : current.durationMs),
+            durationMs: getPhaseMs(current.pomodoro, phase),
+            accumulatedMs: 0,
+            pauses: [],
+            // Without auto-start the next phase waits, ready, for the user to press play
+            status: current.pomodoro.autoStart ? 'running' : 'paused',
+            resumedAt: current.pomodoro.autoStart ? endedAt : null
+        };
+    }
+
+    return { timer: current, finished };
+};
+
+// --- Persistence ---
+
+const storageKey = (uid) => `upsc-os-timer-${uid}`;
+
+export const loadTimer = (uid) => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(storageKey(uid)));
+        if (saved?.mode && saved?.status) {
+            const fresh = createTimer({ mode: saved.mode, session: saved.session, pomodoro: saved.pomodoro });
+            return { ...fresh, ...saved, session: fresh.session, pomodoro: fresh.pomodoro };
+        }
+    } catch (e) {
+        console.error("Error restoring timer:", e);
+    }
+    return createTimer();
+};
+
+export const saveTimer = (uid, timer) => {
+    try {
+        localStorage.setItem(storageKey(uid), JSON.stringify(timer));
+    } catch (e) {
+        console.error("Error saving timer:", e);
+    }
+};
+
+// Changes made in other tabs (the `storage` event never fires in the tab that wrote)
+export const subscribeToTimer = (uid, callback) => {
+    const handleStorage = (event) => {
+        if (event.key === storageKey(uid)) callback(loadTimer(uid));
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+};
@@ -0,0 +1,122 @@
+import { describe, it, expect } from 'vitest';
+import {
+    createTimer, startTimer, pauseTimer, setPauseReason, getElapsedMs, getRemainingMs, isTimerFinished,
+    getSessionSpan, setPomodoroSettings, getNextPhase, advancePomodoro, formatClock
+} from './session-timer';
+
+const MIN = 60000;
+const T0 = Date.UTC(2024, 2, 11, 9, 0);
+
+const pomodoro = (settings = {}) => createTimer({
+    mode: 'pomodoro',
+    pomodoro: { focusMinutes: 25, shortBreakMinutes: 5, longBreakMinutes: 15, longBreakEvery: 2, ...settings }
+});
+
+describe('stopwatch', () => {
+    it('counts wall-clock time while running and holds it while paused', () => {
+        let timer = startTimer(createTimer(), T0);
+        expect(getElapsedMs(timer, T0 + 10 * MIN)).toBe(10 * MIN);
+
+        timer = pauseTimer(timer, T0 + 10 * MIN);
+        expect(getElapsedMs(timer, T0 + 60 * MIN)).toBe(10 * MIN);
+
+        timer = startTimer(timer, T0 + 15 * MIN);
+        expect(getElapsedMs(timer, T0 + 20 * MIN)).toBe(15 * MIN);
+        expect(timer.startedAt).toBe(T0);
+    });
+
+    it('records pauses and closes them on resume', () => {
+        let timer = pauseTimer(startTimer(createTimer(), T0), T0 + 10 * MIN);
+        timer = setPauseReason(timer, 'phone');
+        expect(timer.pauses).toEqual([{ reason: 'phone', start: T0 + 10 * MIN, end: null }]);
+
+        timer = startTimer(timer, T0 + 15 * MIN);
+        expect(timer.pauses).toEqual([{ reason: 'phone', start: T0 + 10 * MIN, end: T0 + 15 * MIN }]);
+    });
+
+    it('leaves unrecorded pauses out', () => {
+        const timer = pauseTimer(startTimer(createTimer(), T0), T0 + 10 * MIN, false);
+        expect(timer.pauses).toEqual([]);
+    });
+});
+
+describe('getSessionSpan', () => {
+    it('starts the span early enough to hold the time paused', () => {
+        let timer = startTimer(createTimer(), T0);
+        timer = startTimer(pauseTimer(timer, T0 + 10 * MIN), T0 + 15 * MIN);
+        expect(getSessionSpan(timer, T0 + 40 * MIN)).toEqual({ startedAt: T0, endedAt: T0 + 40 * MIN });
+    });
+
+    it('ends a paused session where the open pause began', () => {
+        const timer = pauseTimer(startTimer(createTimer(), T0), T0 + 30 * MIN);
+        expect(getSessionSpan(timer, T0 + 90 * MIN)).toEqual({ startedAt: T0, endedAt: T0 + 30 * MIN });
+    });
+});
+
+describe('pomodoro', () => {
+    it('caps elapsed time at the phase length and finishes only while running', () => {
+        const timer = startTimer(pomodoro(), T0);
+        expect(getRemainingMs(timer, T0 + 20 * MIN)).toBe(5 * MIN);
+        expect(getElapsedMs(timer, T0 + 40 * MIN)).toBe(25 * MIN);
+        expect(isTimerFinished(timer, T0 + 25 * MIN)).toBe(true);
+        expect(isTimerFinished(pauseTimer(timer, T0 + 10 * MIN), T0 + 40 * MIN)).toBe(false);
+    });
+
+    it('applies new settings now only to a block that has not started', () => {
+        expect(setPomodoroSettings(pomodoro(), { focusMinutes: 50 }).durationMs).toBe(50 * MIN);
+        const running = startTimer(pomodoro(), T0);
+        expect(setPomodoroSettings(running, { focusMinutes: 50 }).durationMs).toBe(25 * MIN);
+    });
+
+    it('takes a long break after every few focus blocks', () => {
+        const settings = { longBreakEvery: 2 };
+        expect(getNextPhase('focus', 1, settings)).toBe('shortBreak');
+        expect(getNextPhase('focus', 2, settings)).toBe('longBreak');
+        expect(getNextPhase('shortBreak', 1, settings)).toBe('focus');
+    });
+});
+
+describe('advancePomodoro', () => {
+    it('ends a focus block and waits for the user without auto-start', () => {
+        let timer = startTimer(pomodoro(), T0);
+        timer = startTimer(pauseTimer(timer, T0 + 10 * MIN), T0 + 12 * MIN);
+
+        const { timer: next, finished } = advancePomodoro(timer, T0 + 30 * MIN);
+        // Two minutes paused push the end of the 25-minute block to 27 minutes in
+        expect(finished).toEqual([{
+            phase: 'focus',
+            cycle: 1,
+            startedAt: T0 + 2 * MIN,
+            endedAt: T0 + 27 * MIN,
+            durationMs: 25 * MIN,
+            pauses: [{ reason: null, start: T0 + 10 * MIN, end: T0 + 12 * MIN }]
+        }]);
+        expect(next).toMatchObject({
+            phase: 'shortBreak', cycle: 1, status: 'paused', resumedAt: null,
+            accumulatedMs: 0, durationMs: 5 * MIN, focusMs: 25 * MIN, pauses: []
+        });
+    });
+
+    it('catches up on every phase a sleeping tab missed with auto-start', () => {
+        const timer = startTimer(pomodoro({ autoStart: true }), T0);
+
+        // focus 25 + short 5 + focus 25 + long 15 = 70 minutes, then 5 into the next focus block
+        const { timer: next, finished } = advancePomodoro(timer, T0 + 75 * MIN);
+        expect(finished.map(block => block.phase)).toEqual(['focus', 'shortBreak', 'focus', 'longBreak']);
+        expect(finished[3].endedAt).toBe(T0 + 70 * MIN);
+        expect(next).toMatchObject({ phase: 'focus', cycle: 2, status: 'running', resumedAt: T0 + 70 * MIN, focusMs: 50 * MIN, breakMs: 20 * MIN });
+        expect(getElapsedMs(next, T0 + 75 * MIN)).toBe(5 * MIN);
+    });
+
+    it('leaves an unfinished phase alone', () => {
+        const timer = startTimer(pomodoro(), T0);
+        expect(advancePomodoro(timer, T0 + 10 * MIN)).toEqual({ timer, finished: [] });
+    });
+});
+
+describe('formatClock', () => {
+    it('shows hours only when there are some', () => {
+        expect(formatClock(65)).toBe('01:05');
+        expect(formatClock(3725)).toBe('1:02:05');
+    });
+});
@@ -0,0 +1,121 @@
+import { addDays, differenceInCalendarDays } from 'date-fns';
+
+// --- Spaced Repetition (SM-2) ---
+// Scheduling state lives on each syllabus node's `stats` object:
+// { easeFactor, repetitions, revisionInterval (days), dueDate, lastReviewed, lastGrade }
+
+export const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+const FIRST_INTERVAL = 1;
+const SECOND_INTERVAL = 6;
+
+export const GRADES = [
+    { id: 'again', label: 'Again', description: 'Forgot it' },
+    { id: 'hard', label: 'Hard', description: 'Recalled with effort' },
+    { id: 'good', label: 'Good', description: 'Recalled correctly' },
+    { id: 'easy', label: 'Easy', description: 'Instant recall' },
+];
+
+const toDate = (value) => (value ? new Date(value) : null);
+
+// Due date of a topic. Topics scheduled before the SM-2 scheduler existed only
+// have lastStudied + revisionInterval, so derive the due date from those.
+export const getDueDate = (stats) => {
+    if (!stats) return null;
+    if (stats.dueDate) return new Date(stats.dueDate);
+    const last = toDate(stats.lastReviewed || stats.lastStudied);
+    if (!last) return null;
+    return addDays(last, stats.revisionInterval || FIRST_INTERVAL);
+};
+
+// Schedule the first review for a topic that was just studied (no-op if already scheduled)
+export const scheduleFirstReview = (stats, now = new Date()) => {
+    if (stats.dueDate) return stats;
+    return {
+        ...stats,
+        easeFactor: stats.easeFactor || DEFAULT_EASE,
+        repetitions: stats.repetitions || 0,
+        revisionInterval: FIRST_INTERVAL,
+        dueDate: addDays(now, FIRST_INTERVAL).toISOString()
+    };
+};
+
+// Apply a graded recall to a topic's stats and return the new stats
+export const reviewTopic = (stats = {}, grade, now = new Date()) => {
+    let easeFactor = stats.easeFactor || DEFAULT_EASE;
+    let repetitions = stats.repetitions || 0;
+    const previousInterval = stats.revisionInterval || FIRST_INTERVAL;
+    let interval;
+
+    switch (grade) {
+        case 'again':
+            repetitions = 0;
+            interval = FIRST_INTERVAL;
+            easeFactor -= 0.2;
+            break;
+        case 'hard':
+            repetitions += 1;
+            interval = Math.max(FIRST_INTERVAL, Math.round(previousInterval * 1.2));
+            easeFactor -= 0.15;
+            break;
+        case 'good':
+        case 'easy': {
+            repetitions += 1;
+            if (repetitions === 1) interval = FIRST_INTERVAL;
+            else if (repetitions === 2) interval = SECOND_INTERVAL;
+            else interval = Math.round(previousInterval * easeFactor);
+
+            if (grade === 'easy') {
+                interval = Math.round(interval * 1.3) + 1;
+                easeFactor += 0.15;
+            }
+            break;
+        }
+        default:
+            throw new Error(`Unknown recall grade: ${grade}`);
+    }
+
+    easeFactor = Math.max(MIN_EASE, parseFloat(easeFactor.toFixed(2)));
+
+    return {
+        ...stats,
+        easeFactor,
+        repetitions,
+        revisionInterval: interval,
+        dueDate: addDays(now, interval).toISOString(),
+        lastReviewed: now.toISOString(),
+        lastStudied: now.toISOString(),
+        lastGrade: grade,
+        needsRevision: false
+    };
+};
+
+// 'overdue' | 'due' | 'upcoming' | 'unscheduled'
+export const getReviewStatus = (stats, now = new Date()) => {
+    const due = getDueDate(stats);
+    if (!due) return 'unscheduled';
+    const days = differenceInCalendarDays(due, now);
+    if (days < 0) return 'overdue';
+    if (days === 0) return 'due';
+    return 'upcoming';
+};
+
+// Split topics into the revision queue. Each topic needs a `stats` object.
+export const buildRevisionQueue = (topics, now = new Date(), upcomingDays = 7) => {
+    const queue = { overdue: [], due: [], upcoming: [] };
+
+    topics.forEach(topic => {
+        const status = getReviewStatus(topic.stats, now);
+        if (status === 'unscheduled') return;
+        const dueDate = getDueDate(topic.stats);
+        const entry = { ...topic, dueDate, daysUntilDue: differenceInCalendarDays(dueDate, now) };
+        if (status === 'upcoming' && entry.daysUntilDue > upcomingDays) return;
+        queue[status].push(entry);
+    });
+
+    const byDue = (a, b) => a.dueDate - b.dueDate;
+    queue.overdue.sort(byDue);
+    queue.due.sort(byDue);
+    queue.upcoming.sort(byDue);
+    return queue;
+};
@@ -0,0 +1,126 @@
+import { db } from '../firebase';
+import {
+    doc,
+    collection,
+    getDoc,
+    getDocs,
+    setDoc,
+    updateDoc,
+    deleteDoc,
+    onSnapshot,
+    query,
+    where,
+    orderBy,
+    limit,
+    startAfter,
+    writeBatch,
+    runTransaction,
+    Timestamp,
+    increment
+} from 'firebase/firestore';
+
+const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+// Firestore keeps offline writes in its persistent cache and syncs them later, but the
+// returned promise only settles once the server acknowledges. Don't block the UI on that.
+const settle = (promise) => {
+    if (!isOffline()) return promise;
+    promise.catch((e) => console.error("Queued write failed:", e));
+    return Promise.resolve();
+};
+
+const buildQuery = (collectionPath, options = {}) => {
+    const constraints = [
+        ...(options.where || []).map(([field, op, value]) => where(field, op, value)),
+        ...(options.orderBy || []).map(([field, direction]) => orderBy(field, direction || 'asc'))
+    ];
+    if (options.startAfter) constraints.push(startAfter(...options.startAfter));
+    if (options.limit) constraints.push(limit(options.limit));
+    return query(collection(db, collectionPath), ...constraints);
+};
+
+const toDocs = (snapshot) => {
+    const docs = [];
+    snapshot.forEach((d) => docs.push({ id: d.id, ...d.data() }));
+    return docs;
+};
+
+export const createFirestoreAdapter = () => ({
+    name: 'firestore',
+
+    get: async (path) => {
+        const snap = await getDoc(doc(db, path));
+        return snap.exists() ? snap.data() : null;
+    },
+
+    set: (path, data, options = {}) => settle(setDoc(doc(db, path), data, options)),
+
+    update: (path, data) => settle(updateDoc(doc(db, path), data)),
+
+    add: async (collectionPath, data) => {
+        const ref = doc(collection(db, collectionPath));
+        await settle(setDoc(ref, data));
+        return ref.id;
+    },
+
+    remove: (path) => settle(deleteDoc(doc(db, path))),
+
+    query: async (collectionPath, options) => {
+        const snapshot = await getDocs(buildQuery(collectionPath, options));
+        return toDocs(snapshot);
+    },
+
+    watch: (path, onData, onError) => onSnapshot(doc(db, path), (snap) => {
+        onData(snap.exists() ? snap.data() : null);
+    }, onError),
+
+    watchQuery: (collectionPath, options, onData, onError) => onSnapshot(
+        buildQuery(collectionPath, options),
+        (snapshot) => onData(toDocs(snapshot)),
+        onError
+    ),
+
+    batch: () => {
+        const batch = writeBatch(db);
+        return {
+            set: (path, data, options = {}) => batch.set(doc(db, path), data, options),
+            update: (path, data) => batch.update(doc(db, path), data),
+            delete: (path) => batch.delete(doc(db, path)),
+            commit: () => settle(batch.commit())
+        };
+    },
+
+    // Transactions need the server. Offline, the same function runs against the local cache
+    // and its writes go out as a batch once the connection is back.
+    transaction: async (run) => {
+        if (isOffline()) {
+            const batch = writeBatch(db);
+            const result = await run({
+                get: async (path) => {
+                    const snap = await getDoc(doc(db, path));
+                    return snap.exists() ? snap.data() : null;
+                },
+                set: (path, data, options = {}) => batch.set(doc(db, path), data, options),
+                update: (path, data) => batch.update(doc(db, path), data),
+                delete: (path) => batch.delete(doc(db, path))
+            });
+            await settle(batch.commit());
+            return result;
+        }
+        return runTransaction(db, (transaction) => run({
+            get: async (path) => {
+                const snap = await transaction.get(doc(db, path));
+                return snap.exists() ? snap.data() : null;
+            },
+            set: (path, data, options = {}) => transaction.set(doc(db, path), data, options),
+            update: (path, data) => transaction.update(doc(db, path), data),
+            delete: (path) => transaction.delete(doc(db, path))
+        }));
+    },
+
+    newId: (collectionPath) => doc(collection(db, collectionPath)).id,
+
+    now: () => Timestamp.now(),
+    fromDate: (date) => Timestamp.fromDate(date),
+    increment: (amount) => increment(amount)
+});
@@ -0,0 +1,72 @@
+import { createFirestoreAdapter } from './firestore-adapter';
+import { createLocalAdapter } from './local-adapter';
+
+/**
+ * Storage adapter contract used by db.js.
+ *
+ * Paths are slash separated, e.g. "logs/{id}" or "users/{uid}/dailyStats/{date}".
+ * get/watch return the document data (or null when missing); query/watchQuery return
+ * documents with their `id` merged in.
+ *
+ * @typedef {Object} QueryOptions
+ * @property {Array<[string, string, *]>} [where] - [field, operator, value] filters ("__name__" is the doc id)
+ * @property {Array<[string, 'asc'|'desc']>} [orderBy] - sort fields, applied in order
+ * @property {number} [limit] - maximum number of documents
+ * @property {Array<*>} [startAfter] - orderBy values of the last document of the previous page
+ *
+ * @typedef {Object} WriteBatch
+ * @property {(path: string, data: Object, options?: { merge?: boolean }) => void} set
+ * @property {(path: string, data: Object) => void} update
+ * @property {(path: string) => void} delete
+ * @property {() => Promise<void>} commit
+ *
+ * @typedef {Object} Transaction - every get must come before the first write
+ * @property {(path: string) => Promise<Object|null>} get
+ * @property {(path: string, data: Object, options?: { merge?: boolean }) => void} set
+ * @property {(path: string, data: Object) => void} update
+ * @property {(path: string) => void} delete
+ *
+ * @typedef {Object} StorageAdapter
+ * @property {string} name
+ * @property {(path: string) => Promise<Object|null>} get
+ * @property {(path: string, data: Object, options?: { merge?: boolean }) => Promise<void>} set
+ * @property {(path: string, data: Object) => Promise<void>} update
+ * @property {(collectionPath: string, data: Object) => Promise<string>} add - resolves to the new id
+ * @property {(path: string) => Promise<void>} remove
+ * @property {(collectionPath: string, options?: QueryOptions) => Promise<Object[]>} query
+ * @property {(path: string, onData: Function, onError?: Function) => Function} watch - returns unsubscribe
+ * @property {(collectionPath: string, options: QueryOptions, onData: Function, onError?: Function) => Function} watchQuery
+ * @property {() => WriteBatch} batch
+ * @property {(run: (tx: Transaction) => Promise<*>) => Promise<*>} transaction - read-modify-write that is
+ *   retried when a document it read changes first; resolves to what `run` returns
+ * @property {(collectionPath: string) => string} newId
+ * @property {() => *} now - timestamp value for "now" (exposes seconds / toDate())
+ * @property {(date: Date) => *} fromDate
+ * @property {(amount: number) => *} increment - numeric field transform for set/update
+ */
+
+// Select with VITE_STORAGE_BACKEND=local to run without Firebase (IndexedDB, or memory outside the browser)
+export const STORAGE_BACKEND = import.meta.env?.VITE_STORAGE_BACKEND === 'local' ? 'local' : 'firestore';
+
+/** @type {StorageAdapter} */
+let activeAdapter = null;
+
+const getAdapter = () => {
+    if (!activeAdapter) {
+        activeAdapter = STORAGE_BACKEND === 'local' ? createLocalAdapter() : createFirestoreAdapter();
+    }
+    return activeAdapter;
+};
+
+// Swap the backend at runtime (e.g. an in-memory adapter for tests)
+export const setStorageAdapter = (adapter) => {
+    activeAdapter = adapter;
+};
+
+// Proxy so callers can import `store` once and still follow setStorageAdapter()
+export const store = new Proxy({}, {
+    get: (_, key) => {
+        const value = getAdapter()[key];
+        return typeof value === 'function' ? value.bind(getAdapter()) : value;
+    }
+});
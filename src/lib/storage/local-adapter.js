@@ -0,0 +1,403 @@
+// Local storage adapter: an in-memory document store with the same contract as the
+// Firestore adapter, persisted to IndexedDB when the browser provides it.
+
+const DB_NAME = 'upsc-os-local';
+const STORE_NAME = 'documents';
+const TRANSACTION_ATTEMPTS = 5;
+
+// Mirrors the parts of Firestore's Timestamp the app reads (seconds, toDate, toMillis)
+export class LocalTimestamp {
+    constructor(seconds, nanoseconds = 0) {
+        this.seconds = seconds;
+        this.nanoseconds = nanoseconds;
+    }
+
+    static fromMillis(ms) {
+        return new LocalTimestamp(Math.floor(ms / 1000), (ms % 1000) * 1e6);
+    }
+
+    static fromDate(date) {
+        return LocalTimestamp.fromMillis(date.getTime());
+    }
+
+    static now() {
+        return LocalTimestamp.fromMillis(Date.now());
+    }
+
+    toMillis() {
+        return this.seconds * 1000 + Math.floor(this.nanoseconds / 1e6);
+    }
+
+    toDate() {
+        return new Date(this.toMillis());
+    }
+}
+
+class Increment {
+    constructor(amount) {
+        this.amount = amount;
+    }
+}
+
+const isPlainObject = (value) =>
+    value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof LocalTimestamp) && !(value instanceof Increment) && !(value instanceof Date);
+
+const clone = (value) => {
+    if (value instanceof LocalTimestamp) return new LocalTimestamp(value.seconds, value.nanoseconds);
+    if (value instanceof Date) return new Date(value.getTime());
+    if (Array.isArray(value)) return value.map(clone);
+    if (isPlainObject(value)) {
+        const out = {};
+        Object.entries(value).forEach(([k, v]) => { out[k] = clone(v); });
+        return out;
+    }
+    return value;
+};
+
+// Apply field transforms (increment) and, for merges, deep-merge nested maps like Firestore does
+const applyData = (previous, data, merge) => {
+    const result = merge && isPlainObject(previous) ? clone(previous) : {};
+    Object.entries(data).forEach(([key, value]) => {
+        if (value === undefined) return;
+        if (value instanceof Increment) {
+            result[key] = (typeof result[key] === 'number' ? result[key] : (previous?.[key] || 0)) + value.amount;
+        } else if (merge && isPlainObject(value) && isPlainObject(result[key])) {
+            result[key] = applyData(result[key], value, true);
+        } else {
+            result[key] = clone(value);
+        }
+    });
+    return result;
+};
+
+// --- Serialization (IndexedDB cannot keep class instances) ---
+
+const serialize = (value) => {
+    if (value instanceof LocalTimestamp) return { __timestamp: value.toMillis() };
+    if (Array.isArray(value)) return value.map(serialize);
+    if (isPlainObject(value)) {
+        const out = {};
+        Object.entries(value).forEach(([k, v]) => { out[k] = serialize(v); });
+        return out;
+    }
+    return value;
+};
+
+const deserialize = (value) => {
+    if (Array.isArray(value)) return value.map(deserialize);
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+        if (typeof value.__timestamp === 'number') return LocalTimestamp.fromMillis(value.__timestamp);
+        const out = {};
+        Object.entries(value).forEach(([k, v]) => { out[k] = deserialize(v); });
+        return out;
+    }
+    return value;
+};
+
+// --- Query evaluation ---
+
+const comparable = (value) => {
+    if (value instanceof LocalTimestamp) return value.toMillis();
+    if (value instanceof Date) return value.getTime();
+    if (value && typeof value.toMillis === 'function') return value.toMillis();
+    return value;
+};
+
+const readField = (id, data, field) => {
+    if (field === '__name__') return id;
+    return field.split('.').reduce((acc, key) => (acc == null ? undefined : acc[key]), data);
+};
+
+const compare = (a, b) => {
+    const x = comparable(a);
+    const y = comparable(b);
+    if (x === y) return 0;
+    if (x === undefined || x === null) return -1;
+    if (y === undefined || y === null) return 1;
+    return x < y ? -1 : 1;
+};
+
+const matches = (id, data, [field, op, value]) => {
+    const actual = readField(id, data, field);
+    switch (op) {
+        case '==': return compare(actual, value) === 0 && (actual !== undefined || value === undefined);
+        case '!=': return actual !== undefined && compare(actual, value) !== 0;
+        case '<': return actual !== undefined && compare(actual, value) < 0;
+        case '<=': return actual !== undefined && compare(actual, value) <= 0;
+        case '>': return actual !== undefined && compare(actual, value) > 0;
+        case '>=': return actual !== undefined && compare(actual, value) >= 0;
+        case 'in': return value.some(v => compare(actual, v) === 0);
+        case 'array-contains': return Array.isArray(actual) && actual.some(v => compare(v, value) === 0);
+        default: throw new Error(`Unsupported query operator: ${op}`);
+    }
+};
+
+const parentOf = (path) => path.substring(0, path.lastIndexOf('/'));
+const idOf = (path) => path.substring(path.lastIndexOf('/') + 1);
+
+const generateId = () => {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    let id = '';
+    for (let i = 0; i < 20; i++) id += chars[Math.floor(Math.random() * chars.length)];
+    return id;
+};
+
+// --- IndexedDB persistence ---
+
+const openDatabase = () => new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const createPersistence = () => {
+    if (typeof indexedDB === 'undefined') return null;
+    const dbPromise = openDatabase();
+
+    return {
+        loadAll: async () => {
+            const database = await dbPromise;
+            return new Promise((resolve, reject) => {
+                const entries = [];
+                const tx = database.transaction(STORE_NAME, 'readonly');
+                const request = tx.objectStore(STORE_NAME).openCursor();
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) return resolve(entries);
+                    entries.push([cursor.key, deserialize(cursor.value)]);
+                    cursor.continue();
+                };
+                request.onerror = () => reject(request.error);
+            });
+        },
+        write: async (changes) => {
+            const database = await dbPromise;
+            return new Promise((resolve, reject) => {
+                const tx = database.transaction(STORE_NAME, 'readwrite');
+                const objectStore = tx.objectStore(STORE_NAME);
+                changes.forEach(([path, data]) => {
+                    if (data === null) objectStore.delete(path);
+                    else objectStore.put(serialize(data), path);
+                });
+                tx.oncomplete = () => resolve();
+                tx.onerror = () => reject(tx.error);
+            });
+        }
+    };
+};
+
+/**
+ * @param {Object} [options]
+ * @param {boolean} [options.persist=true] - persist to IndexedDB when available
+ * @param {Object<string, Object>} [options.seed] - initial documents keyed by path
+ * @returns {import('./index').StorageAdapter}
+ */
+export const createLocalAdapter = ({ persist = true, seed = {} } = {}) => {
+    const documents = new Map(Object.entries(seed).map(([path, data]) => [path, clone(data)]));
+    const listeners = new Set();
+    const persistence = persist ? createPersistence() : null;
+
+    const ready = persistence
+        ? persistence.loadAll()
+            .then(entries => entries.forEach(([path, data]) => {
+                if (!documents.has(path)) documents.set(path, data);
+            }))
+            .catch(e => console.error("Error loading local data:", e))
+        : Promise.resolve();
+
+    const readDoc = (path) => {
+        const data = documents.get(path);
+        return data ? clone(data) : null;
+    };
+
+    const runQuery = (collectionPath, options = {}) => {
+        let results = [];
+        documents.forEach((data, path) => {
+            if (parentOf(path) !== collectionPath) return;
+            const id = idOf(path);
+            if ((options.where || []).every(filter => matches(id, data, filter))) {
+                results.push({ id, data });
+            }
+        });
+
+        const orders = options.orderBy || [];
+        if (orders.length > 0) {
+            // Firestore leaves out documents that lack an orderBy field
+            results = results.filter(r => orders.every(([field]) => readField(r.id, r.data, field) !== undefined));
+            const sortKey = (r) => orders.map(([field]) => readField(r.id, r.data, field));
+            results.sort((a, b) => {
+                for (let i = 0; i < orders.length; i++) {
+                    const c = compare(sortKey(a)[i], sortKey(b)[i]);
+                    if (c !== 0) return orders[i][1] === 'desc' ? -c : c;
+                }
+                return 0;
+            });
+
+            if (options.startAfter) {
+                results = results.filter(r => {
+                    const key = sortKey(r);
+                    for (let i = 0; i < options.startAfter.length; i++) {
+                        const c = compare(key[i], options.startAfter[i]);
+                        if (c !== 0) return orders[i][1] === 'desc' ? c < 0 : c > 0;
+                    }
+                    return false;
+                });
+            }
+        }
+
+        if (options.limit) results = results.slice(0, options.limit);
+        return results.map(r => ({ id: r.id, ...clone(r.data) }));
+    };
+
+    const notify = (changedPaths) => {
+        const changed = new Set(changedPaths);
+        const parents = new Set(changedPaths.map(parentOf));
+        listeners.forEach(listener => {
+            if (listener.type === 'doc' && changed.has(listener.path)) {
+                listener.onData(readDoc(listener.path));
+            } else if (listener.type === 'query' && parents.has(listener.path)) {
+                listener.onData(runQuery(listener.path, listener.options));
+            }
+        });
+    };
+
+    // Apply a list of [path, data|null] changes atomically, then persist and notify
+    const commit = async (changes) => {
+        await ready;
+        changes.forEach(([path, data]) => {
+            if (data === null) documents.delete(path);
+            else documents.set(path, data);
+        });
+        if (persistence) {
+            persistence.write(changes).catch(e => console.error("Error persisting local data:", e));
+        }
+        notify(changes.map(([path]) => path));
+    };
+
+    const prepareSet = (path, data, options = {}) => [path, applyData(documents.get(path), data, !!options.merge)];
+
+    const prepareUpdate = (path, data) => {
+        if (!documents.has(path)) throw new Error(`No document to update: ${path}`);
+        return [path, applyData(documents.get(path), data, true)];
+    };
+
+    // Apply queued operations in order so later ones see earlier ones; roll back if any fails.
+    // The documents change synchronously, before anything else can run.
+    const applyOperations = (operations) => {
+        const original = new Map();
+        const final = new Map();
+        try {
+            operations.forEach(op => {
+                const [path, data] = op();
+                if (!original.has(path)) original.set(path, documents.get(path));
+                final.set(path, data);
+                if (data === null) documents.delete(path);
+                else documents.set(path, data);
+            });
+        } catch (e) {
+            original.forEach((data, path) => {
+                if (data === undefined) documents.delete(path);
+                else documents.set(path, data);
+            });
+            throw e;
+        }
+        return commit([...final.entries()]);
+    };
+
+    const queueWrites = (operations) => ({
+        set: (path, data, options) => operations.push(() => prepareSet(path, data, options)),
+        update: (path, data) => operations.push(() => prepareUpdate(path, data)),
+        delete: (path) => operations.push(() => [path, null])
+    });
+
+    const subscribe = (listener) => {
+        listeners.add(listener);
+        ready.then(() => {
+            if (!listeners.has(listener)) return;
+            listener.onData(listener.type === 'doc'
+                ? readDoc(listener.path)
+                : runQuery(listener.path, listener.options));
+        });
+        return () => listeners.delete(listener);
+    };
+
+    return {
+        name: 'local',
+
+        get: async (path) => {
+            await ready;
+            return readDoc(path);
+        },
+
+        set: async (path, data, options) => {
+            await ready;
+            await commit([prepareSet(path, data, options)]);
+        },
+
+        update: async (path, data) => {
+            await ready;
+            await commit([prepareUpdate(path, data)]);
+        },
+
+        add: async (collectionPath, data) => {
+            await ready;
+            const id = generateId();
+            await commit([prepareSet(`${collectionPath}/${id}`, data)]);
+            return id;
+        },
+
+        remove: async (path) => {
+            await commit([[path, null]]);
+        },
+
+        query: async (collectionPath, options) => {
+            await ready;
+            return runQuery(collectionPath, options);
+        },
+
+        watch: (path, onData) => subscribe({ type: 'doc', path, onData }),
+
+        watchQuery: (collectionPath, options, onData) => subscribe({ type: 'query', path: collectionPath, options, onData }),
+
+        batch: () => {
+            const operations = [];
+            return {
+                ...queueWrites(operations),
+                commit: async () => {
+                    await ready;
+                    await applyOperations(operations);
+                }
+            };
+        },
+
+        // Like Firestore: writes apply together at the end, and the whole function runs again
+        // (up to TRANSACTION_ATTEMPTS times) if a document it read changed in the meantime
+        transaction: async (run) => {
+            await ready;
+            for (let attempt = 1; ; attempt++) {
+                const reads = new Map();
+                const operations = [];
+                const result = await run({
+                    get: async (path) => {
+                        if (!reads.has(path)) reads.set(path, documents.get(path));
+                        return readDoc(path);
+                    },
+                    ...queueWrites(operations)
+                });
+                if ([...reads].every(([path, data]) => documents.get(path) === data)) {
+                    await applyOperations(operations);
+                    return result;
+                }
+                if (attempt >= TRANSACTION_ATTEMPTS) throw new Error('Transaction failed: the documents it read kept changing');
+            }
+        },
+
+        newId: () => generateId(),
+
+        now: () => LocalTimestamp.now(),
+        fromDate: (date) => LocalTimestamp.fromDate(date),
+        increment: (amount) => new Increment(amount)
+    };
+};
@@ -0,0 +1,184 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createLocalAdapter, LocalTimestamp } from './local-adapter';
+
+const createStore = (seed) => createLocalAdapter({ persist: false, seed });
+
+// Ten logs a minute apart, with two sharing the 5th minute to exercise the id tie-break
+const seedLogs = () => {
+    const seed = {};
+    for (let i = 0; i < 10; i++) {
+        seed[`logs/log${i}`] = { uid: i % 2 ? 'a' : 'b', minute: i, timestamp: LocalTimestamp.fromMillis(i * 60000) };
+    }
+    seed['logs/log5b'] = { uid: 'a', minute: 5, timestamp: LocalTimestamp.fromMillis(5 * 60000) };
+    return seed;
+};
+
+describe('local adapter documents', () => {
+    it('gets null for a missing document and a copy of a stored one', async () => {
+        const store = createStore({ 'users/u1': { name: 'Asha', goals: { daily: 4 } } });
+        expect(await store.get('users/missing')).toBeNull();
+
+        const user = await store.get('users/u1');
+        user.goals.daily = 10;
+        expect((await store.get('users/u1')).goals.daily).toBe(4);
+    });
+
+    it('replaces on set and deep-merges on set with merge', async () => {
+        const store = createStore({ 'users/u1': { name: 'Asha', goals: { daily: 4, weekly: 28 } } });
+        await store.set('users/u1', { goals: { daily: 5 } }, { merge: true });
+        expect(await store.get('users/u1')).toEqual({ name: 'Asha', goals: { daily: 5, weekly: 28 } });
+
+        await store.set('users/u1', { name: 'Ravi' });
+        expect(await store.get('users/u1')).toEqual({ name: 'Ravi' });
+    });
+
+    it('updates existing documents only, applying increments', async () => {
+        const store = createStore({ 'users/u1': { sessions: 2 } });
+        await store.update('users/u1', { sessions: store.increment(3), streak: store.increment(1) });
+        expect(await store.get('users/u1')).toEqual({ sessions: 5, streak: 1 });
+        await expect(store.update('users/missing', { sessions: 1 })).rejects.toThrow('No document to update');
+    });
+
+    it('adds with a generated id and removes', async () => {
+        const store = createStore();
+        const id = await store.add('tasks', { text: 'Read Laxmikanth ch. 4' });
+        expect(id).toMatch(/^[A-Za-z0-9]{20}$/);
+        expect(await store.get(`tasks/${id}`)).toEqual({ text: 'Read Laxmikanth ch. 4' });
+
+        await store.remove(`tasks/${id}`);
+        expect(await store.get(`tasks/${id}`)).toBeNull();
+    });
+
+    it('keeps timestamps as timestamps', async () => {
+        const store = createStore();
+        const date = new Date('2024-03-10T10:00:00Z');
+        await store.set('logs/l1', { timestamp: store.fromDate(date) });
+        expect((await store.get('logs/l1')).timestamp.toDate()).toEqual(date);
+    });
+});
+
+describe('local adapter batches', () => {
+    it('applies operations in order, later ones seeing earlier ones', async () => {
+        const store = createStore({ 'tasks/t1': { text: 'Old', done: false } });
+        const batch = store.batch();
+        batch.set('tasks/t2', { text: 'New' });
+        batch.update('tasks/t2', { done: true });
+        batch.delete('tasks/t1');
+        await batch.commit();
+
+        expect(await store.get('tasks/t1')).toBeNull();
+        expect(await store.get('tasks/t2')).toEqual({ text: 'New', done: true });
+    });
+
+    it('writes nothing when an operation fails', async () => {
+        const store = createStore({ 'tasks/t1': { text: 'Keep' } });
+        const batch = store.batch();
+        batch.set('tasks/t1', { text: 'Changed' });
+        batch.update('tasks/missing', { done: true });
+        await expect(batch.commit()).rejects.toThrow();
+        expect(await store.get('tasks/t1')).toEqual({ text: 'Keep' });
+    });
+
+    it('notifies watchers once per commit', async () => {
+        const store = createStore({ 'tasks/t1': { text: 'One' } });
+        const onData = vi.fn();
+        store.watchQuery('tasks', {}, onData);
+        await store.get('tasks/t1'); // initial snapshot
+        onData.mockClear();
+
+        const batch = store.batch();
+        batch.set('tasks/t2', { text: 'Two' });
+        batch.set('tasks/t3', { text: 'Three' });
+        await batch.commit();
+        expect(onData).toHaveBeenCalledTimes(1);
+        expect(onData.mock.calls[0][0].map(doc => doc.id).sort()).toEqual(['t1', 't2', 't3']);
+    });
+});
+
+describe('local adapter queries', () => {
+    const newestFirst = [['timestamp', 'desc'], ['__name__', 'desc']];
+
+    it('returns only direct children of the collection, with their ids', async () => {
+        const store = createStore({
+            'users/u1': { name: 'Asha' },
+            'users/u1/dailyStats/2024-03-10': { minutes: 60 }
+        });
+        expect(await store.query('users')).toEqual([{ id: 'u1', name: 'Asha' }]);
+        expect(await store.query('users/u1/dailyStats')).toEqual([{ id: '2024-03-10', minutes: 60 }]);
+    });
+
+    it('filters with where clauses', async () => {
+        const store = createStore(seedLogs());
+        const mine = await store.query('logs', { where: [['uid', '==', 'a'], ['minute', '>=', 5]] });
+        expect(mine.map(log => log.id).sort()).toEqual(['log5', 'log5b', 'log7', 'log9']);
+        const some = await store.query('logs', { where: [['minute', 'in', [0, 9]]] });
+        expect(some.map(log => log.id).sort()).toEqual(['log0', 'log9']);
+    });
+
+    it('orders by several fields, breaking ties by document id', async () => {
+        const store = createStore(seedLogs());
+        const logs = await store.query('logs', { orderBy: newestFirst });
+        expect(logs.map(log => log.id)).toEqual(['log9', 'log8', 'log7', 'log6', 'log5b', 'log5', 'log4', 'log3', 'log2', 'log1', 'log0']);
+    });
+
+    it('leaves out documents without an orderBy field', async () => {
+        const store = createStore({ 'tasks/a': { order: 2 }, 'tasks/b': {}, 'tasks/c': { order: 1 } });
+        expect((await store.query('tasks', { orderBy: [['order', 'asc']] })).map(task => task.id)).toEqual(['c', 'a']);
+    });
+
+    it('filters timestamp ranges', async () => {
+        const store = createStore(seedLogs());
+        const logs = await store.query('logs', {
+            where: [['timestamp', '>=', LocalTimestamp.fromMillis(3 * 60000)], ['timestamp', '<', LocalTimestamp.fromMillis(6 * 60000)]],
+            orderBy: newestFirst
+        });
+        expect(logs.map(log => log.id)).toEqual(['log5b', 'log5', 'log4', 'log3']);
+    });
+
+    it('pages with limit and startAfter without skipping tied documents', async () => {
+        const store = createStore(seedLogs());
+        const pages = [];
+        let cursor;
+        do {
+            const page = await store.query('logs', { orderBy: newestFirst, limit: 4, startAfter: cursor });
+            pages.push(page.map(log => log.id));
+            const last = page[page.length - 1];
+            cursor = page.length === 4 ? [last.timestamp, last.id] : null;
+        } while (cursor);
+
+        expect(pages).toEqual([
+            ['log9', 'log8', 'log7', 'log6'],
+            ['log5b', 'log5', 'log4', 'log3'],
+            ['log2', 'log1', 'log0']
+        ]);
+    });
+});
+
+describe('local adapter transactions', () => {
+    it('reads, writes together and returns the result', async () => {
+        const store = createStore({ 'users/u1': { sessions: 2 } });
+        const result = await store.transaction(async (tx) => {
+            const user = await tx.get('users/u1');
+            tx.set('users/u1', { sessions: user.sessions + 1 }, { merge: true });
+            tx.set('logs/l1', { minutes: 30 });
+            return user.sessions;
+        });
+        expect(result).toBe(2);
+        expect(await store.get('users/u1')).toEqual({ sessions: 3 });
+        expect(await store.get('logs/l1')).toEqual({ minutes: 30 });
+    });
+
+    it('runs again when a document it read changes before it commits', async () => {
+        const store = createStore({ 'syllabi/u1': { items: ['a'] } });
+        let attempts = 0;
+        await store.transaction(async (tx) => {
+            attempts += 1;
+            const doc = await tx.get('syllabi/u1');
+            // Another write lands while the first attempt is still working
+            if (attempts === 1) await store.set('syllabi/u1', { items: ['a', 'b'] });
+            tx.set('syllabi/u1', { items: [...doc.items, 'c'] });
+        });
+        expect(attempts).toBe(2);
+        expect(await store.get('syllabi/u1')).toEqual({ items: ['a', 'b', 'c'] });
+    });
+});
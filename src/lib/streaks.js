@@ -0,0 +1,166 @@
+import { parseISO } from 'date-fns';
+
+// --- Streak Engine ---
+// Study streaks come from the log history only: a day counts once its logged minutes reach
+// `minMinutesPerDay`. Days are calendar days in the user's time zone, so a session at
+// 00:30 IST lands on the right date even if the device clock is elsewhere.
+// The login streak (days the app was opened) is tracked separately and never feeds the study streak.
+
+export const DEFAULT_MIN_MINUTES_PER_DAY = 1;
+
+export const getDeviceTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+// Streak settings live on the userGoals doc alongside the other targets
+export const getStreakSettings = (goals) => ({
+    minMinutesPerDay: Math.max(1, parseInt(goals?.streakMinMinutes) || DEFAULT_MIN_MINUTES_PER_DAY),
+    timeZone: goals?.timeZone || getDeviceTimeZone()
+});
+
+const dayFormatters = new Map();
+
+// 'yyyy-MM-dd' of an instant in the given time zone
+export const toDayKey = (date, timeZone = getDeviceTimeZone()) => {
+    if (!dayFormatters.has(timeZone)) {
+        // en-CA formats dates as yyyy-MM-dd
+        dayFormatters.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+            timeZone, year: 'numeric', month: '2-digit', day: '2-digit'
+        }));
+    }
+    return dayFormatters.get(timeZone).format(date);
+};
+
+// Day keys are zone-free calendar dates, so shift them in UTC to avoid DST surprises
+export const shiftDayKey = (dayKey, days) => {
+    const date = new Date(`${dayKey}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+};
+
+const logInstant = (log) => {
+    if (log.date) return parseISO(log.date);
+    if (log.timestamp?.toDate) return log.timestamp.toDate();
+    return null;
+};
+
+// Longest a calendar day can be (DST), the furthest apart two day boundaries get
+const MAX_DAY_MS = 25 * 3600000;
+
+// First instant in (from, to] that falls on a later day than `from`, to the second
+const nextDayBoundary = (from, to, timeZone) => {
+    const day = toDayKey(new Date(from), timeZone);
+    let lo = from;
+    let hi = Math.min(to, from + MAX_DAY_MS);
+    if (toDayKey(new Date(hi), timeZone) === day) return hi;
+    while (hi - lo > 1000) {
+        const mid = Math.floor((lo + hi) / 2);
+        if (toDayKey(new Date(mid), timeZone) === day) lo = mid;
+        else hi = mid;
+    }
+    return hi;
+};
+
+/**
+ * Minutes a log counts for on each day. Sessions with `startedAt`/`endedAt` are apportioned
+ * over the days they span, by the share of their wall-clock time on each day; logs without
+ * them (manual entries, older logs) count on the day they were stamped.
+ * @returns {Array<{ day: string, minutes: number }>}
+ */
+export const splitLogByDay = (log, timeZone = getDeviceTimeZone()) => {
+    const minutes = log.durationMinutes || 0;
+    const end = log.endedAt ? parseISO(log.endedAt) : logInstant(log);
+    if (!end) return [];
+    const start = log.startedAt ? parseISO(log.startedAt) : end;
+    const endDay = toDayKey(end, timeZone);
+    if (start >= end || toDayKey(start, timeZone) === endDay) return [{ day: endDay, minutes }];
+
+    const parts = [];
+    for (let cursor = start.getTime(); cursor < end.getTime();) {
+        const boundary = nextDayBoundary(cursor, end.getTime(), timeZone);
+        parts.push({ day: toDayKey(new Date(cursor), timeZone), ms: boundary - cursor });
+        cursor = boundary;
+    }
+
+    // Shares are rounded to a tenth of a minute; the last day takes the remainder so the total stays exact
+    const total = end - start;
+    let assigned = 0;
+    return parts.map((part, i) => {
+        const share = i === parts.length - 1 ? minutes - assigned : Math.round((minutes * part.ms / total) * 10) / 10;
+        assigned += share;
+        return { day: part.day, minutes: Math.round(share * 10) / 10 };
+    });
+};
+
+// Minutes studied per day key
+export const getDailyMinutes = (logs, timeZone = getDeviceTimeZone()) => {
+    const minutes = new Map();
+    logs.forEach(log => {
+        splitLogByDay(log, timeZone).forEach(({ day, minutes: share }) => {
+            minutes.set(day, (minutes.get(day) || 0) + share);
+        });
+    });
+    return minutes;
+};
+
+// Minutes studied over an inclusive range of day keys
+export const sumDailyMinutes = (dailyMinutes, fromDay, toDay) => {
+    let total = 0;
+    dailyMinutes.forEach((minutes, day) => {
+        if (day >= fromDay && day <= toDay) total += minutes;
+    });
+    return total;
+};
+
+/**
+ * Current and best study streak from a user's logs.
+ * The current streak stays alive through today until a whole day is missed.
+ * @returns {{ currentStreak: number, bestStreak: number, lastStudyDay: string|null, studiedToday: boolean }}
+ */
+export const computeStudyStreak = (logs, { minMinutesPerDay = DEFAULT_MIN_MINUTES_PER_DAY, timeZone = getDeviceTimeZone(), now = new Date() } = {}) => {
+    const daily = getDailyMinutes(logs, timeZone);
+    const days = [...daily.entries()]
+        .filter(([, minutes]) => minutes >= minMinutesPerDay)
+        .map(([day]) => day)
+        .sort();
+
+    const today = toDayKey(now, timeZone);
+    if (days.length === 0) return { currentStreak: 0, bestStreak: 0, lastStudyDay: null, studiedToday: false };
+
+    let bestStreak = 1;
+    let run = 1;
+    for (let i = 1; i < days.length; i++) {
+        run = shiftDayKey(days[i - 1], 1) === days[i] ? run + 1 : 1;
+        bestStreak = Math.max(bestStreak, run);
+    }
+
+    const lastStudyDay = days[days.length - 1];
+    const alive = lastStudyDay >= shiftDayKey(today, -1);
+
+    return {
+        currentStreak: alive ? run : 0,
+        bestStreak,
+        lastStudyDay,
+        studiedToday: lastStudyDay === today
+    };
+};
+
+// Stored streaks are only rewritten when logs change; expire them on read once a day is missed
+export const getLiveStudyStreak = (stats, { timeZone = getDeviceTimeZone(), now = new Date() } = {}) => {
+    if (!stats?.lastStudyDay) return stats?.currentStreak || 0;
+    return stats.lastStudyDay >= shiftDayKey(toDayKey(now, timeZone), -1) ? (stats.currentStreak || 0) : 0;
+};
+
+// Fields to write on a login; null when this day's login was already counted
+export const getLoginStreakUpdate = (stats, { timeZone = getDeviceTimeZone(), now = new Date() } = {}) => {
+    const today = toDayKey(now, timeZone);
+    const lastLoginDay = stats?.lastLoginDay
+        || (stats?.lastLoginDate?.toDate ? toDayKey(stats.lastLoginDate.toDate(), timeZone) : null);
+
+    if (lastLoginDay === today) return null;
+
+    const loginStreak = lastLoginDay === shiftDayKey(today, -1) ? (stats?.loginStreak || 0) + 1 : 1;
+    return {
+        lastLoginDay: today,
+        loginStreak,
+        bestLoginStreak: Math.max(stats?.bestLoginStreak || 0, loginStreak)
+    };
+};
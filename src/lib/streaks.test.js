@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import {
+    getStreakSettings, toDayKey, shiftDayKey, splitLogByDay, getDailyMinutes, sumDailyMinutes,
+    computeStudyStreak, getLiveStudyStreak, getLoginStreakUpdate
+} from './streaks';
+
+const IST = 'Asia/Kolkata';
+
+// A manual-style log stamped at `iso`
+const log = (iso, durationMinutes = 60) => ({ date: iso, durationMinutes });
+
+describe('getStreakSettings', () => {
+    it('reads the minimum and time zone from goals, with at least one minute', () => {
+        expect(getStreakSettings({ streakMinMinutes: '30', timeZone: IST })).toEqual({ minMinutesPerDay: 30, timeZone: IST });
+        expect(getStreakSettings({ streakMinMinutes: 0, timeZone: IST }).minMinutesPerDay).toBe(1);
+    });
+});
+
+describe('day keys', () => {
+    it('takes the calendar day in the given zone', () => {
+        const instant = new Date('2024-03-10T19:00:00Z'); // 00:30 on the 11th in India
+        expect(toDayKey(instant, IST)).toBe('2024-03-11');
+        expect(toDayKey(instant, 'UTC')).toBe('2024-03-10');
+    });
+
+    it('shifts across month and year ends', () => {
+        expect(shiftDayKey('2024-02-28', 1)).toBe('2024-02-29');
+        expect(shiftDayKey('2024-01-01', -1)).toBe('2023-12-31');
+    });
+});
+
+describe('splitLogByDay', () => {
+    it('counts a log without a start on the day it was stamped', () => {
+        expect(splitLogByDay(log('2024-03-10T19:00:00Z', 45), IST)).toEqual([{ day: '2024-03-11', minutes: 45 }]);
+    });
+
+    it('splits a timed session at midnight by wall-clock share', () => {
+        const session = { durationMinutes: 90, startedAt: '2024-03-10T18:00:00Z', endedAt: '2024-03-10T19:30:00Z' }; // 23:30 to 01:00 IST
+        expect(splitLogByDay(session, IST)).toEqual([{ day: '2024-03-10', minutes: 30 }, { day: '2024-03-11', minutes: 60 }]);
+    });
+
+    it('keeps the total exact when shares round', () => {
+        const session = { durationMinutes: 10, startedAt: '2024-03-10T18:29:00Z', endedAt: '2024-03-10T18:32:00Z' };
+        const parts = splitLogByDay(session, 'UTC');
+        expect(parts.reduce((acc, part) => acc + part.minutes, 0)).toBe(10);
+    });
+});
+
+describe('daily minutes', () => {
+    it('adds up logs per day and over a range', () => {
+        const daily = getDailyMinutes([log('2024-03-10T04:00:00Z', 30), log('2024-03-10T08:00:00Z', 15), log('2024-03-12T08:00:00Z')], IST);
+        expect(daily.get('2024-03-10')).toBe(45);
+        expect(sumDailyMinutes(daily, '2024-03-10', '2024-03-11')).toBe(45);
+        expect(sumDailyMinutes(daily, '2024-03-10', '2024-03-12')).toBe(105);
+    });
+});
+
+describe('computeStudyStreak', () => {
+    const now = new Date('2024-03-12T06:00:00Z');
+
+    it('counts consecutive days up to today and the best run', () => {
+        const logs = ['2024-03-01', '2024-03-02', '2024-03-03', '2024-03-10', '2024-03-11', '2024-03-12'].map(day => log(`${day}T06:00:00Z`));
+        expect(computeStudyStreak(logs, { timeZone: IST, now })).toEqual({
+            currentStreak: 3, bestStreak: 3, lastStudyDay: '2024-03-12', studiedToday: true
+        });
+    });
+
+    it('stays alive through today after studying yesterday, and breaks after a missed day', () => {
+        const logs = [log('2024-03-10T06:00:00Z'), log('2024-03-11T06:00:00Z')];
+        expect(computeStudyStreak(logs, { timeZone: IST, now }).currentStreak).toBe(2);
+        expect(computeStudyStreak(logs, { timeZone: IST, now: new Date('2024-03-13T06:00:00Z') }).currentStreak).toBe(0);
+    });
+
+    it('ignores days below the minimum', () => {
+        const logs = [log('2024-03-11T06:00:00Z', 10), log('2024-03-12T06:00:00Z', 40)];
+        expect(computeStudyStreak(logs, { minMinutesPerDay: 30, timeZone: IST, now })).toMatchObject({ currentStreak: 1, lastStudyDay: '2024-03-12' });
+    });
+
+    it('puts a late-night session on the day in the user zone', () => {
+        // 00:30 IST on the 12th, still the 11th in UTC
+        const logs = [log('2024-03-10T06:00:00Z'), log('2024-03-11T19:00:00Z')];
+        expect(computeStudyStreak(logs, { timeZone: IST, now }).currentStreak).toBe(1);
+        expect(computeStudyStreak(logs, { timeZone: 'UTC', now }).currentStreak).toBe(2);
+    });
+
+    it('is empty without logs', () => {
+        expect(computeStudyStreak([], { now })).toEqual({ currentStreak: 0, bestStreak: 0, lastStudyDay: null, studiedToday: false });
+    });
+});
+
+describe('stored and login streaks', () => {
+    const now = new Date('2024-03-12T06:00:00Z');
+
+    it('expires a stored streak once a day is missed', () => {
+        expect(getLiveStudyStreak({ currentStreak: 4, lastStudyDay: '2024-03-11' }, { timeZone: IST, now })).toBe(4);
+        expect(getLiveStudyStreak({ currentStreak: 4, lastStudyDay: '2024-03-10' }, { timeZone: IST, now })).toBe(0);
+    });
+
+    it('extends the login streak on the next day and resets it after a gap', () => {
+        expect(getLoginStreakUpdate({ lastLoginDay: '2024-03-12', loginStreak: 2 }, { timeZone: IST, now })).toBeNull();
+        expect(getLoginStreakUpdate({ lastLoginDay: '2024-03-11', loginStreak: 2, bestLoginStreak: 2 }, { timeZone: IST, now }))
+            .toEqual({ lastLoginDay: '2024-03-12', loginStreak: 3, bestLoginStreak: 3 });
+        expect(getLoginStreakUpdate({ lastLoginDay: '2024-03-09', loginStreak: 5, bestLoginStreak: 5 }, { timeZone: IST, now }))
+            .toEqual({ lastLoginDay: '2024-03-12', loginStreak: 1, bestLoginStreak: 5 });
+    });
+});
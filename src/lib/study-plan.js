@@ -0,0 +1,222 @@
+import { parseISO, differenceInCalendarDays } from 'date-fns';
+import { getActiveSyllabus, flattenNodes } from './syllabus-tree';
+import { toTaskDay, shiftTaskDay } from './planner';
+
+// --- Study Plan Engine ---
+// Spreads the rest of the syllabus over the study days left before the exam, in three phases:
+//   1. coverage  - every incomplete leaf topic once, in syllabus order, sized by its estimate
+//   2. revision  - up to MAX_REVISION_ROUNDS passes over the whole syllabus, grouped by sub-section
+//   3. mocks     - a full-length mock test and its review per day, cycling through the papers
+// Rest days (weekday numbers, 0 = Sunday) get no tasks. The output is plain Planner tasks.
+
+export const DEFAULT_TOPIC_HOURS = 2;
+export const DEFAULT_DAILY_HOURS = 6;
+
+const REVISION_SHARE = 0.25;
+const MOCK_SHARE = 0.15;
+const MIN_DAYS_FOR_PHASES = 7;
+const MAX_REVISION_ROUNDS = 3;
+const REVISION_HOURS_FACTOR = 0.25;
+const MOCK_TEST_MINUTES = 180;
+const MOCK_REVIEW_MINUTES = 120;
+
+export const PLAN_PHASES = {
+    coverage: { label: 'First Coverage', priority: 'medium' },
+    revision: { label: 'Revision', priority: 'medium' },
+    mock: { label: 'Mock Tests', priority: 'high' },
+};
+
+export const getTopicMinutes = (node) => Math.round((parseFloat(node?.estimatedHours) || DEFAULT_TOPIC_HOURS) * 60);
+
+// Study days from `fromDay` up to (not including) the exam day
+export const getStudyDays = (fromDay, examDay, restDays = []) => {
+    const rest = new Set(restDays);
+    const days = [];
+    for (let day = fromDay; day < examDay; day = shiftTaskDay(day, 1)) {
+        if (!rest.has(parseISO(day).getDay())) days.push(day);
+    }
+    return days;
+};
+
+// Leaf topics still to cover, with the minutes left on each. `coveredMinutes` maps a topic id to the
+// minutes of its coverage tasks already finished, so a topic split into parts stays in the plan until
+// every part is done.
+export const getRemainingTopics = (syllabus, coveredMinutes = new Map()) => {
+    const completed = new Set(syllabus?.completed || []);
+    return flattenNodes(syllabus?.items || [])
+        .filter(entry => entry.isLeaf && !completed.has(entry.id))
+        .map(entry => ({ id: entry.id, title: entry.title, minutes: getTopicMinutes(entry.node) - (coveredMinutes.get(entry.id) || 0) }))
+        .filter(topic => topic.minutes > 0);
+};
+
+// Days per phase. Coverage grows into the revision (then mock) share when the topics need it.
+const splitPhases = (dayCount, coverageMinutes, dailyMinutes) => {
+    let mockDays = dayCount >= MIN_DAYS_FOR_PHASES ? Math.max(1, Math.round(dayCount * MOCK_SHARE)) : 0;
+    let revisionDays = dayCount >= MIN_DAYS_FOR_PHASES ? Math.max(1, Math.round(dayCount * REVISION_SHARE)) : 0;
+    let coverageDays = dayCount - mockDays - revisionDays;
+
+    const neededDays = Math.min(dayCount, Math.ceil(coverageMinutes / dailyMinutes));
+    if (neededDays > coverageDays) {
+        const fromRevision = Math.min(revisionDays, neededDays - coverageDays);
+        revisionDays -= fromRevision;
+        coverageDays += fromRevision;
+        const fromMocks = Math.min(mockDays, neededDays - coverageDays);
+        mockDays -= fromMocks;
+        coverageDays += fromMocks;
+    } else if (coverageMinutes === 0) {
+        // Nothing left to cover: the whole window goes to revision and mocks
+        revisionDays += coverageDays;
+        coverageDays = 0;
+    }
+
+    return { coverageDays, revisionDays, mockDays };
+};
+
+// Spread work items evenly over the days, in order: each item lands on the day its midpoint falls in
+// when the total work is laid out at an even pace (items bigger than a day were split by the caller)
+const spreadOverDays = (items, days) => {
+    const pace = Math.max(1, items.reduce((acc, item) => acc + item.minutes, 0) / days.length);
+    let elapsed = 0;
+
+    return items.map(item => {
+        const dayIndex = Math.min(days.length - 1, Math.floor((elapsed + item.minutes / 2) / pace));
+        elapsed += item.minutes;
+        return { ...item, dueDate: days[dayIndex] };
+    });
+};
+
+// The last part takes the rounding remainder, so the parts add up to the whole topic
+const splitIntoParts = (topic, capacity) => {
+    const parts = Math.ceil(topic.minutes / capacity);
+    if (parts <= 1) return [topic];
+    const share = Math.round(topic.minutes / parts);
+    return [...Array(parts)].map((_, i) => ({
+        ...topic,
+        part: `${i + 1}/${parts}`,
+        minutes: i === parts - 1 ? topic.minutes - share * (parts - 1) : share
+    }));
+};
+
+// Revision work grouped by the section a leaf sits in, so a round is dozens of tasks rather than hundreds
+const getRevisionGroups = (syllabus) => {
+    const groups = new Map();
+    flattenNodes(syllabus?.items || []).filter(entry => entry.isLeaf).forEach(entry => {
+        const key = entry.path.join(' › ') || entry.title;
+        const group = groups.get(key) || { title: key, minutes: 0, topics: 0 };
+        group.minutes += getTopicMinutes(entry.node) * REVISION_HOURS_FACTOR;
+        group.topics += 1;
+        groups.set(key, group);
+    });
+    return [...groups.values()].map(group => ({ ...group, minutes: Math.max(15, Math.round(group.minutes)) }));
+};
+
+/**
+ * Build a study plan from the active syllabus and the user's goals.
+ * @param {Object} params
+ * @param {Object|null} params.syllabusDoc - `syllabi/{uid}` document
+ * @param {Object|null} params.goals - `userGoals/{uid}` ({ targetExamDate, dailyHoursGoal, restDays })
+ * @param {string} [params.fromDay] - first day to plan ('yyyy-MM-dd'), today by default
+ * @param {Map<string, number>} [params.coveredMinutes] - topic id -> minutes of its finished coverage tasks
+ * @returns {{ tasks: Object[], summary: Object|null, problem: string|null }}
+ */
+export const buildStudyPlan = ({ syllabusDoc, goals, fromDay = toTaskDay(), coveredMinutes = new Map() }) => {
+    const empty = (problem) => ({ tasks: [], summary: null, problem });
+
+    if (!goals?.targetExamDate) return empty('Set your exam date in your goals to generate a plan.');
+    const examDay = toTaskDay(parseISO(goals.targetExamDate));
+    if (examDay <= fromDay) return empty('Your exam date has passed. Update it in your goals.');
+
+    const { syllabus } = getActiveSyllabus(syllabusDoc);
+    if (!syllabus?.items?.length) return empty('Your syllabus is empty. Add topics to plan around.');
+
+    const days = getStudyDays(fromDay, examDay, goals.restDays || []);
+    if (days.length === 0) return empty('No study days left before the exam with your rest days.');
+
+    const dailyMinutes = Math.round((parseFloat(goals.dailyHoursGoal) || DEFAULT_DAILY_HOURS) * 60);
+    const topics = getRemainingTopics(syllabus, coveredMinutes);
+    const coverageMinutes = topics.reduce((acc, topic) => acc + topic.minutes, 0);
+    const { coverageDays, revisionDays, mockDays } = splitPhases(days.length, coverageMinutes, dailyMinutes);
+
+    const coverageWindow = days.slice(0, coverageDays);
+    const revisionWindow = days.slice(coverageDays, coverageDays + revisionDays);
+    const mockWindow = days.slice(coverageDays + revisionDays);
+
+    // Behind schedule: the coverage days carry more than the daily goal
+    const coverageCapacity = coverageDays > 0 ? Math.max(dailyMinutes, Math.ceil(coverageMinutes / coverageDays)) : dailyMinutes;
+    const tasks = [];
+
+    // 1. Coverage
+    if (coverageWindow.length > 0) {
+        const parts = topics.flatMap(topic => splitIntoParts(topic, coverageCapacity));
+        spreadOverDays(parts, coverageWindow).forEach(item => {
+            tasks.push({
+                text: `Study: ${item.title}${item.part ? ` (part ${item.part})` : ''}`,
+                dueDate: item.dueDate,
+                estimateMinutes: item.minutes,
+                planPhase: 'coverage',
+                topicId: item.id
+            });
+        });
+    }
+
+    // 2. Revision rounds, each over its own slice of the revision days
+    let rounds = 0;
+    if (revisionWindow.length > 0) {
+        const groups = getRevisionGroups(syllabus);
+        const roundMinutes = groups.reduce((acc, group) => acc + group.minutes, 0);
+        rounds = Math.min(MAX_REVISION_ROUNDS, Math.max(1, Math.floor((revisionWindow.length * dailyMinutes) / roundMinutes)));
+        rounds = Math.min(rounds, revisionWindow.length);
+        const daysPerRound = Math.floor(revisionWindow.length / rounds);
+
+        for (let round = 1; round <= rounds; round++) {
+            const start = (round - 1) * daysPerRound;
+            const window = revisionWindow.slice(start, round === rounds ? revisionWindow.length : start + daysPerRound);
+            const capacity = Math.max(dailyMinutes, Math.ceil(roundMinutes / window.length));
+            const parts = groups.flatMap(group => splitIntoParts(group, capacity));
+            spreadOverDays(parts, window).forEach(group => {
+                tasks.push({
+                    text: `Revise (round ${round}): ${group.title}${group.part ? ` (part ${group.part})` : ''}`,
+                    dueDate: group.dueDate,
+                    estimateMinutes: group.minutes,
+                    planPhase: 'revision',
+                    planRound: round
+                });
+            });
+        }
+    }
+
+    // 3. Mocks
+    mockWindow.forEach((day, index) => {
+        const paper = syllabus.items[index % syllabus.items.length];
+        tasks.push(
+            { text: `Mock test: ${paper.title}`, dueDate: day, estimateMinutes: MOCK_TEST_MINUTES, planPhase: 'mock' },
+            { text: `Review mock: ${paper.title}`, dueDate: day, estimateMinutes: MOCK_REVIEW_MINUTES, planPhase: 'mock' }
+        );
+    });
+
+    const phase = (id, window) => (window.length > 0
+        ? { id, label: PLAN_PHASES[id].label, start: window[0], end: window[window.length - 1], days: window.length }
+        : null);
+
+    return {
+        tasks: tasks.map(task => ({ ...task, priority: PLAN_PHASES[task.planPhase].priority })),
+        summary: {
+            fromDay,
+            examDay,
+            daysLeft: differenceInCalendarDays(parseISO(examDay), parseISO(fromDay)),
+            studyDays: days.length,
+            dailyMinutes,
+            coverageMinutesPerDay: coverageCapacity,
+            overloaded: coverageCapacity > dailyMinutes,
+            topicsLeft: topics.length,
+            coverageMinutes,
+            revisionRounds: rounds,
+            phases: [phase('coverage', coverageWindow), phase('revision', revisionWindow), phase('mock', mockWindow)].filter(Boolean)
+        },
+        problem: null
+    };
+};
+
+// A plan is behind once any of its tasks is still open after its due day
+export const isPlanBehind = (planTasks, today = toTaskDay()) =>
+    planTasks.some(task => !task.completed && task.dueDate && task.dueDate < today);
@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { buildStudyPlan, getRemainingTopics, getStudyDays, isPlanBehind } from './study-plan';
+
+const syllabus = {
+    items: [{
+        id: 'gs1', title: 'GS I', children: [
+            { id: 'history', title: 'History', estimatedHours: 6 },
+            { id: 'geography', title: 'Geography', estimatedHours: 2 }
+        ]
+    }],
+    completed: []
+};
+const syllabusDoc = { activeSyllabusId: 's1', syllabi: { s1: syllabus } };
+
+// Ten study days at two hours a day: five days of coverage at 120 minutes each
+const goals = { targetExamDate: '2024-03-14', dailyHoursGoal: 2, restDays: [] };
+const FROM = '2024-03-04';
+
+const coverage = (plan) => plan.tasks.filter(task => task.planPhase === 'coverage');
+
+describe('getStudyDays', () => {
+    it('leaves out rest days and the exam day', () => {
+        // 2024-03-09 and 03-10 are Saturday and Sunday
+        expect(getStudyDays('2024-03-08', '2024-03-12', [0, 6])).toEqual(['2024-03-08', '2024-03-11']);
+    });
+});
+
+describe('getRemainingTopics', () => {
+    it('subtracts finished coverage minutes and drops completed topics', () => {
+        const topics = getRemainingTopics({ ...syllabus, completed: ['geography'] }, new Map([['history', 120]]));
+        expect(topics).toEqual([{ id: 'history', title: 'History', minutes: 240 }]);
+    });
+});
+
+describe('buildStudyPlan', () => {
+    it('splits topics bigger than a day into parts that add up to the topic', () => {
+        const plan = buildStudyPlan({ syllabusDoc, goals, fromDay: FROM });
+        const history = coverage(plan).filter(task => task.topicId === 'history');
+
+        expect(history.map(task => task.text)).toEqual([
+            'Study: History (part 1/3)', 'Study: History (part 2/3)', 'Study: History (part 3/3)'
+        ]);
+        expect(history.reduce((acc, task) => acc + task.estimateMinutes, 0)).toBe(360);
+        expect(plan.summary.topicsLeft).toBe(2);
+    });
+
+    it('keeps the unfinished parts of a split topic when replanning', () => {
+        const plan = buildStudyPlan({ syllabusDoc, goals, fromDay: '2024-03-05', coveredMinutes: new Map([['history', 120]]) });
+        const history = coverage(plan).filter(task => task.topicId === 'history');
+
+        expect(history).toHaveLength(2);
+        expect(history.reduce((acc, task) => acc + task.estimateMinutes, 0)).toBe(240);
+        expect(coverage(plan).some(task => task.topicId === 'geography')).toBe(true);
+        expect(plan.summary.coverageMinutes).toBe(360);
+    });
+
+    it('drops a topic once all of its parts are done', () => {
+        const plan = buildStudyPlan({ syllabusDoc, goals, fromDay: '2024-03-06', coveredMinutes: new Map([['history', 360]]) });
+        expect(coverage(plan).map(task => task.topicId)).toEqual(['geography']);
+    });
+
+    it('reports missing inputs instead of planning', () => {
+        expect(buildStudyPlan({ syllabusDoc, goals: {} }).problem).toMatch(/exam date/);
+        expect(buildStudyPlan({ syllabusDoc, goals, fromDay: '2024-03-14' }).problem).toMatch(/passed/);
+        expect(buildStudyPlan({ syllabusDoc: null, goals, fromDay: FROM }).problem).toMatch(/empty/);
+    });
+});
+
+describe('isPlanBehind', () => {
+    it('is behind when an open task is overdue', () => {
+        expect(isPlanBehind([{ dueDate: '2024-03-04', completed: false }], '2024-03-05')).toBe(true);
+        expect(isPlanBehind([{ dueDate: '2024-03-04', completed: true }, { dueDate: '2024-03-05' }], '2024-03-05')).toBe(false);
+    });
+});
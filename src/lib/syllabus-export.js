@@ -0,0 +1,143 @@
+import { jsPDF } from 'jspdf';
+import 'jspdf-autotable';
+import { format, parseISO } from 'date-fns';
+import { countNodes } from './syllabus-tree';
+
+// --- Syllabus Export ---
+// Markdown and JSON are written in the shapes syllabus-import reads back:
+//   markdown - "# Name", each paper as a "##" heading ("## [x] Paper" once done), topics as nested task-list bullets
+//   json     - { name, items: [{ title, estimatedHours?, completed?, children }] }
+// The PDF is a printable checklist with hours and last-studied dates per node.
+
+export const SYLLABUS_EXPORT_FORMATS = [
+    { id: 'markdown', label: 'Markdown', extension: 'md', type: 'text/markdown' },
+    { id: 'json', label: 'JSON', extension: 'json', type: 'application/json' },
+    { id: 'pdf', label: 'PDF checklist', extension: 'pdf', type: 'application/pdf' },
+];
+
+export const syllabusFileName = (syllabus, extension) => {
+    const slug = (syllabus?.name || 'syllabus').trim().replace(/[^A-Za-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'syllabus';
+    return `${slug}_${format(new Date(), 'yyyy-MM-dd')}.${extension}`;
+};
+
+export const syllabusToMarkdown = (syllabus) => {
+    const completed = new Set(syllabus.completed || []);
+    const lines = [`# ${syllabus.name}`, ''];
+
+    const writeBullets = (items, depth) => (items || []).forEach(item => {
+        lines.push(`${'  '.repeat(depth)}- [${completed.has(item.id) ? 'x' : ' '}] ${item.title}`);
+        writeBullets(item.children, depth + 1);
+    });
+
+    (syllabus.items || []).forEach(paper => {
+        lines.push(`## ${completed.has(paper.id) ? '[x] ' : ''}${paper.title}`, '');
+        if (paper.children?.length) {
+            writeBullets(paper.children, 0);
+            lines.push('');
+        }
+    });
+    return `${lines.join('\n').trimEnd()}\n`;
+};
+
+export const syllabusToJson = (syllabus) => {
+    const completed = new Set(syllabus.completed || []);
+    const toNode = (item) => ({
+        title: item.title,
+        ...(item.estimatedHours ? { estimatedHours: item.estimatedHours } : {}),
+        ...(completed.has(item.id) ? { completed: true } : {}),
+        children: (item.children || []).map(toNode)
+    });
+    return JSON.stringify({ name: syllabus.name, items: (syllabus.items || []).map(toNode) }, null, 2);
+};
+
+// Minutes studied on a node and everything below it, and the latest study date among them
+const rollUpStats = (item) => {
+    let minutes = item.stats?.totalMinutes || 0;
+    let lastStudied = item.stats?.lastStudied || null;
+    (item.children || []).forEach(child => {
+        const sub = rollUpStats(child);
+        minutes += sub.minutes;
+        if (sub.lastStudied && (!lastStudied || sub.lastStudied > lastStudied)) lastStudied = sub.lastStudied;
+    });
+    return { minutes, lastStudied };
+};
+
+const formatHours = (minutes) => (minutes > 0 ? `${(minutes / 60).toFixed(1)}h` : '-');
+
+const formatDay = (iso) => {
+    if (!iso) return '-';
+    try {
+        return format(parseISO(iso), 'd MMM yyyy');
+    } catch {
+        return '-';
+    }
+};
+
+/**
+ * Build a printable checklist: one row per node, indented by depth, with a tick box,
+ * hours studied (papers and sections include their topics) and the last study date.
+ * @returns {jsPDF}
+ */
+export const buildSyllabusPdf = (syllabus) => {
+    const completed = new Set(syllabus.completed || []);
+    const rows = [];
+    const collect = (items, depth) => (items || []).forEach(item => {
+        const { minutes, lastStudied } = rollUpStats(item);
+        rows.push({ item, depth, minutes, lastStudied, done: completed.has(item.id) });
+        collect(item.children, depth + 1);
+    });
+    collect(syllabus.items, 0);
+
+    const total = countNodes(syllabus.items);
+    const doneCount = rows.filter(row => row.done).length;
+    const totalMinutes = rows.filter(row => row.depth === 0).reduce((acc, row) => acc + row.minutes, 0);
+
+    const doc = new jsPDF();
+    doc.setFontSize(20);
+    doc.text(syllabus.name, 14, 20);
+    doc.setFontSize(10);
+    doc.setTextColor(113, 113, 122);
+    doc.text(`Generated on ${format(new Date(), 'PPp')}`, 14, 27);
+    doc.text(`${doneCount} of ${total} topics done (${total ? Math.round((doneCount / total) * 100) : 0}%) - ${formatHours(totalMinutes)} studied`, 14, 33);
+    doc.setTextColor(0, 0, 0);
+
+    doc.autoTable({
+        startY: 40,
+        head: [['', 'Topic', 'Hours', 'Last studied']],
+        body: rows.map(row => ['', row.item.title, formatHours(row.minutes), formatDay(row.lastStudied)]),
+        theme: 'grid',
+        headStyles: { fillColor: [0, 0, 0] },
+        styles: { fontSize: 9, cellPadding: 1.8 },
+        columnStyles: {
+            0: { cellWidth: 8 },
+            2: { cellWidth: 18, halign: 'right' },
+            3: { cellWidth: 28 }
+        },
+        didParseCell: (data) => {
+            if (data.section !== 'body') return;
+            const row = rows[data.row.index];
+            if (data.column.index === 1) data.cell.styles.cellPadding = { top: 1.8, bottom: 1.8, right: 1.8, left: 2 + row.depth * 5 };
+            if (row.depth === 0) {
+                data.cell.styles.fontStyle = 'bold';
+                data.cell.styles.fillColor = [244, 244, 245];
+            }
+        },
+        // Draw the tick box by hand: the built-in fonts have no check mark glyph
+        didDrawCell: (data) => {
+            if (data.section !== 'body' || data.column.index !== 0) return;
+            const size = 3.4;
+            const x = data.cell.x + (data.cell.width - size) / 2;
+            const y = data.cell.y + (data.cell.height - size) / 2;
+            doc.setDrawColor(0, 0, 0);
+            doc.setLineWidth(0.3);
+            doc.rect(x, y, size, size);
+            if (rows[data.row.index].done) {
+                doc.setLineWidth(0.5);
+                doc.line(x + 0.7, y + size * 0.55, x + size * 0.42, y + size - 0.7);
+                doc.line(x + size * 0.42, y + size - 0.7, x + size - 0.5, y + 0.6);
+            }
+        }
+    });
+
+    return doc;
+};
@@ -0,0 +1,142 @@
+import { flattenNodes } from './syllabus-tree';
+
+// --- Syllabus History ---
+// Undo/redo: a per-session stack of entries { id, label, at, before, after? }, where
+// before/after are { items, completed, template } of one syllabus. Only the Syllabus page keeps it.
+// Snapshots: named copies of a syllabus' tree, ticks and template revision, saved in the syllabus
+// itself (`snapshots` in the syllabi doc) so they survive reloads and devices.
+// Node stats come from the logs and keep changing, so going back never restores old ones.
+
+export const HISTORY_LIMIT = 100;
+// Per syllabus. Snapshots share the syllabi doc, which Firestore caps at 1 MB.
+export const SNAPSHOT_LIMIT = 10;
+
+export const EMPTY_HISTORY = { past: [], future: [] };
+
+// What an undo step puts back. `template` is null for syllabi not made from a template.
+export const captureHistoryState = (syllabus) => ({
+    items: syllabus?.items || [],
+    completed: syllabus?.completed || [],
+    template: syllabus?.template || null
+});
+
+// A new change drops anything that could have been redone
+export const recordHistory = (history = EMPTY_HISTORY, entry) => ({
+    past: [...history.past, entry].slice(-HISTORY_LIMIT),
+    future: []
+});
+
+/**
+ * Step back: returns the state to restore and the stacks with the entry moved to `future`.
+ * @param {Object} history
+ * @param {{ items, completed, template }} current - the syllabus as it is now, to redo back to
+ */
+export const undoHistory = (history = EMPTY_HISTORY, current) => {
+    const entry = history.past[history.past.length - 1];
+    if (!entry) return null;
+    return {
+        state: entry.before,
+        history: { past: history.past.slice(0, -1), future: [...history.future, { ...entry, after: current }] }
+    };
+};
+
+export const redoHistory = (history = EMPTY_HISTORY, current) => {
+    const entry = history.future[history.future.length - 1];
+    if (!entry) return null;
+    return {
+        state: entry.after,
+        history: { past: [...history.past, { ...entry, before: current }], future: history.future.slice(0, -1) }
+    };
+};
+
+// Snapshots leave stats out
+const stripStats = (items) => (items || []).map(({ stats, ...item }) => (
+    item.children ? { ...item, children: stripStats(item.children) } : item
+));
+
+export const createSnapshot = (syllabus, name, now = new Date()) => ({
+    id: `snap-${now.getTime()}`,
+    name,
+    createdAt: now.toISOString(),
+    items: stripStats(syllabus.items),
+    completed: [...(syllabus.completed || [])],
+    template: syllabus.template || null
+});
+
+// Newest first, dropping the oldest past the limit
+export const addSnapshot = (snapshots, snapshot) => [snapshot, ...(snapshots || [])].slice(0, SNAPSHOT_LIMIT);
+
+// `items` with the live stats of `syllabus` on every node that still exists there (matched by id)
+const withLiveStats = (syllabus, items) => {
+    const liveStats = new Map(flattenNodes(syllabus?.items)
+        .filter(entry => entry.node.stats)
+        .map(entry => [entry.id, entry.node.stats]));
+    const carry = (list) => list.map(item => ({
+        ...item,
+        ...(liveStats.has(item.id) ? { stats: liveStats.get(item.id) } : {}),
+        ...(item.children ? { children: carry(item.children) } : {})
+    }));
+    return carry(items || []);
+};
+
+/**
+ * The fields to write for an undo or redo step: the state's tree, ticks and template, with live stats.
+ * @param {Object} syllabus - the syllabus as it is now
+ * @param {{ items, completed, template }} state - from undoHistory / redoHistory
+ */
+export const applyHistoryState = (syllabus, state) => ({
+    items: withLiveStats(syllabus, state.items),
+    completed: [...(state.completed || [])],
+    template: state.template || null
+});
+
+/**
+ * The syllabus tree, ticks and template revision from a snapshot, with live stats.
+ * Snapshots saved before the template was recorded leave it as it is.
+ * @returns {{ items: Object[], completed: string[], template?: Object|null }}
+ */
+export const restoreSnapshot = (syllabus, snapshot) => ({
+    items: withLiveStats(syllabus, snapshot.items),
+    completed: [...(snapshot.completed || [])],
+    ...(snapshot.template !== undefined ? { template: snapshot.template } : {})
+});
+
+const parentIds = (items, parentId = null, map = new Map()) => {
+    (items || []).forEach(item => {
+        map.set(item.id, parentId);
+        parentIds(item.children, item.id, map);
+    });
+    return map;
+};
+
+/**
+ * What changed from `from` to `to` (each { items, completed }). Nodes are matched by id;
+ * every list holds { id, title, path } entries, `renamed` also has the old title and `moved` the old path.
+ * A node counts as moved when its parent changed, not when an ancestor was renamed.
+ */
+export const diffSnapshots = (from, to) => {
+    const fromNodes = new Map(flattenNodes(from.items).map(entry => [entry.id, entry]));
+    const toNodes = new Map(flattenNodes(to.items).map(entry => [entry.id, entry]));
+    const fromParents = parentIds(from.items);
+    const toParents = parentIds(to.items);
+    const fromCompleted = new Set(from.completed || []);
+    const toCompleted = new Set(to.completed || []);
+    const describe = (entry, extra = {}) => ({ id: entry.id, title: entry.title, path: entry.path, ...extra });
+
+    const diff = { added: [], removed: [], renamed: [], moved: [], ticked: [], unticked: [] };
+    toNodes.forEach((entry, id) => {
+        const before = fromNodes.get(id);
+        if (!before) {
+            diff.added.push(describe(entry));
+            return;
+        }
+        if (before.title !== entry.title) diff.renamed.push(describe(entry, { oldTitle: before.title }));
+        if (fromParents.get(id) !== toParents.get(id)) diff.moved.push(describe(entry, { oldPath: before.path }));
+        if (!fromCompleted.has(id) && toCompleted.has(id)) diff.ticked.push(describe(entry));
+        if (fromCompleted.has(id) && !toCompleted.has(id)) diff.unticked.push(describe(entry));
+    });
+    fromNodes.forEach((entry, id) => {
+        if (!toNodes.has(id)) diff.removed.push(describe(entry));
+    });
+    return diff;
+};
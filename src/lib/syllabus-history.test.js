@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import {
+    EMPTY_HISTORY, captureHistoryState, recordHistory, undoHistory, redoHistory, applyHistoryState, createSnapshot, restoreSnapshot
+} from './syllabus-history';
+
+const stats = (totalMinutes) => ({ totalMinutes, lastStudied: '2024-03-31' });
+
+// Before a template sync: v1, one topic studied for 30 minutes
+const before = {
+    items: [{ id: 'p1', title: 'Paper', children: [{ id: 't1', title: 'Topic', stats: stats(30) }] }],
+    completed: [],
+    template: { id: 'upsc-cse', version: 1 }
+};
+
+// After the sync, and after another hour was logged against the topic
+const current = {
+    items: [{ id: 'p1', title: 'Paper', children: [{ id: 't1', title: 'Topic', stats: stats(90) }, { id: 't2', title: 'New' }] }],
+    completed: ['t1'],
+    template: { id: 'upsc-cse', version: 2 }
+};
+
+describe('undo and redo', () => {
+    it('puts back the template revision along with the tree', () => {
+        const history = recordHistory(EMPTY_HISTORY, { id: 1, label: 'Update from UPSC CSE', before: captureHistoryState(before) });
+        const undone = undoHistory(history, captureHistoryState(current));
+        const state = applyHistoryState(current, undone.state);
+
+        expect(state.template).toEqual({ id: 'upsc-cse', version: 1 });
+        expect(state.completed).toEqual([]);
+        expect(state.items[0].children.map(node => node.id)).toEqual(['t1']);
+
+        const redone = redoHistory(undone.history, captureHistoryState({ ...current, ...state }));
+        expect(applyHistoryState(current, redone.state).template).toEqual({ id: 'upsc-cse', version: 2 });
+    });
+
+    it('keeps the live stats instead of the ones saved with the entry', () => {
+        const state = applyHistoryState(current, captureHistoryState(before));
+        expect(state.items[0].children[0].stats).toEqual(stats(90));
+    });
+
+    it('records no template for syllabi made from scratch', () => {
+        expect(captureHistoryState({ items: [], completed: [] }).template).toBeNull();
+    });
+});
+
+describe('snapshots', () => {
+    it('save the template revision and restore it with live stats', () => {
+        const snapshot = createSnapshot(before, 'Before update', new Date(0));
+        expect(snapshot.items[0].children[0].stats).toBeUndefined();
+
+        const restored = restoreSnapshot(current, snapshot);
+        expect(restored.template).toEqual({ id: 'upsc-cse', version: 1 });
+        expect(restored.items[0].children[0].stats).toEqual(stats(90));
+    });
+
+    it('leave the template alone when restoring a snapshot saved without one', () => {
+        const { template, ...legacy } = createSnapshot(before, 'Old', new Date(0));
+        expect(template).toBeDefined();
+        expect(restoreSnapshot(current, legacy)).not.toHaveProperty('template');
+    });
+});
@@ -0,0 +1,215 @@
+// --- Syllabus Import ---
+// Turns pasted or uploaded text into syllabus nodes ({ id, title, children }):
+//   outline   - one topic per line, nested by indentation (bullets and numbering are stripped)
+//   markdown  - '#' headings nest by level; bullet lists nest under the heading above them.
+//               A lone leading '# ' heading is the syllabus name (the shape syllabus-export writes).
+//   json      - a node array, or { name, items }; nodes may use title/name/text and children/items/topics
+// Ids come from the node's title path, so importing the same text twice yields the same ids.
+// Ticked topics ("[x]" bullets, `completed: true` in JSON) come back as a list of their ids.
+
+export const SYLLABUS_IMPORT_FORMATS = [
+    { id: 'auto', label: 'Detect automatically' },
+    { id: 'outline', label: 'Indented outline' },
+    { id: 'markdown', label: 'Markdown' },
+    { id: 'json', label: 'JSON' },
+];
+
+const TITLE_KEYS = ['title', 'name', 'text', 'topic'];
+const CHILD_KEYS = ['children', 'items', 'topics', 'subtopics'];
+
+// Leading list markers: "-", "*", "+", "•", "1.", "1)", "a.", "iv)"
+const BULLET_PATTERN = /^(?:[-*+•]|\d+[.)]|[a-z][.)]|[ivxlc]+[.)])\s+/i;
+
+export const detectSyllabusFormat = (text) => {
+    const content = text.trim();
+    if (/^[[{]/.test(content)) return 'json';
+    if (/^#{1,6}\s/m.test(content)) return 'markdown';
+    return 'outline';
+};
+
+const normalizeTitle = (title) => title.trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Task-list checkboxes: "[ ]", "[x]"
+const CHECKBOX_PATTERN = /^\[[ xX]\]\s+/;
+
+// "[x]" after the list marker: the topic was exported as done
+const isTicked = (line) => /^\[[xX]\]\s/.test(line.trim().replace(BULLET_PATTERN, ''));
+
+const cleanTitle = (line) => line.trim()
+    .replace(BULLET_PATTERN, '')
+    .replace(CHECKBOX_PATTERN, '')
+    .replace(/\*\*|__/g, '')
+    .trim();
+
+// Width of a line's indentation, a tab counting as four spaces
+const indentOf = (line) => line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+
+// Build a tree from (depth, title) entries in document order
+const buildTree = (entries) => {
+    const root = { children: [] };
+    const stack = [{ depth: -1, node: root }];
+    entries.forEach(({ depth, title, done }) => {
+        while (stack[stack.length - 1].depth >= depth) stack.pop();
+        const node = { title, children: [], ...(done ? { done } : {}) };
+        stack[stack.length - 1].node.children.push(node);
+        stack.push({ depth, node });
+    });
+    return root.children;
+};
+
+const parseOutline = (text) => buildTree(text.split(/\r?\n/)
+    .filter(line => cleanTitle(line))
+    .map(line => ({ depth: indentOf(line), title: cleanTitle(line), done: isTicked(line) })));
+
+// Headings take depth 0-5 by level; list items nest below the nearest heading by their indentation
+const parseMarkdown = (text) => {
+    let headingDepth = -1;
+    const entries = [];
+    text.split(/\r?\n/).forEach(line => {
+        const heading = line.match(/^(#{1,6})\s+(.*)$/);
+        if (heading) {
+            headingDepth = heading[1].length - 1;
+            const title = cleanTitle(heading[2].replace(/\s+#+\s*$/, ''));
+            if (title) entries.push({ depth: headingDepth * 1000, title, done: isTicked(heading[2]) });
+            return;
+        }
+        const title = cleanTitle(line);
+        if (!title || /^(-{3,}|={3,}|```)/.test(line.trim())) return;
+        entries.push({ depth: (headingDepth + 1) * 1000 + indentOf(line), title, done: isTicked(line) });
+    });
+    const items = buildTree(entries);
+    // "# Name" followed by the papers as "##" headings: unwrap it into the name
+    const titleHeadings = text.split(/\r?\n/).filter(line => /^#\s/.test(line));
+    if (items.length === 1 && titleHeadings.length === 1 && items[0].children.length > 0
+        && /^#\s/.test(text.trim())) {
+        return { items: items[0].children, name: items[0].title };
+    }
+    return { items, name: '' };
+};
+
+const parseJsonNode = (value) => {
+    if (typeof value === 'string') return value.trim() ? { title: value.trim(), children: [] } : null;
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+
+    const titleKey = TITLE_KEYS.find(key => typeof value[key] === 'string' && value[key].trim());
+    if (!titleKey) return null;
+    const childKey = CHILD_KEYS.find(key => Array.isArray(value[key]));
+    const node = {
+        title: value[titleKey].trim(),
+        children: childKey ? value[childKey].map(parseJsonNode).filter(Boolean) : []
+    };
+    if (typeof value.estimatedHours === 'number' && value.estimatedHours > 0) node.estimatedHours = value.estimatedHours;
+    if (value.completed === true) node.done = true;
+    return node;
+};
+
+const parseJson = (text) => {
+    const data = JSON.parse(text);
+    const list = Array.isArray(data) ? data : CHILD_KEYS.map(key => data?.[key]).find(Array.isArray);
+    if (!list) throw new Error('Expected a JSON array of topics, or an object with an "items" array');
+    return {
+        items: list.map(parseJsonNode).filter(Boolean),
+        name: !Array.isArray(data) && typeof data.name === 'string' ? data.name.trim() : ''
+    };
+};
+
+// Small, stable string hash (djb2) for ids
+const hashString = (value) => {
+    let hash = 5381;
+    for (let i = 0; i < value.length; i++) hash = ((hash * 33) ^ value.charCodeAt(i)) >>> 0;
+    return hash.toString(36);
+};
+
+const slugify = (title) => title.toLowerCase().replace(/[^a-z0-9]+/g, '-').slice(0, 24).replace(/^-+|-+$/g, '') || 'topic';
+
+// Id for a node from its title path; `taken` keeps it unique within the syllabus
+const pathId = (titles, taken, prefix = 'imp') => {
+    const base = `${prefix}-${slugify(titles[titles.length - 1])}-${hashString(titles.map(normalizeTitle).join('/'))}`;
+    let id = base;
+    for (let n = 2; taken.has(id); n++) id = `${base}-${n}`;
+    taken.add(id);
+    return id;
+};
+
+const collectIds = (items, ids = new Set()) => {
+    (items || []).forEach(item => {
+        ids.add(item.id);
+        collectIds(item.children, ids);
+    });
+    return ids;
+};
+
+// Parsed nodes carry `done` while the tree is built; it moves to `completed` once ids exist
+const assignIds = (items, parentTitles, taken, prefix, completed) => items.map(({ done, ...item }) => {
+    const titles = [...parentTitles, item.title];
+    const id = pathId(titles, taken, prefix);
+    if (done) completed.push(id);
+    return { ...item, id, children: assignIds(item.children || [], titles, taken, prefix, completed) };
+});
+
+/**
+ * Parse syllabus text into nodes with ids.
+ * @param {string} text
+ * @param {string} [format='auto'] - one of SYLLABUS_IMPORT_FORMATS
+ * @param {Object} [options]
+ * @param {string} [options.idPrefix='imp'] - first part of every generated id
+ * @returns {{ items: Object[], completed: string[], name: string, format: string, problem: string|null }}
+ */
+export const parseSyllabusText = (text, format = 'auto', { idPrefix = 'imp' } = {}) => {
+    const resolved = format === 'auto' ? detectSyllabusFormat(text) : format;
+    let items = [];
+    let name = '';
+    try {
+        if (resolved === 'json') ({ items, name } = parseJson(text));
+        else if (resolved === 'markdown') ({ items, name } = parseMarkdown(text));
+        else items = parseOutline(text);
+    } catch (e) {
+        return { items: [], completed: [], name: '', format: resolved, problem: e instanceof SyntaxError ? 'The text is not valid JSON' : e.message };
+    }
+    if (items.length === 0) return { items: [], completed: [], name, format: resolved, problem: 'No topics found' };
+    const completed = [];
+    items = assignIds(items, [], new Set(), idPrefix, completed);
+    return { items, completed, name, format: resolved, problem: null };
+};
+
+/**
+ * Merge imported nodes into an existing syllabus. Nodes are matched by title among siblings;
+ * a matched node keeps its id (so completion, stats and linked logs stay attached) and gains
+ * the imported children it lacks. Unmatched nodes are added with ids unique in the syllabus.
+ * `completed` lists the merged ids of the imported nodes in `importedCompleted`.
+ * @returns {{ items: Object[], added: number, completed: string[] }}
+ */
+export const mergeSyllabusItems = (existing, imported, importedCompleted = []) => {
+    const taken = collectIds(existing);
+    const ticked = new Set(importedCompleted);
+    const completed = [];
+    let added = 0;
+
+    const mergeLevel = (current, incoming, parentTitles) => {
+        const result = [...current];
+        incoming.forEach(node => {
+            const index = result.findIndex(item => normalizeTitle(item.title) === normalizeTitle(node.title));
+            if (index === -1) {
+                const titles = [...parentTitles, node.title];
+                const fresh = { ...node, id: taken.has(node.id) ? pathId(titles, taken) : node.id, children: [] };
+                taken.add(fresh.id);
+                if (ticked.has(node.id)) completed.push(fresh.id);
+                added += 1;
+                fresh.children = mergeLevel([], node.children || [], titles);
+                result.push(fresh);
+                return;
+            }
+            const match = result[index];
+            if (ticked.has(node.id)) completed.push(match.id);
+            result[index] = {
+                ...match,
+                ...(node.estimatedHours && !match.estimatedHours ? { estimatedHours: node.estimatedHours } : {}),
+                children: mergeLevel(match.children || [], node.children || [], [...parentTitles, match.title])
+            };
+        });
+        return result;
+    };
+
+    const items = mergeLevel(existing || [], imported, []);
+    return { items, added, completed };
+};
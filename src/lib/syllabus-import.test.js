@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { parseSyllabusText, mergeSyllabusItems } from './syllabus-import';
+import { syllabusToMarkdown, syllabusToJson } from './syllabus-export';
+import { flattenNodes } from './syllabus-tree';
+
+const syllabus = {
+    name: 'GS Mains',
+    items: [
+        {
+            id: 'p1', title: 'Paper I', children: [
+                { id: 't1', title: 'Modern History', estimatedHours: 20, children: [
+                    { id: 't1a', title: 'Freedom Struggle', children: [] }
+                ] },
+                { id: 't2', title: 'World History', children: [] }
+            ]
+        },
+        { id: 'p2', title: 'Paper II', children: [{ id: 't3', title: 'Polity', children: [] }] }
+    ],
+    completed: ['t1a', 't2', 'p2']
+};
+
+// Completed titles, since ids are regenerated on import
+const completedTitles = ({ items, completed }) => {
+    const ticked = new Set(completed);
+    return flattenNodes(items).filter(entry => ticked.has(entry.id)).map(entry => entry.title).sort();
+};
+
+describe('syllabus export and import round trip', () => {
+    it.each([
+        ['markdown', syllabusToMarkdown],
+        ['json', syllabusToJson]
+    ])('keeps the tree, name and ticks through %s', (format, write) => {
+        const parsed = parseSyllabusText(write(syllabus), 'auto');
+        expect(parsed.problem).toBeNull();
+        expect(parsed.format).toBe(format);
+        expect(parsed.name).toBe('GS Mains');
+        expect(flattenNodes(parsed.items).map(entry => entry.title))
+            .toEqual(flattenNodes(syllabus.items).map(entry => entry.title));
+        expect(completedTitles(parsed)).toEqual(completedTitles(syllabus));
+    });
+
+    it('reads ticks from an indented outline', () => {
+        const parsed = parseSyllabusText('Paper I\n    - [x] Polity\n    - [ ] Economy', 'outline');
+        expect(completedTitles(parsed)).toEqual(['Polity']);
+    });
+
+    it('maps ticks onto existing ids when merging', () => {
+        const parsed = parseSyllabusText(syllabusToJson(syllabus), 'json');
+        const existing = [{ id: 'own', title: 'Paper I', children: [] }];
+        const merged = mergeSyllabusItems(existing, parsed.items, parsed.completed);
+        expect(completedTitles(merged)).toEqual(completedTitles(syllabus));
+        expect(merged.items[0].id).toBe('own');
+    });
+});
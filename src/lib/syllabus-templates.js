@@ -0,0 +1,97 @@
+import { parseSyllabusText } from './syllabus-import';
+import { flattenNodes } from './syllabus-tree';
+import { UPSC_CSE_GS } from './templates/upsc-cse';
+import { UPSC_OPTIONALS, UPSC_LITERATURE_LANGUAGES, LITERATURE_VERSION, literatureOutline } from './templates/upsc-optionals';
+import { STATE_PSC_TEMPLATES } from './templates/state-psc';
+
+// --- Syllabus Templates ---
+// Bundled exam syllabi a new syllabus can start from. A syllabus created from a template records
+// { id, version } in `template`; node ids come from the template id and title path ('tpl-<template id>-'
+// prefix), so a later revision of the template can be diffed against the user's customised copy by id.
+// The version stays out of the ids: a topic kept across revisions must keep its id.
+// Ids are never shared between templates, since aggregates credit study time to every node with a logged id.
+
+export const TEMPLATE_CATEGORIES = ['UPSC CSE', 'UPSC CSE Optional', 'State PSC'];
+
+const slugify = (value) => value.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+export const SYLLABUS_TEMPLATES = [
+    {
+        id: 'upsc-cse-gs',
+        name: 'UPSC CSE General Studies',
+        exam: 'UPSC Civil Services (Prelims and Mains)',
+        category: 'UPSC CSE',
+        ...UPSC_CSE_GS
+    },
+    ...UPSC_OPTIONALS.map(({ subject, version, outline }) => ({
+        id: `upsc-optional-${slugify(subject)}`,
+        name: `${subject} (Optional)`,
+        exam: 'UPSC Civil Services Mains',
+        category: 'UPSC CSE Optional',
+        version,
+        outline
+    })),
+    ...UPSC_LITERATURE_LANGUAGES.map(language => ({
+        id: `upsc-literature-${slugify(language)}`,
+        name: `${language} Literature (Optional)`,
+        exam: 'UPSC Civil Services Mains',
+        category: 'UPSC CSE Optional',
+        version: LITERATURE_VERSION,
+        outline: literatureOutline(language)
+    })),
+    ...STATE_PSC_TEMPLATES.map(template => ({ ...template, category: 'State PSC' })),
+];
+
+export const getTemplate = (id) => SYLLABUS_TEMPLATES.find(template => template.id === id) || null;
+
+// Parsed once per template; callers get a copy they can change freely
+const itemsCache = new Map();
+
+const templateIdPrefix = (id) => `tpl-${id}`;
+
+export const getTemplateItems = (id) => {
+    const template = getTemplate(id);
+    if (!template) return [];
+    if (!itemsCache.has(id)) itemsCache.set(id, parseSyllabusText(template.outline, 'outline', { idPrefix: templateIdPrefix(id) }).items);
+    return structuredClone(itemsCache.get(id));
+};
+
+// True when the syllabus was made from an older revision of its template
+export const hasTemplateUpdate = (syllabus) => {
+    const template = getTemplate(syllabus?.template?.id);
+    return !!template && template.version > (syllabus.template.version || 0);
+};
+
+// Topmost nodes matching `test`, with their ancestor titles; a match's subtree is implied
+const collectTopmost = (items, test, path = [], found = []) => {
+    (items || []).forEach(item => {
+        if (test(item)) found.push({ id: item.id, title: item.title, path, node: item });
+        else collectTopmost(item.children, test, [...path, item.title], found);
+    });
+    return found;
+};
+
+/**
+ * Compare a syllabus with the current revision of its template.
+ * missing: template nodes the copy doesn't have (new in the template, or deleted by the user);
+ * retired: template nodes in the copy that the template no longer has;
+ * custom: how many nodes the user added themselves.
+ * Both lists hold only the topmost node of each subtree.
+ * @returns {{ template: Object, missing: Object[], retired: Object[], custom: number }|null}
+ */
+export const diffSyllabusWithTemplate = (syllabus) => {
+    const template = getTemplate(syllabus?.template?.id);
+    if (!template) return null;
+
+    const templateItems = getTemplateItems(template.id);
+    const ownIds = new Set(flattenNodes(syllabus.items).map(entry => entry.id));
+    const templateIds = new Set(flattenNodes(templateItems).map(entry => entry.id));
+    const isTemplateNode = (id) => id.startsWith(`${templateIdPrefix(template.id)}-`);
+
+    return {
+        template,
+        missing: collectTopmost(templateItems, item => !ownIds.has(item.id)),
+        retired: collectTopmost(syllabus.items, item => isTemplateNode(item.id) && !templateIds.has(item.id)),
+        custom: [...ownIds].filter(id => !isTemplateNode(id)).length
+    };
+};
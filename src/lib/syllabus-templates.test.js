@@ -0,0 +1,24 @@
+import { describe, it, expect } from 'vitest';
+import { SYLLABUS_TEMPLATES, getTemplateItems, diffSyllabusWithTemplate } from './syllabus-templates';
+import { flattenNodes } from './syllabus-tree';
+
+describe('syllabus templates', () => {
+    it('never shares a node id between templates', () => {
+        const owners = new Map();
+        SYLLABUS_TEMPLATES.forEach(template => {
+            flattenNodes(getTemplateItems(template.id)).forEach(({ id }) => {
+                expect(owners.get(id) ?? template.id).toBe(template.id);
+                owners.set(id, template.id);
+            });
+        });
+    });
+
+    it('finds nothing to update in a fresh copy', () => {
+        const template = SYLLABUS_TEMPLATES[0];
+        const diff = diffSyllabusWithTemplate({
+            items: getTemplateItems(template.id),
+            template: { id: template.id, version: template.version }
+        });
+        expect(diff).toMatchObject({ missing: [], retired: [], custom: 0 });
+    });
+});
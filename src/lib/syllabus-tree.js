@@ -0,0 +1,161 @@
+// --- Syllabus Tree Helpers ---
+// Syllabus items are nested nodes: { id, title, children: [], stats? }
+
+// Resolve the active syllabus from a `syllabi/{uid}` document
+export const getActiveSyllabus = (data, fallbackId = null) => {
+    if (!data?.syllabi) return { id: null, syllabus: null };
+    const ids = Object.keys(data.syllabi);
+    const id = [data.activeSyllabusId, fallbackId, ids[0]].find(candidate => candidate && data.syllabi[candidate]) || null;
+    return { id, syllabus: id ? data.syllabi[id] : null };
+};
+
+export const findNodeById = (items, id) => {
+    if (!id) return null;
+    for (const item of items || []) {
+        if (item.id === id) return item;
+        const found = findNodeById(item.children, id);
+        if (found) return found;
+    }
+    return null;
+};
+
+// Case-insensitive title lookup. Only for logs written before topics were linked by id.
+export const findNodeByTitle = (items, title) => {
+    if (!title) return null;
+    const needle = title.trim().toLowerCase();
+    for (const item of items || []) {
+        if (item.title.toLowerCase() === needle) return item;
+        const found = findNodeByTitle(item.children, title);
+        if (found) return found;
+    }
+    return null;
+};
+
+// Flat list of every node with its ancestor titles and top-level paper id
+export const flattenNodes = (items, path = [], paperId = null) => {
+    const results = [];
+    (items || []).forEach(item => {
+        const rootId = paperId || item.id;
+        const isLeaf = !item.children || item.children.length === 0;
+        results.push({ id: item.id, title: item.title, path, paperId: rootId, isLeaf, node: item });
+        if (!isLeaf) results.push(...flattenNodes(item.children, [...path, item.title], rootId));
+    });
+    return results;
+};
+
+// Return a copy of the tree with `fn` applied to the node matching `id`
+export const mapNode = (items, id, fn) => (items || []).map(item => {
+    if (item.id === id) return fn({ ...item });
+    if (item.children) return { ...item, children: mapNode(item.children, id, fn) };
+    return item;
+});
+
+export const countNodes = (items) => (items || []).reduce(
+    (count, item) => count + 1 + countNodes(item.children),
+    0
+);
+
+// Rank nodes for the topic picker: exact title, then prefix, then substring (title or path)
+export const searchNodes = (flatNodes, term, limit = 8) => {
+    const needle = term.trim().toLowerCase();
+    if (!needle) return [];
+
+    const scored = [];
+    flatNodes.forEach(entry => {
+        const title = entry.title.toLowerCase();
+        let score;
+        if (title === needle) score = 0;
+        else if (title.startsWith(needle)) score = 1;
+        else if (title.includes(needle)) score = 2;
+        else if (entry.path.some(p => p.toLowerCase().includes(needle))) score = 3;
+        else return;
+        // Prefer leaf topics over papers/sections at the same score
+        scored.push({ entry, score: score * 2 + (entry.isLeaf ? 0 : 1) });
+    });
+
+    return scored
+        .sort((a, b) => a.score - b.score || a.entry.title.localeCompare(b.entry.title))
+        .slice(0, limit)
+        .map(s => s.entry);
+};
+
+// --- Moving nodes ---
+// Moves keep the node object (id, stats, children) intact, so completion and stats follow it.
+// `parentId` null is the top level; `index` is the position once the node has been taken out.
+
+// { parentId, index } of the node, or null
+export const locateNode = (items, id, parentId = null) => {
+    for (const [index, item] of (items || []).entries()) {
+        if (item.id === id) return { parentId, index };
+        const found = locateNode(item.children, id, item.id);
+        if (found) return found;
+    }
+    return null;
+};
+
+const detachNode = (items, id) => {
+    let node = null;
+    const walk = (list) => list.reduce((result, item) => {
+        if (item.id === id) {
+            node = item;
+            return result;
+        }
+        result.push(item.children ? { ...item, children: walk(item.children) } : item);
+        return result;
+    }, []);
+    const rest = walk(items || []);
+    return { node, rest };
+};
+
+const insertNode = (items, parentId, index, node) => {
+    const insertAt = (list) => {
+        const next = [...list];
+        next.splice(Math.max(0, Math.min(index, next.length)), 0, node);
+        return next;
+    };
+    if (parentId === null) return insertAt(items);
+    return mapNode(items, parentId, parent => ({ ...parent, children: insertAt(parent.children || []) }));
+};
+
+/**
+ * Move a node (with its subtree) under `parentId` at `index`.
+ * Returns `items` unchanged when the move is impossible: the node or parent is gone,
+ * or the parent is inside the node's own subtree.
+ */
+export const moveNode = (items, id, parentId, index) => {
+    const { node, rest } = detachNode(items, id);
+    if (!node || (parentId !== null && !findNodeById(rest, parentId))) return items;
+    return insertNode(rest, parentId, index, node);
+};
+
+/**
+ * Move a node next to, or into, another node: `position` is 'before', 'after' or 'inside' (as last child).
+ */
+export const moveNodeRelative = (items, id, targetId, position) => {
+    const { node, rest } = detachNode(items, id);
+    // A target inside the moved subtree (or the node itself) is no longer in `rest`
+    const target = node && locateNode(rest, targetId);
+    if (!target) return items;
+    if (position === 'inside') return insertNode(rest, targetId, Infinity, node);
+    return insertNode(rest, target.parentId, target.index + (position === 'after' ? 1 : 0), node);
+};
+
+/**
+ * Keyboard moves: 'up' / 'down' among siblings, 'indent' under the previous sibling,
+ * 'outdent' to just after the parent. Returns `items` unchanged at the edges.
+ */
+export const shiftNode = (items, id, direction) => {
+    const location = locateNode(items, id);
+    if (!location) return items;
+    const { parentId, index } = location;
+    const siblings = parentId === null ? items : findNodeById(items, parentId).children;
+
+    if (direction === 'up' && index > 0) return moveNode(items, id, parentId, index - 1);
+    if (direction === 'down' && index < siblings.length - 1) return moveNode(items, id, parentId, index + 1);
+    if (direction === 'indent' && index > 0) return moveNode(items, id, siblings[index - 1].id, Infinity);
+    if (direction === 'outdent' && parentId !== null) {
+        const parent = locateNode(items, parentId);
+        return moveNode(items, id, parent.parentId, parent.index + 1);
+    }
+    return items;
+};
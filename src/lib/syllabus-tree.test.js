@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import { locateNode, moveNode, moveNodeRelative, shiftNode, findNodeById } from './syllabus-tree';
+
+// gs1
+//   history (stats)
+//     ancient
+//     modern
+//   geography
+// gs2
+const tree = () => [
+    {
+        id: 'gs1', title: 'GS I', children: [
+            {
+                id: 'history', title: 'History', stats: { totalMinutes: 90 }, children: [
+                    { id: 'ancient', title: 'Ancient' },
+                    { id: 'modern', title: 'Modern' }
+                ]
+            },
+            { id: 'geography', title: 'Geography' }
+        ]
+    },
+    { id: 'gs2', title: 'GS II', children: [] }
+];
+
+// Shape of the tree as nested ids
+const shape = (items) => items.map(item => (item.children?.length ? { [item.id]: shape(item.children) } : item.id));
+
+describe('locateNode', () => {
+    it('finds the parent and position of a node', () => {
+        expect(locateNode(tree(), 'modern')).toEqual({ parentId: 'history', index: 1 });
+        expect(locateNode(tree(), 'gs2')).toEqual({ parentId: null, index: 1 });
+        expect(locateNode(tree(), 'missing')).toBeNull();
+    });
+});
+
+describe('moveNode', () => {
+    it('moves a node with its subtree and stats to another parent', () => {
+        const moved = moveNode(tree(), 'history', 'gs2', 0);
+        expect(shape(moved)).toEqual([{ gs1: ['geography'] }, { gs2: [{ history: ['ancient', 'modern'] }] }]);
+        expect(findNodeById(moved, 'history').stats).toEqual({ totalMinutes: 90 });
+    });
+
+    it('clamps the index and moves to the top level with a null parent', () => {
+        expect(shape(moveNode(tree(), 'geography', null, Infinity)))
+            .toEqual([{ gs1: [{ history: ['ancient', 'modern'] }] }, 'gs2', 'geography']);
+    });
+
+    it('refuses to move a node into its own subtree', () => {
+        const items = tree();
+        expect(moveNode(items, 'history', 'ancient', 0)).toBe(items);
+        expect(moveNode(items, 'missing', 'gs2', 0)).toBe(items);
+    });
+
+    it('leaves the original tree untouched', () => {
+        const items = tree();
+        moveNode(items, 'ancient', 'gs2', 0);
+        expect(items).toEqual(tree());
+    });
+});
+
+describe('moveNodeRelative', () => {
+    it('drops before, after or inside a target', () => {
+        expect(shape(moveNodeRelative(tree(), 'geography', 'history', 'before'))[0])
+            .toEqual({ gs1: ['geography', { history: ['ancient', 'modern'] }] });
+        expect(shape(moveNodeRelative(tree(), 'ancient', 'modern', 'after'))[0])
+            .toEqual({ gs1: [{ history: ['modern', 'ancient'] }, 'geography'] });
+        expect(shape(moveNodeRelative(tree(), 'geography', 'gs2', 'inside'))[1]).toEqual({ gs2: ['geography'] });
+    });
+
+    it('refuses a target inside the moved subtree', () => {
+        const items = tree();
+        expect(moveNodeRelative(items, 'gs1', 'modern', 'inside')).toBe(items);
+        expect(moveNodeRelative(items, 'gs1', 'gs1', 'after')).toBe(items);
+    });
+});
+
+describe('shiftNode', () => {
+    it('moves up and down among siblings', () => {
+        expect(shape(shiftNode(tree(), 'modern', 'up'))[0]).toEqual({ gs1: [{ history: ['modern', 'ancient'] }, 'geography'] });
+        expect(shape(shiftNode(tree(), 'history', 'down'))[0]).toEqual({ gs1: ['geography', { history: ['ancient', 'modern'] }] });
+    });
+
+    it('indents under the previous sibling as its last child', () => {
+        expect(shape(shiftNode(tree(), 'geography', 'indent'))[0])
+            .toEqual({ gs1: [{ history: ['ancient', 'modern', 'geography'] }] });
+    });
+
+    it('outdents to just after the parent', () => {
+        expect(shape(shiftNode(tree(), 'ancient', 'outdent'))[0])
+            .toEqual({ gs1: [{ history: ['modern'] }, 'ancient', 'geography'] });
+    });
+
+    it('does nothing at the edges', () => {
+        const items = tree();
+        expect(shiftNode(items, 'ancient', 'up')).toBe(items);
+        expect(shiftNode(items, 'gs2', 'down')).toBe(items);
+        expect(shiftNode(items, 'history', 'indent')).toBe(items);
+        expect(shiftNode(items, 'gs1', 'outdent')).toBe(items);
+        expect(shiftNode(items, 'missing', 'up')).toBe(items);
+    });
+});
@@ -0,0 +1,196 @@
+// State Public Service Commission civil services syllabi. Each follows its commission's
+// current prelims/mains pattern; the general sections track the UPSC GS papers, so the
+// state-specific units are spelled out while the common ones stay at the unit level.
+// Bump a template's `version` whenever its outline changes.
+
+export const STATE_PSC_TEMPLATES = [
+    {
+        id: 'uppsc-pcs',
+        name: 'UPPSC PCS',
+        exam: 'Uttar Pradesh Combined State / Upper Subordinate Services',
+        version: 1,
+        outline: `
+Prelims
+    General Studies Paper I
+        Current events of national and international importance
+        History of India and Indian National Movement
+        India and World Geography
+        Indian Polity and Governance
+        Economic and Social Development
+        Environmental Ecology, Biodiversity and Climate Change
+        General Science
+    General Studies Paper II (CSAT)
+        Comprehension
+        Interpersonal skills including communication skills
+        Logical reasoning and analytical ability
+        Decision making and problem solving
+        General mental ability
+        Elementary Mathematics up to Class X: arithmetic, algebra, geometry and statistics
+        General English up to Class X
+        General Hindi up to Class X
+Mains
+    General Hindi
+    Essay
+    General Studies I: Indian Culture, History, Geography and Society
+    General Studies II: Polity, Governance, Social Justice and International Relations
+    General Studies III: Economy, Agriculture, Science and Technology, Environment and Security
+    General Studies IV: Ethics, Integrity and Aptitude
+    General Studies V: Uttar Pradesh (I)
+        History, civilisation, culture and ancient cities of Uttar Pradesh
+        Architecture, art, crafts, music, dance and literature of Uttar Pradesh
+        Contribution of Uttar Pradesh to the freedom struggle
+        Eminent freedom fighters and personalities of Uttar Pradesh
+        Political system of Uttar Pradesh: Governor, Chief Minister, Council of Ministers, Legislature
+        Public service, public service commission and audit in Uttar Pradesh
+        Panchayati Raj and urban governance in Uttar Pradesh
+        Law and order, civil defence and welfare schemes of Uttar Pradesh
+        Education, health and social issues in Uttar Pradesh
+    General Studies VI: Uttar Pradesh (II)
+        Economy of Uttar Pradesh: overview, budget and state income
+        Agriculture, horticulture, forestry and animal husbandry in Uttar Pradesh
+        Industry, trade, MSMEs and One District One Product in Uttar Pradesh
+        Infrastructure, energy, transport and tourism in Uttar Pradesh
+        Geography of Uttar Pradesh: location, physiography, climate, rivers and soils
+        Natural resources, mineral wealth and demography of Uttar Pradesh
+        Forests, wildlife, national parks and sanctuaries of Uttar Pradesh
+        Science and technology, IT and environmental initiatives of Uttar Pradesh
+        Disaster management in Uttar Pradesh
+`
+    },
+    {
+        id: 'bpsc-cce',
+        name: 'BPSC CCE',
+        exam: 'Bihar Combined Competitive Examination',
+        version: 1,
+        outline: `
+Prelims
+    General Studies
+        Current events of national and international importance
+        History of India and salient features of the history of Bihar
+        General Geography and geographical divisions of Bihar and its major river systems
+        Indian Polity and Economy, including Panchayati Raj and the economic policy of Bihar
+        Indian National Movement and the role of Bihar in it
+        General Science
+        General Mental Ability
+Mains
+    General Hindi (qualifying)
+        Essay
+        Grammar
+        Syntax
+        Summary writing
+    Essay
+        Essay 1
+        Essay 2
+    General Studies I
+        Modern history of India and Indian culture
+            Modern history from the middle of the nineteenth century
+            Role of Bihar in the 1857 revolt, the Santhal uprising and the Birsa movement
+            Champaran satyagraha and the Quit India movement in Bihar
+            Contribution of Bihar to Indian culture, from ancient to modern times
+        Current events of national and international importance
+        Statistical analysis, graphs and diagrams
+    General Studies II
+        Indian Polity
+            Constitutional and political system of India and Bihar
+            Panchayati Raj and local bodies in Bihar
+        Indian Economy and Geography of India
+            Indian economy: planning, growth and development
+            Economy of Bihar: agriculture, industry, land reforms and state budget
+            Geography of India and of Bihar
+        Role and impact of Science and Technology in the development of India and Bihar
+    Optional Subject (qualifying)
+`
+    },
+    {
+        id: 'mppsc-sse',
+        name: 'MPPSC State Service',
+        exam: 'Madhya Pradesh State Service Examination',
+        version: 1,
+        outline: `
+Prelims
+    General Studies
+        History of India and Madhya Pradesh
+        Geography of India, the World and Madhya Pradesh
+        Constitution, government and economy of India and Madhya Pradesh
+        Science and Technology
+        Environment
+        Current events of international, national and Madhya Pradesh importance
+        Information and Communication Technology
+        National and State Level Constitutional and Statutory Bodies
+        Tribes of Madhya Pradesh: heritage, culture and literature
+    General Aptitude Test
+        Comprehension
+        Interpersonal skills including communication skills
+        Logical reasoning and analytical ability
+        Decision making and problem solving
+        General mental ability
+        Basic numeracy and data interpretation
+        Hindi language comprehension
+Mains
+    General Studies I
+        History: Indian history and the history of Madhya Pradesh
+        Culture, heritage and tribes of Madhya Pradesh
+        Geography of the World, India and Madhya Pradesh
+        Water management and disaster management
+    General Studies II
+        Constitution, Governance, Political and Administrative Structure
+        Social Sector: health, education, human resources and welfare in Madhya Pradesh
+        Sociology: Indian society and social issues
+        Public Services and international organisations
+    General Studies III
+        Science and Technology
+        Indian Economy and the economy of Madhya Pradesh
+        Geography and geology of Madhya Pradesh
+        Energy, environment and sustainable development
+    General Studies IV
+        Philosophy, Psychology and Public Administration
+        Ethics in public life; case studies
+    General Hindi and Grammar
+    Hindi Essay and Draft Writing
+`
+    },
+    {
+        id: 'rpsc-ras',
+        name: 'RPSC RAS/RTS',
+        exam: 'Rajasthan State and Subordinate Services Combined Competitive Examination',
+        version: 1,
+        outline: `
+Prelims
+    General Knowledge and General Science
+        History, Art, Culture, Literature, Tradition and Heritage of Rajasthan
+        Indian History: ancient, medieval and modern
+        History of the Modern World
+        Geography of the World and India
+        Geography of Rajasthan
+        Indian Constitution, Political System and Governance
+        Political and Administrative System of Rajasthan
+        Economic Concepts and the Indian Economy
+        Economy of Rajasthan
+        Science and Technology
+        Reasoning and Mental Ability
+        Current Affairs
+Mains
+    Paper I
+        History
+            Rajasthan: history, art, culture, literature, tradition and heritage
+            Indian history and culture
+            History of the modern world up to 1950
+        Economics
+            Indian economy
+            World economy
+            Economy of Rajasthan
+        Sociology, Management, Accounting and Auditing
+    Paper II
+        Administrative Ethics
+        General Science and Technology
+        Earth Science: Geography and Geology of the World, India and Rajasthan
+    Paper III
+        Indian Political System, World Politics and Current Affairs
+        Concepts, Issues and Dynamics of Public Administration and Management
+        Sports and Yoga, Behaviour and Law
+    Paper IV
+        General Hindi
+        General English
+`
+    },
+];
@@ -0,0 +1,178 @@
+// UPSC Civil Services Examination: Preliminary and Main (General Studies) syllabus,
+// following the wording of the UPSC CSE notification. Indented outline, read by syllabus-import.
+// Bump `version` whenever the outline changes so existing copies can be diffed against it.
+
+export const UPSC_CSE_GS = {
+    version: 1,
+    outline: `
+Prelims
+    General Studies Paper I
+        Current events of national and international importance
+        History of India and Indian National Movement
+            Ancient India
+            Medieval India
+            Modern India
+            Indian National Movement
+            Art and Culture
+        Indian and World Geography
+            Physical Geography of India and the World
+            Social Geography of India and the World
+            Economic Geography of India and the World
+        Indian Polity and Governance
+            Constitution
+            Political System
+            Panchayati Raj
+            Public Policy
+            Rights Issues
+        Economic and Social Development
+            Sustainable Development
+            Poverty
+            Inclusion
+            Demographics
+            Social Sector Initiatives
+        Environmental Ecology, Biodiversity and Climate Change
+        General Science
+    General Studies Paper II (CSAT)
+        Comprehension
+        Interpersonal skills including communication skills
+        Logical reasoning and analytical ability
+        Decision making and problem solving
+        General mental ability
+        Basic numeracy (Class X level)
+        Data interpretation (charts, graphs, tables, data sufficiency)
+Mains
+    Qualifying Papers
+        Paper A: Indian Language
+            Comprehension of given passages
+            Precis writing
+            Usage and vocabulary
+            Short essays
+            Translation from English to the Indian language and vice versa
+        Paper B: English
+            Comprehension of given passages
+            Precis writing
+            Usage and vocabulary
+            Short essays
+    Essay
+        Essays on multiple topics
+        Arranging ideas in an orderly fashion
+        Concise and effective expression
+    General Studies I: Indian Heritage and Culture, History and Geography of the World and Society
+        Indian Culture: salient aspects of Art Forms, Literature and Architecture from ancient to modern times
+        Modern Indian History
+            Significant events, personalities and issues from the middle of the eighteenth century until the present
+            The Freedom Struggle: its various stages and contributors from different parts of the country
+            Post-independence consolidation and reorganisation within the country
+        World History
+            Industrial revolution
+            World wars
+            Redrawal of national boundaries
+            Colonisation and decolonisation
+            Political philosophies: communism, capitalism, socialism
+        Indian Society
+            Salient features of Indian Society and Diversity of India
+            Role of women and women's organisations
+            Population and associated issues
+            Poverty and developmental issues
+            Urbanisation: problems and remedies
+            Effects of globalisation on Indian society
+            Social empowerment
+            Communalism, regionalism and secularism
+        Geography
+            Salient features of the world's physical geography
+            Distribution of key natural resources across the world, including South Asia and the Indian sub-continent
+            Factors responsible for the location of primary, secondary and tertiary sector industries
+            Important geophysical phenomena: earthquakes, tsunami, volcanic activity, cyclones
+            Geographical features and their location, and changes in critical features, water bodies, ice-caps, flora and fauna
+    General Studies II: Governance, Constitution, Polity, Social Justice and International Relations
+        Constitution
+            Historical underpinnings, evolution, features, amendments, significant provisions and basic structure
+            Functions and responsibilities of the Union and the States
+            Issues and challenges of the federal structure
+            Devolution of powers and finances up to local levels
+            Separation of powers between organs, dispute redressal mechanisms and institutions
+            Comparison of the Indian constitutional scheme with that of other countries
+        Parliament and State Legislatures: structure, functioning, conduct of business, powers and privileges
+        Executive and Judiciary: structure, organisation and functioning; Ministries and Departments
+        Pressure groups and formal and informal associations and their role in the Polity
+        Salient features of the Representation of People's Act
+        Appointment to constitutional posts; powers, functions and responsibilities of Constitutional Bodies
+        Statutory, regulatory and quasi-judicial bodies
+        Governance
+            Government policies and interventions for development and issues in their design and implementation
+            Development processes and the development industry: NGOs, SHGs, donors, charities and other stakeholders
+            Welfare schemes for vulnerable sections and their performance; mechanisms, laws, institutions and bodies
+            Issues relating to development and management of Social Sector Services: Health, Education, Human Resources
+            Issues relating to poverty and hunger
+            Transparency and accountability, e-governance, citizens charters and institutional measures
+            Role of civil services in a democracy
+        International Relations
+            India and its neighbourhood
+            Bilateral, regional and global groupings and agreements involving India or affecting its interests
+            Effect of policies and politics of developed and developing countries on India's interests; Indian diaspora
+            Important international institutions, agencies and fora: their structure and mandate
+    General Studies III: Technology, Economic Development, Bio-diversity, Environment, Security and Disaster Management
+        Indian Economy
+            Planning, mobilisation of resources, growth, development and employment
+            Inclusive growth and issues arising from it
+            Government Budgeting
+            Effects of liberalisation on the economy, changes in industrial policy and their effects on industrial growth
+            Infrastructure: Energy, Ports, Roads, Airports, Railways
+            Investment models
+        Agriculture
+            Major crops, cropping patterns, irrigation systems, storage, transport and marketing of produce
+            E-technology in the aid of farmers
+            Direct and indirect farm subsidies and minimum support prices; Public Distribution System; buffer stocks and food security
+            Technology missions; economics of animal-rearing
+            Food processing and related industries: scope, location, upstream and downstream requirements, supply chain management
+            Land reforms in India
+        Science and Technology
+            Developments and their applications and effects in everyday life
+            Achievements of Indians in science and technology; indigenisation of technology
+            Awareness in IT, Space, Computers, Robotics, Nano-technology, Bio-technology and intellectual property rights
+        Environment
+            Conservation
+            Environmental pollution and degradation
+            Environmental impact assessment
+        Disaster and Disaster Management
+        Internal Security
+            Linkages between development and the spread of extremism
+            Role of external state and non-state actors in creating challenges to internal security
+            Challenges to internal security through communication networks, role of media and social networking sites
+            Basics of cyber security; money-laundering and its prevention
+            Security challenges and their management in border areas; linkages of organised crime with terrorism
+            Various security forces and agencies and their mandate
+    General Studies IV: Ethics, Integrity and Aptitude
+        Ethics and Human Interface
+            Essence, determinants and consequences of ethics in human actions
+            Dimensions of ethics
+            Ethics in private and public relationships
+            Human values: lessons from the lives of great leaders, reformers and administrators
+            Role of family, society and educational institutions in inculcating values
+        Attitude: content, structure, function; influence and relation with thought and behaviour; moral and political attitudes; social influence and persuasion
+        Aptitude and foundational values for Civil Service
+            Integrity, impartiality and non-partisanship
+            Objectivity
+            Dedication to public service
+            Empathy, tolerance and compassion towards the weaker sections
+        Emotional intelligence: concepts, and their utilities and application in administration and governance
+        Contributions of moral thinkers and philosophers from India and the world
+        Public and Civil Service values and Ethics in Public administration
+            Status and problems
+            Ethical concerns and dilemmas in government and private institutions
+            Laws, rules, regulations and conscience as sources of ethical guidance
+            Accountability and ethical governance
+            Strengthening of ethical and moral values in governance
+            Ethical issues in international relations and funding
+            Corporate governance
+        Probity in Governance
+            Concept of public service
+            Philosophical basis of governance and probity
+            Information sharing and transparency in government, Right to Information
+            Codes of Ethics, Codes of Conduct, Citizen's Charters
+            Work culture and quality of service delivery
+            Utilisation of public funds
+            Challenges of corruption
+        Case Studies on the above issues
+`
+};
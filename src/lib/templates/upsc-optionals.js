@@ -0,0 +1,854 @@
+// UPSC CSE optional subjects (two papers each), at the unit level of the official syllabus.
+// Literature optionals share one structure; their prescribed texts change and are left for the user to add.
+// Bump a subject's `version` whenever its outline changes.
+
+export const UPSC_OPTIONALS = [
+    {
+        subject: 'Agriculture',
+        version: 1,
+        outline: `
+Paper I
+    Ecology and its relevance to man; natural resources and their sustainable management
+    Cropping patterns in different agro-climatic zones; impact of high-yielding and short-duration varieties
+    Concepts of multiple cropping, multi-storey, relay and inter-cropping
+    Package of practices for major cereals, pulses, oilseeds, fibre, sugar and commercial crops
+    Agroforestry, social forestry and farm forestry
+    Weeds: characteristics, dissemination, association with crops and control
+    Processes and factors of soil formation; soil classification
+    Essential plant nutrients; soil fertility and productivity; integrated nutrient management
+    Soil conservation, watershed management and dry land agriculture
+    Water use efficiency; irrigation scheduling and drainage
+    Farm management, farm planning and production economics
+    Agricultural marketing, prices, cooperatives and agricultural finance
+    Agricultural extension: programmes, methods and innovation diffusion
+Paper II
+    Cell structure, function and cell division; nucleic acids and the genetic code
+    Mendelian genetics; mutation; cytoplasmic inheritance and polyploidy
+    History of plant breeding; methods of breeding self- and cross-pollinated crops
+    Seed technology: production, processing, testing and certification
+    Plant physiology: photosynthesis, respiration, growth regulators and photoperiodism
+    Climatic elements as factors of crop growth
+    Horticulture: production of fruits, vegetables, flowers and plantation crops; post-harvest technology
+    Plant protection: pests and diseases of major crops, integrated pest management, pesticides
+    Food production and consumption trends; food security and nutrition policies
+`
+    },
+    {
+        subject: 'Animal Husbandry and Veterinary Science',
+        version: 1,
+        outline: `
+Paper I
+    Animal Nutrition
+        Energy partitioning and metabolism
+        Protein, mineral and vitamin nutrition
+        Feeding of livestock and poultry; feed additives
+    Animal Physiology
+        Blood, circulation, respiration and excretion
+        Endocrine glands and growth
+        Physiology of reproduction and lactation
+    Animal Reproduction: semen quality, artificial insemination, embryo transfer
+    Livestock Production and Management: commercial dairy, poultry and small ruminant farming
+    Genetics and Animal Breeding: population genetics, selection and breeding systems
+    Extension: methods and programmes for livestock development
+Paper II
+    Anatomy, Pharmacology and Hygiene
+    Animal Diseases: etiology, symptoms, diagnosis and control of infectious and metabolic diseases
+    Veterinary Public Health: zoonoses, food hygiene and epidemiology
+    Milk and Milk Products Technology
+    Meat Hygiene and Technology; by-products
+`
+    },
+    {
+        subject: 'Anthropology',
+        version: 1,
+        outline: `
+Paper I
+    Meaning, scope and development of Anthropology
+    Relationship with other disciplines
+    Human Evolution and emergence of Man
+        Biological and cultural factors in human evolution
+        Theories of organic evolution
+        Primates: characteristics, evolutionary trends and taxonomy
+        Fossil evidence: Australopithecines, Homo erectus, Neanderthal, Homo sapiens
+    The biological basis of life: the cell, DNA, RNA and protein synthesis
+    Principles of prehistoric archaeology; chronology and cultural evolution
+    The nature of culture; society and social institutions
+    Marriage, family and kinship
+    Economic organisation
+    Political organisation and social control
+    Religion; magic and science
+    Anthropological theories
+    Culture, language and communication
+    Research methods in Anthropology
+    Human Genetics: methods, Mendelian genetics, chromosomal aberrations, race and racism
+    Age, sex and population variation; human growth and development
+    Applications of Anthropology
+Paper II
+    Evolution of Indian Culture and Civilisation: prehistoric, protohistoric and the Indus civilisation
+    Demographic profile of India
+    Structure and nature of the traditional Indian social system: varnashram, purushartha, karma, rina
+    Caste system in India; sacred complex and nature-man-spirit complex
+    Emergence and growth of Anthropology in India
+    Indian Village and its social system
+    Linguistic and religious minorities and their social and political status
+    Indigenous and exogenous processes of socio-cultural change in Indian society
+    Tribal situation in India: bio-genetic variability, languages and socio-economic characteristics
+    Problems of tribal communities: land alienation, poverty, indebtedness, health and education
+    Developmental projects and their impact on tribal displacement and rehabilitation
+    Constitutional safeguards for Scheduled Tribes and Scheduled Castes
+    Ethnicity, tribal unrest and regionalism
+    Impact of Hinduism, Buddhism, Christianity, Islam and other religions on tribal societies
+    Tribe and nation state
+    History of administration of tribal areas; tribal policies, plans and programmes
+    Role of Anthropology in tribal and rural development
+    Contribution of Anthropology to the understanding of regionalism, communalism and ethnic movements
+`
+    },
+    {
+        subject: 'Botany',
+        version: 1,
+        outline: `
+Paper I
+    Microbiology and Plant Pathology
+    Cryptogams: algae, fungi, lichens, bryophytes and pteridophytes
+    Phanerogams: gymnosperms and angiosperms
+        Systems of classification
+        Angiosperm families
+        Anatomy and embryology
+    Plant Resource Development
+    Morphogenesis
+Paper II
+    Cell Biology
+    Genetics, Molecular Biology and Evolution
+    Plant Breeding, Biotechnology and Biostatistics
+    Physiology and Biochemistry
+    Ecology and Plant Geography
+`
+    },
+    {
+        subject: 'Chemistry',
+        version: 1,
+        outline: `
+Paper I
+    Atomic Structure
+    Chemical Bonding
+    Solid State
+    The Gaseous State and Transport Phenomenon
+    Liquid State
+    Thermodynamics
+    Phase Equilibria and Solutions
+    Electrochemistry
+    Chemical Kinetics
+    Photochemistry
+    Surface Phenomena and Catalysis
+    Bio-inorganic Chemistry
+    Coordination Compounds
+    Main Group Chemistry
+    General Chemistry of f-block elements
+    Non-Aqueous Solvents
+Paper II
+    Delocalised covalent bonding
+    Reaction mechanisms
+    Pericyclic reactions
+    Preparation and properties of polymers
+    Synthetic uses of reagents
+    Photochemistry
+    Spectroscopy
+        Rotational, vibrational and electronic spectra
+        Nuclear magnetic resonance
+        Mass spectrometry
+`
+    },
+    {
+        subject: 'Civil Engineering',
+        version: 1,
+        outline: `
+Paper I
+    Engineering Mechanics, Strength of Materials and Structural Analysis
+    Design of Structures: steel, concrete and masonry structures
+    Fluid Mechanics, Open Channel Flow and Hydraulic Machines
+    Geotechnical Engineering
+Paper II
+    Construction Technology, Equipment, Planning and Management
+    Survey and Transportation Engineering
+    Hydrology, Water Resources and Engineering
+    Environmental Engineering
+`
+    },
+    {
+        subject: 'Commerce and Accountancy',
+        version: 1,
+        outline: `
+Paper I: Accounting and Finance
+    Accounting, Taxation and Auditing
+        Financial Accounting
+        Cost Accounting
+        Taxation
+        Auditing
+    Financial Management, Financial Institutions and Markets
+        Financial Management
+        Financial Markets and Institutions
+Paper II: Organisation Theory and Behaviour, Human Resource Management and Industrial Relations
+    Organisation Theory
+    Organisation Behaviour
+    Human Resource Management
+    Industrial Relations
+`
+    },
+    {
+        subject: 'Economics',
+        version: 1,
+        outline: `
+Paper I
+    Advanced Micro Economics
+        Marshallian and Walrasian approaches to price determination
+        Alternative distribution theories: Ricardo, Kaldor, Kalecki
+        Markets structure: monopolistic competition, duopoly, oligopoly
+        Modern welfare criteria: Pareto, Hicks and Scitovsky, Arrow's impossibility theorem, A. K. Sen's social welfare function
+    Advanced Macro Economics
+        Approaches to employment, income and interest rate determination: Classical, Keynes, neo-classical synthesis and new classical
+        Theories of interest rate determination and interest rate structure
+    Money, Banking and Finance
+        Demand for and supply of money; money multiplier; quantity theory of money
+        Public finance and its role in a market economy
+        Monetary management in an open economy
+    International Economics
+        Old and new theories of international trade
+        Forms of protection: tariff and quota
+        Balance of payments adjustments: alternative approaches
+        Global institutions: UNCTAD, IMF, World Bank, WTO
+    Growth and Development
+        Theories of growth: Harrod's model; Lewis model of development with surplus labour
+        Role of agriculture, human capital and financial markets in development
+        Sustainable development; relationship between growth and development
+Paper II
+    Indian Economy in the Pre-Independence Era
+        Land system and its changes; commercialisation of agriculture
+        Drain theory; laissez-faire theory and critique
+    Indian Economy after Independence
+        The Pre-Liberalisation Era
+            Contribution of Vakil, Gadgil and V. K. R. V. Rao
+            Agriculture: land reforms, Green Revolution and technology
+            Industry: trends in composition and growth; public and private sector; small and cottage industries
+            National and per capita income: patterns, trends, aggregate and sectoral composition
+            Broad factors determining national income and distribution; measures of poverty
+            Trends in employment and unemployment
+        The Post-Liberalisation Era
+            New economic reform and agriculture: WTO, food processing, subsidies, prices and public distribution
+            New economic policy and industry: privatisation, disinvestment, FDI and MNCs
+            New economic policy and trade: intellectual property rights, TRIPS, TRIMS, GATS; new EXIM policy
+            New exchange rate regime: partial and full convertibility
+            New economic policy and public finance: fiscal responsibility, fiscal federalism and consolidation
+            New economic policy and monetary system: role of RBI
+            Planning: from central planning to indicative planning; decentralised planning
+            Economic reforms, growth, development, employment, poverty and inequality
+`
+    },
+    {
+        subject: 'Electrical Engineering',
+        version: 1,
+        outline: `
+Paper I
+    Circuit Theory
+    Signals and Systems
+    E.M. Theory
+    Analog Electronics
+    Digital Electronics
+    Energy Conversion
+    Power Electronics and Electric Drives
+    Analog Communication
+Paper II
+    Control Systems
+    Microprocessors and Microcomputers
+    Measurement and Instrumentation
+    Power Systems: analysis and control
+    Power System Protection
+    Digital Communication
+`
+    },
+    {
+        subject: 'Geography',
+        version: 1,
+        outline: `
+Paper I: Principles of Geography
+    Physical Geography
+        Geomorphology
+        Climatology
+        Oceanography
+        Biogeography
+        Environmental Geography
+    Human Geography
+        Perspectives in Human Geography
+        Economic Geography
+        Population and Settlement Geography
+        Regional Planning
+        Models, Theories and Laws in Human Geography
+Paper II: Geography of India
+    Physical Setting
+    Resources
+    Agriculture
+    Industry
+    Transport, Communication and Trade
+    Cultural Setting
+    Settlements
+    Regional Development and Planning
+    Political Aspects
+    Contemporary Issues
+`
+    },
+    {
+        subject: 'Geology',
+        version: 1,
+        outline: `
+Paper I
+    General Geology
+    Geomorphology and Remote Sensing
+    Structural Geology
+    Palaeontology
+    Indian Stratigraphy
+    Hydrogeology and Engineering Geology
+Paper II
+    Mineralogy
+    Igneous and Metamorphic Petrology
+    Sedimentology
+    Economic Geology
+    Mining Geology
+    Geochemistry and Environmental Geology
+`
+    },
+    {
+        subject: 'History',
+        version: 1,
+        outline: `
+Paper I
+    Sources
+    Pre-history and Proto-history
+    Indus Valley Civilisation
+    Megalithic Cultures
+    Aryans and Vedic Period
+    Period of Mahajanapadas
+    Mauryan Empire
+    Post-Mauryan Period: Indo-Greeks, Sakas, Kushanas, Western Kshatrapas
+    Early State and Society in Eastern India, Deccan and South India
+    Guptas, Vakatakas and Vardhanas
+    Regional States during the Gupta Era
+    Themes in Early Indian Cultural History
+    Early Medieval India, 750-1200
+    Cultural Traditions in India, 750-1200
+    The Thirteenth Century
+    The Fourteenth Century
+    Society, Culture and Economy in the Thirteenth and Fourteenth Centuries
+    The Fifteenth and Early Sixteenth Century: Political Developments and Economy
+    The Fifteenth and Early Sixteenth Century: Society and Culture
+    Akbar
+    Mughal Empire in the Seventeenth Century
+    Economy and Society in the Sixteenth and Seventeenth Centuries
+    Culture in the Mughal Empire
+    The Eighteenth Century
+Paper II
+    European Penetration into India
+    British Expansion in India
+    Early Structure of the British Raj
+    Economic Impact of British Colonial Rule
+    Social and Cultural Developments
+    Social and Religious Reform Movements in Bengal and Other Areas
+    Indian Response to British Rule
+    Factors leading to the birth of Indian Nationalism
+    Rise of Gandhi; character of Gandhian nationalism
+    Constitutional Developments in Colonial India, 1858-1935
+    Other strands in the National Movement: the revolutionaries and the Left
+    Politics of Separatism; the Muslim League; partition and independence
+    Consolidation as a Nation
+    Caste and Ethnicity after 1947
+    Economic development and political change
+    Enlightenment and Modern Ideas
+    Origins of Modern Politics
+    Industrialisation
+    Nation-State System
+    Imperialism and Colonialism
+    Revolution and Counter-Revolution
+    World Wars
+    The World after World War II
+    Liberation from Colonial Rule
+    Decolonisation and Underdevelopment
+    Unification of Europe
+    Disintegration of the Soviet Union and the Rise of the Unipolar World
+`
+    },
+    {
+        subject: 'Law',
+        version: 1,
+        outline: `
+Paper I: Constitutional and Administrative Law
+    Constitution and Constitutionalism
+    Fundamental Rights
+    Relationship between Fundamental Rights, Directive Principles and Fundamental Duties
+    Constitutional Position of the President and relation with the Council of Ministers
+    Governor and his powers
+    Supreme Court and High Courts: appointments, transfer, powers and jurisdiction
+    Centre, States and Local Bodies
+    Legislative Powers, Privileges and Immunities
+    Services under the Union and the States
+    Emergency Provisions
+    Amendment of the Constitution
+    Principles of Natural Justice
+    Delegated Legislation and its constitutionality
+    Separation of Powers and constitutional governance
+    Judicial review of administrative action
+    Ombudsman: Lokayukta, Lokpal
+Paper I: International Law
+    Nature and definition of International Law
+    Relationship between International Law and Municipal Law
+    State Recognition and State Succession
+    Law of the Sea
+    Individuals: nationality, statelessness, human rights
+    Territorial jurisdiction of States, extradition and asylum
+    Treaties: formation, application, termination and reservation
+    United Nations: principal organs, powers and functions
+    Peaceful settlement of disputes
+    Lawful recourse to force: aggression, self-defence, intervention
+    Fundamental principles of international humanitarian law
+    Legality of the use of nuclear weapons; Non-Proliferation Treaty, CTBT
+    International terrorism, state-sponsored terrorism, hijacking, International Criminal Court
+    New International Economic Order and monetary law: WTO, TRIPS, GATT, IMF, World Bank
+    Protection and improvement of the human environment: international efforts
+Paper II: Law of Crimes
+    General principles of criminal liability: mens rea and actus reus
+    Kinds of punishment and emerging trends
+    Preparation and criminal attempt
+    General exceptions
+    Joint and constructive liability
+    Abetment
+    Criminal conspiracy
+    Offences against the State
+    Offences against public tranquillity
+    Offences against the human body
+    Offences against property
+    Offences against women
+    Defamation
+    Prevention of Corruption Act
+    Protection of Civil Rights Act and subsequent legislative developments
+    Plea bargaining
+Paper II: Law of Torts
+    Nature and definition
+    Liability based upon fault and strict liability; absolute liability
+    Vicarious liability including State liability
+    General defences
+    Joint tort feasors
+    Remedies
+    Negligence
+    Defamation
+    Nuisance
+    Conspiracy
+    False imprisonment
+    Malicious prosecution
+    Consumer Protection Act
+Paper II: Law of Contracts and Mercantile Law
+    Nature and formation of contract; e-contract
+    Factors vitiating free consent
+    Void, voidable, illegal and unenforceable agreements
+    Performance and discharge of contracts
+    Quasi-contracts
+    Consequences of breach of contract
+    Contract of indemnity, guarantee and insurance
+    Contract of agency
+    Sale of goods and hire purchase
+    Formation and dissolution of partnership
+    Negotiable Instruments Act
+    Arbitration and Conciliation Act
+    Standard form contracts
+Paper II: Contemporary Legal Developments
+    Public Interest Litigation
+    Intellectual property rights: concept, types and prospects
+    Information Technology Law including cyber laws
+    Competition Law
+    Alternate Dispute Resolution
+    Major statutes concerning environmental law
+    Right to Information Act
+    Trial by media
+`
+    },
+    {
+        subject: 'Management',
+        version: 1,
+        outline: `
+Paper I
+    Managerial Function and Process
+    Organisational Behaviour and Design
+    Human Resource Management
+    Accounting for Managers
+    Financial Management
+    Marketing Management
+Paper II
+    Quantitative Techniques in Decision Making
+    Production and Operations Management
+    Management Information System
+    Government Business Interface
+    Strategic Cost Management
+    International Business
+`
+    },
+    {
+        subject: 'Mathematics',
+        version: 1,
+        outline: `
+Paper I
+    Linear Algebra
+    Calculus
+    Analytic Geometry
+    Ordinary Differential Equations
+    Dynamics and Statics
+    Vector Analysis
+Paper II
+    Algebra
+    Real Analysis
+    Complex Analysis
+    Linear Programming
+    Partial Differential Equations
+    Numerical Analysis and Computer Programming
+    Mechanics and Fluid Dynamics
+`
+    },
+    {
+        subject: 'Mechanical Engineering',
+        version: 1,
+        outline: `
+Paper I
+    Mechanics
+        Mechanics of rigid bodies
+        Mechanics of deformable bodies
+    Engineering Materials
+    Theory of Machines
+    Manufacturing Science
+    Manufacturing Management
+Paper II
+    Thermodynamics
+    Heat Transfer
+    I.C. Engines
+    Steam Engineering
+    Refrigeration and Air-conditioning
+`
+    },
+    {
+        subject: 'Medical Science',
+        version: 1,
+        outline: `
+Paper I
+    Human Anatomy
+    Human Physiology
+    Biochemistry
+    Pathology
+    Microbiology
+    Pharmacology
+    Forensic Medicine and Toxicology
+Paper II
+    General Medicine
+    Paediatrics
+    Dermatology
+    General Surgery
+    Obstetrics and Gynaecology including Family Planning
+    Community Medicine (Preventive and Social Medicine)
+`
+    },
+    {
+        subject: 'Philosophy',
+        version: 1,
+        outline: `
+Paper I: History and Problems of Philosophy
+    Plato and Aristotle
+    Rationalism: Descartes, Spinoza, Leibniz
+    Empiricism: Locke, Berkeley, Hume
+    Kant
+    Hegel
+    Moore, Russell and early Wittgenstein
+    Logical Positivism
+    Later Wittgenstein
+    Phenomenology: Husserl
+    Existentialism: Kierkegaard, Sartre, Heidegger
+    Quine and Strawson
+    Carvaka
+    Jainism
+    Schools of Buddhism
+    Nyaya-Vaiesesika
+    Samkhya
+    Yoga
+    Mimamsa
+    Schools of Vedanta
+    Aurobindo
+Paper II: Socio-Political Philosophy
+    Social and political ideals: equality, justice, liberty
+    Sovereignty: Austin, Bodin, Laski, Kautilya
+    Individual and State
+    Forms of Government: monarchy, theocracy and democracy
+    Political Ideologies: anarchism, Marxism and socialism
+    Humanism, secularism, multiculturalism
+    Crime and punishment
+    Development and social progress
+    Gender discrimination
+    Caste discrimination: Gandhi and Ambedkar
+Paper II: Philosophy of Religion
+    Notions of God
+    Proofs for the existence of God
+    Problem of evil
+    Soul: immortality, rebirth and liberation
+    Reason, revelation and faith
+    Religious experience
+    Religion without God
+    Religion and morality
+    Religious pluralism and the problem of absolute truth
+    Nature of religious language
+`
+    },
+    {
+        subject: 'Physics',
+        version: 1,
+        outline: `
+Paper I
+    Mechanics
+        Mechanics of particles
+        Mechanics of rigid bodies
+        Mechanics of continuous media
+        Special Relativity
+    Waves and Optics
+        Waves
+        Geometrical Optics
+        Interference
+        Diffraction
+        Polarisation and Modern Optics
+    Electricity and Magnetism
+        Electrostatics and Magnetostatics
+        Currents and the Magnetic Effect
+        Electromagnetic Induction
+        Maxwell's equations and electromagnetic waves
+        Blackbody radiation
+    Thermal and Statistical Physics
+        Thermodynamics
+        Statistical Physics
+Paper II
+    Quantum Mechanics
+    Atomic and Molecular Physics
+    Nuclear and Particle Physics
+    Solid State Physics, Devices and Electronics
+`
+    },
+    {
+        subject: 'Political Science and International Relations',
+        version: 1,
+        outline: `
+Paper I: Political Theory and Indian Politics
+    Political Theory: meaning and approaches
+    Theories of the State: Liberal, Neo-liberal, Marxist, Pluralist, Post-colonial and Feminist
+    Justice: conceptions of justice with special reference to Rawls' theory and its communitarian critiques
+    Equality: social, political and economic; relationship between equality and freedom; affirmative action
+    Rights: meaning and theories; kinds of rights; concept of Human Rights
+    Democracy: classical and contemporary theories; models of democracy
+    Concept of power: hegemony, ideology and legitimacy
+    Political Ideologies: Liberalism, Socialism, Marxism, Fascism, Gandhism and Feminism
+    Indian Political Thought: Dharamshastra, Arthashastra and Buddhist traditions; Sir Syed Ahmed Khan, Sri Aurobindo, M. K. Gandhi, B. R. Ambedkar, M. N. Roy
+    Western Political Thought: Plato, Aristotle, Machiavelli, Hobbes, Locke, John S. Mill, Marx, Gramsci, Hannah Arendt
+    Indian Nationalism
+    Making of the Indian Constitution
+    Salient Features of the Indian Constitution
+    Principal Organs of the Union Government
+    Principal Organs of the State Government
+    Grassroots Democracy: Panchayati Raj and Municipal Government
+    Statutory Institutions and Commissions
+    Federalism
+    Planning and Economic development
+    Caste, Religion and Ethnicity in Indian Politics
+    Party System
+    Social Movements
+Paper II: Comparative Politics and International Relations
+    Comparative Politics: nature and major approaches
+    State in comparative perspective
+    Politics of Representation and Participation
+    Globalisation
+    Approaches to the Study of International Relations
+    Key concepts in International Relations
+    Changing International Political Order
+    Evolution of the International Economic System
+    United Nations
+    Regionalisation of World Politics: EU, ASEAN, APEC, SAARC, NAFTA
+    Contemporary Global Concerns
+    Indian Foreign Policy: determinants, institutions and continuity
+    India's Contribution to the Non-Alignment Movement
+    India and South Asia
+    India and the Global South
+    India and the Global Centres of Power: USA, EU, Japan, China and Russia
+    India and the UN System
+    India and the Nuclear Question
+    Recent developments in Indian Foreign Policy
+`
+    },
+    {
+        subject: 'Psychology',
+        version: 1,
+        outline: `
+Paper I: Foundations of Psychology
+    Introduction
+    Methods of Psychology
+    Research Methods
+    Development of Human Behaviour
+    Sensation, Attention and Perception
+    Learning
+    Memory
+    Thinking and Problem Solving
+    Motivation and Emotion
+    Intelligence and Aptitude
+    Personality
+    Attitudes, Values and Interests
+    Language and Communication
+    Issues and Perspectives in Modern Contemporary Psychology
+Paper II: Psychology: Issues and Applications
+    Psychological Measurement of Individual Differences
+    Psychological Well-being and Mental Disorders
+    Therapeutic Approaches
+    Work Psychology and Organisational Behaviour
+    Application of Psychology to the Educational Field
+    Community Psychology
+    Rehabilitation Psychology
+    Application of Psychology to Disadvantaged Groups
+    Psychological Problems of Social Integration
+    Application of Psychology in the Information Technology and Mass Media
+    Psychology and Economic Development
+    Application of Psychology to Environment and Related Fields
+    Application of Psychology in Other Fields: military, sports and space
+    Psychology of Gender
+`
+    },
+    {
+        subject: 'Public Administration',
+        version: 1,
+        outline: `
+Paper I: Administrative Theory
+    Introduction
+    Administrative Thought
+    Administrative Behaviour
+    Organisations
+    Accountability and Control
+    Administrative Law
+    Comparative Public Administration
+    Development Dynamics
+    Personnel Administration
+    Public Policy
+    Techniques of Administrative Improvement
+    Financial Administration
+Paper II: Indian Administration
+    Evolution of Indian Administration
+    Philosophical and Constitutional Framework of Government
+    Public Sector Undertakings
+    Union Government and Administration
+    Plans and Priorities
+    State Government and Administration
+    District Administration since Independence
+    Civil Services
+    Financial Management
+    Administrative Reforms since Independence
+    Rural Development
+    Urban Local Government
+    Law and Order Administration
+    Significant issues in Indian Administration
+`
+    },
+    {
+        subject: 'Sociology',
+        version: 1,
+        outline: `
+Paper I: Fundamentals of Sociology
+    Sociology: The Discipline
+    Sociology as Science
+    Research Methods and Analysis
+    Sociological Thinkers: Karl Marx, Emile Durkheim, Max Weber, Talcott Parsons, Robert K. Merton, Mead
+    Stratification and Mobility
+    Works and Economic Life
+    Politics and Society
+    Religion and Society
+    Systems of Kinship
+    Social Change in Modern Society
+Paper II: Indian Society: Structure and Change
+    Introducing Indian Society
+        Perspectives on the study of Indian society
+        Impact of colonial rule on Indian society
+    Social Structure
+        Rural and Agrarian Social Structure
+        Caste System
+        Tribal Communities in India
+        Social Classes in India
+        Systems of Kinship in India
+        Religion and Society
+    Social Changes in India
+        Visions of Social Change in India
+        Rural and Agrarian Transformation in India
+        Industrialisation and Urbanisation in India
+        Politics and Society
+        Social Movements in Modern India
+        Population Dynamics
+        Challenges of Social Transformation
+`
+    },
+    {
+        subject: 'Statistics',
+        version: 1,
+        outline: `
+Paper I
+    Probability
+    Statistical Inference
+    Linear Inference and Multivariate Analysis
+    Sampling Theory and Design of Experiments
+Paper II
+    Industrial Statistics
+    Optimisation Techniques
+    Quantitative Economics and Official Statistics
+    Demography and Psychometry
+`
+    },
+    {
+        subject: 'Zoology',
+        version: 1,
+        outline: `
+Paper I
+    Non-chordata and Chordata
+    Ecology
+    Ethology
+    Economic Zoology
+    Biostatistics
+    Instrumental Methods
+Paper II
+    Cell Biology
+    Genetics
+    Evolution
+    Systematics
+    Biochemistry
+    Physiology (with special reference to mammals)
+    Developmental Biology
+`
+    },
+];
+
+export const UPSC_LITERATURE_LANGUAGES = [
+    'Assamese', 'Bengali', 'Bodo', 'Dogri', 'English', 'Gujarati', 'Hindi', 'Kannada', 'Kashmiri',
+    'Konkani', 'Maithili', 'Malayalam', 'Manipuri', 'Marathi', 'Nepali', 'Odia', 'Punjabi', 'Sanskrit',
+    'Santhali', 'Sindhi', 'Tamil', 'Telugu', 'Urdu'
+];
+
+export const LITERATURE_VERSION = 1;
+
+export const literatureOutline = (language) => `
+Paper I
+    History of the ${language} language
+        Origin and development of the language
+        Dialects and their features
+        Phonology, morphology and syntax
+    History of ${language} literature
+        Early and medieval literature
+        Modern literature and its movements
+        Major writers and their contributions
+        Literary forms: poetry, drama, fiction, prose and criticism
+    Literary criticism and theory
+Paper II
+    Critical study of prescribed texts
+        Poetry
+        Prose
+        Drama and fiction
+    Questions testing the candidate's critical ability
+`;
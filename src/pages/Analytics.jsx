@@ -1,6 +1,6 @@
 import { useState, useEffect, useMemo } from 'react';
 import { useAuth } from '../context/AuthContext';
-import { subscribeToRecentLogs, subscribeToUserStats, subscribeToQuizResults, subscribeToUserSyllabus } from '../lib/db';
+import { subscribeToLogsInRange, subscribeToUserStats, subscribeToQuizResults, subscribeToUserSyllabus, recomputeUserAggregates } from '../lib/db';
 import {
     BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer,
     LineChart, Line, PieChart, Pie, Cell, AreaChart, Area, RadarChart, Radar,
@@ -9,15 +9,18 @@ import {
 import {
     BarChart3, TrendingUp, Download, Calendar, Clock, Flame, Target,
     PieChartIcon, BookOpen, Award, Zap, Activity, FileText, Brain,
-    CheckCircle, AlertCircle, ArrowUp, ArrowDown
+    CheckCircle, AlertCircle, ArrowUp, ArrowDown, Wrench
 } from 'lucide-react';
 import {
     format, parseISO, subDays, startOfYear, isAfter, startOfWeek, endOfWeek,
-    eachDayOfInterval, isSameDay, subWeeks, startOfMonth, endOfMonth, differenceInDays
+    eachDayOfInterval, isSameDay, subWeeks, startOfMonth, endOfMonth, differenceInDays, startOfDay
 } from 'date-fns';
 import { jsPDF } from 'jspdf';
 import 'jspdf-autotable';
 import { motion, AnimatePresence } from 'framer-motion';
+import toast from '../components/ui/Toast';
+import { getLiveStudyStreak, splitLogByDay, getDailyMinutes, sumDailyMinutes } from '../lib/streaks';
+import { summarizeInterruptions, PAUSE_REASONS } from '../lib/interruptions';
 
 // Palette for dynamic papers
 const COLORS = ['#3B82F6', '#10B981', '#F59E0B', '#EF4444', '#8B5CF6', '#EC4899', '#06B6D4', '#F43F5E', '#14B8A6', '#6366F1'];
@@ -32,18 +35,42 @@ export default function Analytics() {
     const [quizResults, setQuizResults] = useState([]);
     const [userStats, setUserStats] = useState(null);
     const [syllabusData, setSyllabusData] = useState(null);
+    const [repairing, setRepairing] = useState(false);
     const [timeRange, setTimeRange] = useState('30d');
     const [activeTab, setActiveTab] = useState('overview');
 
+    // Start of the selected range (null for all time)
+    const rangeStart = useMemo(() => {
+        const now = new Date();
+        switch (timeRange) {
+            case '7d': return subDays(now, 7);
+            case '30d': return subDays(now, 30);
+            case '90d': return subDays(now, 90);
+            case 'year': return startOfYear(now);
+            default: return null;
+        }
+    }, [timeRange]);
+
+    // Logs are bounded on the server: the selected range, widened to the 30 days
+    // that the weekly comparison and consistency score always look at
+    const fetchFrom = useMemo(() => {
+        if (!rangeStart) return null;
+        return startOfDay([rangeStart, subDays(new Date(), 30)].sort((a, b) => a - b)[0]);
+    }, [rangeStart]);
+
+    useEffect(() => {
+        if (!user) return;
+        const unsubLogs = subscribeToLogsInRange(user.uid, { from: fetchFrom }, (data) => setLogs(data));
+        return () => unsubLogs();
+    }, [user, fetchFrom]);
+
     useEffect(() => {
         if (!user) return;
-        const unsubLogs = subscribeToRecentLogs(user.uid, 1000, (data) => setLogs(data));
         const unsubQuiz = subscribeToQuizResults(user.uid, 100, (data) => setQuizResults(data));
         const unsubStats = subscribeToUserStats(user.uid, (data) => setUserStats(data));
         const unsubSyllabus = subscribeToUserSyllabus(user.uid, (data) => setSyllabusData(data));
 
         return () => {
-            unsubLogs();
             unsubQuiz();
             unsubStats();
             unsubSyllabus?.();
@@ -52,25 +79,16 @@ export default function Analytics() {
 
     // Filter Data based on Time Range
     const filteredLogs = useMemo(() => {
-        const now = new Date();
-        let startDate;
-        switch (timeRange) {
-            case '7d': startDate = subDays(now, 7); break;
-            case '30d': startDate = subDays(now, 30); break;
-            case '90d': startDate = subDays(now, 90); break;
-            case 'year': startDate = startOfYear(now); break;
-            default: startDate = null;
-        }
-        if (!startDate) return logs;
-        return logs.filter(log => log.date && isAfter(parseISO(log.date), startDate));
-    }, [logs, timeRange]);
+        if (!rangeStart) return logs;
+        return logs.filter(log => log.date && isAfter(parseISO(log.date), rangeStart));
+    }, [logs, rangeStart]);
 
     // ===== COMPREHENSIVE ANALYTICS =====
 
     // 1. Dynamic Syllabus Processing (Papers & Mapping)
-    const { dynamicPapers, subjectMap } = useMemo(() => {
+    const { dynamicPapers, subjectMap, nodePaperMap } = useMemo(() => {
         if (!syllabusData || !syllabusData.syllabi) {
-            return { dynamicPapers: [], subjectMap: new Map() };
+            return { dynamicPapers: [], subjectMap: new Map(), nodePaperMap: new Map() };
         }
 
         // Get active syllabus (prefer Firestore data, fallback to localStorage or first available)
@@ -78,10 +96,11 @@ export default function Analytics() {
         const activeSyllabus = (activeId && syllabusData.syllabi[activeId]) || Object.values(syllabusData.syllabi)[0];
 
         if (!activeSyllabus || !activeSyllabus.items) {
-            return { dynamicPapers: [], subjectMap: new Map() };
+            return { dynamicPapers: [], subjectMap: new Map(), nodePaperMap: new Map() };
         }
 
         const map = new Map();
+        const idMap = new Map();
         const papers = activeSyllabus.items.map((item, index) => {
             // Count totals and completed
             let total = 0;
@@ -92,7 +111,8 @@ export default function Analytics() {
                 total++;
                 if (completedSet.has(node.id)) completed++;
 
-                // Map this node's title to the Parent Paper ID
+                // Map this node's id (and title, for legacy logs) to the Parent Paper ID
+                idMap.set(node.id, item.id);
                 map.set(node.title.toLowerCase(), item.id);
 
                 if (node.children) node.children.forEach(traverse);
@@ -110,7 +130,7 @@ export default function Analytics() {
             };
         });
 
-        return { dynamicPapers: papers, subjectMap: map };
+        return { dynamicPapers: papers, subjectMap: map, nodePaperMap: idMap };
     }, [syllabusData]); // Depend on syllabusData from DB
 
     // 2. Paper-wise Hours Distribution
@@ -125,11 +145,16 @@ export default function Analytics() {
             const subjectLower = (log.subject || '').toLowerCase();
             const topicLower = (log.topic || '').toLowerCase();
 
-            // Try to find paper ID from map
-            let paperId = subjectMap.get(subjectLower) || subjectMap.get(topicLower);
+            // Linked logs resolve by syllabus node id
+            let paperId = log.topicId ? nodePaperMap.get(log.topicId) : null;
+
+            // Logs saved before topic linking: fall back to title matching
+            if (!paperId && !log.topicId) {
+                paperId = subjectMap.get(subjectLower) || subjectMap.get(topicLower);
+            }
 
             // If not found, try partial match against paper names
-            if (!paperId) {
+            if (!paperId && !log.topicId) {
                 const found = dynamicPapers.find(p =>
                     subjectLower.includes(p.name.toLowerCase()) ||
                     p.name.toLowerCase().includes(subjectLower)
@@ -166,7 +191,7 @@ export default function Analytics() {
         }
 
         return result;
-    }, [filteredLogs, dynamicPapers, subjectMap]);
+    }, [filteredLogs, dynamicPapers, subjectMap, nodePaperMap]);
 
     // 3. Daily/Weekly/Monthly Trends
     const trendData = useMemo(() => {
@@ -175,17 +200,17 @@ export default function Analytics() {
 
         for (let i = daysCount - 1; i >= 0; i--) {
             const d = subDays(new Date(), i);
-            daysMap.set(format(d, 'MMM d'), { date: format(d, 'MMM d'), hours: 0, sessions: 0 });
+            daysMap.set(format(d, 'yyyy-MM-dd'), { date: format(d, 'MMM d'), hours: 0, sessions: 0 });
         }
 
+        // A session that ran past midnight adds its share to each day it touched
         filteredLogs.forEach(log => {
-            if (!log.date) return;
-            const dateStr = format(parseISO(log.date), 'MMM d');
-            if (daysMap.has(dateStr)) {
-                const existing = daysMap.get(dateStr);
-                existing.hours += (log.durationMinutes || 0) / 60;
+            splitLogByDay(log).forEach(part => {
+                const existing = daysMap.get(part.day);
+                if (!existing) return;
+                existing.hours += part.minutes / 60;
                 existing.sessions += 1;
-            }
+            });
         });
 
         return Array.from(daysMap.values()).map(d => ({
@@ -213,17 +238,10 @@ export default function Analytics() {
         const lastWeekStart = subWeeks(thisWeekStart, 1);
         const lastWeekEnd = subDays(thisWeekStart, 1);
 
-        let thisWeekHours = 0;
-        let lastWeekHours = 0;
-
-        logs.forEach(log => {
-            if (!log.date) return;
-            const date = parseISO(log.date);
-            const hours = (log.durationMinutes || 0) / 60;
-
-            if (date >= thisWeekStart) thisWeekHours += hours;
-            else if (date >= lastWeekStart && date <= lastWeekEnd) lastWeekHours += hours;
-        });
+        const dailyMinutes = getDailyMinutes(logs);
+        const dayKey = (date) => format(date, 'yyyy-MM-dd');
+        const thisWeekHours = sumDailyMinutes(dailyMinutes, dayKey(thisWeekStart), dayKey(now)) / 60;
+        const lastWeekHours = sumDailyMinutes(dailyMinutes, dayKey(lastWeekStart), dayKey(lastWeekEnd)) / 60;
 
         const change = lastWeekHours > 0
             ? ((thisWeekHours - lastWeekHours) / lastWeekHours * 100).toFixed(0)
@@ -295,19 +313,26 @@ export default function Analytics() {
     // 10. Study Consistency Score
     const consistencyScore = useMemo(() => {
         const last30Days = [...Array(30)].map((_, i) => format(subDays(new Date(), i), 'yyyy-MM-dd'));
-        const studyDays = new Set();
-        logs.forEach(log => {
-            if (log.date) {
-                studyDays.add(format(parseISO(log.date), 'yyyy-MM-dd'));
-            }
-        });
+        const studyDays = getDailyMinutes(logs);
         const activeDaysLast30 = last30Days.filter(d => studyDays.has(d)).length;
         return Math.round((activeDaysLast30 / 30) * 100);
     }, [logs]);
 
+    // 11. Lost Time: pauses in timed sessions, by reason and part of the day
+    const interruptions = useMemo(() => summarizeInterruptions(filteredLogs), [filteredLogs]);
+
     const totalHours = filteredLogs.reduce((acc, curr) => acc + (curr.durationMinutes || 0) / 60, 0);
     const PIE_COLORS = ['#000000', '#333333', '#555555', '#777777', '#999999', '#BBBBBB'];
 
+    // Rebuild totals, streaks and syllabus stats from the raw logs
+    const handleRepairStats = async () => {
+        setRepairing(true);
+        const success = await recomputeUserAggregates(user.uid);
+        setRepairing(false);
+        if (success) toast.success('Stats rebuilt from your study logs');
+        else toast.error('Failed to repair stats');
+    };
+
     const handleDownloadReport = () => {
         const doc = new jsPDF();
         doc.setFontSize(22);
@@ -318,7 +343,7 @@ export default function Analytics() {
         doc.text(`Total Focus Time: ${totalHours.toFixed(1)} Hours`, 20, 50);
         doc.text(`Daily Average: ${dailyAverage} Hours`, 20, 56);
         doc.text(`Consistency Score: ${consistencyScore}%`, 20, 62);
-        doc.text(`Current Streak: ${userStats?.currentStreak || 0} days`, 20, 68);
+        doc.text(`Current Streak: ${getLiveStudyStreak(userStats)} days`, 20, 68);
 
         // Paper Progress Table
         const tableData = paperHours.map(p => [p.name, `${p.hours}h`, `${syllabusProgress.find(s => s.id === p.id)?.progress || 0}%`]);
@@ -356,15 +381,28 @@ export default function Analytics() {
                     <h1 className="text-2xl font-medium">Comprehensive <span className="font-bold">Analytics</span></h1>
                     <p className="text-[#71717A] font-light">Complete insights into your UPSC preparation</p>
                 </div>
-                <motion.button
-                    whileHover={{ scale: 1.02 }}
-                    whileTap={{ scale: 0.98 }}
-                    onClick={handleDownloadReport}
-                    className="btn-primary px-6 py-2 rounded flex items-center gap-2 font-medium"
-                >
-                    <Download className="w-5 h-5" />
-                    Download Report
-                </motion.button>
+                <div className="flex items-center gap-2">
+                    <motion.button
+                        whileHover={{ scale: 1.02 }}
+                        whileTap={{ scale: 0.98 }}
+                        onClick={handleRepairStats}
+                        disabled={repairing}
+                        title="Recalculate hours, streaks and topic stats from your session history"
+                        className="btn-outline px-4 py-2 rounded flex items-center gap-2 font-medium disabled:opacity-50"
+                    >
+                        <Wrench className={`w-5 h-5 ${repairing ? 'animate-spin' : ''}`} />
+                        {repairing ? 'Repairing...' : 'Repair Stats'}
+                    </motion.button>
+                    <motion.button
+                        whileHover={{ scale: 1.02 }}
+                        whileTap={{ scale: 0.98 }}
+                        onClick={handleDownloadReport}
+                        className="btn-primary px-6 py-2 rounded flex items-center gap-2 font-medium"
+                    >
+                        <Download className="w-5 h-5" />
+                        Download Report
+                    </motion.button>
+                </div>
             </div>
 
             {/* Tab Navigation */}
@@ -420,7 +458,7 @@ export default function Analytics() {
                             {[
                                 { label: 'Total Hours', value: totalHours.toFixed(1), unit: 'hrs', icon: Clock, color: 'from-blue-500' },
                                 { label: 'Daily Average', value: dailyAverage, unit: 'hrs', icon: TrendingUp, color: 'from-green-500' },
-                                { label: 'Current Streak', value: userStats?.currentStreak || 0, unit: 'days', icon: Flame, color: 'from-orange-500' },
+                                { label: 'Current Streak', value: getLiveStudyStreak(userStats), unit: 'days', icon: Flame, color: 'from-orange-500' },
                                 { label: 'Consistency', value: consistencyScore, unit: '%', icon: Target, color: 'from-purple-500' },
                                 { label: 'Sessions', value: filteredLogs.length, unit: '', icon: Zap, color: 'from-pink-500' }
                             ].map((metric, idx) => (
@@ -651,6 +689,54 @@ export default function Analytics() {
                                 ))}
                             </div>
                         </div>
+
+                        {/* Lost Time */}
+                        <div className="card p-6">
+                            <div className="flex items-center justify-between flex-wrap gap-2 mb-4">
+                                <h3 className="text-lg font-medium">Lost <span className="font-bold">Time</span></h3>
+                                {interruptions.averageFocusScore !== null && (
+                                    <span className="text-sm text-[#71717A]">
+                                        Average focus score <span className="font-bold text-black dark:text-white">{interruptions.averageFocusScore}%</span>
+                                    </span>
+                                )}
+                            </div>
+                            {interruptions.count === 0 ? (
+                                <p className="text-sm text-[#71717A] font-light">
+                                    No interruptions logged in this range. Pause a timed session with a reason to see where your time goes.
+                                </p>
+                            ) : (
+                                <div className="grid lg:grid-cols-3 gap-6">
+                                    <div className="space-y-3">
+                                        <p className="text-3xl font-bold">
+                                            {(interruptions.totalMinutes / 60).toFixed(1)}<span className="text-lg text-[#71717A] ml-1">hrs</span>
+                                        </p>
+                                        <p className="text-sm text-[#71717A] font-light">lost over {interruptions.count} pauses</p>
+                                        {interruptions.byReason.map(reason => (
+                                            <div key={reason.id} className="flex items-center justify-between text-sm">
+                                                <span className="flex items-center gap-2">
+                                                    <span className="w-3 h-3 rounded-sm border border-black/10 dark:border-white/10" style={{ backgroundColor: reason.color }} />
+                                                    {reason.label}
+                                                </span>
+                                                <span className="text-[#71717A]">{reason.minutes}m · {reason.count}×</span>
+                                            </div>
+                                        ))}
+                                    </div>
+                                    <div className="h-64 lg:col-span-2">
+                                        <ResponsiveContainer width="100%" height="100%">
+                                            <BarChart data={interruptions.byTimeOfDay}>
+                                                <CartesianGrid strokeDasharray="3 3" stroke="#e5e5e5" vertical={false} />
+                                                <XAxis dataKey="label" stroke="#71717A" fontSize={11} />
+                                                <YAxis stroke="#71717A" fontSize={12} unit="m" />
+                                                <Tooltip content={<CustomTooltip />} />
+                                                {PAUSE_REASONS.map(reason => (
+                                                    <Bar key={reason.id} dataKey={reason.id} name={reason.label} stackId="lost" fill={reason.color} />
+                                                ))}
+                                            </BarChart>
+                                        </ResponsiveContainer>
+                                    </div>
+                                </div>
+                            )}
+                        </div>
                     </motion.div>
                 )}
 
@@ -9,12 +9,13 @@ import {
     analyzeSubjectPerformance,
     generateInsights
 } from '../lib/db';
+import { getStreakSettings, getLiveStudyStreak, getDailyMinutes, sumDailyMinutes } from '../lib/streaks';
 import {
     AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer,
     ReferenceLine, BarChart, Bar
 } from 'recharts';
 import { Clock, Flame, Target, BookOpen, TrendingUp, Calendar, ArrowRight, Info } from 'lucide-react';
-import { format, subDays, isSameDay, parseISO } from 'date-fns';
+import { format, subDays, parseISO } from 'date-fns';
 import { motion, AnimatePresence } from 'framer-motion';
 
 // Import new dashboard components
@@ -77,6 +78,9 @@ export default function Dashboard() {
 
     const hasData = logs.length > 0;
 
+    // Minutes per day, with sessions that ran past midnight split across their days
+    const dailyMinutes = useMemo(() => getDailyMinutes(logs), [logs]);
+
     // Weekly data for chart
     const weeklyData = useMemo(() => {
         const daysCount = timeRange === '30d' ? 30 : 7;
@@ -84,8 +88,7 @@ export default function Dashboard() {
         for (let i = daysCount - 1; i >= 0; i--) {
             const d = subDays(new Date(), i);
             const dayLabel = format(d, daysCount > 7 ? 'MMM d' : 'EEE');
-            const dayLogs = logs.filter(l => l.date && isSameDay(parseISO(l.date), d));
-            const totalHours = dayLogs.reduce((acc, curr) => acc + (curr.durationMinutes || 0) / 60, 0);
+            const totalHours = (dailyMinutes.get(format(d, 'yyyy-MM-dd')) || 0) / 60;
             days.push({
                 name: dayLabel,
                 hours: parseFloat(totalHours.toFixed(1)),
@@ -93,23 +96,26 @@ export default function Dashboard() {
             });
         }
         return days;
-    }, [logs, timeRange, goals]);
+    }, [dailyMinutes, timeRange, goals]);
 
     // Subject analysis
     const subjectAnalysis = useMemo(() => {
         return analyzeSubjectPerformance(logs);
     }, [logs]);
 
+    // Study streak from the streak engine (expires on read once a day is missed)
+    const streakSettings = useMemo(() => getStreakSettings(goals), [goals]);
+    const currentStreak = useMemo(() => getLiveStudyStreak(stats, streakSettings), [stats, streakSettings]);
+
     // Generate insights
     const insights = useMemo(() => {
-        return generateInsights(stats, logs, goals);
-    }, [stats, logs, goals]);
+        return generateInsights({ ...stats, currentStreak }, logs, goals);
+    }, [stats, currentStreak, logs, goals]);
 
     // Today's stats
     const todayHours = useMemo(() => {
-        const todayLogs = logs.filter(l => l.date && isSameDay(parseISO(l.date), new Date()));
-        return todayLogs.reduce((acc, curr) => acc + (curr.durationMinutes || 0) / 60, 0);
-    }, [logs]);
+        return (dailyMinutes.get(format(new Date(), 'yyyy-MM-dd')) || 0) / 60;
+    }, [dailyMinutes]);
 
     // Weekly stats with comparison
     const weeklyStats = useMemo(() => {
@@ -120,25 +126,17 @@ export default function Dashboard() {
 
         const lastWeekStart = new Date(thisWeekStart);
         lastWeekStart.setDate(lastWeekStart.getDate() - 7);
-        const lastWeekEnd = new Date(thisWeekStart);
-        lastWeekEnd.setMilliseconds(-1);
-
-        const thisWeekLogs = logs.filter(l => l.date && new Date(l.date) >= thisWeekStart);
-        const lastWeekLogs = logs.filter(l => {
-            if (!l.date) return false;
-            const date = new Date(l.date);
-            return date >= lastWeekStart && date < thisWeekStart;
-        });
 
-        const thisWeekHours = thisWeekLogs.reduce((acc, l) => acc + (l.durationMinutes || 0) / 60, 0);
-        const lastWeekHours = lastWeekLogs.reduce((acc, l) => acc + (l.durationMinutes || 0) / 60, 0);
+        const dayKey = (date) => format(date, 'yyyy-MM-dd');
+        const thisWeekHours = sumDailyMinutes(dailyMinutes, dayKey(thisWeekStart), dayKey(now)) / 60;
+        const lastWeekHours = sumDailyMinutes(dailyMinutes, dayKey(lastWeekStart), dayKey(subDays(thisWeekStart, 1))) / 60;
 
         const percentChange = lastWeekHours > 0
             ? Math.round(((thisWeekHours - lastWeekHours) / lastWeekHours) * 100)
             : thisWeekHours > 0 ? 100 : 0;
 
         return { thisWeekHours, lastWeekHours, percentChange };
-    }, [logs]);
+    }, [dailyMinutes]);
 
     // Sparkline data for stat cards
     const sparklineData = useMemo(() => {
@@ -195,13 +193,13 @@ export default function Dashboard() {
                 <StatCard
                     icon={Flame}
                     label="Current Streak"
-                    value={`${stats?.currentStreak || 0} Days`}
+                    value={`${currentStreak} Days`}
                     subtitle={`Best: ${stats?.bestStreak || 0} days`}
                     color="black"
-                    trend={stats?.currentStreak > 0 ? 'up' : 'neutral'}
-                    trendValue={stats?.currentStreak > 0 ? '+1 today' : null}
+                    trend={currentStreak > 0 ? 'up' : 'neutral'}
+                    trendValue={currentStreak > 0 ? '+1 today' : null}
                     sparklineData={null}
-                    tooltip="Number of consecutive days you've studied"
+                    tooltip={`Consecutive days with at least ${streakSettings.minMinutesPerDay} min of logged study`}
                 />
                 <StatCard
                     icon={Clock}
@@ -365,12 +363,13 @@ export default function Dashboard() {
             {/* Gamification Row */}
             <div className="grid lg:grid-cols-3 gap-6">
                 <StreakDisplay
-                    currentStreak={stats?.currentStreak || 0}
+                    currentStreak={currentStreak}
                     bestStreak={stats?.bestStreak || 0}
-                    lastStudyDate={stats?.lastStudyDate}
+                    loginStreak={stats?.loginStreak || 0}
+                    streakSettings={streakSettings}
                     logs={logs}
                 />
-                <WeeklyChallenges logs={logs} stats={stats} />
+                <WeeklyChallenges user={user} logs={logs} goals={goals} />
                 <AchievementBadges unlockedAchievements={achievements} />
             </div>
 
@@ -435,7 +434,7 @@ export default function Dashboard() {
             </div>
 
             {/* Calendar Section */}
-            <StudyCalendar logs={logs} dailyGoal={goals?.dailyHours || 6} />
+            <StudyCalendar user={user} dailyGoal={goals?.dailyHoursGoal || 6} />
 
             {/* Floating Quick Actions */}
             <QuickActions />
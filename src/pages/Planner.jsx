@@ -1,11 +1,23 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
-import { addTask, toggleTask, deleteTask, subscribeToTasks } from '../lib/db';
-import { Plus, CheckCircle2, Circle, Calendar as CalendarIcon, Trash2, Edit2, X, Flag } from 'lucide-react';
-import { format } from 'date-fns';
+import {
+    addTask, toggleTask, deleteTask, updateTask, subscribeToTasks, rollOverTasks, replanIfBehind,
+    addRecurringTask, ensureRecurringTasks, updateRecurringTask, deleteRecurringTask
+} from '../lib/db';
+import {
+    Plus, CheckCircle2, Circle, Calendar as CalendarIcon, Trash2, Edit2, X, Flag,
+    ChevronLeft, ChevronRight, Clock, Timer, Inbox, CornerDownRight, Sparkles, Repeat, Play, BookOpen
+} from 'lucide-react';
+import { format, parseISO } from 'date-fns';
 import { ConfirmDialog, useConfirmDialog } from '../components/ui/ConfirmDialog';
 import toast from '../components/ui/Toast';
 import { motion, AnimatePresence } from 'framer-motion';
+import { toTaskDay, shiftTaskDay, getWeekDays, sortTasks, groupTasksByDay, sumEstimates, formatMinutes, WEEKDAY_LABELS, SUBJECTS } from '../lib/planner';
+import { PLAN_PHASES } from '../lib/study-plan';
+import { RECURRENCE_FREQUENCIES, describeRule } from '../lib/recurrence';
+import StudyPlanPanel from '../components/planner/StudyPlanPanel';
+import { RecurrenceScopeDialog, useRecurrenceScope } from '../components/planner/RecurrenceScopeDialog';
 
 const PRIORITY_CONFIG = {
     low: { label: 'Low', dot: 'bg-[#71717A]' },
@@ -13,40 +25,118 @@ const PRIORITY_CONFIG = {
     high: { label: 'High', dot: 'bg-black dark:bg-white' },
 };
 
+const VIEWS = [
+    { id: 'day', label: 'Day', icon: CalendarIcon },
+    { id: 'week', label: 'Week', icon: CalendarIcon },
+    { id: 'backlog', label: 'Backlog', icon: Inbox },
+];
+
+const parseEstimate = (value) => {
+    const minutes = parseInt(value);
+    return minutes > 0 ? minutes : null;
+};
+
+const buildRule = (freq, interval, weekdays) => ({
+    freq,
+    ...(freq === 'interval' ? { interval: Math.max(2, parseInt(interval) || 2) } : {}),
+    ...(freq === 'weekly' && weekdays.length ? { weekdays: [...weekdays].sort() } : {})
+});
+
 export default function Planner() {
     const { user } = useAuth();
+    const navigate = useNavigate();
     const [tasks, setTasks] = useState([]);
+    const [view, setView] = useState('day');
+    const [selectedDay, setSelectedDay] = useState(toTaskDay());
     const [newTask, setNewTask] = useState('');
     const [newPriority, setNewPriority] = useState('medium');
+    const [newDueDate, setNewDueDate] = useState(toTaskDay());
+    const [newTimeSlot, setNewTimeSlot] = useState('');
+    const [newEstimate, setNewEstimate] = useState('');
+    const [newSubject, setNewSubject] = useState('');
+    const [newRepeat, setNewRepeat] = useState('');
+    const [newInterval, setNewInterval] = useState('2');
+    const [newWeekdays, setNewWeekdays] = useState([]);
     const [loading, setLoading] = useState(false);
     const [editingTask, setEditingTask] = useState(null);
-    const [editText, setEditText] = useState('');
+    const [editDraft, setEditDraft] = useState(null);
     const [filter, setFilter] = useState('all');
     const { dialogProps, confirm } = useConfirmDialog();
+    const { scopeDialogProps, chooseScope } = useRecurrenceScope();
 
+    const today = toTaskDay();
+    const weekDays = useMemo(() => getWeekDays(selectedDay), [selectedDay]);
+    const visibleRange = useMemo(() => (view === 'day'
+        ? { from: selectedDay, to: selectedDay }
+        : view === 'week'
+            ? { from: weekDays[0], to: weekDays[6] }
+            : null), [view, selectedDay, weekDays]);
+
+    // A study plan that fell behind is rebuilt first; other unfinished work is carried over to today
     useEffect(() => {
         if (!user) return;
-        const unsub = subscribeToTasks(user.uid, '', (data) => {
+        const catchUp = async () => {
+            if (await replanIfBehind(user.uid)) toast.info('You fell behind your study plan, so it was rebuilt from today');
+            const moved = await rollOverTasks(user.uid);
+            if (moved > 0) toast.info(`${moved} unfinished task${moved > 1 ? 's' : ''} moved to today`);
+        };
+        catchUp();
+    }, [user]);
+
+    // Only the days on screen are fetched; recurring tasks get their occurrences for those days created
+    useEffect(() => {
+        if (!user) return;
+        if (visibleRange) ensureRecurringTasks(user.uid, visibleRange);
+        const unsub = subscribeToTasks(user.uid, visibleRange, (data) => {
             setTasks(data);
         });
         return () => unsub();
-    }, [user]);
+    }, [user, visibleRange]);
+
+    // New tasks default to the day being looked at (or the backlog)
+    useEffect(() => {
+        setNewDueDate(view === 'backlog' ? '' : selectedDay);
+    }, [view, selectedDay]);
 
     const handleAdd = async (e) => {
         e.preventDefault();
         if (!newTask.trim()) return;
         setLoading(true);
         try {
+            if (newRepeat) {
+                await addRecurringTask(user.uid, {
+                    text: newTask.trim(),
+                    type: 'general',
+                    priority: newPriority,
+                    subject: newSubject || null,
+                    timeSlot: newTimeSlot || null,
+                    estimateMinutes: parseEstimate(newEstimate),
+                    rule: buildRule(newRepeat, newInterval, newWeekdays),
+                    startDate: newDueDate || today
+                });
+                if (visibleRange) await ensureRecurringTasks(user.uid, visibleRange);
+                setNewTask('');
+                setNewRepeat('');
+                setNewWeekdays([]);
+                toast.success('Recurring task added');
+                return;
+            }
             await addTask(user.uid, {
                 text: newTask.trim(),
                 completed: false,
                 type: 'general',
                 priority: newPriority,
-                date: new Date().toISOString()
+                subject: newSubject || null,
+                dueDate: newDueDate || null,
+                timeSlot: newDueDate && newTimeSlot ? newTimeSlot : null,
+                estimateMinutes: parseEstimate(newEstimate)
             });
             setNewTask('');
             setNewPriority('medium');
-            toast.success('Task added successfully!');
+            setNewSubject('');
+            setNewTimeSlot('');
+            setNewEstimate('');
+            toast.success(newDueDate ? 'Task added successfully!' : 'Task added to backlog');
         } catch (error) {
             toast.error('Failed to add task');
         } finally {
@@ -65,17 +155,25 @@ export default function Planner() {
         }
     };
 
-    const handleDelete = async (taskId, taskText) => {
+    const handleDelete = async (task) => {
+        if (task.templateId) {
+            const scope = await chooseScope({ title: 'Delete Recurring Task', isDangerous: true });
+            if (!scope) return;
+            if (await deleteRecurringTask(task, scope)) toast.success(scope === 'this' ? 'Occurrence deleted' : 'Recurring task deleted');
+            else toast.error('Failed to delete task');
+            return;
+        }
+
         const confirmed = await confirm({
             title: 'Delete Task',
-            message: `Are you sure you want to delete "${taskText}"? This action cannot be undone.`,
+            message: `Are you sure you want to delete "${task.text}"? This action cannot be undone.`,
             confirmText: 'Delete',
             isDangerous: true
         });
 
         if (confirmed) {
             try {
-                await deleteTask(taskId);
+                await deleteTask(task.id);
                 toast.success('Task deleted');
             } catch (error) {
                 toast.error('Failed to delete task');
@@ -83,31 +181,110 @@ export default function Planner() {
         }
     };
 
+    // Backlog tasks get scheduled for the day in view; scheduled ones go back to the backlog.
+    // For a recurring task this only moves the one occurrence.
+    const handleReschedule = async (task) => {
+        const dueDate = task.dueDate ? null : (view === 'backlog' ? today : selectedDay);
+        try {
+            await updateTask(task.id, {
+                dueDate,
+                timeSlot: dueDate ? task.timeSlot || null : null,
+                rolledOverFrom: null
+            });
+            toast.success(dueDate ? `Scheduled for ${format(parseISO(dueDate), 'EEE, MMM d')}` : 'Moved to backlog');
+        } catch (error) {
+            toast.error('Failed to update task');
+        }
+    };
+
     const handleEdit = (task) => {
         setEditingTask(task.id);
-        setEditText(task.text);
+        setEditDraft({
+            text: task.text,
+            dueDate: task.dueDate || '',
+            timeSlot: task.timeSlot || '',
+            subject: task.subject || '',
+            estimate: task.estimateMinutes ? String(task.estimateMinutes) : ''
+        });
     };
 
-    const handleSaveEdit = async (taskId) => {
-        if (!editText.trim()) {
+    const handleSaveEdit = async (task) => {
+        if (!editDraft.text.trim()) {
             toast.warning('Task cannot be empty');
             return;
         }
+        const dueDate = editDraft.dueDate || null;
+
+        if (task.templateId) {
+            const scope = await chooseScope({ title: 'Edit Recurring Task' });
+            if (!scope) return;
+            if (scope !== 'this') {
+                // The series keeps its own days; only the task details carry over
+                try {
+                    await updateRecurringTask(task, {
+                        text: editDraft.text.trim(),
+                        subject: editDraft.subject || null,
+                        timeSlot: editDraft.timeSlot || null,
+                        estimateMinutes: parseEstimate(editDraft.estimate)
+                    }, scope);
+                    if (visibleRange) await ensureRecurringTasks(user.uid, visibleRange);
+                    toast.success('Recurring task updated');
+                    setEditingTask(null);
+                    setEditDraft(null);
+                } catch (error) {
+                    toast.error('Failed to update task');
+                }
+                return;
+            }
+        }
+
         try {
-            const { doc, updateDoc } = await import('firebase/firestore');
-            const { db } = await import('../lib/firebase');
-            await updateDoc(doc(db, "tasks", taskId), { text: editText.trim() });
+            await updateTask(task.id, {
+                text: editDraft.text.trim(),
+                subject: editDraft.subject || null,
+                dueDate,
+                timeSlot: dueDate && editDraft.timeSlot ? editDraft.timeSlot : null,
+                estimateMinutes: parseEstimate(editDraft.estimate),
+                // Rescheduling by hand clears the carried-over marker
+                ...(dueDate !== task.dueDate ? { rolledOverFrom: null } : {})
+            });
             toast.success('Task updated');
             setEditingTask(null);
-            setEditText('');
+            setEditDraft(null);
         } catch (error) {
             toast.error('Failed to update task');
         }
     };
 
+    // Opens the Tracker pre-filled for this task; the session it logs counts towards the task
+    const handleStart = (task) => {
+        navigate('/dashboard/tracker', {
+            state: {
+                taskSession: {
+                    id: task.id,
+                    text: task.text,
+                    subject: task.subject || null,
+                    topicId: task.topicId || null,
+                    estimateMinutes: task.estimateMinutes || 0,
+                    actualMinutes: task.actualMinutes || 0
+                }
+            }
+        });
+    };
+
     const handleCancelEdit = () => {
         setEditingTask(null);
-        setEditText('');
+        setEditDraft(null);
+    };
+
+    const navigateDays = (direction) => {
+        const step = view === 'week' ? 7 : 1;
+        setSelectedDay(prev => shiftTaskDay(prev, direction * step));
+    };
+
+    const openDay = (dayKey) => {
+        setSelectedDay(dayKey);
+        setView('day');
     };
 
     // Filter tasks
@@ -117,25 +294,226 @@ export default function Planner() {
         return true;
     });
 
-    // Sort by priority then by creation date
-    const sortedTasks = [...filteredTasks].sort((a, b) => {
-        const priorityOrder = { high: 0, medium: 1, low: 2 };
-        const aPriority = priorityOrder[a.priority] ?? 1;
-        const bPriority = priorityOrder[b.priority] ?? 1;
-        if (aPriority !== bPriority) return aPriority - bPriority;
-        return (b.createdAt?.seconds || 0) - (a.createdAt?.seconds || 0);
-    });
+    const sortedTasks = sortTasks(filteredTasks);
+    const tasksByDay = groupTasksByDay(sortedTasks);
 
     const completedCount = tasks.filter(t => t.completed).length;
     const progress = tasks.length > 0 ? (completedCount / tasks.length) * 100 : 0;
+    const plannedMinutes = sumEstimates(tasks);
+    const remainingMinutes = sumEstimates(tasks.filter(t => !t.completed));
+
+    const rangeLabel = view === 'day'
+        ? (selectedDay === today ? 'Today' : format(parseISO(selectedDay), 'EEEE, MMM d'))
+        : view === 'week'
+            ? `${format(parseISO(weekDays[0]), 'MMM d')} – ${format(parseISO(weekDays[6]), 'MMM d')}`
+            : 'Unscheduled tasks';
+
+    const renderTask = (task, index) => (
+        <motion.div
+            key={task.id}
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, x: -20 }}
+            transition={{ delay: index * 0.05 }}
+            layout
+            className={`card p-4 flex items-center gap-4 transition-all group ${task.completed ? 'opacity-60' : ''
+                }`}
+        >
+            {/* Priority Indicator */}
+            <div className={`w-2 h-2 rounded-full flex-shrink-0 ${task.priority === 'high'
+                    ? 'bg-black dark:bg-white ring-2 ring-black/20 dark:ring-white/20'
+                    : task.priority === 'low'
+                        ? 'bg-[#71717A]'
+                        : 'bg-black dark:bg-white'
+                }`} />
+
+            {/* Checkbox */}
+            <button
+                onClick={() => handleToggle(task.id, task.completed)}
+                className="focus:outline-none flex-shrink-0"
+            >
+                {task.completed ? (
+                    <CheckCircle2 className="w-6 h-6 text-black dark:text-white" />
+                ) : (
+                    <Circle className="w-6 h-6 text-[#71717A] hover:text-black dark:hover:text-white transition-colors" />
+                )}
+            </button>
+
+            {/* Task Text or Edit Form */}
+            {editingTask === task.id ? (
+                <div className="flex-1 space-y-2">
+                    <div className="flex gap-2">
+                        <input
+                            type="text"
+                            value={editDraft.text}
+                            onChange={(e) => setEditDraft({ ...editDraft, text: e.target.value })}
+                            className="input-field flex-1"
+                            maxLength={200}
+                            autoFocus
+                            onKeyDown={(e) => {
+                                if (e.key === 'Enter') handleSaveEdit(task);
+                                if (e.key === 'Escape') handleCancelEdit();
+                            }}
+                        />
+                        <button
+                            onClick={() => handleSaveEdit(task)}
+                            className="p-2 text-black dark:text-white hover:bg-black/5 dark:hover:bg-white/5 rounded"
+                        >
+                            <CheckCircle2 className="w-5 h-5" />
+                        </button>
+                        <button
+                            onClick={handleCancelEdit}
+                            className="p-2 text-[#71717A] hover:bg-black/5 dark:hover:bg-white/5 rounded"
+                        >
+                            <X className="w-5 h-5" />
+                        </button>
+                    </div>
+                    <div className="flex flex-wrap gap-2">
+                        <input
+                            type="date"
+                            value={editDraft.dueDate}
+                            onChange={(e) => setEditDraft({ ...editDraft, dueDate: e.target.value })}
+                            className="input-field w-auto text-sm"
+                            title="Due date (empty for backlog)"
+                        />
+                        <input
+                            type="time"
+                            value={editDraft.timeSlot}
+                            onChange={(e) => setEditDraft({ ...editDraft, timeSlot: e.target.value })}
+                            className="input-field w-auto text-sm"
+                            disabled={!editDraft.dueDate}
+                            title="Time slot"
+                        />
+                        <select
+                            value={editDraft.subject}
+                            onChange={(e) => setEditDraft({ ...editDraft, subject: e.target.value })}
+                            className="input-field w-auto text-sm"
+                            title="Subject"
+                        >
+                            <option value="">No subject</option>
+                            {SUBJECTS.map(({ id }) => <option key={id} value={id}>{id}</option>)}
+                        </select>
+                        <input
+                            type="number"
+                            min="0"
+                            max="1440"
+                            value={editDraft.estimate}
+                            onChange={(e) => setEditDraft({ ...editDraft, estimate: e.target.value })}
+                            placeholder="Estimate (min)"
+                            className="input-field w-36 text-sm"
+                        />
+                    </div>
+                </div>
+            ) : (
+                <>
+                    <div className="flex-1 min-w-0">
+                        <span className={`${task.completed
+                                ? 'text-[#71717A] line-through'
+                                : ''
+                            }`}>
+                            {task.text}
+                        </span>
+                        {(task.timeSlot || task.estimateMinutes || task.actualMinutes || task.subject || task.rolledOverFrom || task.source === 'plan' || task.templateId) && (
+                            <div className="flex flex-wrap items-center gap-3 mt-1 text-xs text-[#71717A] font-light">
+                                {task.source === 'plan' && (
+                                    <span className="flex items-center gap-1">
+                                        <Sparkles className="w-3 h-3" />
+                                        {PLAN_PHASES[task.planPhase]?.label || 'Study Plan'}
+                                    </span>
+                                )}
+                                {task.templateId && (
+                                    <span className="flex items-center gap-1">
+                                        <Repeat className="w-3 h-3" />
+                                        {describeRule(task.recurrence, task.occurrenceDate)}
+                                    </span>
+                                )}
+                                {task.timeSlot && (
+                                    <span className="flex items-center gap-1">
+                                        <Clock className="w-3 h-3" />
+                                        {task.timeSlot}
+                                    </span>
+                                )}
+                                {task.subject && (
+                                    <span className="flex items-center gap-1">
+                                        <BookOpen className="w-3 h-3" />
+                                        {task.subject}
+                                    </span>
+                                )}
+                                {(task.estimateMinutes > 0 || task.actualMinutes > 0) && (
+                                    <span
+                                        className={`flex items-center gap-1 ${task.estimateMinutes > 0 && task.actualMinutes > task.estimateMinutes ? 'text-black dark:text-white font-medium' : ''}`}
+                                        title={task.actualMinutes > 0 ? 'Time tracked / estimate' : 'Estimate'}
+                                    >
+                                        <Timer className="w-3 h-3" />
+                                        {task.actualMinutes > 0 && `${formatMinutes(task.actualMinutes)}${task.estimateMinutes > 0 ? ' / ' : ' tracked'}`}
+                                        {task.estimateMinutes > 0 && formatMinutes(task.estimateMinutes)}
+                                    </span>
+                                )}
+                                {task.rolledOverFrom && !task.completed && (
+                                    <span className="flex items-center gap-1">
+                                        <CornerDownRight className="w-3 h-3" />
+                                        Carried over from {format(parseISO(task.rolledOverFrom), 'MMM d')}
+                                    </span>
+                                )}
+                            </div>
+                        )}
+                    </div>
+
+                    {/* Priority Badge */}
+                    <span className={`px-2 py-1 rounded text-xs font-medium border ${task.priority === 'high'
+                            ? 'border-black dark:border-white bg-black/5 dark:bg-white/5'
+                            : task.priority === 'low'
+                                ? 'border-black/10 dark:border-white/10 text-[#71717A]'
+                                : 'border-black/10 dark:border-white/10'
+                        }`}>
+                        {PRIORITY_CONFIG[task.priority]?.label || 'Medium'}
+                    </span>
+
+                    {/* Action Buttons */}
+                    <div className="flex gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
+                        {!task.completed && (
+                            <button
+                                onClick={() => handleStart(task)}
+                                className="p-2 text-[#71717A] hover:text-black dark:hover:text-white hover:bg-black/5 dark:hover:bg-white/5 rounded transition-colors"
+                                title="Start a session"
+                            >
+                                <Play className="w-4 h-4" />
+                            </button>
+                        )}
+                        <button
+                            onClick={() => handleReschedule(task)}
+                            className="p-2 text-[#71717A] hover:text-black dark:hover:text-white hover:bg-black/5 dark:hover:bg-white/5 rounded transition-colors"
+                            title={task.dueDate ? 'Move to backlog' : 'Schedule'}
+                        >
+                            {task.dueDate ? <Inbox className="w-4 h-4" /> : <CalendarIcon className="w-4 h-4" />}
+                        </button>
+                        <button
+                            onClick={() => handleEdit(task)}
+                            className="p-2 text-[#71717A] hover:text-black dark:hover:text-white hover:bg-black/5 dark:hover:bg-white/5 rounded transition-colors"
+                            title="Edit"
+                        >
+                            <Edit2 className="w-4 h-4" />
+                        </button>
+                        <button
+                            onClick={() => handleDelete(task)}
+                            className="p-2 text-[#71717A] hover:text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20 rounded transition-colors"
+                            title="Delete"
+                        >
+                            <Trash2 className="w-4 h-4" />
+                        </button>
+                    </div>
+                </>
+            )}
+        </motion.div>
+    );
 
     return (
         <div className="max-w-3xl mx-auto space-y-6 animate-fade-in pb-12">
             {/* Header */}
             <div className="flex items-center justify-between flex-wrap gap-4">
                 <div>
-                    <h1 className="text-2xl font-medium">Daily <span className="font-bold">Planner</span></h1>
-                    <p className="text-[#71717A] font-light">Organize your study tasks</p>
+                    <h1 className="text-2xl font-medium">Study <span className="font-bold">Planner</span></h1>
+                    <p className="text-[#71717A] font-light">Schedule your study tasks by day</p>
                 </div>
                 <div className="flex items-center gap-2 text-[#71717A] font-light">
                     <CalendarIcon className="w-4 h-4" />
@@ -143,6 +521,57 @@ export default function Planner() {
                 </div>
             </div>
 
+            {/* View Switcher & Date Navigation */}
+            <div className="flex items-center justify-between flex-wrap gap-3">
+                <div className="flex bg-black/5 dark:bg-white/5 rounded p-1 w-fit">
+                    {VIEWS.map(({ id, label, icon: Icon }) => (
+                        <button
+                            key={id}
+                            onClick={() => setView(id)}
+                            className={`px-4 py-2 rounded text-sm font-medium transition-all flex items-center gap-1.5 ${view === id
+                                    ? 'bg-black text-white dark:bg-white dark:text-black'
+                                    : 'text-[#71717A] hover:text-black dark:hover:text-white'
+                                }`}
+                        >
+                            <Icon className="w-4 h-4" />
+                            {label}
+                        </button>
+                    ))}
+                </div>
+
+                {view !== 'backlog' ? (
+                    <div className="flex items-center gap-2">
+                        <button
+                            onClick={() => navigateDays(-1)}
+                            className="p-1.5 hover:bg-black/5 dark:hover:bg-white/5 rounded border border-black/10 dark:border-white/10"
+                            title={view === 'week' ? 'Previous week' : 'Previous day'}
+                        >
+                            <ChevronLeft className="w-4 h-4" />
+                        </button>
+                        <span className="font-bold min-w-[150px] text-center text-sm">{rangeLabel}</span>
+                        <button
+                            onClick={() => navigateDays(1)}
+                            className="p-1.5 hover:bg-black/5 dark:hover:bg-white/5 rounded border border-black/10 dark:border-white/10"
+                            title={view === 'week' ? 'Next week' : 'Next day'}
+                        >
+                            <ChevronRight className="w-4 h-4" />
+                        </button>
+                        {selectedDay !== today && (
+                            <button
+                                onClick={() => setSelectedDay(today)}
+                                className="px-3 py-1.5 text-xs font-medium rounded border border-black/10 dark:border-white/10 hover:bg-black/5 dark:hover:bg-white/5"
+                            >
+                                Today
+                            </button>
+                        )}
+                    </div>
+                ) : (
+                    <span className="text-sm text-[#71717A] font-light">{rangeLabel}</span>
+                )}
+            </div>
+
+            <StudyPlanPanel user={user} />
+
             {/* Progress Bar */}
             {tasks.length > 0 && (
                 <motion.div
@@ -151,7 +580,9 @@ export default function Planner() {
                     animate={{ opacity: 1, y: 0 }}
                 >
                     <div className="flex items-center justify-between mb-2">
-                        <span className="text-sm font-medium">Today's Progress</span>
+                        <span className="text-sm font-medium">
+                            {view === 'day' ? `${selectedDay === today ? "Today's" : "Day's"} Progress` : view === 'week' ? "Week's Progress" : 'Backlog'}
+                        </span>
                         <span className="text-sm text-[#71717A] font-light">{completedCount}/{tasks.length} completed</span>
                     </div>
                     <div className="h-2 bg-black/5 dark:bg-white/10 rounded-full overflow-hidden">
@@ -162,6 +593,11 @@ export default function Planner() {
                             className="h-full bg-black dark:bg-white rounded-full"
                         />
                     </div>
+                    {plannedMinutes > 0 && (
+                        <p className="text-xs text-[#71717A] mt-2 font-light">
+                            {formatMinutes(plannedMinutes)} planned · {formatMinutes(remainingMinutes)} left
+                        </p>
+                    )}
                 </motion.div>
             )}
 
@@ -207,6 +643,110 @@ export default function Planner() {
                         </motion.button>
                     </div>
                 </div>
+                <div className="flex flex-wrap items-center gap-2 mt-3">
+                    <label className="flex items-center gap-1.5 text-xs text-[#71717A]">
+                        <CalendarIcon className="w-3 h-3" />
+                        <input
+                            type="date"
+                            value={newDueDate}
+                            onChange={(e) => setNewDueDate(e.target.value)}
+                            className="input-field w-auto text-sm py-1.5"
+                            title={newRepeat ? 'Starts on' : 'Due date (empty for backlog)'}
+                        />
+                    </label>
+                    <label className="flex items-center gap-1.5 text-xs text-[#71717A]">
+                        <Clock className="w-3 h-3" />
+                        <input
+                            type="time"
+                            value={newTimeSlot}
+                            onChange={(e) => setNewTimeSlot(e.target.value)}
+                            className="input-field w-auto text-sm py-1.5"
+                            disabled={!newDueDate}
+                            title="Time slot (optional)"
+                        />
+                    </label>
+                    <label className="flex items-center gap-1.5 text-xs text-[#71717A]">
+                        <Timer className="w-3 h-3" />
+                        <input
+                            type="number"
+                            min="0"
+                            max="1440"
+                            value={newEstimate}
+                            onChange={(e) => setNewEstimate(e.target.value)}
+                            placeholder="Estimate (min)"
+                            className="input-field w-36 text-sm py-1.5"
+                        />
+                    </label>
+                    <label className="flex items-center gap-1.5 text-xs text-[#71717A]">
+                        <BookOpen className="w-3 h-3" />
+                        <select
+                            value={newSubject}
+                            onChange={(e) => setNewSubject(e.target.value)}
+                            className="input-field w-auto text-sm py-1.5"
+                            title="Subject (optional)"
+                        >
+                            <option value="">No subject</option>
+                            {SUBJECTS.map(({ id }) => <option key={id} value={id}>{id}</option>)}
+                        </select>
+                    </label>
+                    <label className="flex items-center gap-1.5 text-xs text-[#71717A]">
+                        <Repeat className="w-3 h-3" />
+                        <select
+                            value={newRepeat}
+                            onChange={(e) => {
+                                setNewRepeat(e.target.value);
+                                if (e.target.value && !newDueDate) setNewDueDate(view === 'backlog' ? today : selectedDay);
+                            }}
+                            className="input-field w-auto text-sm py-1.5"
+                            title="Repeat"
+                        >
+                            <option value="">Does not repeat</option>
+                            {RECURRENCE_FREQUENCIES.map(freq => (
+                                <option key={freq.id} value={freq.id}>{freq.label}</option>
+                            ))}
+                        </select>
+                    </label>
+                    {newRepeat === 'interval' && (
+                        <label className="flex items-center gap-1.5 text-xs text-[#71717A]">
+                            every
+                            <input
+                                type="number"
+                                min="2"
+                                max="365"
+                                value={newInterval}
+                                onChange={(e) => setNewInterval(e.target.value)}
+                                className="input-field w-20 text-sm py-1.5"
+                            />
+                            days
+                        </label>
+                    )}
+                    {newRepeat === 'weekly' && (
+                        <div className="flex bg-black/5 dark:bg-white/5 rounded p-1">
+                            {WEEKDAY_LABELS.map((label, day) => (
+                                <button
+                                    key={label}
+                                    type="button"
+                                    onClick={() => setNewWeekdays(prev => prev.includes(day) ? prev.filter(d => d !== day) : [...prev, day])}
+                                    className={`px-2 py-1 rounded text-xs font-medium transition-all ${newWeekdays.includes(day)
+                                            ? 'bg-black text-white dark:bg-white dark:text-black'
+                                            : 'text-[#71717A] hover:text-black dark:hover:text-white'
+                                        }`}
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                    {newDueDate && !newRepeat && (
+                        <button
+                            type="button"
+                            onClick={() => setNewDueDate('')}
+                            className="text-xs text-[#71717A] hover:text-black dark:hover:text-white underline"
+                        >
+                            Add to backlog instead
+                        </button>
+                    )}
+                </div>
                 <p className="text-xs text-[#71717A] mt-2 font-light">{newTask.length}/200 characters</p>
             </form>
 
@@ -232,124 +772,66 @@ export default function Planner() {
             </div>
 
             {/* Task List */}
-            <div className="space-y-3">
-                <AnimatePresence mode="popLayout">
-                    {sortedTasks.length === 0 ? (
-                        <motion.div
-                            initial={{ opacity: 0 }}
-                            animate={{ opacity: 1 }}
-                            className="card p-12 text-center"
-                        >
-                            <CalendarIcon className="w-12 h-12 text-[#71717A]/30 mx-auto mb-4" />
-                            <p className="text-[#71717A] font-light">
-                                {filter === 'all' ? 'No tasks yet. Start planning your day!' : `No ${filter} tasks.`}
-                            </p>
-                        </motion.div>
-                    ) : (
-                        sortedTasks.map((task, index) => (
-                            <motion.div
-                                key={task.id}
-                                initial={{ opacity: 0, y: 10 }}
-                                animate={{ opacity: 1, y: 0 }}
-                                exit={{ opacity: 0, x: -20 }}
-                                transition={{ delay: index * 0.05 }}
-                                layout
-                                className={`card p-4 flex items-center gap-4 transition-all group ${task.completed ? 'opacity-60' : ''
-                                    }`}
-                            >
-                                {/* Priority Indicator */}
-                                <div className={`w-2 h-2 rounded-full flex-shrink-0 ${task.priority === 'high'
-                                        ? 'bg-black dark:bg-white ring-2 ring-black/20 dark:ring-white/20'
-                                        : task.priority === 'low'
-                                            ? 'bg-[#71717A]'
-                                            : 'bg-black dark:bg-white'
-                                    }`} />
-
-                                {/* Checkbox */}
+            {view === 'week' ? (
+                <div className="space-y-6">
+                    {weekDays.map(dayKey => {
+                        const dayTasks = tasksByDay.get(dayKey) || [];
+                        return (
+                            <div key={dayKey} className="space-y-3">
                                 <button
-                                    onClick={() => handleToggle(task.id, task.completed)}
-                                    className="focus:outline-none flex-shrink-0"
+                                    onClick={() => openDay(dayKey)}
+                                    className="w-full flex items-center justify-between text-left hover:opacity-70 transition-opacity"
                                 >
-                                    {task.completed ? (
-                                        <CheckCircle2 className="w-6 h-6 text-black dark:text-white" />
+                                    <h3 className={`text-sm ${dayKey === today ? 'font-bold' : 'font-medium'}`}>
+                                        {format(parseISO(dayKey), 'EEEE, MMM d')}
+                                        {dayKey === today && <span className="ml-2 text-xs text-[#71717A] font-light">Today</span>}
+                                    </h3>
+                                    <span className="text-xs text-[#71717A] font-light">
+                                        {dayTasks.length} task{dayTasks.length === 1 ? '' : 's'}
+                                        {sumEstimates(dayTasks) > 0 && ` · ${formatMinutes(sumEstimates(dayTasks))}`}
+                                    </span>
+                                </button>
+                                <AnimatePresence mode="popLayout">
+                                    {dayTasks.length === 0 ? (
+                                        <p className="text-xs text-[#71717A] font-light pl-1">Nothing planned</p>
                                     ) : (
-                                        <Circle className="w-6 h-6 text-[#71717A] hover:text-black dark:hover:text-white transition-colors" />
+                                        dayTasks.map(renderTask)
                                     )}
-                                </button>
-
-                                {/* Task Text or Edit Input */}
-                                {editingTask === task.id ? (
-                                    <div className="flex-1 flex gap-2">
-                                        <input
-                                            type="text"
-                                            value={editText}
-                                            onChange={(e) => setEditText(e.target.value)}
-                                            className="input-field flex-1"
-                                            autoFocus
-                                            onKeyDown={(e) => {
-                                                if (e.key === 'Enter') handleSaveEdit(task.id);
-                                                if (e.key === 'Escape') handleCancelEdit();
-                                            }}
-                                        />
-                                        <button
-                                            onClick={() => handleSaveEdit(task.id)}
-                                            className="p-2 text-black dark:text-white hover:bg-black/5 dark:hover:bg-white/5 rounded"
-                                        >
-                                            <CheckCircle2 className="w-5 h-5" />
-                                        </button>
-                                        <button
-                                            onClick={handleCancelEdit}
-                                            className="p-2 text-[#71717A] hover:bg-black/5 dark:hover:bg-white/5 rounded"
-                                        >
-                                            <X className="w-5 h-5" />
-                                        </button>
-                                    </div>
-                                ) : (
-                                    <>
-                                        <span className={`flex-1 ${task.completed
-                                                ? 'text-[#71717A] line-through'
-                                                : ''
-                                            }`}>
-                                            {task.text}
-                                        </span>
-
-                                        {/* Priority Badge */}
-                                        <span className={`px-2 py-1 rounded text-xs font-medium border ${task.priority === 'high'
-                                                ? 'border-black dark:border-white bg-black/5 dark:bg-white/5'
-                                                : task.priority === 'low'
-                                                    ? 'border-black/10 dark:border-white/10 text-[#71717A]'
-                                                    : 'border-black/10 dark:border-white/10'
-                                            }`}>
-                                            {PRIORITY_CONFIG[task.priority]?.label || 'Medium'}
-                                        </span>
-
-                                        {/* Action Buttons */}
-                                        <div className="flex gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
-                                            <button
-                                                onClick={() => handleEdit(task)}
-                                                className="p-2 text-[#71717A] hover:text-black dark:hover:text-white hover:bg-black/5 dark:hover:bg-white/5 rounded transition-colors"
-                                                title="Edit"
-                                            >
-                                                <Edit2 className="w-4 h-4" />
-                                            </button>
-                                            <button
-                                                onClick={() => handleDelete(task.id, task.text)}
-                                                className="p-2 text-[#71717A] hover:text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20 rounded transition-colors"
-                                                title="Delete"
-                                            >
-                                                <Trash2 className="w-4 h-4" />
-                                            </button>
-                                        </div>
-                                    </>
-                                )}
+                                </AnimatePresence>
+                            </div>
+                        );
+                    })}
+                </div>
+            ) : (
+                <div className="space-y-3">
+                    <AnimatePresence mode="popLayout">
+                        {sortedTasks.length === 0 ? (
+                            <motion.div
+                                initial={{ opacity: 0 }}
+                                animate={{ opacity: 1 }}
+                                className="card p-12 text-center"
+                            >
+                                {view === 'backlog'
+                                    ? <Inbox className="w-12 h-12 text-[#71717A]/30 mx-auto mb-4" />
+                                    : <CalendarIcon className="w-12 h-12 text-[#71717A]/30 mx-auto mb-4" />}
+                                <p className="text-[#71717A] font-light">
+                                    {filter !== 'all'
+                                        ? `No ${filter} tasks.`
+                                        : view === 'backlog'
+                                            ? 'Backlog is empty. Tasks without a date land here.'
+                                            : 'No tasks for this day. Start planning!'}
+                                </p>
                             </motion.div>
-                        ))
-                    )}
-                </AnimatePresence>
-            </div>
+                        ) : (
+                            sortedTasks.map(renderTask)
+                        )}
+                    </AnimatePresence>
+                </div>
+            )}
 
             {/* Confirmation Dialog */}
             <ConfirmDialog {...dialogProps} />
+            <RecurrenceScopeDialog {...scopeDialogProps} />
         </div>
     );
 }
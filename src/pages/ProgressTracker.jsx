@@ -1,8 +1,9 @@
 import { useState, useEffect, useMemo } from 'react';
 import { useAuth } from '../context/AuthContext';
-import { subscribeToUserSyllabus, saveUserSyllabus } from '../lib/db';
+import { subscribeToUserSyllabus, subscribeToRecentLogs, saveUserSyllabus } from '../lib/db';
+import { GRADES, reviewTopic, getReviewStatus, getDueDate, buildRevisionQueue } from '../lib/spaced-repetition';
 import { formatDistanceToNow, format, differenceInDays } from 'date-fns';
-import { Clock, BookOpen, AlertCircle, CheckCircle, Search, ChevronRight, ChevronDown, Calendar, Settings, Trash2, RotateCcw, Target, Filter, TrendingUp, X } from 'lucide-react';
+import { Clock, BookOpen, AlertCircle, CheckCircle, Search, ChevronRight, ChevronDown, Calendar, Settings, Trash2, Target, Filter, TrendingUp, X, ListChecks } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
 import toast from '../components/ui/Toast';
 import { ConfirmDialog, useConfirmDialog } from '../components/ui/ConfirmDialog';
@@ -10,10 +11,11 @@ import { ConfirmDialog, useConfirmDialog } from '../components/ui/ConfirmDialog'
 export default function ProgressTracker() {
     const { user } = useAuth();
     const [syllabusData, setSyllabusData] = useState(null);
+    const [logs, setLogs] = useState([]);
     const [loading, setLoading] = useState(true);
     const [searchTerm, setSearchTerm] = useState('');
     const [expandedSubjects, setExpandedSubjects] = useState({});
-    const [filterMode, setFilterMode] = useState('all'); // 'all', 'urgent', 'active'
+    const [filterMode, setFilterMode] = useState('all'); // 'all', 'queue', 'urgent', 'active'
     const { dialogProps, confirm } = useConfirmDialog();
 
     // Fetch syllabus data
@@ -26,6 +28,21 @@ export default function ProgressTracker() {
         return () => unsub();
     }, [user]);
 
+    useEffect(() => {
+        if (!user) return;
+        const unsub = subscribeToRecentLogs(user.uid, 1000, (data) => setLogs(data));
+        return () => unsub();
+    }, [user]);
+
+    // Sessions per syllabus node, resolved by the topicId stored on each log
+    const sessionsByTopic = useMemo(() => {
+        const counts = new Map();
+        logs.forEach(log => {
+            if (log.topicId) counts.set(log.topicId, (counts.get(log.topicId) || 0) + 1);
+        });
+        return counts;
+    }, [logs]);
+
     const activeSyllabus = useMemo(() => {
         if (!syllabusData?.syllabi) return null;
         let activeId = syllabusData.activeSyllabusId;
@@ -41,7 +58,7 @@ export default function ProgressTracker() {
     }, [syllabusData]);
 
     const processedData = useMemo(() => {
-        if (!activeSyllabus) return { grouped: {}, stats: { total: 0, urgent: 0, active: 0 } };
+        if (!activeSyllabus) return { grouped: {}, queue: { overdue: [], due: [], upcoming: [] }, stats: { total: 0, urgent: 0, active: 0 } };
 
         const flattenTopics = (items, parentSubject = null) => {
             let results = [];
@@ -52,23 +69,22 @@ export default function ProgressTracker() {
                     const stats = item.stats || {
                         totalMinutes: 0,
                         lastStudied: null,
-                        revisionInterval: 7,
                         needsRevision: false
                     };
 
-                    let needsRevision = stats.needsRevision;
                     let daysSince = 0;
                     if (stats.lastStudied) {
                         daysSince = differenceInDays(new Date(), new Date(stats.lastStudied));
-                        if (daysSince >= (stats.revisionInterval || 7)) {
-                            needsRevision = true;
-                        }
                     }
 
+                    // Due today or overdue according to the SM-2 schedule
+                    const reviewStatus = getReviewStatus(stats);
+                    const needsRevision = reviewStatus === 'overdue' || reviewStatus === 'due';
+
                     results.push({
                         ...item,
                         parentSubject: parentSubject || 'General',
-                        stats: { ...stats, daysSince, needsRevision }
+                        stats: { ...stats, daysSince, needsRevision, reviewStatus, dueDate: getDueDate(stats) }
                     });
                 }
             });
@@ -76,6 +92,7 @@ export default function ProgressTracker() {
         };
 
         const allTopics = flattenTopics(activeSyllabus.items);
+        const queue = buildRevisionQueue(allTopics);
 
         // Calculate stats
         const stats = {
@@ -102,21 +119,22 @@ export default function ProgressTracker() {
             grouped[topic.parentSubject].push(topic);
         });
 
-        return { grouped, stats };
+        return { grouped, queue, stats };
     }, [activeSyllabus, searchTerm, filterMode]);
 
-    const handleUpdateInterval = async (topicId, newInterval) => {
+    // Graded recall: moves the topic's next due date using the SM-2 scheduler
+    const handleGrade = async (topicId, grade) => {
         if (!syllabusData || !activeSyllabus) return;
-
         const newSyllabusData = JSON.parse(JSON.stringify(syllabusData));
         const activeId = newSyllabusData.activeSyllabusId || Object.keys(newSyllabusData.syllabi)[0];
         const currentSyllabus = newSyllabusData.syllabi[activeId];
+        let nextInterval = null;
 
         const updateRecursive = (list) => {
             return list.map(item => {
                 if (item.id === topicId) {
-                    if (!item.stats) item.stats = {};
-                    item.stats.revisionInterval = parseInt(newInterval);
+                    item.stats = reviewTopic(item.stats || {}, grade);
+                    nextInterval = item.stats.revisionInterval;
                     return item;
                 }
                 if (item.children) {
@@ -129,35 +147,7 @@ export default function ProgressTracker() {
         currentSyllabus.items = updateRecursive(currentSyllabus.items);
 
         const success = await saveUserSyllabus(user.uid, newSyllabusData);
-        if (success) toast.success('Revision schedule updated ⚙️');
-        else toast.error('Failed to update schedule');
-    };
-
-    const handleMarkRevised = async (topicId) => {
-        if (!syllabusData || !activeSyllabus) return;
-        const newSyllabusData = JSON.parse(JSON.stringify(syllabusData));
-        const activeId = newSyllabusData.activeSyllabusId || Object.keys(newSyllabusData.syllabi)[0];
-        const currentSyllabus = newSyllabusData.syllabi[activeId];
-
-        const updateRecursive = (list) => {
-            return list.map(item => {
-                if (item.id === topicId) {
-                    if (!item.stats) item.stats = {};
-                    item.stats.lastStudied = new Date().toISOString();
-                    item.stats.needsRevision = false;
-                    return item;
-                }
-                if (item.children) {
-                    item.children = updateRecursive(item.children);
-                }
-                return item;
-            });
-        };
-
-        currentSyllabus.items = updateRecursive(currentSyllabus.items);
-
-        const success = await saveUserSyllabus(user.uid, newSyllabusData);
-        if (success) toast.success('Marked as revised! Cycle reset 🔄');
+        if (success) toast.success(`Next review in ${nextInterval} day${nextInterval === 1 ? '' : 's'} 🔄`);
         else toast.error('Failed to update status');
     };
 
@@ -253,6 +243,7 @@ export default function ProgressTracker() {
             >
                 {[
                     { key: 'all', label: 'All Topics', icon: BookOpen },
+                    { key: 'queue', label: 'Review Queue', icon: ListChecks },
                     { key: 'urgent', label: 'Needs Revision', icon: AlertCircle },
                     { key: 'active', label: 'Active', icon: TrendingUp }
                 ].map(({ key, label, icon: Icon }) => (
@@ -357,7 +348,9 @@ export default function ProgressTracker() {
                 transition={{ delay: 0.5 }}
                 className="space-y-3"
             >
-                {Object.keys(processedData.grouped).length === 0 ? (
+                {filterMode === 'queue' ? (
+                    <RevisionQueue queue={processedData.queue} onGrade={handleGrade} />
+                ) : Object.keys(processedData.grouped).length === 0 ? (
                     <div className="text-center py-20 card">
                         <BookOpen className="w-16 h-16 mx-auto mb-4 text-[#71717A]/30" />
                         <p className="text-[#71717A] font-light">
@@ -444,6 +437,13 @@ export default function ProgressTracker() {
                                                                 </span>
                                                                 <span className="opacity-60">studied</span>
                                                             </span>
+                                                            {sessionsByTopic.get(topic.id) > 0 && (
+                                                                <span className="flex items-center gap-1.5">
+                                                                    <BookOpen className="w-3.5 h-3.5" />
+                                                                    <span className="font-medium">{sessionsByTopic.get(topic.id)}</span>
+                                                                    <span className="opacity-60">{sessionsByTopic.get(topic.id) === 1 ? 'session' : 'sessions'}</span>
+                                                                </span>
+                                                            )}
                                                             <span className="flex items-center gap-1.5">
                                                                 <Calendar className="w-3.5 h-3.5" />
                                                                 {topic.stats.lastStudied ? (
@@ -473,33 +473,22 @@ export default function ProgressTracker() {
 
                                                     <div className="flex items-center gap-3 lg:gap-4">
                                                         <div className="flex flex-col items-end min-w-[140px]">
-                                                            <label className="text-[10px] text-[#71717A] uppercase tracking-wider font-semibold mb-1.5 flex items-center gap-1">
-                                                                <Settings className="w-3 h-3" /> Cycle
-                                                            </label>
-                                                            <select
-                                                                value={topic.stats.revisionInterval || 7}
-                                                                onChange={(e) => handleUpdateInterval(topic.id, e.target.value)}
-                                                                className="w-full text-sm bg-white dark:bg-black/20 border border-black/10 dark:border-white/10 rounded-lg px-3 py-1.5 outline-none focus:ring-2 focus:ring-black/20 dark:focus:ring-white/20 transition-all cursor-pointer hover:border-black dark:hover:border-white font-medium"
-                                                            >
-                                                                <option value="1">Daily (1d)</option>
-                                                                <option value="3">Every 3 Days</option>
-                                                                <option value="7">Weekly (7d)</option>
-                                                                <option value="14">Bi-Weekly (14d)</option>
-                                                                <option value="30">Monthly (30d)</option>
-                                                            </select>
+                                                            <span className="text-[10px] text-[#71717A] uppercase tracking-wider font-semibold mb-1.5 flex items-center gap-1">
+                                                                <Settings className="w-3 h-3" /> Next Review
+                                                            </span>
+                                                            <span className="text-sm font-medium">
+                                                                {topic.stats.dueDate ? format(topic.stats.dueDate, 'MMM d') : 'Not scheduled'}
+                                                            </span>
+                                                            {topic.stats.revisionInterval && topic.stats.dueDate && (
+                                                                <span className="text-xs text-[#71717A] font-light">
+                                                                    every {topic.stats.revisionInterval}d · ease {(topic.stats.easeFactor || 2.5).toFixed(2)}
+                                                                </span>
+                                                            )}
                                                         </div>
 
                                                         <div className="flex items-center gap-2">
                                                             {topic.stats.needsRevision && (
-                                                                <motion.button
-                                                                    whileHover={{ scale: 1.05 }}
-                                                                    whileTap={{ scale: 0.95 }}
-                                                                    onClick={() => handleMarkRevised(topic.id)}
-                                                                    className="p-2.5 bg-green-500 hover:bg-green-600 text-white rounded-lg transition-colors shadow-md hover:shadow-lg"
-                                                                    title="Mark as Revised"
-                                                                >
-                                                                    <RotateCcw className="w-4 h-4" />
-                                                                </motion.button>
+                                                                <GradeButtons onGrade={(grade) => handleGrade(topic.id, grade)} />
                                                             )}
                                                             <motion.button
                                                                 whileHover={{ scale: 1.05 }}
@@ -526,3 +515,79 @@ export default function ProgressTracker() {
         </div>
     );
 }
+
+function GradeButtons({ onGrade }) {
+    return (
+        <div className="flex items-center gap-1">
+            {GRADES.map(grade => (
+                <motion.button
+                    key={grade.id}
+                    whileHover={{ scale: 1.05 }}
+                    whileTap={{ scale: 0.95 }}
+                    onClick={() => onGrade(grade.id)}
+                    className={`px-2.5 py-1.5 rounded-lg text-xs font-medium transition-colors ${grade.id === 'again'
+                            ? 'bg-red-50 dark:bg-red-900/20 text-red-600 dark:text-red-400 hover:bg-red-100 dark:hover:bg-red-900/40'
+                            : 'bg-black/5 dark:bg-white/10 hover:bg-black hover:text-white dark:hover:bg-white dark:hover:text-black'
+                        }`}
+                    title={grade.description}
+                >
+                    {grade.label}
+                </motion.button>
+            ))}
+        </div>
+    );
+}
+
+const QUEUE_SECTIONS = [
+    { key: 'overdue', label: 'Overdue', empty: 'Nothing overdue 🎉', accent: 'bg-red-500' },
+    { key: 'due', label: 'Due Today', empty: 'No reviews due today', accent: 'bg-yellow-500' },
+    { key: 'upcoming', label: 'Upcoming (7 days)', empty: 'No reviews scheduled this week', accent: 'bg-green-500' }
+];
+
+function RevisionQueue({ queue, onGrade }) {
+    return (
+        <div className="space-y-3">
+            {QUEUE_SECTIONS.map(section => (
+                <div key={section.key} className="card overflow-hidden">
+                    <div className="flex items-center gap-3 p-5 bg-gradient-to-r from-black/[0.03] to-transparent dark:from-white/[0.03] dark:to-transparent">
+                        <div className={`w-1 h-8 rounded-full ${section.accent}`}></div>
+                        <span className="font-bold text-lg">{section.label}</span>
+                        <span className="text-xs bg-black/10 dark:bg-white/10 px-3 py-1 rounded-full text-[#71717A] font-medium">
+                            {queue[section.key].length}
+                        </span>
+                    </div>
+                    {queue[section.key].length === 0 ? (
+                        <p className="px-5 pb-5 text-sm text-[#71717A] font-light">{section.empty}</p>
+                    ) : (
+                        <div className="divide-y divide-black/5 dark:divide-white/5">
+                            {queue[section.key].map(topic => (
+                                <div
+                                    key={topic.id}
+                                    className="p-5 flex flex-col lg:flex-row lg:items-center justify-between gap-4 hover:bg-black/[0.02] dark:hover:bg-white/[0.02] transition-colors"
+                                >
+                                    <div className="flex-1 min-w-0">
+                                        <h4 className="font-semibold text-base truncate">{topic.title}</h4>
+                                        <div className="text-sm text-[#71717A] flex flex-wrap gap-x-4 gap-y-1 mt-1">
+                                            <span>{topic.parentSubject}</span>
+                                            <span className="flex items-center gap-1.5">
+                                                <Calendar className="w-3.5 h-3.5" />
+                                                {topic.daysUntilDue < 0
+                                                    ? `${Math.abs(topic.daysUntilDue)}d overdue`
+                                                    : topic.daysUntilDue === 0
+                                                        ? 'Due today'
+                                                        : `Due ${format(topic.dueDate, 'EEE, MMM d')}`}
+                                            </span>
+                                        </div>
+                                    </div>
+                                    {section.key !== 'upcoming' && (
+                                        <GradeButtons onGrade={(grade) => onGrade(topic.id, grade)} />
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            ))}
+        </div>
+    );
+}
@@ -0,0 +1,317 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { EmailAuthProvider, reauthenticateWithCredential, deleteUser } from 'firebase/auth';
+import { useAuth } from '../context/AuthContext';
+import { auth } from '../lib/firebase';
+import { STORAGE_BACKEND } from '../lib/storage';
+import { exportUserData, restoreUserData, deleteUserData } from '../lib/db';
+import { validateArchive, summarizeArchive, ARCHIVE_VERSION } from '../lib/data-archive';
+import { downloadFile } from '../lib/utils';
+import { Download, Upload, Database, FileJson, X, Trash2, AlertTriangle } from 'lucide-react';
+import { format, parseISO } from 'date-fns';
+import { motion } from 'framer-motion';
+import toast from '../components/ui/Toast';
+import { ConfirmDialog, useConfirmDialog } from '../components/ui/ConfirmDialog';
+
+const RESTORE_MODES = [
+    { id: 'merge', label: 'Merge', description: 'Add the archived data to this account. Items in both keep the archived copy.' },
+    { id: 'replace', label: 'Replace', description: "Make this account an exact copy of the archive. Anything that isn't in it is deleted." },
+];
+
+// Wrong-password codes differ between Firebase Auth versions
+const WRONG_PASSWORD_CODES = ['auth/wrong-password', 'auth/invalid-credential', 'auth/invalid-login-credentials'];
+
+export default function Settings() {
+    const { user } = useAuth();
+    const navigate = useNavigate();
+    const { dialogProps, confirm } = useConfirmDialog();
+    const [exporting, setExporting] = useState(false);
+    const [restoring, setRestoring] = useState(false);
+    const [archive, setArchive] = useState(null);
+    const [archiveName, setArchiveName] = useState('');
+    const [restoreMode, setRestoreMode] = useState('merge');
+
+    // Account deletion (the local backend has no sign-in to check or remove)
+    const usesAuth = STORAGE_BACKEND !== 'local';
+    const [showDelete, setShowDelete] = useState(false);
+    const [password, setPassword] = useState('');
+    const [deleting, setDeleting] = useState(false);
+    const [deleteProgress, setDeleteProgress] = useState(null);
+
+    const handleExport = async () => {
+        setExporting(true);
+        const data = await exportUserData(user.uid);
+        setExporting(false);
+        if (!data) {
+            toast.error('Failed to export your data');
+            return;
+        }
+        downloadFile(JSON.stringify(data, null, 2), `upsc-os-backup-${format(new Date(), 'yyyy-MM-dd')}.json`);
+        toast.success('Your data was exported');
+    };
+
+    const handleArchiveFile = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            toast.error('The file is not valid JSON');
+            return;
+        }
+        const problem = validateArchive(data);
+        if (problem) {
+            toast.error(problem);
+            return;
+        }
+        setArchive(data);
+        setArchiveName(file.name);
+    };
+
+    const handleRestore = async () => {
+        const confirmed = await confirm({
+            title: restoreMode === 'replace' ? 'Replace All Data' : 'Merge Archive',
+            message: restoreMode === 'replace'
+                ? 'Everything in this account that is not in the archive will be deleted. Export a backup first if you may need it.'
+                : 'The archived data will be added to this account.',
+            confirmText: restoreMode === 'replace' ? 'Replace' : 'Merge',
+            isDangerous: restoreMode === 'replace'
+        });
+        if (!confirmed) return;
+
+        setRestoring(true);
+        const success = await restoreUserData(user.uid, archive, restoreMode);
+        setRestoring(false);
+        if (success) {
+            toast.success('Your data was restored');
+            setArchive(null);
+            setArchiveName('');
+        } else {
+            toast.error('Failed to restore your data');
+        }
+    };
+
+    const handleDeleteAccount = async () => {
+        if (usesAuth && !password) {
+            toast.warning('Enter your password to confirm');
+            return;
+        }
+        const confirmed = await confirm({
+            title: 'Delete Account',
+            message: 'All your sessions, tasks, syllabi, notes and stats will be permanently deleted. This cannot be undone.',
+            confirmText: 'Delete Forever',
+            isDangerous: true
+        });
+        if (!confirmed) return;
+
+        setDeleting(true);
+
+        // Removing the sign-in needs a recent login; checking first means no data is deleted for an account that stays
+        if (usesAuth) {
+            try {
+                await reauthenticateWithCredential(auth.currentUser, EmailAuthProvider.credential(user.email, password));
+            } catch (error) {
+                console.error("Error re-authenticating:", error);
+                toast.error(WRONG_PASSWORD_CODES.includes(error.code) ? 'Incorrect password' : 'Could not verify your password');
+                setDeleting(false);
+                return;
+            }
+        }
+
+        const success = await deleteUserData(user.uid, setDeleteProgress);
+        if (!success) {
+            toast.error('Failed to delete all of your data. Please try again.');
+            setDeleting(false);
+            setDeleteProgress(null);
+            return;
+        }
+        localStorage.clear();
+
+        if (usesAuth) {
+            try {
+                await deleteUser(auth.currentUser);
+            } catch (error) {
+                console.error("Error deleting account:", error);
+                toast.error('Your data was deleted, but the sign-in could not be removed. Sign in again and retry.');
+                setDeleting(false);
+                return;
+            }
+        }
+        toast.success('Your account was deleted');
+        navigate('/');
+    };
+
+    const fromOtherAccount = archive && archive.sourceUid && archive.sourceUid !== user.uid;
+
+    return (
+        <div className="max-w-3xl mx-auto space-y-6 animate-fade-in">
+            <div>
+                <h1 className="text-2xl font-medium">Account <span className="font-bold">Settings</span></h1>
+                <p className="text-[#71717A] font-light">Back up, restore, move or delete your study data</p>
+            </div>
+
+            <motion.div className="card p-6" initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }}>
+                <h3 className="font-medium mb-1 flex items-center gap-2">
+                    <Database className="w-5 h-5" />
+                    Your <span className="font-bold">Data</span>
+                </h3>
+                <p className="text-sm text-[#71717A] font-light mb-6">
+                    One JSON archive with your sessions, tasks, syllabi, goals, achievements, quiz results, notes and
+                    the data this browser keeps (saved PYQs, theme). Restore it here or into another account.
+                </p>
+
+                <div className="grid sm:grid-cols-2 gap-3">
+                    <button onClick={handleExport} disabled={exporting} className="btn-primary flex items-center justify-center gap-2 disabled:opacity-50">
+                        <Download className="w-4 h-4" />
+                        {exporting ? 'Exporting...' : 'Export everything'}
+                    </button>
+                    <label className={`btn-outline flex items-center justify-center gap-2 cursor-pointer ${restoring ? 'opacity-50 pointer-events-none' : ''}`}>
+                        <Upload className="w-4 h-4" />
+                        Restore from archive
+                        <input type="file" accept=".json,application/json" onChange={handleArchiveFile} className="hidden" />
+                    </label>
+                </div>
+
+                {archive && (
+                    <div className="mt-6 p-4 rounded border border-black/10 dark:border-white/10 space-y-4">
+                        <div className="flex items-start justify-between gap-3">
+                            <div className="flex items-start gap-3 min-w-0">
+                                <FileJson className="w-5 h-5 mt-0.5 flex-shrink-0" />
+                                <div className="min-w-0">
+                                    <p className="font-medium truncate">{archiveName}</p>
+                                    <p className="text-xs text-[#71717A] font-light">
+                                        Format v{archive.version}{archive.version < ARCHIVE_VERSION && ' (older)'}
+                                        {archive.exportedAt && ` · exported ${format(parseISO(archive.exportedAt), 'MMM d, yyyy h:mm a')}`}
+                                        {fromOtherAccount && ' · from another account'}
+                                    </p>
+                                </div>
+                            </div>
+                            <button
+                                onClick={() => setArchive(null)}
+                                disabled={restoring}
+                                className="p-1 text-[#71717A] hover:text-black dark:hover:text-white transition-colors"
+                                title="Discard"
+                            >
+                                <X className="w-4 h-4" />
+                            </button>
+                        </div>
+
+                        <div className="flex flex-wrap gap-2">
+                            {summarizeArchive(archive).map(entry => (
+                                <span key={entry.key} className="text-xs px-2 py-1 rounded bg-black/5 dark:bg-white/5">
+                                    {entry.count} {entry.label.toLowerCase()}
+                                </span>
+                            ))}
+                        </div>
+
+                        <div className="grid sm:grid-cols-2 gap-3">
+                            {RESTORE_MODES.map(mode => (
+                                <button
+                                    key={mode.id}
+                                    onClick={() => setRestoreMode(mode.id)}
+                                    className={`text-left p-3 rounded border transition-colors ${restoreMode === mode.id
+                                        ? 'border-black dark:border-white bg-black/5 dark:bg-white/5'
+                                        : 'border-black/10 dark:border-white/10 hover:border-black/30 dark:hover:border-white/30'
+                                        }`}
+                                >
+                                    <p className="font-medium text-sm">{mode.label}</p>
+                                    <p className="text-xs text-[#71717A] font-light">{mode.description}</p>
+                                </button>
+                            ))}
+                        </div>
+
+                        <button onClick={handleRestore} disabled={restoring} className="btn-primary w-full disabled:opacity-50">
+                            {restoring ? 'Restoring...' : `${restoreMode === 'replace' ? 'Replace' : 'Merge'} with this archive`}
+                        </button>
+                    </div>
+                )}
+            </motion.div>
+
+            <motion.div
+                className="card p-6 border-red-500/30"
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ delay: 0.1 }}
+            >
+                <h3 className="font-medium mb-1 flex items-center gap-2 text-red-500">
+                    <AlertTriangle className="w-5 h-5" />
+                    Delete <span className="font-bold">Account</span>
+                </h3>
+                <p className="text-sm text-[#71717A] font-light mb-4">
+                    Permanently removes your account and everything stored for it, in the cloud and in this browser.
+                </p>
+
+                {!showDelete ? (
+                    <button
+                        onClick={() => setShowDelete(true)}
+                        className="px-4 py-2 rounded border border-red-500 text-red-500 hover:bg-red-500 hover:text-white transition-colors text-sm font-medium flex items-center gap-2"
+                    >
+                        <Trash2 className="w-4 h-4" />
+                        Delete my account
+                    </button>
+                ) : (
+                    <div className="space-y-4">
+                        <div className="p-3 rounded bg-black/5 dark:bg-white/5 flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+                            <p className="text-sm font-light">Keep a copy? Export your data before it is gone.</p>
+                            <button onClick={handleExport} disabled={exporting || deleting} className="btn-outline flex items-center justify-center gap-2 text-sm disabled:opacity-50">
+                                <Download className="w-4 h-4" />
+                                {exporting ? 'Exporting...' : 'Export first'}
+                            </button>
+                        </div>
+
+                        {usesAuth && (
+                            <div>
+                                <label className="block text-xs text-[#71717A] mb-1 font-light">Confirm your password ({user.email})</label>
+                                <input
+                                    type="password"
+                                    value={password}
+                                    onChange={(e) => setPassword(e.target.value)}
+                                    disabled={deleting}
+                                    autoComplete="current-password"
+                                    className="input-field"
+                                />
+                            </div>
+                        )}
+
+                        {deleteProgress && (
+                            <div>
+                                <div className="h-1.5 rounded-full bg-black/5 dark:bg-white/10 overflow-hidden">
+                                    <div
+                                        className="h-full bg-red-500 transition-all"
+                                        style={{ width: `${deleteProgress.total ? (deleteProgress.deleted / deleteProgress.total) * 100 : 0}%` }}
+                                    />
+                                </div>
+                                <p className="text-xs text-[#71717A] font-light mt-1">
+                                    Deleted {deleteProgress.deleted} of {deleteProgress.total} items
+                                </p>
+                            </div>
+                        )}
+
+                        <div className="flex gap-3">
+                            <button
+                                onClick={() => { setShowDelete(false); setPassword(''); }}
+                                disabled={deleting}
+                                className="btn-outline text-sm disabled:opacity-50"
+                            >
+                                Cancel
+                            </button>
+                            <button
+                                onClick={handleDeleteAccount}
+                                disabled={deleting}
+                                className="px-4 py-2 rounded bg-red-500 text-white hover:bg-red-600 transition-colors text-sm font-medium flex items-center gap-2 disabled:opacity-50"
+                            >
+                                <Trash2 className="w-4 h-4" />
+                                {deleting ? 'Deleting...' : 'Delete everything'}
+                            </button>
+                        </div>
+                    </div>
+                )}
+            </motion.div>
+
+            <ConfirmDialog {...dialogProps} />
+        </div>
+    );
+}
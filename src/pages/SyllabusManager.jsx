@@ -1,10 +1,20 @@
 import { useState, useRef, useEffect, useMemo } from 'react';
 import { SYLLABUS_DATA } from '../lib/syllabus-data';
-import { ChevronRight, ChevronDown, CheckCircle2, Circle, BookOpen, Plus, Trash2, RotateCcw, X, Search, CheckSquare, Filter, FolderPlus, Folder, ChevronLeft, Edit2, Save } from 'lucide-react';
+import { ChevronRight, ChevronDown, CheckCircle2, Circle, BookOpen, Plus, Trash2, RotateCcw, X, Search, CheckSquare, Filter, FolderPlus, Folder, ChevronLeft, Edit2, Save, Timer, Upload, Download, Layers, GripVertical, Undo2, Redo2, History } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
 import { updateUserProgress, saveUserSyllabus, subscribeToUserSyllabus } from '../lib/db';
+import { mapNode, findNodeById, moveNodeRelative, shiftNode } from '../lib/syllabus-tree';
+import { EMPTY_HISTORY, recordHistory, undoHistory, redoHistory, captureHistoryState, applyHistoryState, createSnapshot, addSnapshot, restoreSnapshot } from '../lib/syllabus-history';
+import { DEFAULT_TOPIC_HOURS } from '../lib/study-plan';
+import { SYLLABUS_EXPORT_FORMATS, syllabusFileName, syllabusToMarkdown, syllabusToJson, buildSyllabusPdf } from '../lib/syllabus-export';
+import { downloadFile } from '../lib/utils';
+import { SYLLABUS_TEMPLATES, TEMPLATE_CATEGORIES, getTemplate, getTemplateItems, diffSyllabusWithTemplate, hasTemplateUpdate } from '../lib/syllabus-templates';
+import { mergeSyllabusItems } from '../lib/syllabus-import';
 import { ConfirmDialog, useConfirmDialog } from '../components/ui/ConfirmDialog';
 import toast from '../components/ui/Toast';
+import SyllabusImportDialog from '../components/syllabus/SyllabusImportDialog';
+import SyllabusTemplateDialog from '../components/syllabus/SyllabusTemplateDialog';
+import SyllabusHistoryPanel from '../components/syllabus/SyllabusHistoryPanel';
 import { motion, AnimatePresence } from 'framer-motion';
 
 // Default syllabus templates
@@ -57,7 +67,15 @@ export default function SyllabusManager() {
     const [showSyllabusList, setShowSyllabusList] = useState(false);
     const [isCreatingNew, setIsCreatingNew] = useState(false);
     const [newSyllabusName, setNewSyllabusName] = useState('');
+    const [newSyllabusTemplateId, setNewSyllabusTemplateId] = useState('');
+    const [showTemplateDiff, setShowTemplateDiff] = useState(false);
+    const [showHistory, setShowHistory] = useState(false);
+    // Undo/redo stacks for this session, per syllabus id
+    const [history, setHistory] = useState({});
+    const historySeq = useRef(0);
     const [editingName, setEditingName] = useState(false);
+    const [showImport, setShowImport] = useState(false);
+    const [showExportMenu, setShowExportMenu] = useState(false);
 
     // Current syllabus data
     const activeSyllabus = syllabi[activeSyllabusId] || Object.values(syllabi)[0];
@@ -84,14 +102,9 @@ export default function SyllabusManager() {
             }
             saveUserSyllabus(user.uid, { syllabi, activeSyllabusId });
 
-            // Calculate total progress across all syllabi
-            let totalCompleted = 0;
-            let totalTopics = 0;
-            Object.values(syllabi).forEach(s => {
-                totalCompleted += (s.completed || []).length;
-                totalTopics += countAllItems(s.items || []);
-            });
-            updateUserProgress(user.uid, totalCompleted, totalTopics);
+            // Topic progress is the active syllabus' (as rebuildAggregates counts it)
+            const active = syllabi[activeSyllabusId];
+            updateUserProgress(user.uid, (active?.completed || []).length, countAllItems(active?.items || []));
         }
     }, [syllabi, activeSyllabusId, user]);
 
@@ -127,8 +140,19 @@ export default function SyllabusManager() {
         return filterRecursive(items);
     }, [items, searchQuery, filterStatus, completedItems]);
 
-    // Save functions
-    const updateActiveSyllabus = (updates) => {
+    // Save functions. A `label` puts the change on the undo stack; returns the history entry id.
+    const updateActiveSyllabus = (updates, label) => {
+        let entryId = null;
+        if (label && activeSyllabus) {
+            entryId = ++historySeq.current;
+            const entry = {
+                id: entryId,
+                label,
+                at: Date.now(),
+                before: captureHistoryState(activeSyllabus)
+            };
+            setHistory(prev => ({ ...prev, [activeSyllabusId]: recordHistory(prev[activeSyllabusId], entry) }));
+        }
         setSyllabi(prev => ({
             ...prev,
             [activeSyllabusId]: {
@@ -136,12 +160,59 @@ export default function SyllabusManager() {
                 ...updates
             }
         }));
+        return entryId;
+    };
+
+    const saveItems = (newItems, label) => updateActiveSyllabus({ items: newItems }, label);
+
+    // --- Undo / Redo ---
+    const activeHistory = history[activeSyllabusId] || EMPTY_HISTORY;
+
+    const stepHistory = (step) => {
+        const result = step(activeHistory, captureHistoryState(activeSyllabus));
+        if (!result) return false;
+        setHistory(prev => ({ ...prev, [activeSyllabusId]: result.history }));
+        updateActiveSyllabus(applyHistoryState(activeSyllabus, result.state));
+        return true;
+    };
+
+    // With an entry id (from a toast), only undo if that change is still the latest
+    const undo = (entryId) => {
+        const latest = activeHistory.past[activeHistory.past.length - 1];
+        if (entryId && latest?.id !== entryId) {
+            toast.info('Other changes came after this one. Use History to step back.');
+            return false;
+        }
+        const undone = stepHistory(undoHistory);
+        if (undone) toast.info(`Undid: ${latest.label}`, 2500);
+        return undone;
     };
 
-    const saveItems = (newItems) => {
-        updateActiveSyllabus({ items: newItems });
+    const redo = () => {
+        const next = activeHistory.future[activeHistory.future.length - 1];
+        const redone = stepHistory(redoHistory);
+        if (redone) toast.info(`Redid: ${next.label}`, 2500);
+        return redone;
     };
 
+    // Toasts and the keyboard listener outlive a render, so they call through this ref
+    const historyActions = useRef({});
+    historyActions.current = { undo, redo };
+    const undoAction = (entryId) => ({ label: 'Undo', onClick: () => historyActions.current.undo(entryId) });
+
+    // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes (outside text fields)
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey)) return;
+            const key = e.key.toLowerCase();
+            const action = key === 'z' ? (e.shiftKey ? 'redo' : 'undo') : key === 'y' ? 'redo' : null;
+            if (!action || e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+            if (historyActions.current[action]()) e.preventDefault();
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, []);
+
     const toggleItem = (id) => {
         const currentCompleted = new Set(activeSyllabus?.completed || []);
 
@@ -185,7 +256,8 @@ export default function SyllabusManager() {
             }
         });
 
-        updateActiveSyllabus({ completed: [...newCompleted] });
+        const title = findNodeById(items, id)?.title;
+        updateActiveSyllabus({ completed: [...newCompleted] }, `${isCompleted ? 'Unmark' : 'Mark'} "${title}"`);
     };
 
     const markSectionComplete = (item) => {
@@ -197,8 +269,8 @@ export default function SyllabusManager() {
             }
         };
         markRecursive(item);
-        updateActiveSyllabus({ completed: [...currentCompleted] });
-        toast.success(`Marked "${item.title}" and all sub-topics as complete!`);
+        const entryId = updateActiveSyllabus({ completed: [...currentCompleted] }, `Complete "${item.title}"`);
+        toast.success(`Marked "${item.title}" and all sub-topics as complete!`, 4000, undoAction(entryId));
     };
 
     const handleAddChild = (parentId, childTitle) => {
@@ -210,8 +282,9 @@ export default function SyllabusManager() {
             children: []
         };
 
+        const label = `Add "${childTitle}"`;
         if (parentId === 'root') {
-            saveItems([...items, newChild]);
+            saveItems([...items, newChild], label);
         } else {
             const addRecursive = (list) => {
                 return list.map(item => {
@@ -224,65 +297,104 @@ export default function SyllabusManager() {
                     return item;
                 });
             };
-            saveItems(addRecursive(items));
+            saveItems(addRecursive(items), label);
         }
         toast.success('Topic added successfully!');
     };
 
+    // Estimated study hours per topic feed the study plan (null falls back to the default)
+    const handleSetEstimate = (id, hours) => {
+        const node = findNodeById(items, id);
+        if ((node?.estimatedHours || null) === (hours > 0 ? hours : null)) return;
+        saveItems(mapNode(items, id, n => ({ ...n, estimatedHours: hours > 0 ? hours : null })), `Set hours for "${node?.title}"`);
+    };
+
+    // --- Moving topics ---
+    const [draggingId, setDraggingId] = useState(null);
+    const [focusedId, setFocusedId] = useState(null);
+
+    // Returns the history entry id, or null when the move wasn't possible
+    const applyMove = (nextItems, id) => {
+        if (nextItems === items) return null;
+        setFocusedId(id);
+        return saveItems(nextItems, `Move "${findNodeById(items, id)?.title}"`);
+    };
+
+    // Moves work on the whole tree, so they wait until every sibling is on screen again
+    const isFiltered = filteredItems !== items;
+    const canMoveNode = () => {
+        if (isFiltered) toast.info('Clear the search and filter to move topics');
+        return !isFiltered;
+    };
+
+    const handleDropNode = (id, targetId, position) => {
+        if (!canMoveNode()) return;
+        const entryId = applyMove(moveNodeRelative(items, id, targetId, position), id);
+        if (entryId) toast.success(`Moved "${findNodeById(items, id)?.title}"`, 6000, undoAction(entryId));
+    };
+
+    const handleShiftNode = (id, direction) => canMoveNode() && applyMove(shiftNode(items, id, direction), id);
+
     const handleDeleteItem = async (id, title) => {
         const confirmed = await confirm({
             title: 'Delete Topic',
-            message: `Delete "${title}" and all its sub-topics? This action cannot be undone.`,
+            message: `Delete "${title}" and all its sub-topics?`,
             confirmText: 'Delete',
             isDangerous: true
         });
 
         if (confirmed) {
-            const deleteRecursive = (list) => {
-                return list.filter(item => {
-                    if (item.id === id) return false;
-                    if (item.children) {
-                        item.children = deleteRecursive(item.children);
-                    }
-                    return true;
-                });
-            };
-            saveItems(deleteRecursive(items));
-            toast.success('Topic deleted');
+            // Copies rather than mutates: the undo stack still holds the old tree
+            const deleteRecursive = (list) => list
+                .filter(item => item.id !== id)
+                .map(item => (item.children ? { ...item, children: deleteRecursive(item.children) } : item));
+            const entryId = saveItems(deleteRecursive(items), `Delete "${title}"`);
+            toast.success('Topic deleted', 6000, undoAction(entryId));
         }
     };
 
     const handleReset = async () => {
+        // Syllabi made from a template reset to its current revision
+        const template = getTemplate(activeSyllabus?.template?.id);
         const confirmed = await confirm({
             title: 'Reset Syllabus',
-            message: 'Reset to default syllabus layout? This will remove all custom topics but keep your progress.',
+            message: `Reset to ${template ? `the ${template.name} template` : 'default syllabus layout'}? This will remove all custom topics but keep your progress.`,
             confirmText: 'Reset',
             isDangerous: true
         });
 
         if (confirmed) {
-            saveItems(SYLLABUS_DATA);
-            toast.success('Syllabus reset to default');
+            // Kept across sessions too, unlike the undo stack
+            const snapshots = addSnapshot(activeSyllabus.snapshots, createSnapshot(activeSyllabus, 'Before reset'));
+            const entryId = updateActiveSyllabus(template ? {
+                items: getTemplateItems(template.id),
+                template: { id: template.id, version: template.version },
+                snapshots
+            } : { items: SYLLABUS_DATA, snapshots }, 'Reset syllabus');
+            toast.success('Syllabus reset to default', 6000, undoAction(entryId));
         }
     };
 
     const handleClearProgress = async () => {
         const confirmed = await confirm({
             title: 'Clear All Progress',
-            message: 'This will mark all topics as incomplete. Are you sure?',
+            message: 'This will mark all topics as incomplete. A snapshot is saved first, so you can restore it from History.',
             confirmText: 'Clear Progress',
             isDangerous: true
         });
 
         if (confirmed) {
-            updateActiveSyllabus({ completed: [] });
-            toast.success('Progress cleared');
+            const snapshots = addSnapshot(activeSyllabus.snapshots, createSnapshot(activeSyllabus, 'Before clearing progress'));
+            const entryId = updateActiveSyllabus({ completed: [], snapshots }, 'Clear progress');
+            toast.success('Progress cleared', 6000, undoAction(entryId));
         }
     };
 
     // Syllabus management
     const createNewSyllabus = () => {
-        if (!newSyllabusName.trim()) {
+        const template = getTemplate(newSyllabusTemplateId);
+        const name = newSyllabusName.trim() || template?.name || '';
+        if (!name) {
             toast.warning('Please enter a syllabus name');
             return;
         }
@@ -291,16 +403,43 @@ export default function SyllabusManager() {
             ...prev,
             [id]: {
                 id,
-                name: newSyllabusName.trim(),
-                items: [],
-                completed: []
+                name,
+                items: template ? getTemplateItems(template.id) : [],
+                completed: [],
+                ...(template ? { template: { id: template.id, version: template.version } } : {})
             }
         }));
         setActiveSyllabusId(id);
         setNewSyllabusName('');
+        setNewSyllabusTemplateId('');
         setIsCreatingNew(false);
         setShowSyllabusList(false);
-        toast.success(`Created "${newSyllabusName}" syllabus`);
+        toast.success(`Created "${name}" syllabus`);
+    };
+
+    // Pull in a newer template revision; matched topics keep their ids, so progress stays
+    const handleTemplateSync = ({ addMissing, removeRetired }) => {
+        const diff = diffSyllabusWithTemplate(activeSyllabus);
+        if (!diff) return;
+
+        let nextItems = items;
+        let nextCompleted = activeSyllabus.completed || [];
+        if (removeRetired) {
+            const removedIds = new Set(diff.retired.flatMap(entry => [entry.id, ...collectIds(entry.node.children)]));
+            const removeRecursive = (list) => list
+                .filter(item => !removedIds.has(item.id))
+                .map(item => (item.children ? { ...item, children: removeRecursive(item.children) } : item));
+            nextItems = removeRecursive(nextItems);
+            nextCompleted = nextCompleted.filter(id => !removedIds.has(id));
+        }
+        if (addMissing) nextItems = mergeSyllabusItems(nextItems, getTemplateItems(diff.template.id)).items;
+
+        const entryId = updateActiveSyllabus({
+            items: nextItems,
+            completed: nextCompleted,
+            template: { id: diff.template.id, version: diff.template.version }
+        }, `Update from ${diff.template.name}`);
+        toast.success(`Updated to ${diff.template.name} v${diff.template.version}`, 6000, undoAction(entryId));
     };
 
     const deleteSyllabus = async (id) => {
@@ -330,6 +469,61 @@ export default function SyllabusManager() {
         }
     };
 
+    // Imported nodes come with ids; merged topics that already existed keep theirs, so progress stays
+    const handleImport = ({ target, name, items: importedItems, added, completed = [] }) => {
+        if (target === 'merge') {
+            const ticked = [...new Set([...(activeSyllabus.completed || []), ...completed])];
+            const entryId = updateActiveSyllabus({ items: importedItems, completed: ticked }, 'Import topics');
+            toast.success(`Added ${added} topic${added === 1 ? '' : 's'} to "${activeSyllabus.name}"`, 6000, undoAction(entryId));
+            return;
+        }
+        const id = `syllabus-${Date.now()}`;
+        setSyllabi(prev => ({
+            ...prev,
+            [id]: { id, name, items: importedItems, completed }
+        }));
+        setActiveSyllabusId(id);
+        toast.success(`Imported "${name}"`);
+    };
+
+    // --- Snapshots ---
+    const handleSaveSnapshot = (name) => {
+        updateActiveSyllabus({ snapshots: addSnapshot(activeSyllabus.snapshots, createSnapshot(activeSyllabus, name)) });
+        toast.success(`Saved snapshot "${name}"`);
+    };
+
+    const handleRestoreSnapshot = (snapshot) => {
+        const entryId = updateActiveSyllabus(restoreSnapshot(activeSyllabus, snapshot), `Restore "${snapshot.name}"`);
+        toast.success(`Restored "${snapshot.name}"`, 6000, undoAction(entryId));
+    };
+
+    const handleDeleteSnapshot = async (snapshot) => {
+        const confirmed = await confirm({
+            title: 'Delete Snapshot',
+            message: `Delete the snapshot "${snapshot.name}"? This action cannot be undone.`,
+            confirmText: 'Delete',
+            isDangerous: true
+        });
+        if (confirmed) {
+            updateActiveSyllabus({ snapshots: (activeSyllabus.snapshots || []).filter(s => s.id !== snapshot.id) });
+            toast.success('Snapshot deleted');
+        }
+    };
+
+    const handleExport = (formatId) => {
+        setShowExportMenu(false);
+        if (!activeSyllabus) return;
+        const { extension, type } = SYLLABUS_EXPORT_FORMATS.find(f => f.id === formatId);
+        const fileName = syllabusFileName(activeSyllabus, extension);
+        try {
+            if (formatId === 'pdf') buildSyllabusPdf(activeSyllabus).save(fileName);
+            else downloadFile(formatId === 'json' ? syllabusToJson(activeSyllabus) : syllabusToMarkdown(activeSyllabus), fileName, type);
+        } catch (e) {
+            console.error("Error exporting syllabus:", e);
+            toast.error('Failed to export syllabus');
+        }
+    };
+
     const renameSyllabus = (id, newName) => {
         setSyllabi(prev => ({
             ...prev,
@@ -397,28 +591,44 @@ export default function SyllabusManager() {
                                     </div>
                                     <div className="p-2 border-t border-black/5 dark:border-white/5">
                                         {isCreatingNew ? (
-                                            <div className="flex gap-2">
-                                                <input
-                                                    type="text"
-                                                    value={newSyllabusName}
-                                                    onChange={(e) => setNewSyllabusName(e.target.value)}
-                                                    placeholder="Syllabus name..."
-                                                    className="flex-1 px-3 py-2 text-sm border border-black/10 dark:border-white/10 rounded bg-transparent text-black dark:text-white"
-                                                    autoFocus
-                                                    onKeyDown={(e) => e.key === 'Enter' && createNewSyllabus()}
-                                                />
-                                                <button
-                                                    onClick={createNewSyllabus}
-                                                    className="px-3 py-2 bg-black dark:bg-white text-white dark:text-black rounded text-sm font-medium"
-                                                >
-                                                    Create
-                                                </button>
-                                                <button
-                                                    onClick={() => { setIsCreatingNew(false); setNewSyllabusName(''); }}
-                                                    className="p-2 text-[#71717A] hover:text-black dark:hover:text-white"
+                                            <div className="space-y-2">
+                                                <select
+                                                    value={newSyllabusTemplateId}
+                                                    onChange={(e) => setNewSyllabusTemplateId(e.target.value)}
+                                                    className="w-full px-3 py-2 text-sm border border-black/10 dark:border-white/10 rounded bg-transparent text-black dark:text-white dark:bg-dark-surface"
                                                 >
-                                                    <X className="w-4 h-4" />
-                                                </button>
+                                                    <option value="">Blank syllabus</option>
+                                                    {TEMPLATE_CATEGORIES.map(category => (
+                                                        <optgroup key={category} label={category}>
+                                                            {SYLLABUS_TEMPLATES.filter(t => t.category === category).map(t => (
+                                                                <option key={t.id} value={t.id}>{t.name}</option>
+                                                            ))}
+                                                        </optgroup>
+                                                    ))}
+                                                </select>
+                                                <div className="flex gap-2">
+                                                    <input
+                                                        type="text"
+                                                        value={newSyllabusName}
+                                                        onChange={(e) => setNewSyllabusName(e.target.value)}
+                                                        placeholder={getTemplate(newSyllabusTemplateId)?.name || 'Syllabus name...'}
+                                                        className="flex-1 px-3 py-2 text-sm border border-black/10 dark:border-white/10 rounded bg-transparent text-black dark:text-white"
+                                                        autoFocus
+                                                        onKeyDown={(e) => e.key === 'Enter' && createNewSyllabus()}
+                                                    />
+                                                    <button
+                                                        onClick={createNewSyllabus}
+                                                        className="px-3 py-2 bg-black dark:bg-white text-white dark:text-black rounded text-sm font-medium"
+                                                    >
+                                                        Create
+                                                    </button>
+                                                    <button
+                                                        onClick={() => { setIsCreatingNew(false); setNewSyllabusName(''); setNewSyllabusTemplateId(''); }}
+                                                        className="p-2 text-[#71717A] hover:text-black dark:hover:text-white"
+                                                    >
+                                                        <X className="w-4 h-4" />
+                                                    </button>
+                                            </div>
                                             </div>
                                         ) : (
                                             <button
@@ -526,6 +736,77 @@ export default function SyllabusManager() {
 
                     {/* Actions */}
                     <div className="flex gap-2">
+                        <button
+                            onClick={() => undo()}
+                            disabled={activeHistory.past.length === 0}
+                            className="p-2 text-[#71717A] hover:text-black dark:hover:text-white hover:bg-black/5 dark:hover:bg-white/5 rounded transition-colors disabled:opacity-40 disabled:pointer-events-none"
+                            title="Undo (Ctrl+Z)"
+                        >
+                            <Undo2 className="w-4 h-4" />
+                        </button>
+                        <button
+                            onClick={redo}
+                            disabled={activeHistory.future.length === 0}
+                            className="p-2 text-[#71717A] hover:text-black dark:hover:text-white hover:bg-black/5 dark:hover:bg-white/5 rounded transition-colors disabled:opacity-40 disabled:pointer-events-none"
+                            title="Redo (Ctrl+Shift+Z)"
+                        >
+                            <Redo2 className="w-4 h-4" />
+                        </button>
+                        <button
+                            onClick={() => setShowHistory(true)}
+                            className="px-3 py-2 text-sm text-[#71717A] hover:text-black dark:hover:text-white hover:bg-black/5 dark:hover:bg-white/5 rounded flex items-center gap-1 transition-colors"
+                            title="Undo history and snapshots"
+                        >
+                            <History className="w-4 h-4" /> History
+                        </button>
+                        {activeSyllabus?.template && (
+                            <button
+                                onClick={() => setShowTemplateDiff(true)}
+                                className="relative px-3 py-2 text-sm text-[#71717A] hover:text-black dark:hover:text-white hover:bg-black/5 dark:hover:bg-white/5 rounded flex items-center gap-1 transition-colors"
+                                title="Compare with the template this syllabus was made from"
+                            >
+                                <Layers className="w-4 h-4" /> Template
+                                {hasTemplateUpdate(activeSyllabus) && (
+                                    <span className="absolute top-1.5 right-1.5 w-2 h-2 rounded-full bg-black dark:bg-white" />
+                                )}
+                            </button>
+                        )}
+                        <button
+                            onClick={() => setShowImport(true)}
+                            className="px-3 py-2 text-sm text-[#71717A] hover:text-black dark:hover:text-white hover:bg-black/5 dark:hover:bg-white/5 rounded flex items-center gap-1 transition-colors"
+                            title="Import from outline, Markdown or JSON"
+                        >
+                            <Upload className="w-4 h-4" /> Import
+                        </button>
+                        <div className="relative">
+                            <button
+                                onClick={() => setShowExportMenu(!showExportMenu)}
+                                className="px-3 py-2 text-sm text-[#71717A] hover:text-black dark:hover:text-white hover:bg-black/5 dark:hover:bg-white/5 rounded flex items-center gap-1 transition-colors"
+                                title="Export as Markdown, JSON or a PDF checklist"
+                            >
+                                <Download className="w-4 h-4" /> Export
+                            </button>
+                            <AnimatePresence>
+                                {showExportMenu && (
+                                    <motion.div
+                                        initial={{ opacity: 0, y: -10 }}
+                                        animate={{ opacity: 1, y: 0 }}
+                                        exit={{ opacity: 0, y: -10 }}
+                                        className="absolute right-0 top-full mt-2 w-44 bg-white dark:bg-dark-surface border border-black/10 dark:border-white/10 rounded-lg shadow-xl z-50 py-1"
+                                    >
+                                        {SYLLABUS_EXPORT_FORMATS.map(option => (
+                                            <button
+                                                key={option.id}
+                                                onClick={() => handleExport(option.id)}
+                                                className="w-full text-left px-3 py-2 text-sm text-black dark:text-white hover:bg-[#FAFAFA] dark:hover:bg-dark-bg transition-colors"
+                                            >
+                                                {option.label}
+                                            </button>
+                                        ))}
+                                    </motion.div>
+                                )}
+                            </AnimatePresence>
+                        </div>
                         <button
                             onClick={handleClearProgress}
                             className="px-3 py-2 text-sm text-[#71717A] hover:text-black dark:hover:text-white hover:bg-black/5 dark:hover:bg-white/5 rounded transition-colors"
@@ -587,14 +868,45 @@ export default function SyllabusManager() {
                                 onDelete={handleDeleteItem}
                                 onAddChild={handleAddChild}
                                 onBulkComplete={markSectionComplete}
+                                onSetEstimate={handleSetEstimate}
                                 searchQuery={searchQuery}
+                                draggingId={draggingId}
+                                setDraggingId={setDraggingId}
+                                onDropNode={handleDropNode}
+                                onShiftNode={handleShiftNode}
+                                canMove={!isFiltered}
+                                focusedId={focusedId}
                             />
                         ))}
                     </div>
                 )}
             </div>
 
-            {/* Confirmation Dialog */}
+            <SyllabusImportDialog
+                isOpen={showImport}
+                onClose={() => setShowImport(false)}
+                activeSyllabus={activeSyllabus}
+                onImport={handleImport}
+            />
+            <SyllabusTemplateDialog
+                isOpen={showTemplateDiff}
+                onClose={() => setShowTemplateDiff(false)}
+                syllabus={activeSyllabus}
+                onApply={handleTemplateSync}
+            />
+            <SyllabusHistoryPanel
+                isOpen={showHistory}
+                onClose={() => setShowHistory(false)}
+                syllabus={activeSyllabus}
+                history={activeHistory}
+                onUndo={() => undo()}
+                onRedo={redo}
+                onSaveSnapshot={handleSaveSnapshot}
+                onRestoreSnapshot={handleRestoreSnapshot}
+                onDeleteSnapshot={handleDeleteSnapshot}
+            />
+
+            {/* Confirmation Dialog (last, so it opens above the other dialogs) */}
             <ConfirmDialog {...dialogProps} />
 
             {/* Click outside to close syllabus list */}
@@ -638,13 +950,48 @@ function AddItemForm({ onAdd, placeholder, isMain }) {
     );
 }
 
-function Node({ item, level, completedItems, toggleItem, onDelete, onAddChild, onBulkComplete, searchQuery }) {
+// Alt + arrow keys on a focused row move the topic
+const SHIFT_KEYS = { ArrowUp: 'up', ArrowDown: 'down', ArrowRight: 'indent', ArrowLeft: 'outdent' };
+
+function Node({ item, level, completedItems, toggleItem, onDelete, onAddChild, onBulkComplete, onSetEstimate, searchQuery, draggingId, setDraggingId, onDropNode, onShiftNode, canMove, focusedId }) {
     const [isOpen, setIsOpen] = useState(level < 1 || !!searchQuery);
     const [isAdding, setIsAdding] = useState(false);
+    const [editingEstimate, setEditingEstimate] = useState(false);
+    const [estimateText, setEstimateText] = useState('');
+    const [dropPosition, setDropPosition] = useState(null);
+    const rowRef = useRef(null);
 
     const hasChildren = item.children && item.children.length > 0;
     const isCompleted = completedItems.has(item.id);
 
+    // Keep a just-moved topic in view and focused, opening the branch it landed in
+    useEffect(() => {
+        if (!focusedId) return;
+        if (focusedId === item.id) rowRef.current?.focus();
+        else if (findNodeById(item.children, focusedId)) setIsOpen(true);
+    }, [focusedId, item]);
+
+    const handleDragOver = (e) => {
+        if (!draggingId || draggingId === item.id) return;
+        e.preventDefault();
+        const { top, height } = e.currentTarget.getBoundingClientRect();
+        const offset = (e.clientY - top) / height;
+        setDropPosition(offset < 0.25 ? 'before' : offset > 0.75 ? 'after' : 'inside');
+    };
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        if (draggingId && dropPosition) onDropNode(draggingId, item.id, dropPosition);
+        setDropPosition(null);
+        setDraggingId(null);
+    };
+
+    const handleKeyDown = (e) => {
+        if (!e.altKey || e.target !== e.currentTarget || !SHIFT_KEYS[e.key]) return;
+        e.preventDefault();
+        onShiftNode(item.id, SHIFT_KEYS[e.key]);
+    };
+
     const highlightMatch = (text) => {
         if (!searchQuery) return text;
         const regex = new RegExp(`(${searchQuery})`, 'gi');
@@ -659,10 +1006,24 @@ function Node({ item, level, completedItems, toggleItem, onDelete, onAddChild, o
     return (
         <div>
             <div
-                className={`flex items-center py-3 px-3 rounded hover:bg-[#FAFAFA] dark:hover:bg-dark-surface transition-colors group border ${level === 0
+                ref={rowRef}
+                tabIndex={0}
+                onKeyDown={handleKeyDown}
+                draggable={canMove && !editingEstimate}
+                onDragStart={(e) => {
+                    e.stopPropagation();
+                    e.dataTransfer.effectAllowed = 'move';
+                    e.dataTransfer.setData('text/plain', item.id);
+                    setDraggingId(item.id);
+                }}
+                onDragEnd={() => setDraggingId(null)}
+                onDragOver={handleDragOver}
+                onDragLeave={() => setDropPosition(null)}
+                onDrop={handleDrop}
+                className={`relative flex items-center py-3 px-3 rounded hover:bg-[#FAFAFA] dark:hover:bg-dark-surface transition-colors group border focus:outline-none focus-visible:ring-2 focus-visible:ring-black dark:focus-visible:ring-white ${level === 0
                     ? 'bg-black/5 dark:bg-white/5 mb-2 mt-2 border-black/10 dark:border-white/10'
                     : 'border-transparent hover:border-black/5 dark:hover:border-white/5'
-                    }`}
+                    } ${draggingId === item.id ? 'opacity-40' : ''} ${dropPosition === 'inside' ? '!border-black dark:!border-white border-dashed' : ''}`}
                 style={{ marginLeft: `${level * 24}px` }}
                 as={motion.div}
                 layout
@@ -670,6 +1031,21 @@ function Node({ item, level, completedItems, toggleItem, onDelete, onAddChild, o
                 animate={{ opacity: 1, x: 0 }}
                 transition={{ duration: 0.3, delay: level * 0.05 }}
             >
+                {/* Drop line for before / after */}
+                {(dropPosition === 'before' || dropPosition === 'after') && (
+                    <span className={`absolute left-0 right-0 h-0.5 bg-black dark:bg-white pointer-events-none ${dropPosition === 'before' ? '-top-px' : '-bottom-px'}`} />
+                )}
+
+                {/* Drag Handle (hidden while a search or filter hides part of the tree) */}
+                {canMove && (
+                    <span
+                        className="mr-1 -ml-1 shrink-0 cursor-grab text-[#71717A] opacity-100 sm:opacity-0 sm:group-hover:opacity-100 transition-opacity"
+                        title="Drag to move, or focus the row and use Alt + arrow keys"
+                    >
+                        <GripVertical className="w-4 h-4" />
+                    </span>
+                )}
+
                 {/* Checkbox */}
                 <button
                     onClick={(e) => {
@@ -705,6 +1081,42 @@ function Node({ item, level, completedItems, toggleItem, onDelete, onAddChild, o
                     )}
                 </div>
 
+                {/* Estimated Hours (leaf topics) */}
+                {!hasChildren && (
+                    editingEstimate ? (
+                        <input
+                            type="number"
+                            min="0"
+                            step="0.5"
+                            value={estimateText}
+                            onChange={(e) => setEstimateText(e.target.value)}
+                            onBlur={() => {
+                                onSetEstimate(item.id, parseFloat(estimateText) || null);
+                                setEditingEstimate(false);
+                            }}
+                            onKeyDown={(e) => {
+                                if (e.key === 'Enter') e.currentTarget.blur();
+                                if (e.key === 'Escape') setEditingEstimate(false);
+                            }}
+                            className="w-16 mr-2 px-2 py-0.5 text-xs border border-black/10 dark:border-white/10 rounded bg-transparent"
+                            placeholder={`${DEFAULT_TOPIC_HOURS}`}
+                            autoFocus
+                        />
+                    ) : (
+                        <button
+                            onClick={() => {
+                                setEstimateText(item.estimatedHours ? String(item.estimatedHours) : '');
+                                setEditingEstimate(true);
+                            }}
+                            className={`mr-2 px-1.5 py-0.5 rounded text-xs flex items-center gap-1 hover:bg-black/5 dark:hover:bg-white/5 ${item.estimatedHours ? 'text-black dark:text-white' : 'text-[#71717A] opacity-0 group-hover:opacity-100'}`}
+                            title="Estimated study hours"
+                        >
+                            <Timer className="w-3 h-3" />
+                            {item.estimatedHours || DEFAULT_TOPIC_HOURS}h
+                        </button>
+                    )
+                )}
+
                 {/* Actions */}
                 <div className="flex items-center gap-1 opacity-100 sm:opacity-0 sm:group-hover:opacity-100 transition-opacity">
                     {hasChildren && (
@@ -763,7 +1175,14 @@ function Node({ item, level, completedItems, toggleItem, onDelete, onAddChild, o
                             onDelete={onDelete}
                             onAddChild={onAddChild}
                             onBulkComplete={onBulkComplete}
+                            onSetEstimate={onSetEstimate}
                             searchQuery={searchQuery}
+                            draggingId={draggingId}
+                            setDraggingId={setDraggingId}
+                            onDropNode={onDropNode}
+                            onShiftNode={onShiftNode}
+                            canMove={canMove}
+                            focusedId={focusedId}
                         />
                     ))}
                 </motion.div>
@@ -783,3 +1202,7 @@ function countAllItems(items) {
     traverse(items);
     return count;
 }
+
+function collectIds(items) {
+    return (items || []).flatMap(item => [item.id, ...collectIds(item.children)]);
+}
@@ -1,20 +1,37 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect } from 'react';
 import { useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
-import { logStudySession, subscribeToRecentLogs, deleteLog, updateLog } from '../lib/db';
-import { Play, Pause, Square, RotateCcw, Target, PenLine, Clock, BookOpen, Calendar, ChevronDown, ChevronUp, PlusCircle, Save, Trash2, Edit2 } from 'lucide-react';
+import { useTimer } from '../context/TimerContext';
+import {
+    logStudySession, subscribeToRecentLogs, fetchLogsPage, getLogCursor, subscribeToUserSyllabus, deleteLog, updateLog,
+    completeTaskIfEstimateMet
+} from '../lib/db';
+import { getActiveSyllabus, findNodeById } from '../lib/syllabus-tree';
+import { SUBJECTS, formatMinutes } from '../lib/planner';
+import { formatClock, getOpenPause, getSessionSpan, POMODORO_PHASES } from '../lib/session-timer';
+import { buildPauseFields } from '../lib/interruptions';
+import { Play, Pause, Square, RotateCcw, Target, PenLine, Clock, BookOpen, Calendar, ChevronDown, ChevronUp, PlusCircle, Save, Trash2, Edit2, ListChecks, X, Upload } from 'lucide-react';
 import { formatDistanceToNow, format } from 'date-fns';
 import { motion, AnimatePresence } from 'framer-motion';
 import toast from '../components/ui/Toast';
 import { ConfirmDialog, useConfirmDialog } from '../components/ui/ConfirmDialog';
+import TopicPicker from '../components/syllabus/TopicPicker';
+import PomodoroSettings from '../components/tracker/PomodoroSettings';
+import PauseReasonPicker from '../components/tracker/PauseReasonPicker';
+import LogImportWizard from '../components/tracker/LogImportWizard';
+
+const HISTORY_PAGE_SIZE = 50;
 
 export default function Tracker() {
     const { user } = useAuth();
     const location = useLocation();
-    const [mode, setMode] = useState('stopwatch'); // 'stopwatch', 'pomodoro', 'manual'
-    const [isRunning, setIsRunning] = useState(false);
-    const [elapsed, setElapsed] = useState(0);
-    const [timeLeft, setTimeLeft] = useState(25 * 60);
+    // The running timer and what it's for live in TimerContext, so they outlast this page
+    const {
+        timer, elapsedMs, remainingMs, isRunning, isActive, start, pause, setReason, reset, configure, updatePomodoro, updateSession, finishSession
+    } = useTimer();
+    const [mode, setMode] = useState(timer.mode); // 'stopwatch', 'pomodoro', 'manual'
+    const elapsed = Math.floor(elapsedMs / 1000);
+    const timeLeft = Math.ceil(remainingMs / 1000);
 
     // Manual entry state
     const [manualHours, setManualHours] = useState('');
@@ -22,78 +39,138 @@ export default function Tracker() {
     const [manualDate, setManualDate] = useState(format(new Date(), 'yyyy-MM-dd'));
 
     const [editingSessionId, setEditingSessionId] = useState(null);
+    const [editingSessionDay, setEditingSessionDay] = useState(null);
+    const [showImport, setShowImport] = useState(false);
     const { dialogProps, confirm } = useConfirmDialog();
 
+    const { subject, topic, topicId, notes: sessionNotes, linkedTask, completeAtEstimate } = timer.session;
+    const setSubject = (value) => updateSession({ subject: value });
+    const setTopic = (value) => updateSession({ topic: value });
+    const setTopicId = (value) => updateSession({ topicId: value });
+    const setSessionNotes = (value) => updateSession({ notes: value });
+    const setLinkedTask = (value) => updateSession({ linkedTask: value });
+    const setCompleteAtEstimate = (value) => updateSession({ completeAtEstimate: value });
+
+    // Only one session at a time: another mode (or a new pre-filled session) waits until this one is saved or reset
+    const switchMode = (nextMode) => {
+        if (nextMode === mode) return true;
+        if (isActive && nextMode !== timer.mode) {
+            toast.warning('Finish or reset the running session first');
+            return false;
+        }
+        if (nextMode !== 'manual') configure({ mode: nextMode });
+        setMode(nextMode);
+        return true;
+    };
+
     useEffect(() => {
         if (location.state?.quickSession) {
-            setMode('pomodoro');
-            setTimeLeft(location.state.quickSession * 60);
-            setIsRunning(true);
-            setSubject('GS1');
-            setTopic('Quick Revision');
+            if (isActive) {
+                toast.warning('Finish or reset the running session first');
+            } else {
+                setMode('pomodoro');
+                configure({ mode: 'pomodoro', durationMinutes: location.state.quickSession });
+                updateSession({ subject: 'GS1', topic: 'Quick Revision', topicId: null, linkedTask: null });
+                start();
+            }
             window.history.replaceState({}, document.title);
         }
         if (location.state?.manualEntry) {
-            setMode('manual');
+            switchMode('manual');
+            window.history.replaceState({}, document.title);
+        }
+        // Started from a Planner task: the session is logged against it
+        if (location.state?.taskSession) {
+            const task = location.state.taskSession;
+            if (isActive) {
+                toast.warning('Finish or reset the running session first');
+            } else {
+                setMode('stopwatch');
+                configure({ mode: 'stopwatch' });
+                updateSession({
+                    ...(task.subject ? { subject: task.subject } : {}),
+                    topic: task.text,
+                    topicId: task.topicId || null,
+                    linkedTask: task,
+                    completeAtEstimate: task.estimateMinutes > 0
+                });
+            }
             window.history.replaceState({}, document.title);
         }
     }, [location]);
 
-    const [subject, setSubject] = useState('GS1');
-    const [topic, setTopic] = useState('');
-    const [sessionNotes, setSessionNotes] = useState('');
+    const [syllabusItems, setSyllabusItems] = useState([]);
 
     const [recentSessions, setRecentSessions] = useState([]);
+    const [olderSessions, setOlderSessions] = useState([]);
+    const [hasMoreHistory, setHasMoreHistory] = useState(false);
+    const [loadingHistory, setLoadingHistory] = useState(false);
     const [showHistory, setShowHistory] = useState(true);
 
-    const timerRef = useRef(null);
-
+    // The newest page stays live; older pages are fetched on demand below it
     useEffect(() => {
         if (!user) return;
-        const unsub = subscribeToRecentLogs(user.uid, 50, (logs) => {
+        const unsub = subscribeToRecentLogs(user.uid, HISTORY_PAGE_SIZE, (logs) => {
             setRecentSessions(logs);
+            setOlderSessions([]);
+            setHasMoreHistory(logs.length === HISTORY_PAGE_SIZE);
         });
         return () => unsub();
     }, [user]);
 
-    useEffect(() => {
-        if (isRunning) {
-            timerRef.current = setInterval(() => {
-                if (mode === 'stopwatch') {
-                    setElapsed(prev => prev + 1);
-                } else if (mode === 'pomodoro') {
-                    setTimeLeft(prev => {
-                        if (prev <= 1) {
-                            clearInterval(timerRef.current);
-                            setIsRunning(false);
-                            toast.success('Pomodoro complete! Time for a break 🎉');
-                            return 0;
-                        }
-                        return prev - 1;
-                    });
-                }
-            }, 1000);
-        } else {
-            clearInterval(timerRef.current);
+    const handleLoadMore = async () => {
+        const loaded = [...recentSessions, ...olderSessions];
+        setLoadingHistory(true);
+        try {
+            const page = await fetchLogsPage(user.uid, {
+                pageSize: HISTORY_PAGE_SIZE,
+                cursor: getLogCursor(loaded[loaded.length - 1])
+            });
+            setOlderSessions(prev => [...prev, ...page.logs]);
+            setHasMoreHistory(page.cursor !== null);
+        } catch (error) {
+            console.error("Error loading session history:", error);
+            toast.error('Failed to load older sessions');
+        } finally {
+            setLoadingHistory(false);
         }
-        return () => clearInterval(timerRef.current);
-    }, [isRunning, mode]);
-
-    const formatTime = (secs) => {
-        const h = Math.floor(secs / 3600);
-        const m = Math.floor((secs % 3600) / 60);
-        const s = secs % 60;
-        return `${h > 0 ? h + ':' : ''}${m.toString().padStart(2, '0')}:${s.toString().padStart(2, '0')}`;
     };
 
-    const handleStop = async () => {
-        setIsRunning(false);
+    const historySessions = [...recentSessions, ...olderSessions];
 
-        let duration = 0;
-        if (mode === 'stopwatch') {
-            duration = Math.floor(elapsed / 60);
-        } else {
-            duration = Math.floor((25 * 60 - timeLeft) / 60);
+    // Focus blocks done towards the next long break (the full set while that long break runs)
+    const blocksInSet = timer.phase === 'longBreak' ? timer.pomodoro.longBreakEvery : timer.cycle % timer.pomodoro.longBreakEvery;
+
+    useEffect(() => {
+        if (!user) return;
+        const unsub = subscribeToUserSyllabus(user.uid, (data) => {
+            setSyllabusItems(getActiveSyllabus(data).syllabus?.items || []);
+        });
+        return () => unsub();
+    }, [user]);
+
+    // A task tied to a syllabus topic (study plan tasks) shows the topic's own title
+    useEffect(() => {
+        if (!linkedTask?.topicId) return;
+        const node = findNodeById(syllabusItems, linkedTask.topicId);
+        if (node) setTopic(node.title);
+    }, [linkedTask, syllabusItems]);
+
+    const handleStop = async () => {
+        pause(false);
+        const { startedAt, endedAt } = getSessionSpan(timer);
+        const timing = { timestamp: new Date(endedAt).toISOString(), startedAt: new Date(startedAt).toISOString() };
+        const isPomodoro = mode === 'pomodoro';
+        // Break time is never study time
+        const duration = isPomodoro && timer.phase !== 'focus' ? 0 : Math.floor(elapsed / 60);
+
+        // Finished focus blocks were logged as they ended; only the block in progress is left
+        // A failed save keeps the timer, so stopping again retries it
+        if (isPomodoro && timer.cycle > 0) {
+            if (duration >= 1 && !await saveSession(duration, timing)) return;
+            toast.info(`Pomodoro run ended: ${timer.cycle} focus block${timer.cycle > 1 ? 's' : ''}, ${formatMinutes(timer.focusMs / 60000)} logged`);
+            finishSession();
+            return;
         }
 
         if (duration < 1) {
@@ -101,11 +178,7 @@ export default function Tracker() {
             return;
         }
 
-        await saveSession(duration, new Date().toISOString());
-        setElapsed(0);
-        setTimeLeft(25 * 60);
-        setTopic('');
-        setSessionNotes('');
+        if (await saveSession(duration, timing)) finishSession();
     };
 
     const handleManualSave = async () => {
@@ -128,31 +201,37 @@ export default function Tracker() {
         selectedDate.setHours(12, 0, 0, 0); // Set to noon to avoid timezone issues
 
         if (editingSessionId) {
+            const link = await resolveTopicLink();
+            // The date is only sent when it changed, so a timed session keeps its start and end times
+            const dateChange = manualDate !== editingSessionDay ? { date: selectedDate.toISOString() } : {};
             const success = await updateLog(user.uid, editingSessionId, {
                 durationMinutes: totalMinutes,
-                date: selectedDate.toISOString(),
+                ...dateChange,
                 subject,
                 topic,
+                ...link,
                 notes: sessionNotes
             });
             if (success) {
+                setOlderSessions(prev => prev.map(s => (s.id === editingSessionId
+                    ? { ...s, durationMinutes: totalMinutes, ...dateChange, subject, topic, notes: sessionNotes }
+                    : s)));
                 toast.success('Session updated successfully!');
                 setEditingSessionId(null);
-                setMode('stopwatch'); // Reset mode
+                setMode(timer.mode); // Back to the timer
             } else {
                 toast.error('Failed to update session');
+                return;
             }
-        } else {
-            await saveSession(totalMinutes, selectedDate.toISOString());
+        } else if (!await saveSession(totalMinutes, { timestamp: selectedDate.toISOString() })) {
+            return;
         }
 
         // Reset manual entry fields
         setManualHours('');
         setManualMinutes('');
         setManualDate(format(new Date(), 'yyyy-MM-dd'));
-        setTopic('');
-        setSessionNotes('');
-        setSubject('GS1');
+        finishSession();
     };
 
     const handleDeleteLog = async (logId) => {
@@ -166,6 +245,7 @@ export default function Tracker() {
         if (confirmed) {
             const success = await deleteLog(user.uid, logId);
             if (success) {
+                setOlderSessions(prev => prev.filter(s => s.id !== logId));
                 toast.success('Session deleted');
             } else {
                 toast.error('Failed to delete session');
@@ -174,8 +254,8 @@ export default function Tracker() {
     };
 
     const handleEditLog = (session) => {
+        if (!switchMode('manual')) return;
         setEditingSessionId(session.id);
-        setMode('manual');
 
         // Populate inputs
         const hours = Math.floor(session.durationMinutes / 60);
@@ -189,32 +269,65 @@ export default function Tracker() {
             if (session.date) dateStr = format(new Date(session.date), 'yyyy-MM-dd');
         } catch (e) { }
         setManualDate(dateStr);
-
-        setSubject(session.subject || 'GS1');
-        setTopic(session.topic || '');
-        setSessionNotes(session.notes || '');
+        setEditingSessionDay(dateStr);
+
+        updateSession({
+            subject: session.subject || 'GS1',
+            topic: session.topic || '',
+            topicId: session.topicId || null,
+            notes: session.notes || '',
+            linkedTask: null
+        });
 
         // Scroll to top
         window.scrollTo({ top: 0, behavior: 'smooth' });
     };
 
-    const saveSession = async (duration, timestamp) => {
+    // Sessions link to a syllabus node by id. Free text only becomes a new node once the user agrees;
+    // otherwise the session is logged without a link.
+    const resolveTopicLink = async () => {
+        if (topicId || !topic.trim()) return { topicId, createTopic: false };
+        const createTopic = await confirm({
+            title: 'Add New Topic?',
+            message: `"${topic.trim()}" isn't in your syllabus. Add it as a new topic under ${subject}? Choose "Log Only" to save the session without adding a topic.`,
+            confirmText: 'Add Topic',
+            cancelText: 'Log Only'
+        });
+        return { topicId: null, createTopic };
+    };
+
+    // timing: { timestamp, startedAt (timed sessions) }. Returns whether the session was saved.
+    const saveSession = async (duration, timing) => {
+        const link = await resolveTopicLink();
         const sessionData = {
             subject,
             topic: topic || 'General Study',
+            ...link,
+            taskId: linkedTask?.id || null,
             notes: sessionNotes,
             durationMinutes: duration,
+            ...(mode !== 'manual' ? buildPauseFields(timer.pauses, duration) : {}),
             mode: mode,
-            timestamp: timestamp
+            // A timed session keeps one id, so retrying after a failed save can't log it twice
+            ...(timing.startedAt ? { logId: `${user.uid}-${mode}-${Date.parse(timing.startedAt)}` } : {}),
+            ...timing
         };
 
         try {
             const success = await logStudySession(user.uid, sessionData);
-            if (success) {
-                toast.success(`Session saved! ${duration} minutes logged 📚`);
+            if (!success) {
+                toast.error('Failed to save session. Your time is kept, so you can try again.');
+                return false;
             }
+            toast.success(`Session saved! ${duration} minutes logged 📚`);
+            if (linkedTask && completeAtEstimate && await completeTaskIfEstimateMet(linkedTask.id)) {
+                toast.success(`Estimate reached: "${linkedTask.text}" marked as done`);
+            }
+            return true;
         } catch (error) {
-            toast.error('Failed to save session');
+            console.error("Error saving session:", error);
+            toast.error('Failed to save session. Your time is kept, so you can try again.');
+            return false;
         }
     };
 
@@ -226,35 +339,44 @@ export default function Tracker() {
                     <p className="text-[#71717A] font-light">Track your focus sessions or log study hours manually</p>
                 </div>
 
-                {/* Mode Toggle - Portfolio Style with proper dark mode */}
-                <div className="bg-[#FAFAFA] dark:bg-dark-surface p-1 rounded border border-black/10 dark:border-white/10 flex flex-wrap gap-1">
-                    <button
-                        onClick={() => { setIsRunning(false); setMode('stopwatch'); }}
-                        className={`px-4 py-2 rounded text-sm font-medium transition-all ${mode === 'stopwatch'
-                            ? 'bg-black text-white dark:bg-white dark:text-black'
-                            : 'text-black/60 dark:text-white/60 hover:text-black dark:hover:text-white'
-                            }`}
-                    >
-                        Stopwatch
-                    </button>
-                    <button
-                        onClick={() => { setIsRunning(false); setMode('pomodoro'); }}
-                        className={`px-4 py-2 rounded text-sm font-medium transition-all ${mode === 'pomodoro'
-                            ? 'bg-black text-white dark:bg-white dark:text-black'
-                            : 'text-black/60 dark:text-white/60 hover:text-black dark:hover:text-white'
-                            }`}
-                    >
-                        Pomodoro
-                    </button>
+                <div className="flex items-center gap-2">
+                    {/* Mode Toggle - Portfolio Style with proper dark mode */}
+                    <div className="bg-[#FAFAFA] dark:bg-dark-surface p-1 rounded border border-black/10 dark:border-white/10 flex flex-wrap gap-1">
+                        <button
+                            onClick={() => switchMode('stopwatch')}
+                            className={`px-4 py-2 rounded text-sm font-medium transition-all ${mode === 'stopwatch'
+                                ? 'bg-black text-white dark:bg-white dark:text-black'
+                                : 'text-black/60 dark:text-white/60 hover:text-black dark:hover:text-white'
+                                }`}
+                        >
+                            Stopwatch
+                        </button>
+                        <button
+                            onClick={() => switchMode('pomodoro')}
+                            className={`px-4 py-2 rounded text-sm font-medium transition-all ${mode === 'pomodoro'
+                                ? 'bg-black text-white dark:bg-white dark:text-black'
+                                : 'text-black/60 dark:text-white/60 hover:text-black dark:hover:text-white'
+                                }`}
+                        >
+                            Pomodoro
+                        </button>
+                        <button
+                            onClick={() => switchMode('manual')}
+                            className={`px-4 py-2 rounded text-sm font-medium transition-all flex items-center gap-1 ${mode === 'manual'
+                                ? 'bg-black text-white dark:bg-white dark:text-black'
+                                : 'text-black/60 dark:text-white/60 hover:text-black dark:hover:text-white'
+                                }`}
+                        >
+                            <PlusCircle className="w-4 h-4" />
+                            Log Hours
+                        </button>
+                    </div>
                     <button
-                        onClick={() => { setIsRunning(false); setMode('manual'); }}
-                        className={`px-4 py-2 rounded text-sm font-medium transition-all flex items-center gap-1 ${mode === 'manual'
-                            ? 'bg-black text-white dark:bg-white dark:text-black'
-                            : 'text-black/60 dark:text-white/60 hover:text-black dark:hover:text-white'
-                            }`}
+                        onClick={() => setShowImport(true)}
+                        className="p-2.5 rounded border border-black/10 dark:border-white/10 text-[#71717A] hover:text-black dark:hover:text-white transition-colors"
+                        title="Import past sessions from CSV or JSON"
                     >
-                        <PlusCircle className="w-4 h-4" />
-                        Log Hours
+                        <Upload className="w-4 h-4" />
                     </button>
                 </div>
             </div>
@@ -343,13 +465,30 @@ export default function Tracker() {
                                 </div>
                             )}
 
+                            {mode === 'pomodoro' && (
+                                <div className="z-10 mb-4 text-center">
+                                    <p className="text-sm font-medium">{POMODORO_PHASES[timer.phase].label}</p>
+                                    <div className="flex justify-center gap-1.5 mt-2" title={`Long break every ${timer.pomodoro.longBreakEvery} focus blocks`}>
+                                        {[...Array(timer.pomodoro.longBreakEvery)].map((_, i) => (
+                                            <span
+                                                key={i}
+                                                className={`w-2 h-2 rounded-full ${i < blocksInSet
+                                                    ? 'bg-black dark:bg-white'
+                                                    : 'bg-black/10 dark:bg-white/10'
+                                                    }`}
+                                            />
+                                        ))}
+                                    </div>
+                                </div>
+                            )}
+
                             <motion.div
                                 className={`text-7xl font-bold mb-8 z-10 tracking-tight ${isRunning ? 'text-black dark:text-white' : 'text-[#71717A]'}`}
                                 key={mode === 'stopwatch' ? elapsed : timeLeft}
                                 initial={{ scale: 0.95 }}
                                 animate={{ scale: 1 }}
                             >
-                                {mode === 'stopwatch' ? formatTime(elapsed) : formatTime(timeLeft)}
+                                {mode === 'stopwatch' ? formatClock(elapsed) : formatClock(timeLeft)}
                             </motion.div>
 
                             <div className="flex gap-4 z-10">
@@ -357,7 +496,7 @@ export default function Tracker() {
                                     <motion.button
                                         whileHover={{ scale: 1.1 }}
                                         whileTap={{ scale: 0.95 }}
-                                        onClick={() => setIsRunning(true)}
+                                        onClick={start}
                                         className="w-16 h-16 bg-black dark:bg-white rounded-full flex items-center justify-center text-white dark:text-black shadow-lg border-2 border-black dark:border-white"
                                     >
                                         <Play className="w-8 h-8 ml-1" />
@@ -366,14 +505,14 @@ export default function Tracker() {
                                     <motion.button
                                         whileHover={{ scale: 1.1 }}
                                         whileTap={{ scale: 0.95 }}
-                                        onClick={() => setIsRunning(false)}
+                                        onClick={() => pause()}
                                         className="w-16 h-16 bg-[#71717A] rounded-full flex items-center justify-center text-white shadow-lg"
                                     >
                                         <Pause className="w-8 h-8" />
                                     </motion.button>
                                 )}
 
-                                {(elapsed > 0 || (mode === 'pomodoro' && timeLeft < 25 * 60)) && !isRunning && (
+                                {isActive && !isRunning && (
                                     <motion.button
                                         whileHover={{ scale: 1.1 }}
                                         whileTap={{ scale: 0.95 }}
@@ -385,11 +524,11 @@ export default function Tracker() {
                                     </motion.button>
                                 )}
 
-                                {!isRunning && (elapsed > 0 || (mode === 'pomodoro' && timeLeft < 25 * 60)) && (
+                                {!isRunning && isActive && (
                                     <motion.button
                                         whileHover={{ scale: 1.1 }}
                                         whileTap={{ scale: 0.95 }}
-                                        onClick={() => { setElapsed(0); setTimeLeft(25 * 60); }}
+                                        onClick={reset}
                                         className="w-16 h-16 bg-black/5 dark:bg-white/10 rounded-full flex items-center justify-center text-black dark:text-white border-2 border-black/10 dark:border-white/10"
                                         title="Reset"
                                     >
@@ -398,9 +537,22 @@ export default function Tracker() {
                                 )}
                             </div>
 
+                            {getOpenPause(timer) && (
+                                <div className="mt-6 z-10">
+                                    <PauseReasonPicker value={getOpenPause(timer).reason} onChange={setReason} />
+                                </div>
+                            )}
+
                             <p className="mt-8 text-[#71717A] text-sm font-light">
-                                {isRunning ? 'Focus Mode ON 🎯' : 'Ready to start?'}
+                                {mode === 'pomodoro' && timer.phase !== 'focus'
+                                    ? (isRunning ? 'On a break ☕' : 'Break ready')
+                                    : (isRunning ? 'Focus Mode ON 🎯' : 'Ready to start?')}
                             </p>
+                            {mode === 'pomodoro' && timer.cycle > 0 && (
+                                <p className="mt-1 text-[#71717A] text-xs font-light">
+                                    {timer.cycle} focus block{timer.cycle > 1 ? 's' : ''} · {formatMinutes(timer.focusMs / 60000)} focus · {formatMinutes(timer.breakMs / 60000)} breaks
+                                </p>
+                            )}
                         </>
                     )}
                 </motion.div>
@@ -414,6 +566,38 @@ export default function Tracker() {
                         </h3>
 
                         <div className="space-y-4">
+                            {linkedTask && !editingSessionId && (
+                                <div className="p-3 rounded border border-black/10 dark:border-white/10 bg-[#FAFAFA] dark:bg-dark-surface">
+                                    <div className="flex items-start gap-2">
+                                        <ListChecks className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                                        <div className="flex-1 min-w-0">
+                                            <p className="text-sm font-medium truncate">{linkedTask.text}</p>
+                                            <p className="text-xs text-[#71717A] font-light">
+                                                {formatMinutes(linkedTask.actualMinutes)} tracked
+                                                {linkedTask.estimateMinutes > 0 && ` of ${formatMinutes(linkedTask.estimateMinutes)} estimated`}
+                                            </p>
+                                        </div>
+                                        <button
+                                            onClick={() => setLinkedTask(null)}
+                                            className="p-1 text-[#71717A] hover:text-black dark:hover:text-white"
+                                            title="Don't log against this task"
+                                        >
+                                            <X className="w-4 h-4" />
+                                        </button>
+                                    </div>
+                                    {linkedTask.estimateMinutes > 0 && (
+                                        <label className="flex items-center gap-2 mt-2 text-xs text-[#71717A] cursor-pointer">
+                                            <input
+                                                type="checkbox"
+                                                checked={completeAtEstimate}
+                                                onChange={(e) => setCompleteAtEstimate(e.target.checked)}
+                                            />
+                                            Mark the task done once its estimate is met
+                                        </label>
+                                    )}
+                                </div>
+                            )}
+
                             <div>
                                 <label className="block text-sm text-[#71717A] mb-1 font-light">Subject</label>
                                 <select
@@ -422,31 +606,32 @@ export default function Tracker() {
                                     className="input-field"
                                     disabled={isRunning}
                                 >
-                                    <option value="GS1">GS1 - History & Culture</option>
-                                    <option value="GS2">GS2 - Polity & IR</option>
-                                    <option value="GS3">GS3 - Economy & Environment</option>
-                                    <option value="GS4">GS4 - Ethics</option>
-                                    <option value="Optional">Optional Subject</option>
-                                    <option value="Essay">Essay Writing</option>
-                                    <option value="Current Affairs">Current Affairs</option>
-                                    <option value="Other">Other</option>
+                                    {SUBJECTS.map(({ id, label }) => (
+                                        <option key={id} value={id}>{label}</option>
+                                    ))}
                                 </select>
                             </div>
 
                             <div>
                                 <label className="block text-sm text-[#71717A] mb-1 font-light">Topic</label>
-                                <input
-                                    type="text"
-                                    value={topic}
-                                    onChange={(e) => setTopic(e.target.value)}
+                                <TopicPicker
+                                    items={syllabusItems}
+                                    topic={topic}
+                                    topicId={topicId}
+                                    onChange={({ topic: nextTopic, topicId: nextId }) => {
+                                        setTopic(nextTopic);
+                                        setTopicId(nextId);
+                                    }}
                                     placeholder="e.g. Fundamental Rights"
-                                    maxLength={100}
-                                    className="input-field"
                                 />
                             </div>
                         </div>
                     </div>
 
+                    {mode === 'pomodoro' && (
+                        <PomodoroSettings settings={timer.pomodoro} onChange={updatePomodoro} />
+                    )}
+
                     <div className="card p-6 flex-1">
                         <h3 className="font-medium mb-4 flex items-center gap-2">
                             <PenLine className="w-5 h-5" />
@@ -473,7 +658,7 @@ export default function Tracker() {
                     <h3 className="font-medium flex items-center gap-2">
                         <Clock className="w-5 h-5" />
                         Recent <span className="font-bold">Sessions</span>
-                        <span className="text-sm font-light text-[#71717A]">({recentSessions.length})</span>
+                        <span className="text-sm font-light text-[#71717A]">({historySessions.length}{hasMoreHistory ? '+' : ''})</span>
                     </h3>
                     {showHistory ? (
                         <ChevronUp className="w-5 h-5 text-[#71717A]" />
@@ -490,20 +675,20 @@ export default function Tracker() {
                             exit={{ height: 0 }}
                             className="border-t border-black/5 dark:border-white/5 overflow-hidden"
                         >
-                            {recentSessions.length === 0 ? (
+                            {historySessions.length === 0 ? (
                                 <div className="p-8 text-center">
                                     <BookOpen className="w-12 h-12 text-[#71717A]/30 mx-auto mb-3" />
                                     <p className="text-[#71717A] font-light">No study sessions yet. Start your first session!</p>
                                 </div>
                             ) : (
                                 <div className="divide-y divide-black/5 dark:divide-white/5">
-                                    {recentSessions.map((session, index) => (
+                                    {historySessions.map((session, index) => (
                                         <motion.div
                                             key={session.id}
                                             className="p-4 hover:bg-[#FAFAFA] dark:hover:bg-dark-surface transition-colors"
                                             initial={{ opacity: 0, x: -20 }}
                                             animate={{ opacity: 1, x: 0 }}
-                                            transition={{ delay: index * 0.05 }}
+                                            transition={{ delay: (index % HISTORY_PAGE_SIZE) * 0.05 }}
                                         >
                                             <div className="flex items-start justify-between gap-4">
                                                 <div className="flex-1 min-w-0">
@@ -519,6 +704,14 @@ export default function Tracker() {
                                                                 Manual
                                                             </span>
                                                         )}
+                                                        {session.pauses?.length > 0 && (
+                                                            <span
+                                                                className="px-1.5 py-0.5 rounded text-[10px] bg-black/5 dark:bg-white/10 text-[#71717A]"
+                                                                title={`${session.pauses.length} pause${session.pauses.length > 1 ? 's' : ''}, ${formatMinutes(Math.round(session.pausedMinutes))} lost`}
+                                                            >
+                                                                Focus {session.focusScore}%
+                                                            </span>
+                                                        )}
                                                     </div>
                                                     {session.notes && (
                                                         <p className="text-sm text-[#71717A] line-clamp-2 mt-1 font-light">
@@ -583,6 +776,17 @@ export default function Tracker() {
                                             </div>
                                         </motion.div>
                                     ))}
+                                    {hasMoreHistory && (
+                                        <div className="p-4 text-center">
+                                            <button
+                                                onClick={handleLoadMore}
+                                                disabled={loadingHistory}
+                                                className="btn-outline px-4 py-2 rounded text-sm disabled:opacity-50"
+                                            >
+                                                {loadingHistory ? 'Loading...' : 'Load older sessions'}
+                                            </button>
+                                        </div>
+                                    )}
                                 </div>
                             )}
                         </motion.div>
@@ -590,6 +794,7 @@ export default function Tracker() {
                 </AnimatePresence>
             </div>
             <ConfirmDialog {...dialogProps} />
+            <LogImportWizard isOpen={showImport} onClose={() => setShowImport(false)} uid={user.uid} />
         </div>
     );
 }